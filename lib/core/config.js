@@ -9,6 +9,9 @@
 
 'use strict';
 
+const path = require('path');
+const { topologicalSort } = require('./graph');
+
 // ============================================
 // Plugin Metadata
 // ============================================
@@ -55,7 +58,10 @@ const TIMEOUTS = {
   VERSION_CHECK: 5000,
 
   /** Version check cache duration (24 hours) */
-  VERSION_CACHE_MS: 24 * 60 * 60 * 1000
+  VERSION_CACHE_MS: 24 * 60 * 60 * 1000,
+
+  /** Project detection cache duration, even when no marker changed (1 hour) */
+  PROJECT_DETECTION_CACHE_MS: 60 * 60 * 1000
 };
 
 // ============================================
@@ -80,6 +86,11 @@ const PYTHON_DEPS = ['ruff', 'mypy'];
 
 /**
  * Branches that should not allow direct edits
+ *
+ * The conventional protected branch names. The default setting in
+ * config/defaults.json protects only main, master and production; projects
+ * add the others in their settings file. Runtime code reads the effective
+ * list through lib/settings.
  * @type {string[]}
  */
 const PROTECTED_BRANCHES = ['main', 'master', 'production', 'develop', 'staging', 'release'];
@@ -90,18 +101,20 @@ const PROTECTED_BRANCHES = ['main', 'master', 'production', 'develop', 'staging'
 
 /**
  * Formatters by file extension
+ *
+ * Built-in default mirrored by config/defaults.json; see lib/settings.
  * @type {Object<string, string>}
  */
 const FORMATTERS = {
-  js: 'npx prettier --write',
-  jsx: 'npx prettier --write',
-  ts: 'npx prettier --write',
-  tsx: 'npx prettier --write',
-  json: 'npx prettier --write',
-  css: 'npx prettier --write',
-  scss: 'npx prettier --write',
-  html: 'npx prettier --write',
-  md: 'npx prettier --write',
+  js: 'prettier --write',
+  jsx: 'prettier --write',
+  ts: 'prettier --write',
+  tsx: 'prettier --write',
+  json: 'prettier --write',
+  css: 'prettier --write',
+  scss: 'prettier --write',
+  html: 'prettier --write',
+  md: 'prettier --write',
   py: 'ruff format',
   go: 'gofmt -w',
   rs: 'rustfmt'
@@ -109,32 +122,187 @@ const FORMATTERS = {
 
 /**
  * Type checkers by file extension
- * @type {Object<string, {cmd: string, errorPattern: string}>}
+ *
+ * Output is parsed into diagnostics by lib/tools/diagnostics.
+ * @type {Object<string, {cmd: string}>}
  */
 const TYPE_CHECKERS = {
-  ts: { cmd: 'npx tsc --noEmit', errorPattern: 'error TS' },
-  tsx: { cmd: 'npx tsc --noEmit', errorPattern: 'error TS' },
-  py: { cmd: 'mypy --ignore-missing-imports', errorPattern: 'error:' }
+  ts: { cmd: 'tsc --noEmit' },
+  tsx: { cmd: 'tsc --noEmit' },
+  py: { cmd: 'mypy --ignore-missing-imports' }
 };
 
 /**
  * Linters by file extension
- * @type {Object<string, {cmd: string, errorPattern?: RegExp, successPattern?: string}>}
+ *
+ * Output is parsed into diagnostics by lib/tools/diagnostics.
+ * @type {Object<string, {cmd: string}>}
  */
 const LINTERS = {
-  js: { cmd: 'npx eslint --format compact', errorPattern: /(error|warning)/ },
-  jsx: { cmd: 'npx eslint --format compact', errorPattern: /(error|warning)/ },
-  ts: { cmd: 'npx eslint --format compact', errorPattern: /(error|warning)/ },
-  tsx: { cmd: 'npx eslint --format compact', errorPattern: /(error|warning)/ },
-  py: { cmd: 'ruff check', successPattern: 'All checks passed' }
+  js: { cmd: 'eslint' },
+  jsx: { cmd: 'eslint' },
+  ts: { cmd: 'eslint' },
+  tsx: { cmd: 'eslint' },
+  py: { cmd: 'ruff check' }
+};
+
+/**
+ * Defaults for batch checking (lib/tools/batch)
+ * @type {{concurrency: number, filesPerCommand: number}}
+ */
+const BATCH_LIMITS = {
+  /** Tool processes running at once */
+  concurrency: 4,
+
+  /** Files passed to one tool invocation, keeping command lines short */
+  filesPerCommand: 100
+};
+
+/**
+ * Tool result cache directory, under the project root (lib/tools/cache)
+ * @type {string}
+ */
+const TOOL_CACHE_DIR = '.claude/cache/tool-results';
+
+/**
+ * npm packages that provide a tool whose executable has another name, for
+ * install hints and version lookups (lib/tools/resolver, lib/tools/cache)
+ * @type {Object<string, string>}
+ */
+const NODE_TOOL_PACKAGES = {
+  tsc: 'typescript',
+  biome: '@biomejs/biome',
+  dprint: 'dprint',
+  standard: 'standard',
+  markdownlint: 'markdownlint-cli'
+};
+
+/**
+ * Package managers by ecosystem, most specific first. A project uses the
+ * first whose lockfile exists between the tool's package root and the
+ * project root; the last entry is the fallback. `{package}` in the install
+ * command is replaced with the package to install.
+ * @type {Object<string, Array<{name: string, lockfiles: string[], install: string}>>}
+ */
+const PACKAGE_MANAGERS = {
+  node: [
+    { name: 'pnpm', lockfiles: ['pnpm-lock.yaml'], install: 'pnpm add -D {package}' },
+    { name: 'yarn', lockfiles: ['yarn.lock'], install: 'yarn add -D {package}' },
+    { name: 'bun', lockfiles: ['bun.lockb', 'bun.lock'], install: 'bun add -d {package}' },
+    { name: 'npm', lockfiles: ['package-lock.json'], install: 'npm install --save-dev {package}' }
+  ],
+  python: [
+    { name: 'uv', lockfiles: ['uv.lock'], install: 'uv add --dev {package}' },
+    { name: 'poetry', lockfiles: ['poetry.lock'], install: 'poetry add --group dev {package}' },
+    { name: 'pdm', lockfiles: ['pdm.lock'], install: 'pdm add -d {package}' },
+    { name: 'pipenv', lockfiles: ['Pipfile.lock', 'Pipfile'], install: 'pipenv install --dev {package}' },
+    { name: 'pip', lockfiles: [], install: 'pip install {package}' }
+  ]
+};
+
+/**
+ * Directory for tsc's incremental build info, under the project root
+ * (lib/tools/typescript)
+ * @type {string}
+ */
+const TSC_BUILD_INFO_DIR = '.claude/cache/tsbuildinfo';
+
+/**
+ * Directory for the copies of files taken before their first edit in a
+ * session, under the project root (lib/tools/changes)
+ * @type {string}
+ */
+const SNAPSHOT_DIR = '.claude/cache/snapshots';
+
+/**
+ * Age after which another session's snapshots are removed (ms)
+ * @type {number}
+ */
+const SNAPSHOT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * File recording known diagnostics, under the project root and meant to be
+ * committed (lib/tools/baseline)
+ * @type {string}
+ */
+const BASELINE_FILE = '.dev-standards-baseline.json';
+
+/**
+ * Tool daemon limits (lib/daemon)
+ * @type {{startTimeout: number, requestTimeout: number, maxSamples: number}}
+ */
+const DAEMON_LIMITS = {
+  /** Time to wait for a daemon that was just spawned to accept connections */
+  startTimeout: 5000,
+
+  /** Time to wait for a reply before checking directly instead */
+  requestTimeout: 60000,
+
+  /** Latency samples kept per check and mode for `daemon stats` */
+  maxSamples: 200
 };
 
+/**
+ * File recording how long per-edit checks took with and without the tool
+ * daemon, under the project root (lib/daemon)
+ * @type {string}
+ */
+const DAEMON_STATS_FILE = '.claude/cache/daemon/stats.json';
+
+/**
+ * Exit code with which a hook's stderr is fed back to Claude (lib/hooks)
+ * @type {number}
+ */
+const HOOK_FEEDBACK_EXIT_CODE = 2;
+
+/**
+ * Config files whose content is part of a tool result's cache key. Every
+ * match between the file's directory and the project root counts, so an
+ * edit to any of them re-runs the tools for the files below it.
+ * @type {RegExp[]}
+ */
+const TOOL_CONFIG_FILES = [
+  /^package\.json$/,
+  /^tsconfig(\..+)?\.json$/,
+  /^jsconfig\.json$/,
+  /^\.eslintrc(\..+)?$/,
+  /^eslint\.config\.[cm]?[jt]s$/,
+  /^\.eslintignore$/,
+  /^\.prettierrc(\..+)?$/,
+  /^prettier\.config\.[cm]?js$/,
+  /^\.prettierignore$/,
+  /^\.editorconfig$/,
+  /^pyproject\.toml$/,
+  /^\.?ruff\.toml$/,
+  /^\.?mypy\.ini$/,
+  /^setup\.cfg$/,
+  /^tox\.ini$/,
+  /^\.flake8$/,
+  /^\.isort\.cfg$/,
+  /^pyrightconfig\.json$/,
+  /^biome\.jsonc?$/,
+  /^\.?dprint\.jsonc?$/,
+  /^rustfmt\.toml$/,
+  /^\.rustfmt\.toml$/,
+  /^\.?clippy\.toml$/,
+  /^\.shellcheckrc$/,
+  /^\.stylelintrc(\..+)?$/,
+  /^stylelint\.config\.[cm]?js$/,
+  /^\.markdownlint(rc|\..+)$/,
+  /^\.golangci\.(ya?ml|toml|json)$/,
+  /^\.hadolint\.ya?ml$/
+];
+
 // ============================================
 // Security Configuration
 // ============================================
 
 /**
  * Dangerous command patterns that should be blocked
+ *
+ * @deprecated Commands are checked by the rules of lib/validation/dangerous,
+ *   which no longer use these patterns; add project patterns with the
+ *   dangerousPatterns setting. Kept for code that reads them.
  * @type {RegExp[]}
  */
 const DANGEROUS_PATTERNS = [
@@ -349,7 +517,11 @@ const NAMING_CONVENTIONS = {
  */
 const LANGUAGE_EXTENSIONS = {
   javascript: ['.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx'],
-  python: ['.py', '.pyw']
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  python: ['.py', '.pyw'],
+  rust: ['.rs'],
+  go: ['.go'],
+  java: ['.java', '.kt']
 };
 
 // ============================================
@@ -478,16 +650,75 @@ const GITIGNORE_PATTERNS = {
  */
 const PROJECT_TYPE_PATTERNS = {
   node: ['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'],
+  typescript: ['tsconfig.json'],
   python: ['pyproject.toml', 'setup.py', 'requirements.txt', 'Pipfile'],
   rust: ['Cargo.toml'],
   go: ['go.mod'],
   java: ['pom.xml', 'build.gradle']
 };
 
+/**
+ * Language each project type in PROJECT_TYPE_PATTERNS reports as, where the
+ * names differ (keys of LANGUAGE_EXTENSIONS and config/profiles)
+ * @type {Object<string, string>}
+ */
+const PROJECT_TYPE_LANGUAGES = {
+  node: 'javascript'
+};
+
+/**
+ * Directories project detection never descends into (dot-directories and
+ * VENV_NAMES are skipped as well)
+ * @type {string[]}
+ */
+const DETECTION_IGNORE_DIRS = [
+  'node_modules', 'bower_components', 'vendor', 'dist', 'build', 'out',
+  'target', 'coverage', '__pycache__', 'site-packages', 'tmp'
+];
+
+/**
+ * Limits on the project detection scan
+ * @type {{maxDepth: number, maxFiles: number}}
+ */
+const DETECTION_LIMITS = {
+  maxDepth: 8,
+  maxFiles: 20000
+};
+
+/**
+ * Minimum confidence for a detected language to select its profile
+ * (a marker in the package root alone scores 0.6)
+ * @type {number}
+ */
+const DETECTION_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Project detection cache directory, under home
+ * @type {string}
+ */
+const PROJECT_CACHE_DIR = '.claude/cache/dev-standards';
+
 // ============================================
 // Orchestrator Domain Configuration
 // ============================================
 
+/**
+ * Built-in domains and the agent that implements each
+ * Projects can add domains through the `domains` setting (see lib/orchestrator/domains)
+ * @type {Object<string, string>}
+ */
+const DOMAIN_AGENTS = {
+  logging: 'logging-standards',
+  error: 'error-standards',
+  type: 'type-standards',
+  lint: 'lint-standards',
+  test: 'test-standards',
+  validation: 'validation-standards',
+  git: 'git-standards',
+  housekeeping: 'housekeeping-standards',
+  naming: 'naming-standards'
+};
+
 /**
  * Domain dependencies - which domains must complete BEFORE each domain
  * Used to determine execution order when running domain=all
@@ -521,21 +752,113 @@ const DOMAIN_DEPENDENCIES = {
 };
 
 /**
- * Pre-computed execution order based on DOMAIN_DEPENDENCIES
- * Topologically sorted to ensure dependencies are satisfied
+ * Known handoff dependencies between the built-in domain agents.
+ * Maps source agent to array of typical target agents.
+ * @type {Object<string, string[]>}
+ */
+const HANDOFF_GRAPH = {
+  'error-standards': ['logging-standards', 'test-standards'],
+  'logging-standards': ['test-standards'],
+  'type-standards': ['lint-standards', 'test-standards'],
+  'validation-standards': ['error-standards', 'test-standards'],
+  'housekeeping-standards': ['git-standards', 'test-standards'],
+  'naming-standards': ['test-standards', 'type-standards'],
+  'git-standards': ['test-standards'],
+  'lint-standards': ['test-standards']
+};
+
+/**
+ * Execution order of the built-in domains, topologically sorted from
+ * DOMAIN_DEPENDENCIES at load time (ties keep declaration order, so tiers
+ * run in the order listed above)
  * @type {string[]}
  */
-const DOMAIN_EXECUTION_ORDER = [
-  'naming',       // Tier 1 - No dependencies
-  'validation',   // Tier 1 - No dependencies
-  'error',        // Tier 2 - Foundation for error handling
-  'logging',      // Tier 2 - Depends on error
-  'lint',         // Tier 3 - Depends on error, logging
-  'type',         // Tier 3 - Depends on error, lint
-  'housekeeping', // Tier 4 - Depends on error
-  'git',          // Tier 4 - Depends on housekeeping, validation, error, type
-  'test'          // Tier 5 - Hub, runs last
-];
+const DOMAIN_EXECUTION_ORDER = topologicalSort(DOMAIN_DEPENDENCIES, 'domain');
+
+// ============================================
+// Settings Configuration
+// ============================================
+
+/**
+ * Plugin default settings (lowest-precedence layer of lib/settings)
+ * @type {string}
+ */
+const DEFAULTS_FILE = path.join(__dirname, '..', '..', 'config', 'defaults.json');
+
+/**
+ * Directory containing the plugin's JSON schemas
+ * @type {string}
+ */
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+/**
+ * Schema the merged settings are validated against
+ * @type {string}
+ */
+const CONFIG_SCHEMA_FILE = path.join(SCHEMAS_DIR, 'config.schema.json');
+
+/**
+ * Schema every language profile is validated against
+ * @type {string}
+ */
+const PROFILE_SCHEMA_FILE = path.join(SCHEMAS_DIR, 'profile.schema.json');
+
+/**
+ * Schema the diagnostics baseline file is validated against
+ * @type {string}
+ */
+const BASELINE_SCHEMA_FILE = path.join(SCHEMAS_DIR, 'baseline.schema.json');
+
+/**
+ * Language profile directory (config/profiles/*.json)
+ * @type {string}
+ */
+const PROFILES_DIR = path.join(__dirname, '..', '..', 'config', 'profiles');
+
+/**
+ * Settings file, relative to both the project root and the user's home directory
+ * @type {string}
+ */
+const SETTINGS_FILE = '.claude/dev-standards.json';
+
+/**
+ * Prefix for environment variable overrides
+ * (e.g. DEV_STANDARDS_PROTECTED_BRANCHES=main,trunk)
+ * @type {string}
+ */
+const SETTINGS_ENV_PREFIX = 'DEV_STANDARDS_';
+
+/**
+ * Settings layer names, lowest precedence first
+ * @type {string[]}
+ */
+const SETTINGS_LAYERS = ['defaults', 'profile', 'user', 'project', 'directory', 'env'];
+
+/**
+ * Files marking the root of a package within a (mono)repo. Tools run with
+ * the nearest package root as their working directory.
+ * @type {string[]}
+ */
+const PACKAGE_ROOT_MARKERS = ['package.json', 'pyproject.toml', 'go.mod', 'Cargo.toml'];
+
+/**
+ * Checks that settings can switch off per scope (disabledChecks)
+ * @type {string[]}
+ */
+const CHECKS = ['format', 'typecheck', 'lint', 'naming', 'protectedPaths'];
+
+/**
+ * File name styles selectable per scope (settings key naming.files),
+ * matched against the file name up to its first '.'. Unlike
+ * NAMING_CONVENTIONS these are language-independent.
+ * @type {Object<string, RegExp>}
+ */
+const FILE_NAME_STYLES = {
+  'kebab-case': /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  snake_case: /^[a-z0-9]+(_[a-z0-9]+)*$/,
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/
+};
 
 // ============================================
 // Logging Configuration
@@ -583,6 +906,18 @@ module.exports = {
   FORMATTERS,
   TYPE_CHECKERS,
   LINTERS,
+  BATCH_LIMITS,
+  TOOL_CACHE_DIR,
+  TOOL_CONFIG_FILES,
+  TSC_BUILD_INFO_DIR,
+  SNAPSHOT_DIR,
+  SNAPSHOT_MAX_AGE,
+  BASELINE_FILE,
+  DAEMON_LIMITS,
+  DAEMON_STATS_FILE,
+  HOOK_FEEDBACK_EXIT_CODE,
+  NODE_TOOL_PACKAGES,
+  PACKAGE_MANAGERS,
 
   // Security
   DANGEROUS_PATTERNS,
@@ -603,10 +938,31 @@ module.exports = {
   // Gitignore
   GITIGNORE_PATTERNS,
   PROJECT_TYPE_PATTERNS,
+  PROJECT_TYPE_LANGUAGES,
+  DETECTION_IGNORE_DIRS,
+  DETECTION_LIMITS,
+  DETECTION_MIN_CONFIDENCE,
+  PROJECT_CACHE_DIR,
 
   // Orchestrator
+  DOMAIN_AGENTS,
   DOMAIN_DEPENDENCIES,
   DOMAIN_EXECUTION_ORDER,
+  HANDOFF_GRAPH,
+
+  // Settings
+  DEFAULTS_FILE,
+  SCHEMAS_DIR,
+  CONFIG_SCHEMA_FILE,
+  PROFILE_SCHEMA_FILE,
+  BASELINE_SCHEMA_FILE,
+  PROFILES_DIR,
+  SETTINGS_FILE,
+  SETTINGS_ENV_PREFIX,
+  SETTINGS_LAYERS,
+  PACKAGE_ROOT_MARKERS,
+  CHECKS,
+  FILE_NAME_STYLES,
 
   // Logging
   DEBUG,
@@ -0,0 +1,225 @@
+/**
+ * Line diffs
+ *
+ * Unified diffs between two versions of a text, for reporting what a tool
+ * changed in a file. Uses Myers' O(ND) algorithm after trimming the common
+ * prefix and suffix, so the small edits tools make stay cheap on large files.
+ *
+ * @module lib/core/diff
+ */
+
+'use strict';
+
+/**
+ * Edit distance beyond which the remaining lines are reported as replaced
+ * rather than diffed line by line
+ * @type {number}
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Marks a last line that has no newline, so it never matches one that does
+ * @type {string}
+ */
+const NO_NEWLINE = '\0';
+
+/**
+ * Split text into lines, remembering whether it ends with a newline
+ *
+ * @param {string} text - Text
+ * @returns {{lines: string[], newlineAtEnd: boolean}}
+ */
+function splitLines(text) {
+  if (text === '') {
+    return { lines: [], newlineAtEnd: true };
+  }
+  const lines = text.split('\n');
+  const newlineAtEnd = lines[lines.length - 1] === '';
+  if (newlineAtEnd) {
+    lines.pop();
+  }
+  return { lines: lines.map(line => line.replace(/\r$/, '')), newlineAtEnd };
+}
+
+/**
+ * Compute the shortest edit script between two line arrays
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Operations in order
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ type: ' ', line }));
+  const oldMid = a.slice(start, endA);
+  const newMid = b.slice(start, endB);
+
+  return [...head, ...myers(oldMid, newMid), ...tail];
+}
+
+/**
+ * Myers' diff of two line arrays without a common prefix or suffix
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const replaced = () => [
+    ...a.map(line => ({ type: '-', line })),
+    ...b.map(line => ({ type: '+', line }))
+  ];
+  if (n === 0 || m === 0) {
+    return replaced();
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) {
+    return replaced();
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[--y] });
+      } else {
+        ops.push({ type: '-', line: a[--x] });
+      }
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Format a hunk range
+ *
+ * @param {number} start - First line (0-based)
+ * @param {number} count - Number of lines
+ * @returns {string}
+ */
+function formatRange(start, count) {
+  if (count === 0) return `${start},0`;
+  return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ *
+ * @param {string} fileName - Name shown in the headers, usually relative to the project root
+ * @param {string} oldText - Content before
+ * @param {string} newText - Content after
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Unified diff, or '' when the texts are equal
+ *
+ * @example
+ * createPatch('src/a.js', 'let x = 1\n', 'const x = 1;\n');
+ * // '--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1 @@\n-let x = 1\n+const x = 1;\n'
+ */
+function createPatch(fileName, oldText, newText, options = {}) {
+  const { context = 3 } = options;
+  if (oldText === newText) {
+    return '';
+  }
+
+  // A last line without a newline differs from the same line with one
+  const sides = [splitLines(oldText), splitLines(newText)].map(({ lines, newlineAtEnd }) => (
+    newlineAtEnd || lines.length === 0 ? lines : [...lines.slice(0, -1), lines[lines.length - 1] + NO_NEWLINE]
+  ));
+  const ops = diffLines(sides[0], sides[1]);
+
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  numbered.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(numbered.length - 1, index + context);
+    const current = hunks[hunks.length - 1];
+    if (current && from <= current.to + 1) {
+      current.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const out = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  for (const { from, to } of hunks) {
+    const slice = numbered.slice(from, to + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    out.push(`@@ -${formatRange(slice[0].oldLine, oldCount)} +${formatRange(slice[0].newLine, newCount)} @@`);
+
+    for (const op of slice) {
+      if (op.line.endsWith(NO_NEWLINE)) {
+        out.push(`${op.type}${op.line.slice(0, -NO_NEWLINE.length)}`, '\\ No newline at end of file');
+      } else {
+        out.push(`${op.type}${op.line}`);
+      }
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  createPatch
+};
@@ -9,7 +9,8 @@
 
 'use strict';
 
-const { execSync } = require('child_process');
+const childProcess = require('child_process');
+const { execSync } = childProcess;
 const platform = require('./platform');
 const config = require('./config');
 
@@ -79,6 +80,11 @@ function commandExists(cmd) {
  * @param {string} [options.cwd] - Working directory
  * @param {number} [options.timeout] - Timeout in milliseconds
  * @param {boolean} [options.silent] - Suppress output
+ * @param {string} [options.input] - Text written to the command's stdin
+ * @param {boolean} [options.trim=true] - Trim whitespace around stdout (off
+ *   for commands that print file content)
+ * @param {Object<string, string>} [options.env] - Variables to set for the
+ *   command, on top of this process's environment
  * @returns {{success: boolean, output?: string, error?: string, code?: number}}
  *
  * @example
@@ -91,32 +97,82 @@ function exec(command, options = {}) {
   const {
     cwd = process.cwd(),
     timeout = config.TIMEOUTS.STANDARD,
-    silent = false
+    silent = false,
+    input,
+    trim = true,
+    env
   } = options;
+  const clean = text => (trim ? text?.trim() : text) || '';
 
   try {
     const output = execSync(command, {
       cwd,
       timeout,
+      input,
+      env: env ? { ...process.env, ...env } : undefined,
       stdio: silent ? 'pipe' : 'pipe',
       encoding: 'utf8'
     });
 
     return {
       success: true,
-      output: output?.trim() || ''
+      output: clean(output)
     };
   } catch (e) {
     return {
       success: false,
       error: e.message,
-      output: e.stdout?.toString()?.trim() || '',
+      output: clean(e.stdout?.toString()),
       stderr: e.stderr?.toString()?.trim() || '',
       code: e.status
     };
   }
 }
 
+/**
+ * Largest stdout/stderr an async command may produce (batch lint output
+ * for many files can exceed execSync's 1 MB default)
+ * @type {number}
+ */
+const MAX_ASYNC_OUTPUT = 64 * 1024 * 1024;
+
+/**
+ * Execute a command asynchronously with the same result shape as exec()
+ *
+ * The promise always resolves; failures are reported in the result.
+ *
+ * @param {string} command - The command to execute
+ * @param {Object} [options={}] - Execution options
+ * @param {string} [options.cwd] - Working directory
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @returns {Promise<{success: boolean, output?: string, error?: string, stderr?: string, code?: number}>}
+ *
+ * @example
+ * const [lint, types] = await Promise.all([execAsync('npx eslint .'), execAsync('npx tsc --noEmit')]);
+ */
+function execAsync(command, options = {}) {
+  const {
+    cwd = process.cwd(),
+    timeout = config.TIMEOUTS.STANDARD
+  } = options;
+
+  return new Promise((resolve) => {
+    childProcess.exec(command, { cwd, timeout, encoding: 'utf8', maxBuffer: MAX_ASYNC_OUTPUT }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve({ success: true, output: stdout?.trim() || '' });
+        return;
+      }
+      resolve({
+        success: false,
+        error: error.message,
+        output: stdout?.trim() || '',
+        stderr: stderr?.trim() || '',
+        code: error.code
+      });
+    });
+  });
+}
+
 /**
  * Execute a command and return output, throwing on failure
  *
@@ -153,6 +209,7 @@ module.exports = {
   escapeFilePath,
   commandExists,
   exec,
+  execAsync,
   execOrThrow,
   execPythonModule
 };
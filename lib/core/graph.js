@@ -0,0 +1,104 @@
+/**
+ * Dependency graph utilities
+ *
+ * Topological sorting with cycle detection for dependency maps such as
+ * config.DOMAIN_DEPENDENCIES.
+ *
+ * @module lib/core/graph
+ */
+
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Find a dependency cycle
+ *
+ * @param {Object<string, string[]>} dependencies - Node to the nodes it depends on
+ * @returns {string[]|null} Cycle as a path that starts and ends on the same
+ *   node (e.g. ['a', 'b', 'a']), or null if the graph is acyclic
+ *
+ * @example
+ * findCycle({ a: ['b'], b: ['a'] }); // ['a', 'b', 'a']
+ */
+function findCycle(dependencies) {
+  const visiting = [];
+  const done = new Set();
+
+  const visit = (node) => {
+    const start = visiting.indexOf(node);
+    if (start !== -1) {
+      return [...visiting.slice(start), node];
+    }
+    if (done.has(node)) {
+      return null;
+    }
+
+    visiting.push(node);
+    for (const dep of dependencies[node] || []) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    done.add(node);
+    return null;
+  };
+
+  for (const node of Object.keys(dependencies)) {
+    const cycle = visit(node);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Sort nodes so every node comes after its dependencies
+ *
+ * Among nodes whose dependencies are all satisfied, the one declared first
+ * goes first, so the result is stable and follows declaration order where
+ * the graph allows.
+ *
+ * @param {Object<string, string[]>} dependencies - Node to the nodes it depends on
+ * @param {string} [label='node'] - What the nodes are, for error messages
+ * @returns {string[]} Nodes in dependency order
+ * @throws {errors.ConfigError} If a dependency is undeclared or the graph has a cycle
+ *
+ * @example
+ * topologicalSort({ lint: ['error'], error: [] }); // ['error', 'lint']
+ *
+ * @example
+ * topologicalSort({ a: ['b'], b: ['a'] }, 'domain');
+ * // throws ConfigError: Circular domain dependency: a -> b -> a
+ */
+function topologicalSort(dependencies, label = 'node') {
+  const nodes = Object.keys(dependencies);
+
+  for (const node of nodes) {
+    for (const dep of dependencies[node]) {
+      if (!Object.prototype.hasOwnProperty.call(dependencies, dep)) {
+        throw new errors.ConfigError(`Unknown ${label} '${dep}' (dependency of '${node}')`);
+      }
+    }
+  }
+
+  const cycle = findCycle(dependencies);
+  if (cycle) {
+    throw new errors.ConfigError(`Circular ${label} dependency: ${cycle.join(' -> ')}`);
+  }
+
+  const order = [];
+  const placed = new Set();
+  while (order.length < nodes.length) {
+    const next = nodes.find(node =>
+      !placed.has(node) && dependencies[node].every(dep => placed.has(dep)));
+    order.push(next);
+    placed.add(next);
+  }
+
+  return order;
+}
+
+module.exports = {
+  findCycle,
+  topologicalSort
+};
@@ -9,9 +9,13 @@
 const platform = require('./platform');
 const config = require('./config');
 const exec = require('./exec');
+const graph = require('./graph');
+const diff = require('./diff');
 
 module.exports = {
   platform,
   config,
-  exec
+  exec,
+  graph,
+  diff
 };
@@ -0,0 +1,120 @@
+/**
+ * ESLint worker thread for the tool daemon
+ *
+ * ESLint's API is asynchronous while the per-file checks are not, so the
+ * daemon lints on this thread and blocks until it replies (see
+ * lib/daemon/warm). Each request carries an Int32Array over shared memory
+ * that is set and notified once the reply is posted on the port passed in
+ * workerData.
+ *
+ * An ESLint instance is kept per eslint installation, working directory
+ * and fix mode, and replaced when the config files that apply change. When
+ * the installed eslint version changes, the modules loaded from its
+ * node_modules are dropped from the require cache so the new ones load.
+ *
+ * @module lib/daemon/eslint-worker
+ */
+
+'use strict';
+
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Loaded ESLint instances by installation, cwd and fix mode
+ * @type {Map<string, {eslintPath: string, stamp: string, eslint: Object, ESLint: Function}>}
+ */
+const engines = new Map();
+
+/**
+ * Version of each eslint installation when it was loaded, by entry point
+ * @type {Map<string, string>}
+ */
+const loadedVersions = new Map();
+
+/**
+ * Unload an eslint installation whose version changed since it was loaded:
+ * its instances and every module required from its node_modules
+ *
+ * @param {string} eslintPath - Resolved path of the eslint package's entry point
+ * @param {string} nodeModules - The node_modules directory it is installed in
+ * @param {string} version - Installed version
+ */
+function unloadIfUpgraded(eslintPath, nodeModules, version) {
+  const loaded = loadedVersions.get(eslintPath);
+  loadedVersions.set(eslintPath, version);
+  if (loaded === undefined || loaded === version) {
+    return;
+  }
+
+  for (const [key, engine] of engines) {
+    if (engine.eslintPath === eslintPath) {
+      engines.delete(key);
+    }
+  }
+  const prefix = nodeModules + path.sep;
+  for (const file of Object.keys(require.cache)) {
+    if (file.startsWith(prefix)) {
+      delete require.cache[file];
+    }
+  }
+}
+
+/**
+ * Get a loaded ESLint instance, creating it if none matches the request
+ *
+ * @param {Object} request - Lint request
+ * @param {string} request.eslintPath - Resolved path of the eslint package's entry point
+ * @param {string} request.nodeModules - The node_modules directory eslint is installed in
+ * @param {string} request.version - Installed eslint version
+ * @param {string} request.cwd - Directory eslint runs in
+ * @param {boolean} request.fix - Apply safe fixes
+ * @param {boolean|undefined} request.flat - Use flat config, or undefined to let eslint decide
+ * @param {string} request.stamp - Stamp of the config files that apply
+ * @returns {Promise<{eslint: Object, ESLint: Function}>}
+ */
+async function getEngine({ eslintPath, nodeModules, version, cwd, fix, flat, stamp }) {
+  unloadIfUpgraded(eslintPath, nodeModules, version);
+  const key = [eslintPath, cwd, fix].join('\0');
+  const cached = engines.get(key);
+  if (cached && cached.stamp === stamp) {
+    return cached;
+  }
+
+  const eslintModule = require(eslintPath);
+  const ESLint = eslintModule.loadESLint
+    ? await eslintModule.loadESLint(flat === undefined ? {} : { useFlatConfig: flat })
+    : eslintModule.ESLint;
+  const engine = { eslintPath, stamp, eslint: new ESLint({ cwd, fix }), ESLint };
+  engines.set(key, engine);
+  return engine;
+}
+
+/**
+ * Lint a file, answering as `eslint --format json` would
+ *
+ * @param {Object} request - Lint request (see getEngine), with `file` to lint
+ * @returns {Promise<{success: boolean, output: string, error?: string, stderr?: string, code?: number}>}
+ */
+async function lint(request) {
+  try {
+    const { eslint, ESLint } = await getEngine(request);
+    const results = await eslint.lintFiles([request.file]);
+    if (request.fix) {
+      await ESLint.outputFixes(results);
+    }
+    const errorCount = results.reduce((sum, result) => sum + result.errorCount, 0);
+    return errorCount === 0
+      ? { success: true, output: JSON.stringify(results) }
+      : { success: false, output: JSON.stringify(results), error: `${errorCount} error(s)`, stderr: '', code: 1 };
+  } catch (e) {
+    return { success: false, output: '', error: e.message, stderr: e.message, code: 2 };
+  }
+}
+
+parentPort.on('message', async ({ id, signal, request }) => {
+  const result = await lint(request);
+  workerData.port.postMessage({ id, result });
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+});
@@ -0,0 +1,380 @@
+/**
+ * Tool daemon client
+ *
+ * Every edit runs the hook runner, which spawns the project's formatter,
+ * type checker and linter, each paying its startup again. With the
+ * daemon.enabled setting on, format, lint and type check requests go to a
+ * long-lived process for the project instead (see lib/daemon/server),
+ * which keeps eslint and TypeScript loaded between edits (see
+ * lib/daemon/warm). The first request starts it, over a Unix domain
+ * socket (a named pipe on Windows) in a directory private to the user, and
+ * it exits after daemon.idleTimeout without a request.
+ *
+ * When the daemon cannot be started or reached, or does not reply within
+ * config.DAEMON_LIMITS.requestTimeout, the check runs directly in the hook
+ * runner as it would with the daemon off. With the daemon.recordStats
+ * setting on, how long each check took, through the daemon or directly, is
+ * recorded in config.DAEMON_STATS_FILE for `daemon stats`, whether or not
+ * the daemon is enabled, so latency can be measured before turning it on.
+ *
+ * @module lib/daemon
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { config, platform } = require('../core');
+const errors = require('../errors');
+const settings = require('../settings');
+const logging = require('../logging');
+
+/**
+ * Checks the daemon serves, with the lib/tools function that runs each directly
+ * @type {Object<string, string>}
+ */
+const CHECKS = {
+  format: 'formatFile',
+  typecheck: 'typeCheckFile',
+  lint: 'lintFile'
+};
+
+/**
+ * Script the daemon runs
+ * @type {string}
+ */
+const SERVER_SCRIPT = path.join(__dirname, 'server.js');
+
+/**
+ * Id of the last request sent
+ * @type {number}
+ */
+let lastRequestId = 0;
+
+/**
+ * Get the daemon settings for the project
+ *
+ * @returns {{enabled: boolean, idleTimeout: number, recordStats: boolean}}
+ */
+function getOptions() {
+  const { enabled = false, idleTimeout = 15 * 60 * 1000, recordStats = false } = settings.getSettings().daemon || {};
+  return { enabled, idleTimeout, recordStats };
+}
+
+/**
+ * Get the directory the user's daemon sockets are in
+ *
+ * $XDG_RUNTIME_DIR when set, else a dev-standards-<uid> directory in the
+ * temp directory, created with mode 0700. Either must be a directory the
+ * user owns that no one else can access, so no one else can put a socket
+ * where the client will look for its daemon.
+ *
+ * @returns {string}
+ * @throws {errors.SecurityError} If the directory cannot be created or is not private to the user
+ */
+function getSocketDir() {
+  const runtimeDir = process.env.XDG_RUNTIME_DIR;
+  const dir = runtimeDir ? path.resolve(runtimeDir) : path.join(os.tmpdir(), `dev-standards-${process.getuid()}`);
+  let stats;
+  try {
+    if (!runtimeDir && !fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { mode: 0o700 });
+    }
+    stats = fs.lstatSync(dir);
+  } catch (e) {
+    throw new errors.SecurityError(`Cannot use ${dir} for the tool daemon socket: ${e.message}`, { cause: e });
+  }
+  if (!stats.isDirectory() || stats.uid !== process.getuid() || (stats.mode & 0o077) !== 0) {
+    throw new errors.SecurityError(`Tool daemon socket directory ${dir} must be a directory only you can access (mode 0700)`);
+  }
+  return dir;
+}
+
+/**
+ * Get the socket a project's daemon listens on
+ *
+ * The name is derived from the project root, so each project has its own
+ * daemon, in the user's socket directory (see getSocketDir).
+ *
+ * @param {string} [projectDir] - Project root (defaults to the current project)
+ * @returns {string} Socket path, or named pipe path on Windows
+ * @throws {errors.SecurityError} If the socket directory is not private to the user
+ *
+ * @example
+ * getSocketPath('/repo'); // '/tmp/dev-standards-1000/3f2a9c81d0e4.sock'
+ */
+function getSocketPath(projectDir = settings.resolveProjectDir()) {
+  const hash = crypto.createHash('sha256').update(path.resolve(projectDir)).digest('hex').slice(0, 12);
+  if (platform.isWindows) {
+    return `\\\\.\\pipe\\dev-standards-${os.userInfo().username}-${hash}`;
+  }
+  return path.join(getSocketDir(), `${hash}.sock`);
+}
+
+/**
+ * Connect to a socket
+ *
+ * @param {string} socketPath - Socket path
+ * @returns {Promise<net.Socket|null>} Connected socket, or null if nothing listens on it
+ */
+function connect(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => {
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', () => resolve(null));
+  });
+}
+
+/**
+ * Start the daemon for a project, detached from this process
+ *
+ * @param {string} projectDir - Project root
+ */
+function spawnDaemon(projectDir) {
+  logging.debug(`Starting tool daemon for ${projectDir}`);
+  spawn(process.execPath, [SERVER_SCRIPT, projectDir], {
+    cwd: projectDir,
+    env: { ...process.env, CLAUDE_PROJECT_DIR: projectDir },
+    detached: true,
+    stdio: 'ignore',
+    windowsHide: true
+  }).unref();
+}
+
+/**
+ * Connect to the project's daemon, starting it if it is not running
+ *
+ * @param {string} projectDir - Project root
+ * @param {boolean} start - Start the daemon if it is not running
+ * @returns {Promise<net.Socket|null>} Connected socket, or null if no daemon could be reached
+ */
+async function connectDaemon(projectDir, start) {
+  let socketPath;
+  try {
+    socketPath = getSocketPath(projectDir);
+  } catch (e) {
+    logging.warn(e.message);
+    return null;
+  }
+  const socket = await connect(socketPath);
+  if (socket || !start) {
+    return socket;
+  }
+
+  spawnDaemon(projectDir);
+  const deadline = Date.now() + config.DAEMON_LIMITS.startTimeout;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const started = await connect(socketPath);
+    if (started) {
+      return started;
+    }
+  }
+  return null;
+}
+
+/**
+ * Send a request to the project's daemon
+ *
+ * @param {string} action - 'format', 'lint', 'typecheck', 'ping', 'stats' or 'shutdown'
+ * @param {Object} [params={}] - Request fields, such as `file` and `options`
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.start=true] - Start the daemon if it is not running
+ * @param {number} [options.timeout=config.DAEMON_LIMITS.requestTimeout] - Time to wait for the reply in ms
+ * @returns {Promise<*>} The daemon's result
+ * @throws {errors.ExecutionError} If the daemon is not running (and could not be started),
+ *   does not reply in time, or fails the request
+ *
+ * @example
+ * await request('lint', { file: '/repo/src/app.js', options: {} });
+ * // { success: true, diagnostics: [] }
+ */
+async function request(action, params = {}, options = {}) {
+  const { start = true, timeout = config.DAEMON_LIMITS.requestTimeout } = options;
+  const projectDir = settings.resolveProjectDir();
+  const socket = await connectDaemon(projectDir, start);
+  if (!socket) {
+    throw new errors.ExecutionError(`Tool daemon not running for ${projectDir}`);
+  }
+
+  const { identity } = require('./server');
+  const id = ++lastRequestId;
+  return new Promise((resolve, reject) => {
+    let buffered = '';
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new errors.ExecutionError(`Tool daemon did not reply to ${action} within ${timeout}ms`));
+    }, timeout);
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffered += chunk;
+      const newline = buffered.indexOf('\n');
+      if (newline === -1) return;
+      let reply;
+      try {
+        reply = JSON.parse(buffered.slice(0, newline));
+      } catch (e) {
+        finish(new errors.ExecutionError(`Invalid reply from tool daemon: ${e.message}`, { cause: e }));
+        return;
+      }
+      if (reply.error) {
+        finish(new errors.ExecutionError(`Tool daemon: ${reply.error}`));
+      } else {
+        finish(null, reply.result);
+      }
+    });
+    socket.on('error', e => finish(new errors.ExecutionError(`Tool daemon connection failed: ${e.message}`, { cause: e })));
+    socket.on('close', () => finish(new errors.ExecutionError('Tool daemon closed the connection')));
+    socket.write(JSON.stringify({ id, action, ...params, client: identity() }) + '\n');
+  });
+}
+
+/**
+ * Get the path of the project's latency stats
+ *
+ * @returns {string}
+ */
+function getStatsPath() {
+  return path.join(settings.resolveProjectDir(), config.DAEMON_STATS_FILE);
+}
+
+/**
+ * Read the project's latency stats
+ *
+ * @returns {Object<string, {direct?: number[], daemon?: number[]}>} Durations in ms by check and mode
+ */
+function readStats() {
+  try {
+    return JSON.parse(fs.readFileSync(getStatsPath(), 'utf8')).checks || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record how long a check took, keeping the latest
+ * config.DAEMON_LIMITS.maxSamples per check and mode
+ *
+ * Hooks for one edit run at once, so the file is replaced atomically;
+ * a sample may be lost, but the file is never half written.
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} mode - 'direct' or 'daemon'
+ * @param {number} durationMs - How long the check took
+ */
+function recordLatency(check, mode, durationMs) {
+  const statsPath = getStatsPath();
+  try {
+    const checks = readStats();
+    const samples = [...(checks[check]?.[mode] || []), durationMs];
+    checks[check] = { ...checks[check], [mode]: samples.slice(-config.DAEMON_LIMITS.maxSamples) };
+
+    const dir = path.dirname(statsPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, '.gitignore'), '*\n');
+    }
+    const temp = `${statsPath}.${process.pid}`;
+    fs.writeFileSync(temp, JSON.stringify({ checks }) + '\n');
+    fs.renameSync(temp, statsPath);
+  } catch (e) {
+    logging.debug(`Cannot record latency: ${e.message}`);
+  }
+}
+
+/**
+ * Get a percentile of some durations
+ *
+ * @param {number[]} samples - Durations
+ * @param {number} percent - Percentile, 0-100
+ * @returns {number}
+ */
+function percentile(samples, percent) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((percent / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarize the recorded latency of each check with and without the daemon
+ *
+ * @returns {Object<string, {direct?: {runs: number, median: number, p95: number},
+ *   daemon?: {runs: number, median: number, p95: number}}>} Durations in ms by check
+ *
+ * @example
+ * summarizeStats();
+ * // { lint: { direct: { runs: 12, median: 1840, p95: 2310 }, daemon: { runs: 40, median: 95, p95: 160 } } }
+ */
+function summarizeStats() {
+  const summary = {};
+  for (const [check, modes] of Object.entries(readStats())) {
+    summary[check] = {};
+    for (const [mode, samples] of Object.entries(modes)) {
+      if (samples.length > 0) {
+        summary[check][mode] = { runs: samples.length, median: percentile(samples, 50), p95: percentile(samples, 95) };
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Run a check on a file through the daemon when it is enabled, else (or
+ * if it is unavailable) directly
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Options for formatFile, typeCheckFile or lintFile
+ * @returns {Promise<Object|null>} What formatFile, typeCheckFile or lintFile returns
+ *
+ * @example
+ * const result = await run('lint', 'src/app.js', { sessionId });
+ */
+async function run(check, filePath, options = {}) {
+  const file = path.resolve(filePath);
+  const { enabled, recordStats } = getOptions();
+
+  if (enabled) {
+    const started = Date.now();
+    try {
+      const result = await request(check, { file, options });
+      if (recordStats) {
+        recordLatency(check, 'daemon', Date.now() - started);
+      }
+      return result;
+    } catch (e) {
+      logging.debug(`${e.message}; checking directly`);
+    }
+  }
+
+  const tools = require('../tools');
+  const started = Date.now();
+  const result = tools[CHECKS[check]](file, options);
+  if (recordStats) {
+    recordLatency(check, 'direct', Date.now() - started);
+  }
+  return result;
+}
+
+module.exports = {
+  CHECKS,
+  getOptions,
+  getSocketPath,
+  request,
+  run,
+  recordLatency,
+  summarizeStats
+};
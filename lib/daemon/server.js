@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Tool daemon server
+ *
+ * A long-lived process per project that serves format, lint and type check
+ * requests from lib/daemon over a Unix domain socket (a named pipe on
+ * Windows), keeping eslint and TypeScript loaded between them (see
+ * lib/daemon/warm). It exits after the daemon.idleTimeout setting passes
+ * without a request, or on a `shutdown` request.
+ *
+ * Requests and replies are JSON, one per line: `{id, action, file?,
+ * options?, client}` is answered with `{id, result}` or `{id, error}`.
+ * Settings and tool versions are re-read for every request. A client from another plugin
+ * version or install is refused with `stale: true` and the daemon exits,
+ * so the next request starts one running the client's code.
+ *
+ * Usage: node lib/daemon/server.js <projectDir>
+ *
+ * @module lib/daemon/server
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { config, platform } = require('../core');
+const settings = require('../settings');
+const logging = require('../logging');
+const daemon = require('./index');
+
+/**
+ * Identify the plugin code running, so clients and daemons of different
+ * installs or versions do not talk to each other
+ *
+ * @returns {{version: string, root: string}}
+ */
+function identity() {
+  return { version: config.PLUGIN_VERSION, root: path.resolve(__dirname, '..', '..') };
+}
+
+/**
+ * Serve requests on a socket until idle
+ *
+ * @param {Object} options - Options
+ * @param {string} options.socketPath - Socket (or pipe) to listen on
+ * @param {number} options.idleTimeout - Time without a request before exiting, in ms
+ * @param {function(): void} [options.onExit] - Called once the server has closed
+ * @returns {Promise<net.Server>} Resolves once listening; rejects if another daemon is
+ *   already listening on the socket
+ */
+function serve({ socketPath, idleTimeout, onExit = () => {} }) {
+  const tools = require('../tools');
+  const warm = require('./warm');
+  require('../tools/runner').setInProcessRunner(warm.run);
+
+  const started = Date.now();
+  const requests = {};
+  let idleTimer = null;
+  let server = null;
+
+  // Stops accepting connections at once; exits once open ones have their replies
+  const close = () => {
+    clearTimeout(idleTimer);
+    server.close(onExit);
+  };
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      logging.debug(`Tool daemon idle for ${idleTimeout}ms, exiting`);
+      close();
+    }, idleTimeout);
+  };
+
+  const handlers = {
+    ping: () => ({ pid: process.pid, ...identity() }),
+    format: request => tools.formatFile(request.file, request.options),
+    typecheck: request => tools.typeCheckFile(request.file, request.options),
+    lint: request => tools.lintFile(request.file, request.options),
+    stats: () => ({
+      pid: process.pid,
+      ...identity(),
+      uptimeMs: Date.now() - started,
+      requests,
+      warm: warm.describe()
+    }),
+    shutdown: () => {
+      close();
+      return { pid: process.pid };
+    }
+  };
+
+  const handle = (request) => {
+    const client = request.client || {};
+    const own = identity();
+    if (client.version !== own.version || client.root !== own.root) {
+      close();
+      return { id: request.id, error: `Daemon runs ${own.root} ${own.version}`, stale: true };
+    }
+    const handler = handlers[request.action];
+    if (!handler) {
+      return { id: request.id, error: `Unknown action: ${request.action}` };
+    }
+
+    const begin = Date.now();
+    try {
+      settings.clearCache();
+      tools.cache.clearFingerprints();
+      return { id: request.id, result: handler(request) ?? null };
+    } catch (e) {
+      return { id: request.id, error: e.message };
+    } finally {
+      if (Object.hasOwn(daemon.CHECKS, request.action)) {
+        const served = requests[request.action] || (requests[request.action] = { count: 0, totalMs: 0, maxMs: 0 });
+        const elapsed = Date.now() - begin;
+        served.count++;
+        served.totalMs += elapsed;
+        served.maxMs = Math.max(served.maxMs, elapsed);
+      }
+    }
+  };
+
+  server = net.createServer((socket) => {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('error', e => logging.debug(`Tool daemon connection error: ${e.message}`));
+    socket.on('data', (chunk) => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        resetIdleTimer();
+        let reply;
+        try {
+          reply = handle(JSON.parse(line));
+        } catch (e) {
+          reply = { id: null, error: `Invalid request: ${e.message}` };
+        }
+        socket.write(JSON.stringify(reply) + '\n');
+      }
+    });
+  });
+
+  const listen = () => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  });
+
+  // Only the user running the daemon may connect to it
+  const umask = process.umask(0o077);
+  return listen()
+    .catch((e) => {
+      if (e.code !== 'EADDRINUSE' || platform.isWindows) {
+        throw e;
+      }
+      // A socket file left by a daemon that did not exit cleanly, unless one answers on it
+      return new Promise((resolve, reject) => {
+        const probe = net.connect(socketPath);
+        probe.once('connect', () => {
+          probe.destroy();
+          reject(e);
+        });
+        probe.once('error', () => {
+          fs.rmSync(socketPath, { force: true });
+          listen().then(resolve, reject);
+        });
+      });
+    })
+    .then(() => {
+      resetIdleTimer();
+      return server;
+    })
+    .finally(() => process.umask(umask));
+}
+
+/**
+ * Run the daemon for the project given on the command line
+ */
+function main() {
+  const [projectDir] = process.argv.slice(2);
+  if (!projectDir) {
+    logging.error('Usage: node lib/daemon/server.js <projectDir>');
+    process.exit(1);
+  }
+  process.env.CLAUDE_PROJECT_DIR = path.resolve(projectDir);
+  process.chdir(process.env.CLAUDE_PROJECT_DIR);
+
+  let socketPath;
+  try {
+    socketPath = daemon.getSocketPath();
+  } catch (e) {
+    logging.debug(`Tool daemon not started: ${e.message}`);
+    process.exit(1);
+  }
+  serve({ socketPath, idleTimeout: daemon.getOptions().idleTimeout, onExit: () => process.exit(0) })
+    .then((server) => {
+      process.on('SIGTERM', () => server.close(() => process.exit(0)));
+    })
+    .catch((e) => {
+      logging.debug(`Tool daemon not started: ${e.message}`);
+      process.exit(e.code === 'EADDRINUSE' ? 0 : 1);
+    });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  identity,
+  serve
+};
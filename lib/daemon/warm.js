@@ -0,0 +1,360 @@
+/**
+ * Warm tool instances for the tool daemon
+ *
+ * Answers the eslint and tsc commands the per-file checks run without
+ * spawning them (see runner.setInProcessRunner), so each check skips the
+ * tool's startup:
+ *
+ * - eslint runs on a worker thread (see lib/daemon/eslint-worker) that
+ *   keeps an ESLint instance per package root, replaced when the config
+ *   files that apply change or eslint is upgraded
+ * - tsc is answered by a TypeScript language service per tsconfig.json,
+ *   which reuses the program between checks and only checks the edited
+ *   file and the files importing it (what lib/tools/typescript reports)
+ *
+ * Both use the project's own installation, from the node_modules/.bin the
+ * command would run from. Commands with options these cannot honour, or
+ * tools not installed in the project, are spawned as usual. Output is what
+ * `eslint --format json` and `tsc --pretty false` print, so results are
+ * parsed exactly as the spawned tools' are.
+ *
+ * @module lib/daemon/warm
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const { exec } = require('../core');
+const logging = require('../logging');
+const cache = require('../tools/cache');
+const diagnostics = require('../tools/diagnostics');
+const resolver = require('../tools/resolver');
+const typescript = require('../tools/typescript');
+const { describeTool } = require('../tools/runner');
+
+/**
+ * Words an eslint command may have to be answered in process
+ * @type {Set<string>}
+ */
+const ESLINT_WORDS = new Set(['npx', 'eslint', '{file}', '--format', 'json', '--fix']);
+
+/**
+ * Words a tsc project command (see typescript.projectTool) may have, once
+ * its config and build info paths are removed, to be answered in process
+ * @type {Set<string>}
+ */
+const TSC_WORDS = new Set([
+  'npx', 'tsc', '{file}', '--noEmit', '-p', '--incremental', '--tsBuildInfoFile', '--composite', 'false', '--pretty'
+]);
+
+/**
+ * Flat config files eslint looks for from its working directory up
+ * @type {string[]}
+ */
+const FLAT_CONFIG_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts'];
+
+/**
+ * The eslint worker thread, once started
+ * @type {{thread: Worker, port: MessagePort}|null}
+ */
+let worker = null;
+
+/**
+ * Id of the last request sent to the worker
+ * @type {number}
+ */
+let lastRequestId = 0;
+
+/**
+ * Language services by tsconfig.json path
+ * @type {Map<string, {ts: Object, service: Object, parsed: Object}>}
+ */
+const services = new Map();
+
+/**
+ * Find the node_modules directory a node tool would run from
+ *
+ * @param {string} name - Executable name
+ * @param {string} cwd - Package root
+ * @returns {string|null} Path of the node_modules directory, or null if the
+ *   tool is not installed in the project
+ */
+function findNodeModules(name, cwd) {
+  const bin = resolver.findLocalBin(name, cwd);
+  return bin ? path.dirname(path.dirname(bin)) : null;
+}
+
+/**
+ * Check that a command has only the words given
+ *
+ * @param {string} text - Command text
+ * @param {Set<string>} allowed - Words allowed
+ * @returns {boolean}
+ */
+function hasOnly(text, allowed) {
+  return text.trim().split(/\s+/).every(word => allowed.has(word));
+}
+
+/**
+ * Stamp the config files that apply to a file, so a loaded instance can be
+ * replaced when one changes
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+function configStamp(filePath) {
+  return cache.findConfigFiles(filePath).map((file) => {
+    try {
+      return `${file}@${fs.statSync(file).mtimeMs}`;
+    } catch {
+      return file;
+    }
+  }).join('\n');
+}
+
+/**
+ * Tell whether eslint uses flat config when run in a directory
+ *
+ * @param {string} cwd - Directory eslint runs in
+ * @param {number} major - Installed eslint major version
+ * @returns {boolean|undefined|null} Whether to use flat config (undefined when
+ *   eslint decides as it would), or null if eslint would fail to find a config
+ */
+function usesFlatConfig(cwd, major) {
+  for (let dir = cwd; ; dir = path.dirname(dir)) {
+    if (FLAT_CONFIG_FILES.some(name => fs.existsSync(path.join(dir, name)))) {
+      return major >= 9 ? undefined : true;
+    }
+    if (path.dirname(dir) === dir) {
+      return major >= 9 ? null : false;
+    }
+  }
+}
+
+/**
+ * Send a request to the eslint worker and wait for its reply
+ *
+ * @param {Object} request - Lint request (see lib/daemon/eslint-worker)
+ * @param {number} timeout - Time to wait in ms
+ * @returns {Object|null} Result, or null if the worker did not reply in time
+ */
+function callWorker(request, timeout) {
+  if (!worker) {
+    const { port1, port2 } = new MessageChannel();
+    const thread = new Worker(path.join(__dirname, 'eslint-worker.js'), {
+      workerData: { port: port2 },
+      transferList: [port2]
+    });
+    thread.unref();
+    thread.on('error', (e) => {
+      logging.warn(`eslint worker failed: ${e.message}`);
+      worker = null;
+    });
+    worker = { thread, port: port1 };
+  }
+
+  const id = ++lastRequestId;
+  const signal = new Int32Array(new SharedArrayBuffer(4));
+  worker.thread.postMessage({ id, signal, request });
+  if (Atomics.wait(signal, 0, 0, timeout) === 'timed-out') {
+    logging.warn(`eslint worker did not reply within ${timeout}ms`);
+    return null;
+  }
+
+  // Replies to requests that timed out earlier may be queued first
+  for (let reply = receiveMessageOnPort(worker.port); reply; reply = receiveMessageOnPort(worker.port)) {
+    if (reply.message.id === id) {
+      return reply.message.result;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lint a file with a loaded ESLint instance
+ *
+ * @param {string|Object} tool - Resolved linter (see diagnostics.withMachineOutput)
+ * @param {string} file - Absolute path
+ * @param {{cwd: string, timeout: number}} options - Options
+ * @returns {Object|null} Result, or null to spawn eslint
+ */
+function runEslint(tool, file, options) {
+  const text = describeTool(tool);
+  if (!hasOnly(text, ESLINT_WORDS) || !/--format json/.test(text)) {
+    return null;
+  }
+  const nodeModules = findNodeModules('eslint', options.cwd);
+  if (!nodeModules) {
+    return null;
+  }
+
+  const packageDir = path.join(nodeModules, 'eslint');
+  const { version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  const flat = usesFlatConfig(options.cwd, parseInt(version, 10));
+  if (flat === null) {
+    return null;
+  }
+
+  return callWorker({
+    eslintPath: require.resolve(packageDir),
+    nodeModules,
+    version,
+    cwd: options.cwd,
+    fix: /(^|\s)--fix(\s|$)/.test(text),
+    flat,
+    stamp: configStamp(file),
+    file
+  }, options.timeout);
+}
+
+/**
+ * Get the language service for a TypeScript project, refreshing its
+ * compiler options and file list from tsconfig.json
+ *
+ * @param {Object} ts - The project's typescript module
+ * @param {string} configFile - Path to tsconfig.json
+ * @param {Object} overrides - Compiler options the command sets
+ * @returns {{service: Object, parsed: Object}}
+ */
+function getService(ts, configFile, overrides) {
+  const parsed = ts.getParsedCommandLineOfConfigFile(configFile, overrides, {
+    ...ts.sys,
+    onUnRecoverableConfigFileDiagnostic: () => {}
+  }) || { options: overrides, fileNames: [], errors: [] };
+
+  let entry = services.get(configFile);
+  if (!entry || entry.ts !== ts) {
+    entry = { ts, parsed };
+    const modified = (file) => {
+      try {
+        return String(fs.statSync(file).mtimeMs);
+      } catch {
+        return '0';
+      }
+    };
+    entry.service = ts.createLanguageService({
+      getScriptFileNames: () => entry.parsed.fileNames,
+      getScriptVersion: modified,
+      getScriptSnapshot: (file) => {
+        const content = ts.sys.readFile(file);
+        return content === undefined ? undefined : ts.ScriptSnapshot.fromString(content);
+      },
+      getCurrentDirectory: () => path.dirname(configFile),
+      getCompilationSettings: () => entry.parsed.options,
+      getDefaultLibFileName: compilerOptions => ts.getDefaultLibFilePath(compilerOptions),
+      fileExists: ts.sys.fileExists,
+      readFile: ts.sys.readFile,
+      readDirectory: ts.sys.readDirectory,
+      directoryExists: ts.sys.directoryExists,
+      getDirectories: ts.sys.getDirectories
+    }, ts.createDocumentRegistry());
+    services.set(configFile, entry);
+  }
+  entry.parsed = parsed;
+  return entry;
+}
+
+/**
+ * Type check a file with a loaded TypeScript language service
+ *
+ * Only the diagnostics typescript.diagnosticFilter keeps are computed: the
+ * file's own, those of the files importing it, and those of the config and
+ * compiler options.
+ *
+ * @param {string|Object} tool - Resolved type checker (see typescript.projectTool)
+ * @param {string} file - Absolute path
+ * @param {{cwd: string}} options - Options
+ * @returns {Object|null} Result, or null to spawn tsc
+ */
+function runTsc(tool, file, options) {
+  const project = typescript.findProject(file);
+  if (!project) {
+    return null;
+  }
+  const configArg = exec.escapeFilePath(project.configFile);
+  const buildInfoArg = exec.escapeFilePath(typescript.getBuildInfoFile(project.configFile));
+  const text = describeTool(tool);
+  if (!text.includes(`-p ${configArg}`) ||
+    !hasOnly(text.split(configArg).join(' ').split(buildInfoArg).join(' '), TSC_WORDS)) {
+    return null;
+  }
+  const nodeModules = findNodeModules('tsc', options.cwd);
+  if (!nodeModules) {
+    return null;
+  }
+
+  const ts = require(path.join(nodeModules, 'typescript'));
+  const overrides = { noEmit: true, ...(/--composite false/.test(text) ? { composite: false } : {}) };
+  const { service, parsed } = getService(ts, project.configFile, overrides);
+  const program = service.getProgram();
+
+  const concerns = typescript.diagnosticFilter(file, project);
+  const checked = program.getSourceFiles()
+    .filter(source => !source.isDeclarationFile && !program.isSourceFileFromExternalLibrary(source))
+    .map(source => path.resolve(source.fileName))
+    .filter(source => concerns({ file: source, line: 1 }));
+
+  const found = [
+    ...parsed.errors,
+    ...program.getOptionsDiagnostics(),
+    ...program.getGlobalDiagnostics(),
+    ...checked.flatMap(source => [
+      ...service.getSyntacticDiagnostics(source),
+      ...service.getSemanticDiagnostics(source)
+    ])
+  ];
+  const output = ts.formatDiagnostics(found, {
+    getCanonicalFileName: name => name,
+    getCurrentDirectory: () => options.cwd,
+    getNewLine: () => '\n'
+  }).trim();
+
+  return found.some(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+    ? { success: false, output, error: 'Type errors found', stderr: '', code: 2 }
+    : { success: true, output };
+}
+
+/**
+ * Answer a tool command in process, for runner.setInProcessRunner
+ *
+ * @param {string|Object} tool - Resolved tool
+ * @param {string[]} files - Absolute paths of the files to check
+ * @param {{cwd: string, input?: string, timeout: number}} options - Options
+ * @returns {Object|null} Result shaped like exec's, or null to spawn the tool
+ */
+function run(tool, files, options) {
+  if (options.input !== undefined || files.length !== 1) {
+    return null;
+  }
+
+  try {
+    switch (diagnostics.toolName(tool)) {
+      case 'eslint':
+        return runEslint(tool, files[0], options);
+      case 'tsc':
+        return runTsc(tool, files[0], options);
+      default:
+        return null;
+    }
+  } catch (e) {
+    logging.debug(`Cannot run ${describeTool(tool)} in process: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Describe the instances kept loaded, for `daemon status`
+ *
+ * @returns {{eslint: boolean, typescript: string[]}} Whether the eslint
+ *   worker is running, and the tsconfig.json files with a language service
+ */
+function describe() {
+  return { eslint: worker !== null, typescript: [...services.keys()] };
+}
+
+module.exports = {
+  run,
+  describe
+};
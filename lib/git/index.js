@@ -8,11 +8,14 @@
 
 'use strict';
 
+const path = require('path');
 const { config, exec } = require('../core');
+const settings = require('../settings');
 
 /**
  * Get the current git branch name
  *
+ * @param {string} [cwd] - Directory in the repository (defaults to the working directory)
  * @returns {string|null} Branch name or null if not in a git repo
  *
  * @example
@@ -21,8 +24,9 @@ const { config, exec } = require('../core');
  *   console.log(`On branch: ${branch}`);
  * }
  */
-function getCurrentBranch() {
+function getCurrentBranch(cwd) {
   const result = exec.exec('git branch --show-current', {
+    cwd,
     timeout: config.TIMEOUTS.QUICK
   });
 
@@ -32,7 +36,9 @@ function getCurrentBranch() {
 /**
  * Check if a branch is protected
  *
- * @param {string} [branch] - Branch name to check (defaults to current branch)
+ * @param {string} [branch] - Branch name to check (defaults to the project's current branch)
+ * @param {Object} [options={}] - Options (see settings.loadSettings); `projectDir`
+ *   is also the repository the current branch is read from
  * @returns {boolean} True if the branch is protected
  *
  * @example
@@ -40,9 +46,9 @@ function getCurrentBranch() {
  *   console.log('Cannot edit directly on main');
  * }
  */
-function isProtectedBranch(branch) {
-  const branchToCheck = branch || getCurrentBranch();
-  return branchToCheck && config.PROTECTED_BRANCHES.includes(branchToCheck);
+function isProtectedBranch(branch, options = {}) {
+  const branchToCheck = branch || getCurrentBranch(options.projectDir);
+  return branchToCheck && settings.getProtectedBranches(options).includes(branchToCheck);
 }
 
 /**
@@ -135,14 +141,16 @@ function getCurrentCommit() {
 /**
  * Get list of uncommitted files with status
  *
+ * @param {string} [cwd] - Directory in the repository (defaults to the working directory)
  * @returns {{modified: string[], untracked: string[], deleted: string[], staged: string[]}}
  *
  * @example
  * const files = getUncommittedFiles();
  * console.log(`${files.untracked.length} untracked files`);
  */
-function getUncommittedFiles() {
+function getUncommittedFiles(cwd) {
   const result = exec.exec('git status --porcelain', {
+    cwd,
     timeout: config.TIMEOUTS.QUICK
   });
 
@@ -336,10 +344,13 @@ function checkoutBranch(branchName) {
  * Check if a branch exists locally
  *
  * @param {string} branchName - Branch to check
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd] - Directory in the repository (defaults to the current directory)
  * @returns {boolean}
  */
-function branchExists(branchName) {
+function branchExists(branchName, options = {}) {
   const result = exec.exec(`git show-ref --verify --quiet refs/heads/${exec.escapeShellArg(branchName)}`, {
+    cwd: options.cwd,
     timeout: config.TIMEOUTS.QUICK
   });
   return result.success;
@@ -348,16 +359,19 @@ function branchExists(branchName) {
 /**
  * Get the default branch name (main or master)
  *
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd] - Directory in the repository (defaults to the current directory)
  * @returns {string} 'main' or 'master' or 'develop'
  */
-function getDefaultBranch() {
+function getDefaultBranch(options = {}) {
   // Check for main first (modern default)
-  if (branchExists('main')) return 'main';
-  if (branchExists('master')) return 'master';
-  if (branchExists('develop')) return 'develop';
+  if (branchExists('main', options)) return 'main';
+  if (branchExists('master', options)) return 'master';
+  if (branchExists('develop', options)) return 'develop';
 
   // Try to get from remote
   const result = exec.exec('git symbolic-ref refs/remotes/origin/HEAD', {
+    cwd: options.cwd,
     timeout: config.TIMEOUTS.QUICK
   });
   if (result.success) {
@@ -535,6 +549,94 @@ function getCommitsSince(sinceHash) {
   });
 }
 
+/**
+ * Get the commit where HEAD branched off the default branch
+ *
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd] - Directory in the repository (defaults to the current directory)
+ * @returns {string|null} Commit hash, or null if there is none (no repo, unrelated histories)
+ */
+function getMergeBase(options = {}) {
+  const branch = getDefaultBranch(options);
+  const result = exec.exec(`git merge-base HEAD ${exec.escapeShellArg(branch)}`, {
+    cwd: options.cwd,
+    timeout: config.TIMEOUTS.QUICK
+  });
+  return result.success ? result.output : null;
+}
+
+// ============================================
+// Changed Lines
+// ============================================
+
+/**
+ * Read the changed lines from the hunk headers of a unified diff
+ *
+ * Each hunk adds the lines it added or changed in the new file. A hunk that
+ * only deletes marks the lines on either side of the deletion, since that
+ * is where an issue it causes shows up.
+ *
+ * @param {string} diffText - Output of `git diff -U0`
+ * @returns {Array<Array<number>>} 1-based `[first, last]` line ranges, in diff order
+ *
+ * @example
+ * parseChangedLines('@@ -3,0 +4,2 @@\n+a\n+b\n@@ -9 +11 @@\n-c\n+d'); // [[4, 5], [11, 11]]
+ */
+function parseChangedLines(diffText) {
+  const ranges = [];
+  for (const match of diffText.matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+    const start = Number(match[1]);
+    const count = match[2] === undefined ? 1 : Number(match[2]);
+    ranges.push(count > 0 ? [start, start + count - 1] : [Math.max(1, start), start + 1]);
+  }
+  return ranges;
+}
+
+/**
+ * Get the lines of a file that changed since a commit, or against another file
+ *
+ * Line ranges come from `git diff -U0`, which compares the working tree
+ * (staged and unstaged changes) with the commit, or with `original` via
+ * `--no-index`.
+ *
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.revision='HEAD'] - Commit to compare with
+ * @param {string} [options.original] - File holding an earlier version to compare with instead
+ * @returns {Array<Array<number>>|null} Changed `[first, last]` ranges (empty if
+ *   unchanged), or null if git cannot tell, e.g. outside a repository or for an
+ *   untracked file, whose every line is new
+ *
+ * @example
+ * getChangedLines('src/app.js');                      // [[12, 14]] after editing lines 12-14
+ * getChangedLines('src/app.js', { revision: 'a1b2c3d' });
+ */
+function getChangedLines(filePath, options = {}) {
+  const { revision = 'HEAD', original } = options;
+  const cwd = path.dirname(path.resolve(filePath));
+  const file = exec.escapeFilePath(path.resolve(filePath));
+
+  if (original) {
+    // --no-index exits 1 when the files differ
+    const result = exec.exec(`git diff --no-index --no-color -U0 -- ${exec.escapeFilePath(original)} ${file}`, {
+      cwd,
+      timeout: config.TIMEOUTS.QUICK
+    });
+    return result.success || result.code === 1 ? parseChangedLines(result.output) : null;
+  }
+
+  const tracked = exec.exec(`git ls-files --error-unmatch -- ${file}`, { cwd, timeout: config.TIMEOUTS.QUICK });
+  if (!tracked.success) {
+    return null;
+  }
+
+  const result = exec.exec(`git diff --no-color -U0 ${exec.escapeShellArg(revision)} -- ${file}`, {
+    cwd,
+    timeout: config.TIMEOUTS.QUICK
+  });
+  return result.success ? parseChangedLines(result.output) : null;
+}
+
 // ============================================
 // Rollback Functions
 // ============================================
@@ -752,6 +854,11 @@ module.exports = {
   createPhaseCommit,
   getHeadCommit,
   getCommitsSince,
+  getMergeBase,
+
+  // Changed lines
+  parseChangedLines,
+  getChangedLines,
 
   // Rollback
   rollbackToCommit,
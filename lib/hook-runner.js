@@ -9,15 +9,33 @@
  *
  * Usage: node hook-runner.js <action> [args...]
  *
+ * Hook actions read the event's JSON from stdin and answer with the hook
+ * protocol's JSON on stdout (see lib/hooks). They fail open: input they
+ * cannot parse, or an action that throws, lets Claude Code carry on.
+ *
  * Actions:
  *   log <event> [details]     - Log to session.log
- *   session-start             - SessionStart hook
- *   check-branch              - Check if on protected branch (blocks if true)
- *   check-command             - Check if command is dangerous (reads from stdin)
- *   format <file>             - Format a file
+ *   session-start             - SessionStart hook: add project context
+ *   check-branch              - PreToolUse hook: deny edits on a protected branch
+ *   check-command             - PreToolUse hook: deny dangerous commands
+ *   check-path                - PreToolUse hook: deny edits against protectedPaths and naming
+ *   snapshot                  - PreToolUse hook: record the file before its first edit in the session
+ *   post-edit <check>         - PostToolUse hook: format, typecheck or lint the edited files (notebooks by cell)
+ *   prompt-submit             - UserPromptSubmit hook: warn about a protected branch
+ *   stop                      - Stop hook: warn about uncommitted changes
+ *   subagent-stop, session-end, pre-compact, notification - Log the event
+ *   pipeline <name>           - Run the hook actions of a pipelines setting entry in one process
+ *   format <file> [--check]   - Format a file (--check prints the diff instead, exiting 1 if it would change)
  *   typecheck <file>          - Type check a file
- *   lint <file>               - Lint a file
- *   post-edit                 - Full post-edit pipeline (reads file from stdin JSON)
+ *   lint <file> [--fix]       - Lint a file (--fix applies safe fixes even with autoFix off)
+ *   config explain [file] [--json] - Show effective settings (for a file) and where each value came from
+ *   check <path|glob...> [--checks c,...] [--concurrency n] - Batch format/typecheck/lint, one tool run per batch
+ *   format-check <path|glob...> [--diff] - Report files formatting would change, without writing (for CI)
+ *   sarif <file...> [--output f] - Type check and lint files, writing SARIF 2.1.0 (default dev-standards.sarif)
+ *   baseline <create|update|prune> [path|glob...] - Record known issues in .dev-standards-baseline.json
+ *   daemon <start|stop|status|stats> - Manage the tool daemon, or show check latency with and without it
+ *   simulate <event> [--tool T ...] [--run <action> [args...]] - Print a realistic hook payload, or run an action on it
+ *   replay [fixture|dir...]   - Replay recorded hook payloads, reporting decisions that changed
  */
 
 const fs = require('fs');
@@ -47,6 +65,14 @@ try {
   utils = createInlineUtils();
 }
 
+// Try to load the hook protocol, fall back to inline implementation
+let hooks;
+try {
+  hooks = require('./hooks');
+} catch {
+  hooks = createInlineHooks();
+}
+
 function createInlineUtils() {
   const os = require('os');
   const { execSync } = require('child_process');
@@ -67,13 +93,13 @@ function createInlineUtils() {
         return execSync('git status --short', { encoding: 'utf8', timeout: 3000 }).trim() || 'Working tree clean';
       } catch { return 'Not a git repo'; }
     },
-    getCurrentBranch: () => {
+    getCurrentBranch: (cwd) => {
       try {
-        return execSync('git branch --show-current', { encoding: 'utf8', timeout: 3000 }).trim();
+        return execSync('git branch --show-current', { cwd, encoding: 'utf8', timeout: 3000 }).trim();
       } catch { return null; }
     },
-    isProtectedBranch: function(branch) {
-      return ['main', 'master', 'production'].includes(branch || this.getCurrentBranch());
+    isProtectedBranch: function(branch, options = {}) {
+      return ['main', 'master', 'production'].includes(branch || this.getCurrentBranch(options.projectDir));
     },
     isDangerousCommand: (cmd) => {
       const patterns = [
@@ -98,10 +124,54 @@ function createInlineUtils() {
   };
 }
 
+function createInlineHooks() {
+  return {
+    parseInput: (text) => {
+      const raw = text.trim() ? JSON.parse(text) : {};
+      return {
+        event: raw.hook_event_name || null,
+        sessionId: raw.session_id || null,
+        cwd: raw.cwd || null,
+        toolName: raw.tool_name || null,
+        toolInput: raw.tool_input || {},
+        toolResponse: raw.tool_response ?? null,
+        prompt: raw.prompt || null,
+        stopHookActive: raw.stop_hook_active === true,
+        raw
+      };
+    },
+    touchedFiles: (toolInput, cwd = process.cwd()) => {
+      const entries = [toolInput.files, toolInput.edits].filter(Array.isArray).flat().map(entry => entry?.file_path);
+      const paths = [toolInput.file_path, toolInput.notebook_path, ...entries].filter(file => typeof file === 'string' && file);
+      return [...new Set(paths.map(file => path.resolve(cwd, file)))];
+    },
+    buildOutput: (event, result) => {
+      if (!result) return { exitCode: 0, stdout: '', stderr: '' };
+      if (result.feedback) return { exitCode: 2, stdout: '', stderr: result.feedback };
+      const output = {};
+      const specific = {};
+      if (result.continue === false) Object.assign(output, { continue: false, stopReason: result.stopReason });
+      if (result.systemMessage) output.systemMessage = result.systemMessage;
+      if (result.decision && event === 'PreToolUse') {
+        Object.assign(specific, { permissionDecision: result.decision, permissionDecisionReason: result.reason });
+      } else if (result.decision) {
+        Object.assign(output, { decision: result.decision, reason: result.reason });
+      }
+      if (result.additionalContext) specific.additionalContext = result.additionalContext;
+      if (Object.keys(specific).length > 0) output.hookSpecificOutput = { hookEventName: event, ...specific };
+      return { exitCode: 0, stdout: Object.keys(output).length > 0 ? JSON.stringify(output) : '', stderr: '' };
+    }
+  };
+}
+
 // ============================================
 // Hook Actions
 // ============================================
 
+// CLI actions are functions of their arguments. Hook actions are
+// { event, run(input, args, previous) }: run gets the parsed stdin (see
+// lib/hooks), its arguments and, in a pipeline, the results of the steps
+// before it, and returns a hook result or null.
 const actions = {
   /**
    * Log an event to session.log
@@ -112,173 +182,642 @@ const actions = {
   },
 
   /**
-   * SessionStart hook - show context and log
+   * SessionStart hook - log, and add the git status, detected project and
+   * TODO.md (or TASKS.md) to Claude's context
    */
-  'session-start': () => {
-    const cwd = process.cwd();
-    utils.log('SESSION_START', `in ${cwd}`);
-    logging.debug('Session starting in:', cwd);
-
-    // Use console.log for output that goes to stdout (for Claude to see)
-    console.log('--- Project Context ---');
-    console.log(utils.getGitStatus());
-    console.log('---');
-
-    // Show TODO.md or TASKS.md if exists
-    for (const name of ['TODO.md', 'TASKS.md']) {
-      const filePath = path.join(cwd, name);
-      if (fs.existsSync(filePath)) {
+  'session-start': {
+    event: 'SessionStart',
+    run: (input) => {
+      const cwd = input.cwd || process.cwd();
+      utils.log('SESSION_START', `in ${cwd}${input.source ? ` (${input.source})` : ''}`);
+      logging.debug('Session starting in:', cwd);
+
+      if (utils.settings) {
         try {
-          const content = fs.readFileSync(filePath, 'utf8');
-          console.log(content.split('\n').slice(0, 20).join('\n'));
-          logging.debug('Displayed', name);
-        } catch {
-          logging.debug('Failed to read', name);
+          const layers = utils.settings.loadLayers({ projectDir: cwd });
+          logging.debug('Settings layers:', layers.map(l => l.source).join(' < '));
+        } catch (e) {
+          logging.warn('Invalid settings:', e.message);
+        }
+      }
+
+      const lines = ['--- Project Context ---', utils.getGitStatus()];
+      if (utils.project) {
+        try {
+          lines.push(...utils.project.describe(utils.project.detect(cwd)));
+        } catch (e) {
+          logging.debug('Project detection failed:', e.message);
+        }
+      }
+      lines.push('---');
+
+      // Show TODO.md or TASKS.md if exists
+      for (const name of ['TODO.md', 'TASKS.md']) {
+        const filePath = path.join(cwd, name);
+        if (fs.existsSync(filePath)) {
+          try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            lines.push(content.split('\n').slice(0, 20).join('\n'));
+            logging.debug('Displayed', name);
+          } catch {
+            logging.debug('Failed to read', name);
+          }
+          break;
         }
-        break;
       }
+      return { additionalContext: lines.join('\n') };
     }
   },
 
   /**
-   * Check if on protected branch - outputs block JSON if true
+   * Deny the tool call on a protected branch of the repository Claude Code
+   * runs in
    */
-  'check-branch': () => {
-    const branch = utils.getCurrentBranch();
-    logging.debug('Checking branch protection for:', branch);
-    if (utils.isProtectedBranch(branch)) {
+  'check-branch': {
+    event: 'PreToolUse',
+    run: (input) => {
+      const projectDir = input.cwd || undefined;
+      const branch = utils.getCurrentBranch(projectDir);
+      logging.debug('Checking branch protection for:', branch);
+      if (!utils.isProtectedBranch(branch, { projectDir })) {
+        return null;
+      }
       logging.warn('Blocked edit on protected branch:', branch);
-      console.log(JSON.stringify({
-        decision: 'block',
+      return {
+        decision: 'deny',
         reason: `Cannot edit directly on protected branch (${branch}). Create a feature branch first: git checkout -b feature/your-feature`
-      }));
-      process.exit(0);
+      };
     }
-    // Pass through stdin to stdout
-    passThrough();
   },
 
   /**
-   * Check if command is dangerous - reads from stdin
+   * Deny a dangerous Bash command
    */
-  'check-command': () => {
-    readStdin((data) => {
-      try {
-        const input = JSON.parse(data);
-        const cmd = input?.tool_input?.command || '';
-        logging.debug('Checking command:', cmd.substring(0, 50));
-
-        if (cmd && utils.isDangerousCommand(cmd)) {
-          logging.warn('Blocked dangerous command:', cmd.substring(0, 50));
-          console.log(JSON.stringify({
-            decision: 'block',
-            reason: `Potentially destructive command blocked: ${cmd.substring(0, 50)}`
-          }));
-          return;
+  'check-command': {
+    event: 'PreToolUse',
+    run: (input) => {
+      const cmd = typeof input.toolInput.command === 'string' ? input.toolInput.command : '';
+      logging.debug('Checking command:', cmd.substring(0, 50));
+      if (!cmd) {
+        return null;
+      }
+      // The standalone fallback only has isDangerousCommand
+      if (!utils.validation) {
+        if (!utils.isDangerousCommand(cmd)) return null;
+        logging.warn('Blocked dangerous command:', cmd.substring(0, 50));
+        return { decision: 'deny', reason: `Potentially destructive command blocked: ${cmd.substring(0, 50)}` };
+      }
+
+      const { matches } = utils.validation.analyzeCommand(cmd, { projectDir: input.cwd });
+      if (matches.length === 0) {
+        return null;
+      }
+      const [first] = matches;
+      const via = first.via.length > 0 ? ` via ${first.via.join(', ')}` : '';
+      logging.warn('Blocked dangerous command:', matches.map(m => m.rule).join(', '), cmd.substring(0, 50));
+      return {
+        decision: 'deny',
+        reason: `Potentially destructive command blocked (${first.rule}: ${first.reason}): ${first.command.substring(0, 80)}${via}`
+      };
+    }
+  },
+
+  /**
+   * Deny editing a file under protectedPaths or, for new files, one not
+   * following the naming.files convention in effect for its directory.
+   * Every file the tool touches is checked
+   */
+  'check-path': {
+    event: 'PreToolUse',
+    run: (input) => {
+      if (!utils.validation || !utils.settings) {
+        return null;
+      }
+      for (const resolved of hooks.touchedFiles(input.toolInput, input.cwd || process.cwd())) {
+        logging.debug('Checking path:', resolved);
+        const reason = checkPath(resolved, input.cwd || undefined);
+        if (reason) {
+          logging.warn(reason);
+          return { decision: 'deny', reason };
         }
-      } catch {
-        logging.debug('JSON parse error in check-command, passing through');
       }
-      console.log(data);
-    });
+      return null;
+    }
+  },
+
+  /**
+   * Record the files about to be edited, for diff-aware checks against the
+   * 'snapshot' base (see lib/tools/changes)
+   */
+  snapshot: {
+    event: 'PreToolUse',
+    run: (input) => {
+      if (!utils.tools?.changes || !utils.settings) {
+        return null;
+      }
+      for (const resolved of hooks.touchedFiles(input.toolInput, input.cwd || process.cwd())) {
+        const { diffAware } = utils.settings.getSettings({ projectDir: input.cwd || undefined, filePath: resolved });
+        if (diffAware?.enabled && diffAware.base === 'snapshot' &&
+          utils.tools.changes.saveSnapshot(resolved, input.sessionId)) {
+          logging.debug('Saved snapshot of:', resolved);
+        }
+      }
+      return null;
+    }
+  },
+
+  /**
+   * Run a pipeline from the pipelines setting: its hook actions run in
+   * order on one read of stdin, stopping at the first that denies or
+   * blocks, and Claude Code gets one answer combining their results
+   */
+  pipeline: async (args) => {
+    const [name] = args;
+    const steps = utils.settings?.getSettings().pipelines?.[name];
+    if (!steps) {
+      logging.error('Usage: hook-runner.js pipeline <name> (a key of the pipelines setting)');
+      process.exit(1);
+    }
+    await runPipeline(name, steps);
+  },
+
+  /**
+   * Post-edit check of the edited files - `format`, `typecheck` or `lint`
+   * Every file the tool touched is checked, notebooks through their code
+   * cells (see lib/tools/notebook). What each check found, fixes made and
+   * issues left out are added to Claude's context, under each file's name
+   * when there are several. Errors only block, so Claude is asked to fix
+   * them, in files where the blockOnCheckErrors setting is on
+   */
+  'post-edit': {
+    event: 'PostToolUse',
+    run: async (input, args) => {
+      const [check] = args;
+      logging.debug('Post-edit action:', check);
+      const files = hooks.touchedFiles(input.toolInput, input.cwd || process.cwd()).filter((file) => {
+        if (fs.existsSync(file)) return true;
+        logging.debug('File does not exist:', file);
+        return false;
+      });
+      if (!['format', 'typecheck', 'lint'].includes(check) || files.length === 0) {
+        logging.debug('No check or existing file in input');
+        return null;
+      }
+
+      logging.debug('Processing post-edit for:', files.join(', '));
+      const results = await Promise.all(files.map(file => checkEdited(check, file, input.sessionId)));
+      if (check === 'format') {
+        return null;
+      }
+      const label = check === 'typecheck' ? '[Type Check]' : '[Lint]';
+      const checked = files
+        .map((file, index) => ({ file, result: results[index] }))
+        .filter(({ result }) => result);
+      for (const { result } of checked) {
+        reportDiagnostics(label, result);
+      }
+
+      const text = describeChecked(label, checked);
+      const blocking = checked.some(({ file, result }) =>
+        !result.success && utils.settings?.getSettings({ filePath: file }).blockOnCheckErrors);
+      if (blocking) {
+        return { decision: 'block', reason: text || `${label} ${check} failed` };
+      }
+      return text ? { additionalContext: text } : null;
+    }
+  },
+
+  /**
+   * Remind Claude it is on a protected branch when a prompt is submitted
+   */
+  'prompt-submit': {
+    event: 'UserPromptSubmit',
+    run: (input) => {
+      const projectDir = input.cwd || undefined;
+      const branch = utils.getCurrentBranch(projectDir);
+      if (!branch || !utils.isProtectedBranch(branch, { projectDir })) {
+        return null;
+      }
+      return {
+        additionalContext: `The current git branch (${branch}) is protected: edits will be denied. ` +
+          'Create a feature branch before changing files.'
+      };
+    }
+  },
+
+  /**
+   * Tell the user about uncommitted changes when Claude stops, unless it is
+   * already continuing because of a stop hook
+   */
+  stop: {
+    event: 'Stop',
+    run: (input) => {
+      utils.log('STOP', input.sessionId || '');
+      if (input.stopHookActive || !utils.getUncommittedFiles) {
+        return null;
+      }
+      const files = utils.getUncommittedFiles(input.cwd || undefined);
+      const count = files.modified.length + files.staged.length + files.deleted.length + files.untracked.length;
+      return count > 0 ? { systemMessage: `${count} uncommitted file(s) in the working tree` } : null;
+    }
+  },
+
+  /**
+   * Log that a subagent finished
+   */
+  'subagent-stop': {
+    event: 'SubagentStop',
+    run: (input) => {
+      utils.log('SUBAGENT_STOP', input.sessionId || '');
+      return null;
+    }
+  },
+
+  /**
+   * Log that the session ended, and why
+   */
+  'session-end': {
+    event: 'SessionEnd',
+    run: (input) => {
+      utils.log('SESSION_END', input.raw.reason || '');
+      return null;
+    }
+  },
+
+  /**
+   * Log that the conversation is about to be compacted
+   */
+  'pre-compact': {
+    event: 'PreCompact',
+    run: (input) => {
+      utils.log('PRE_COMPACT', input.raw.trigger || '');
+      return null;
+    }
+  },
+
+  /**
+   * Log a notification Claude Code showed the user
+   */
+  notification: {
+    event: 'Notification',
+    run: (input) => {
+      utils.log('NOTIFICATION', input.raw.message || '');
+      return null;
+    }
   },
 
   /**
    * Format a single file
+   * `--check` prints the diff formatting would make instead, exiting 1 if
+   * the file would change
    */
-  format: (args) => {
-    const [filePath] = args;
+  format: async (args) => {
+    const [filePath] = args.filter(arg => arg !== '--check');
     if (!filePath || !fs.existsSync(filePath)) {
       logging.error('File not found:', filePath);
       process.exit(1);
     }
-    logging.debug('Formatting file:', filePath);
-    const result = utils.formatFile(filePath);
+    const check = args.includes('--check');
+    logging.debug(check ? 'Checking formatting of file:' : 'Formatting file:', filePath);
+    const result = await runCheck('format', filePath, check ? { check: true } : {});
+    if (result?.diff) {
+      process.stdout.write(result.diff);
+    }
     if (result && !result.success) {
       logging.error('[Format]', result.error);
+      if (check) process.exit(1);
     }
   },
 
   /**
    * Type check a single file
    */
-  typecheck: (args) => {
+  typecheck: async (args) => {
     const [filePath] = args;
     if (!filePath) {
       logging.error('File path required');
       process.exit(1);
     }
     logging.debug('Type checking file:', filePath);
-    const result = utils.typeCheckFile(filePath);
+    const result = await runCheck('typecheck', filePath);
+    reportDiagnostics('[Type Check]', result);
     if (result && !result.success) {
-      logging.error('[Type Check]', result.error);
       process.exit(1);
     }
   },
 
   /**
    * Lint a single file
+   * `--fix` applies the linter's safe fixes even when autoFix is off
    */
-  lint: (args) => {
-    const [filePath] = args;
+  lint: async (args) => {
+    const [filePath] = args.filter(arg => arg !== '--fix');
     if (!filePath) {
       logging.error('File path required');
       process.exit(1);
     }
     logging.debug('Linting file:', filePath);
-    const result = utils.lintFile(filePath);
-    if (result && !result.success) {
-      logging.warn('[Lint]', result.warning);
+    reportDiagnostics('[Lint]', await runCheck('lint', filePath, args.includes('--fix') ? { fix: true } : {}));
+  },
+
+  /**
+   * Inspect the effective settings
+   * `config explain` prints each value with the layer that set it and the
+   * values it overrode; with a file, directory-scoped settings for that
+   * file are included; `--json` prints the raw explanation instead
+   */
+  config: (args) => {
+    const [command, ...rest] = args;
+    const flags = rest.filter(arg => arg.startsWith('--'));
+    const [filePath] = rest.filter(arg => !arg.startsWith('--'));
+    if (command !== 'explain') {
+      logging.error('Usage: hook-runner.js config explain [file] [--json]');
+      process.exit(1);
+    }
+    if (!utils.settings) {
+      logging.error('Settings module not available');
+      process.exit(1);
+    }
+
+    try {
+      const explanation = utils.settings.explain(filePath ? { filePath: path.resolve(filePath) } : {});
+      console.log(flags.includes('--json')
+        ? JSON.stringify(explanation, null, 2)
+        : utils.settings.formatExplanation(explanation));
+    } catch (e) {
+      logging.error('Cannot load settings:', e.message);
+      process.exit(1);
+    }
+  },
+
+  /**
+   * Format, type check and lint paths, directories or globs in batches,
+   * each tool running once per batch; exits 1 if any check fails
+   */
+  check: async (args) => {
+    const inputs = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--checks') {
+        options.checks = (args[++i] || '').split(',');
+      } else if (args[i] === '--concurrency') {
+        const value = args[++i] || '';
+        // Anything but a positive integer would leave the pool without workers
+        options.concurrency = /^[1-9]\d*$/.test(value) ? Number(value) : NaN;
+      } else {
+        inputs.push(args[i]);
+      }
+    }
+    if (inputs.length === 0 || Number.isNaN(options.concurrency) || !utils.tools?.processFiles) {
+      logging.error('Usage: hook-runner.js check <path|glob...> [--checks format,typecheck,lint] [--concurrency n]');
+      process.exit(1);
+    }
+
+    const report = await utils.tools.processFiles(inputs, options);
+    const found = report.diagnostics.filter(d => !d.suppressed);
+    for (const diagnostic of found) {
+      console.log(utils.tools.diagnostics.formatDiagnostic(diagnostic, process.cwd()));
+    }
+    for (const task of report.tasks) {
+      console.log(`${task.tool} (${task.check}, ${task.files} file(s)): ${(task.durationMs / 1000).toFixed(1)}s${task.success ? '' : ' FAILED'}`);
     }
+
+    const count = severity => found.filter(d => d.severity === severity).length;
+    const suppressed = report.diagnostics.length - found.length;
+    console.log(`Checked ${Object.keys(report.files).length} file(s) in ${(report.durationMs / 1000).toFixed(1)}s: ` +
+      `${count('error')} error(s), ${count('warning')} warning(s)` +
+      (suppressed > 0 ? `, ${suppressed} in the baseline` : ''));
+    process.exit(report.success ? 0 : 1);
   },
 
   /**
-   * Full post-edit pipeline - format, typecheck, lint
-   * Reads file path from stdin JSON
+   * Check the formatting of paths, directories or globs without writing,
+   * listing the files that would change (with `--diff`, the changes) and a
+   * summary line; exits 1 if any would change or cannot be checked
    */
-  'post-edit': (args) => {
-    const [action] = args; // 'format', 'typecheck', or 'lint'
-    logging.debug('Post-edit action:', action);
+  'format-check': (args) => {
+    const inputs = args.filter(arg => arg !== '--diff');
+    if (inputs.length === 0 || !utils.tools?.checkFormatting) {
+      logging.error('Usage: hook-runner.js format-check <path|glob...> [--diff]');
+      process.exit(1);
+    }
 
-    readStdin((data) => {
-      try {
-        const input = JSON.parse(data);
-        const filePath = input?.tool_input?.file_path || input?.tool_input?.files?.[0]?.file_path;
+    const report = utils.tools.checkFormatting(inputs);
+    for (const [file, result] of Object.entries(report.files)) {
+      const name = path.relative(process.cwd(), file);
+      if (result?.changed) {
+        console.log(`Would reformat ${name}`);
+        if (args.includes('--diff')) process.stdout.write(result.diff);
+      } else if (result && !result.success) {
+        console.log(`Cannot check ${name}: ${result.error.split('\n')[0]}`);
+      }
+    }
 
-        if (!filePath || typeof filePath !== 'string') {
-          logging.debug('No file path in input, passing through');
-          console.log(data);
-          return;
-        }
+    const checked = Object.keys(report.files).length - report.skipped;
+    console.log(`Checked formatting of ${checked} file(s): ${report.changed} would be reformatted, ` +
+      `${report.unchanged} already formatted, ${report.failed} could not be checked` +
+      (report.skipped > 0 ? ` (${report.skipped} without a formatter skipped)` : ''));
+    process.exit(report.success ? 0 : 1);
+  },
 
-        const resolved = path.resolve(filePath);
-        if (!fs.existsSync(resolved)) {
-          logging.debug('File does not exist:', resolved);
-          console.log(data);
-          return;
-        }
+  /**
+   * Record known issues in the project's baseline file (see lib/tools/baseline)
+   * `create` records every issue, replacing the baseline; `update` re-records
+   * the files checked; `prune` only drops fixed issues. Paths default to the
+   * project root.
+   */
+  baseline: async (args) => {
+    const [command, ...inputs] = args;
+    if (!['create', 'update', 'prune'].includes(command) || !utils.tools?.baseline) {
+      logging.error('Usage: hook-runner.js baseline <create|update|prune> [path|glob...]');
+      process.exit(1);
+    }
 
-        logging.debug('Processing post-edit for:', resolved);
-        if (action === 'format') {
-          utils.formatFile(resolved);
-        } else if (action === 'typecheck') {
-          const result = utils.typeCheckFile(resolved);
-          if (result && !result.success) {
-            logging.error('[Type Check]', result.error);
-          }
-        } else if (action === 'lint') {
-          const result = utils.lintFile(resolved);
-          if (result && !result.success) {
-            logging.warn('[Lint]', result.warning);
-          }
+    try {
+      const report = await utils.tools.processFiles(
+        inputs.length > 0 ? inputs : [utils.settings.resolveProjectDir()],
+        { checks: ['typecheck', 'lint'] }
+      );
+      const { baseline } = utils.tools;
+      const files = Object.keys(report.files);
+      const change = command === 'create'
+        ? baseline.create(report.diagnostics)
+        : baseline[command](report.diagnostics, files);
+      console.log(`${path.relative(process.cwd(), baseline.getBaselinePath())}: ` +
+        `${change.added} added, ${change.removed} removed, ${change.total} issue(s) in ${files.length} checked file(s)`);
+    } catch (e) {
+      logging.error('Cannot update the baseline:', e.message);
+      process.exit(1);
+    }
+  },
+
+  /**
+   * Type check and lint files and write the results as SARIF 2.1.0
+   * (defaults to dev-standards.sarif); files are not formatted
+   */
+  sarif: (args) => {
+    const outputIndex = args.indexOf('--output');
+    const outputFile = outputIndex === -1 ? 'dev-standards.sarif' : args[outputIndex + 1];
+    const files = args.filter((arg, i) => !arg.startsWith('--') && (outputIndex === -1 || i !== outputIndex + 1));
+    if (files.length === 0 || !outputFile) {
+      logging.error('Usage: hook-runner.js sarif <file...> [--output <file.sarif>]');
+      process.exit(1);
+    }
+    if (!utils.sarif) {
+      logging.error('SARIF module not available');
+      process.exit(1);
+    }
+
+    const existing = files.map(file => path.resolve(file)).filter(file => {
+      if (fs.existsSync(file)) return true;
+      logging.warn('File not found:', file);
+      return false;
+    });
+
+    const { log } = utils.sarif.createReport(existing);
+    utils.sarif.writeSarif(outputFile, log);
+    const count = log.runs.reduce((sum, run) => sum + run.results.length, 0);
+    console.log(`Wrote ${count} result(s) for ${existing.length} file(s) to ${outputFile}`);
+  },
+
+  /**
+   * Manage the project's tool daemon (see lib/daemon)
+   * `start` starts it if it is not running, `stop` shuts it down, `status`
+   * shows what it has served and keeps loaded, and `stats` compares how long
+   * checks took with and without it
+   */
+  daemon: async (args) => {
+    const [command] = args;
+    if (!['start', 'stop', 'status', 'stats'].includes(command) || !utils.daemon) {
+      logging.error('Usage: hook-runner.js daemon <start|stop|status|stats>');
+      process.exit(1);
+    }
+    const { daemon } = utils;
+
+    if (command === 'stats') {
+      const summary = daemon.summarizeStats();
+      const describe = mode => (mode
+        ? `median ${mode.median}ms, p95 ${mode.p95}ms (${mode.runs} run(s))`
+        : 'no runs');
+      for (const [check, modes] of Object.entries(summary)) {
+        const speedup = modes.direct && modes.daemon && modes.daemon.median > 0
+          ? `; ${(modes.direct.median / modes.daemon.median).toFixed(1)}x faster with the daemon`
+          : '';
+        console.log(`${check}: direct ${describe(modes.direct)}; daemon ${describe(modes.daemon)}${speedup}`);
+      }
+      if (Object.keys(summary).length === 0) {
+        console.log('No checks recorded yet; set daemon.recordStats to record them');
+      }
+      return;
+    }
+
+    try {
+      if (command === 'start') {
+        const { pid } = await daemon.request('ping');
+        console.log(`Tool daemon running (pid ${pid}) on ${daemon.getSocketPath()}`);
+      } else if (command === 'stop') {
+        const { pid } = await daemon.request('shutdown', {}, { start: false });
+        console.log(`Stopped tool daemon (pid ${pid})`);
+      } else {
+        const status = await daemon.request('stats', {}, { start: false });
+        console.log(`Tool daemon running (pid ${status.pid}) for ${Math.round(status.uptimeMs / 1000)}s on ${daemon.getSocketPath()}`);
+        for (const [action, served] of Object.entries(status.requests)) {
+          console.log(`${action}: ${served.count} request(s), ${Math.round(served.totalMs / served.count)}ms average, ${served.maxMs}ms max`);
         }
+        console.log(`eslint ${status.warm.eslint ? 'loaded' : 'not loaded'}; ` +
+          `TypeScript projects loaded: ${status.warm.typescript.map(file => path.relative(process.cwd(), file)).join(', ') || 'none'}`);
+      }
+    } catch (e) {
+      if (command === 'start') {
+        logging.error('Cannot start the tool daemon:', e.message);
+        process.exit(1);
+      }
+      console.log('No tool daemon running');
+    }
+  },
 
-        console.log(data);
-      } catch {
-        logging.debug('Post-edit parse error, passing through');
-        console.log(data || '');
+  /**
+   * Build the payload Claude Code would send a hook for an event (see
+   * lib/hooks/simulate) and print it, or with `--run <action> [args...]`
+   * run that action on it and print its answer; `--save <name>` saves the
+   * answer as a fixture for `replay`
+   */
+  simulate: (args) => {
+    const usage = 'Usage: hook-runner.js simulate <event> [--tool T] [--file f] [--command c] [--content text] ' +
+      '[--old text] [--prompt text] [--message text] [--session id] [--stop-hook-active] [--save name] [--run <action> [args...]]';
+    const runIndex = args.indexOf('--run');
+    const [event, ...rest] = runIndex === -1 ? args : args.slice(0, runIndex);
+    const [runAction, ...runArgs] = runIndex === -1 ? [] : args.slice(runIndex + 1);
+    const flags = {
+      '--tool': 'tool', '--file': 'file', '--command': 'command', '--content': 'content', '--old': 'oldString',
+      '--prompt': 'prompt', '--message': 'message', '--session': 'sessionId', '--save': 'save'
+    };
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+      if (rest[i] === '--stop-hook-active') {
+        options.stopHookActive = true;
+      } else if (flags[rest[i]] && i + 1 < rest.length) {
+        options[flags[rest[i]]] = rest[++i];
+      } else {
+        logging.error(`Unknown option ${rest[i]}. ${usage}`);
+        process.exit(1);
       }
-    });
+    }
+    if (!event || !hooks.simulate || (runIndex !== -1 && !runAction) || (options.save && !runAction)) {
+      logging.error(usage);
+      process.exit(1);
+    }
+
+    let payload;
+    try {
+      payload = hooks.simulate.buildPayload(event, options);
+    } catch (e) {
+      logging.error(e.message);
+      process.exit(1);
+    }
+    if (!runAction) {
+      console.log(JSON.stringify(payload, null, 2));
+      return;
+    }
+
+    const output = hooks.fixtures.runAction(runAction, runArgs, payload);
+    if (output.stdout) console.log(output.stdout);
+    if (output.exitCode !== 0 && output.stderr) console.log(output.stderr);
+    const { exitCode, decision, reason } = hooks.fixtures.summarizeOutput(output);
+    console.log(`Decision: ${decision || 'none'} (exit ${exitCode})${reason ? `: ${reason}` : ''}`);
+    if (options.save) {
+      const file = hooks.fixtures.saveFixture({ action: runAction, args: runArgs, payload, output, name: options.save });
+      console.log(`Saved fixture ${path.relative(process.cwd(), file)}`);
+    }
+  },
+
+  /**
+   * Replay hook fixtures (see lib/hooks/fixtures) against the current code
+   * and settings, listing those whose decision changed; exits 1 if any did
+   * or cannot be replayed. Defaults to the hookFixtures.dir directory.
+   */
+  replay: (args) => {
+    if (!hooks.fixtures) {
+      logging.error('Hook fixtures module not available');
+      process.exit(1);
+    }
+
+    const report = hooks.fixtures.replay(args.length > 0 ? args : undefined);
+    for (const result of report.results) {
+      const name = path.relative(process.cwd(), result.file);
+      if (result.error) {
+        console.log(`ERROR ${name}: ${result.error}`);
+      } else if (result.differences.length > 0) {
+        console.log(`CHANGED ${name} (${result.action})`);
+        for (const { field, expected, actual } of result.differences) {
+          console.log(`  ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+      } else {
+        console.log(`ok ${name}`);
+      }
+    }
+    console.log(`Replayed ${report.results.length} fixture(s): ${report.unchanged} unchanged, ${report.changed} changed`);
+    process.exit(report.changed > 0 ? 1 : 0);
   }
 };
 
@@ -287,33 +826,358 @@ const actions = {
 // ============================================
 
 /**
- * Read all data from stdin and call callback with the result
+ * Run a per-file check through the tool daemon when it is enabled (see
+ * lib/daemon), else directly
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Options for the check
+ * @returns {Promise<Object|null>} Result of formatFile, typeCheckFile or lintFile
+ */
+function runCheck(check, filePath, options = {}) {
+  if (utils.daemon) {
+    return utils.daemon.run(check, filePath, options);
+  }
+  const direct = { format: utils.formatFile, typecheck: utils.typeCheckFile, lint: utils.lintFile }[check];
+  return Promise.resolve(direct(filePath, options));
+}
+
+/**
+ * Check a file about to be edited against protectedPaths and, if it is
+ * new, the naming.files convention in effect for its directory
  *
- * @param {function(string): void} callback - Function to call with stdin data
+ * @param {string} resolved - Absolute path to the file
+ * @param {string} [projectDir] - Project the hook runs in (defaults to the current project)
+ * @returns {string|null} Why editing it is denied, or null if it is allowed
+ */
+function checkPath(resolved, projectDir) {
+  const scope = { projectDir, filePath: resolved };
+  if (utils.validation.isProtectedPath(resolved, { projectDir })) {
+    return `Editing protected path blocked: ${resolved}`;
+  }
+  if (!fs.existsSync(resolved) && utils.settings.isCheckEnabled('naming', scope)) {
+    const convention = utils.settings.getSettings(scope).naming?.files;
+    const naming = utils.validation.checkFileName(resolved, convention);
+    if (!naming.valid) {
+      return `File name does not follow the naming convention: ${naming.reason}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a post-edit check on a file, a notebook through its code cells
  *
- * @example
- * readStdin((data) => {
- *   const parsed = JSON.parse(data);
- *   console.log(parsed);
- * });
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} filePath - Absolute path to the file
+ * @param {string|null} sessionId - Session whose pre-edit snapshot diff-aware checks use
+ * @returns {Promise<Object|null>} Result of the check, or null if nothing checks the file
+ */
+async function checkEdited(check, filePath, sessionId) {
+  const notebook = utils.tools?.notebook;
+  if (notebook?.isNotebook(filePath)) {
+    try {
+      return await notebook.checkNotebook(check, filePath, runCheck);
+    } catch (e) {
+      logging.warn(e.message);
+      return null;
+    }
+  }
+  return check === 'format' ? runCheck('format', filePath) : runCheck(check, filePath, { sessionId });
+}
+
+/**
+ * Describe the results of a check on the files an edit touched, one line
+ * per entry (see describeResult). With several files, a summary line comes
+ * first and each file's entries follow a line with its name and outcome
+ *
+ * @param {string} label - Prefix such as '[Lint]'
+ * @param {Array<{file: string, result: Object}>} checked - Files and their results
+ * @returns {string} The lines, or '' if there is nothing to report
  */
-function readStdin(callback) {
-  let data = '';
-  process.stdin.on('data', chunk => data += chunk);
-  process.stdin.on('end', () => callback(data));
+function describeChecked(label, checked) {
+  if (checked.length === 1) {
+    return describeResult(checked[0].result).map(entry => `${label} ${entry.text}`).join('\n');
+  }
+
+  const failed = checked.filter(({ result }) => !result.success).length;
+  const lines = [`${label} ${checked.length} files checked, ${failed} failed`];
+  for (const { file, result } of checked) {
+    lines.push(`${label} ${path.relative(process.cwd(), file) || file}: ${result.success ? 'passed' : 'failed'}`);
+    lines.push(...describeResult(result).map(entry => `${label}   ${entry.text}`));
+  }
+  return lines.join('\n');
 }
 
 /**
- * Pass stdin through to stdout unchanged
- * Used for hooks that need to not block but don't modify the data
+ * Describe a lint or type check result, one entry per line to report
+ *
+ * Every diagnostic gets an entry, errors as errors and everything else as
+ * warnings, so the whole list reaches the model at once. Results without
+ * diagnostics (invalid path, standalone fallback) give their summary.
+ * Issues left out by diff-aware checking or suppressed by the baseline are
+ * only counted.
+ *
+ * @param {{success: boolean, error?: string, warning?: string, diagnostics?: Array<Object>,
+ *   preExisting?: {error: number, warning: number, info: number}}|null} result
+ * @returns {Array<{level: string, text: string}>} Entries with the logging level to report them at
+ */
+function describeResult(result) {
+  if (!result) return [];
+
+  const entries = [];
+  if (result.diff) {
+    entries.push(describeFixes(result));
+  }
+
+  const preExisting = describePreExisting(result.preExisting);
+  if (preExisting) {
+    entries.push(preExisting);
+  }
+
+  const all = result.diagnostics || [];
+  const found = all.filter(d => !d.suppressed);
+  if (found.length < all.length) {
+    const count = all.length - found.length;
+    entries.push({ level: 'info', text: `${count} issue${count > 1 ? 's' : ''} recorded in the baseline not shown` });
+  }
+  if (found.length === 0) {
+    if (!result.success) {
+      entries.push({ level: 'error', text: result.error || result.warning });
+    }
+    return entries;
+  }
+
+  const format = utils.tools?.diagnostics?.formatDiagnostic;
+  for (const diagnostic of found) {
+    entries.push({
+      level: diagnostic.severity === 'error' ? 'error' : 'warn',
+      text: format ? format(diagnostic, process.cwd()) : diagnostic.message
+    });
+  }
+  return entries;
+}
+
+/**
+ * Log every entry describing a lint or type check result (see describeResult)
+ *
+ * @param {string} label - Prefix such as '[Lint]'
+ * @param {Object|null} result - Result of typeCheckFile or lintFile
+ */
+function reportDiagnostics(label, result) {
+  for (const { level, text } of describeResult(result)) {
+    logging[level](label, text);
+  }
+}
+
+/**
+ * Tell the model which issues a linter fixed in the file it just edited
+ *
+ * The file on disk no longer matches what the model wrote, so the fixes
+ * are listed by rule with the diff, and the model is asked to keep them.
+ *
+ * @param {{diff: string, fixed?: Array<Object>}} result - lintFile result with fixes
+ * @returns {{level: string, text: string}}
+ */
+function describeFixes(result) {
+  const counts = new Map();
+  for (const diagnostic of result.fixed || []) {
+    const rule = diagnostic.rule || diagnostic.message;
+    counts.set(rule, (counts.get(rule) || 0) + 1);
+  }
+  const rules = [...counts].map(([rule, count]) => (count > 1 ? `${rule} (x${count})` : rule));
+
+  return {
+    level: 'info',
+    text: `Auto-fixed ${rules.length > 0 ? rules.join(', ') : 'lint issues'}. ` +
+      `The file was changed on disk; keep these fixes and do not reintroduce the issues:\n${result.diff.trimEnd()}`
+  };
+}
+
+/**
+ * Count the issues diff-aware checking left out, so the model knows they
+ * exist without being asked to fix them
+ *
+ * @param {{error: number, warning: number, info: number}} [counts] - preExisting of a result
+ * @returns {{level: string, text: string}|null} Null if there are none
+ */
+function describePreExisting(counts) {
+  const total = counts ? counts.error + counts.warning + counts.info : 0;
+  if (total === 0) return null;
+
+  const parts = ['error', 'warning', 'info']
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${counts[severity]} ${severity}${severity !== 'info' && counts[severity] > 1 ? 's' : ''}`);
+  return {
+    level: 'info',
+    text: `${total} pre-existing issue${total > 1 ? 's' : ''} on unchanged lines not shown (${parts.join(', ')})`
+  };
+}
+
+/**
+ * Read all of stdin
+ *
+ * @returns {Promise<string>} The data, or '' when stdin is a terminal
  *
  * @example
- * // In a hook that just logs but doesn't transform:
- * utils.log('SOME_EVENT');
- * passThrough();
+ * const data = await readStdin();
  */
-function passThrough() {
-  readStdin(data => console.log(data));
+function readStdin() {
+  if (process.stdin.isTTY) {
+    return Promise.resolve('');
+  }
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => data += chunk);
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse the hook event on stdin
+ *
+ * Input that cannot be read or parsed is treated as empty, so a hook
+ * action still runs and lets Claude Code carry on.
+ *
+ * @param {string} name - Action or pipeline name, for the warning
+ * @returns {Promise<Object>} Parsed input (see lib/hooks parseInput)
+ */
+async function readInput(name) {
+  try {
+    return hooks.parseInput(await readStdin());
+  } catch (e) {
+    logging.warn(`Ignoring ${name} hook input:`, e.message);
+    return hooks.parseInput('');
+  }
+}
+
+/**
+ * Answer Claude Code with a hook result
+ *
+ * A result the event does not take gives no answer, so a broken hook
+ * never stops Claude Code.
+ *
+ * @param {string} name - Action or pipeline name, for the error
+ * @param {string} event - Hook event answered
+ * @param {Object|null} result - Hook result
+ * @returns {{exitCode: number, stdout: string, stderr: string}|null} What was sent, or null
+ */
+function respond(name, event, result) {
+  let output;
+  try {
+    output = hooks.buildOutput(event, result);
+  } catch (e) {
+    logging.error(`${name} hook failed:`, e.message);
+    return null;
+  }
+
+  if (output.stdout) process.stdout.write(output.stdout + '\n');
+  if (output.stderr) process.stderr.write(output.stderr + '\n');
+  process.exitCode = output.exitCode;
+  return output;
+}
+
+/**
+ * Save the payload a hook action received, with its answer, as a fixture
+ * when the hookFixtures.record setting is on (see lib/hooks/fixtures)
+ *
+ * @param {string} action - Hook-runner action
+ * @param {string[]} args - Its arguments
+ * @param {Object} input - Parsed input
+ * @param {{exitCode: number, stdout: string, stderr: string}|null} output - What was answered
+ */
+function recordFixture(action, args, input, output) {
+  if (!output || !hooks.fixtures || Object.keys(input.raw).length === 0) {
+    return;
+  }
+  try {
+    if (hooks.fixtures.isRecording()) {
+      logging.debug('Recorded hook fixture:', hooks.fixtures.saveFixture({ action, args, payload: input.raw, output }));
+    }
+  } catch (e) {
+    logging.debug('Cannot record hook fixture:', e.message);
+  }
+}
+
+/**
+ * Run a hook action on the event read from stdin and answer Claude Code
+ *
+ * An action that throws gives no answer.
+ *
+ * @param {string} name - Action name
+ * @param {{event: string, run: function(Object, string[], Array<Object|null>): (Object|null|Promise<Object|null>)}} hook - Action
+ * @param {string[]} args - Arguments after the action name
+ * @returns {Promise<void>}
+ */
+async function runHook(name, hook, args) {
+  const input = await readInput(name);
+  let result;
+  try {
+    result = await hook.run(input, args, []);
+  } catch (e) {
+    logging.error(`${name} hook failed:`, e.message);
+    return;
+  }
+  recordFixture(name, args, input, respond(name, input.event || hook.event, result));
+}
+
+/**
+ * Run a pipeline's hook actions on one read of stdin and answer Claude
+ * Code once with their combined result (see lib/hooks combineResults)
+ *
+ * Steps run in order, each seeing the results of those before it, until
+ * one denies, blocks, stops Claude or gives feedback. Settings only allow
+ * non-empty pipelines of hook actions (see schemas/config.schema.json); a
+ * step for another event, one that throws, or one returning something the
+ * event does not take is skipped. How long each step took is logged to session.log
+ * and, unless the answer is feedback, to stderr.
+ *
+ * @param {string} name - Pipeline name
+ * @param {Array<{action: string, args?: string[]}>} steps - Steps from the pipelines setting
+ * @returns {Promise<void>}
+ */
+async function runPipeline(name, steps) {
+  const input = await readInput(`pipeline ${name}`);
+  const event = input.event || actions[steps[0].action]?.event;
+  const results = [];
+  const timings = [];
+
+  for (const { action, args = [] } of steps) {
+    const label = [action, ...args].join(' ');
+    const hook = actions[action];
+    if (!hook || typeof hook === 'function' || hook.event !== event) {
+      logging.error(`Pipeline ${name}: ${label} is not a ${event} hook action, skipped`);
+      continue;
+    }
+
+    const started = Date.now();
+    let result = null;
+    try {
+      result = await hook.run(input, args, results);
+      hooks.buildOutput(event, result);
+    } catch (e) {
+      logging.error(`${label} hook failed:`, e.message);
+      result = null;
+    }
+    timings.push(`${label} ${Date.now() - started}ms`);
+    results.push(result);
+    if (hooks.isFinal(result)) {
+      timings.push(`stopped by ${label}`);
+      break;
+    }
+  }
+
+  const summary = timings.join(', ');
+  utils.log('PIPELINE', `${name}: ${summary}`);
+  const output = respond(`pipeline ${name}`, event, hooks.combineResults(results));
+  recordFixture('pipeline', [name], input, output);
+  if (output?.exitCode === 0) {
+    logging.info(`pipeline ${name}:`, summary);
+  } else {
+    logging.debug(`pipeline ${name}:`, summary);
+  }
 }
 
 // ============================================
@@ -329,4 +1193,13 @@ if (!action || !actions[action]) {
 }
 
 logging.debug('Running action:', action, 'with args:', args);
-actions[action](args);
+if (typeof actions[action] === 'function') {
+  Promise.resolve()
+    .then(() => actions[action](args))
+    .catch((e) => {
+      logging.error(`${action} failed:`, e.message);
+      process.exitCode = 1;
+    });
+} else {
+  runHook(action, actions[action], args);
+}
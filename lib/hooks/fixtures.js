@@ -0,0 +1,254 @@
+/**
+ * Hook fixtures: payloads with the decision a hook gave them
+ *
+ * With the hookFixtures.record setting on, the hook runner saves every
+ * payload its hook actions and pipelines receive, with the action and the
+ * decision it answered, as a JSON file in hookFixtures.dir. Fixtures can
+ * also be saved from simulated payloads (`simulate --save`) to pin down how
+ * a policy should decide before rolling it out. replay runs each fixture's
+ * action on its payload again, with the current code and settings, and
+ * reports where the decision differs from the recorded one.
+ *
+ * Only the decision is compared (see DECISION_FIELDS), not context or
+ * messages, which carry git status and timings. Recorded payloads include
+ * what Claude wrote and the prompts submitted, so review them before
+ * committing them.
+ *
+ * @module lib/hooks/fixtures
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config, exec } = require('../core');
+const errors = require('../errors');
+const settings = require('../settings');
+
+/**
+ * Script that runs hook actions
+ * @type {string}
+ */
+const HOOK_RUNNER = path.join(__dirname, '..', 'hook-runner.js');
+
+/**
+ * Fields of a hook's answer that replay compares
+ * @type {string[]}
+ */
+const DECISION_FIELDS = ['exitCode', 'decision', 'reason', 'continue', 'stopReason'];
+
+/**
+ * @typedef {Object} Decision
+ * @property {number|null} exitCode - Exit code (2 for feedback; null if the action timed out)
+ * @property {string|null} decision - permissionDecision (PreToolUse) or decision, if any
+ * @property {string|null} reason - Its reason, or the feedback on stderr
+ * @property {boolean} continue - false if the hook stopped Claude
+ * @property {string|null} stopReason - Why it stopped Claude
+ */
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} action - Hook-runner action ('pipeline' for pipelines)
+ * @property {string[]} args - Its arguments
+ * @property {Object} payload - Hook input, as sent on stdin
+ * @property {Decision} expected - Decision the action gave
+ */
+
+/**
+ * Get the directory fixtures are saved in and replayed from
+ *
+ * @returns {string} Absolute path
+ */
+function getFixturesDir() {
+  const { dir = '.claude/hook-fixtures' } = settings.getSettings().hookFixtures || {};
+  return path.resolve(settings.resolveProjectDir(), dir);
+}
+
+/**
+ * Tell whether hook payloads are being recorded
+ *
+ * @returns {boolean}
+ */
+function isRecording() {
+  return settings.getSettings().hookFixtures?.record === true;
+}
+
+/**
+ * Summarize a hook's answer as the decision it makes
+ *
+ * @param {{exitCode: number|null, stdout: string, stderr: string}} output - What the hook
+ *   answered (see buildOutput)
+ * @returns {Decision}
+ *
+ * @example
+ * summarizeOutput({ exitCode: 0, stderr: '', stdout: '{"decision":"block","reason":"1 lint error"}' });
+ * // { exitCode: 0, decision: 'block', reason: '1 lint error', continue: true, stopReason: null }
+ */
+function summarizeOutput(output) {
+  let response = {};
+  try {
+    response = output.stdout ? JSON.parse(output.stdout) : {};
+  } catch {
+    response = {};
+  }
+  const specific = response.hookSpecificOutput || {};
+  const feedback = output.exitCode === config.HOOK_FEEDBACK_EXIT_CODE ? output.stderr : null;
+  return {
+    exitCode: output.exitCode,
+    decision: specific.permissionDecision || response.decision || null,
+    reason: specific.permissionDecisionReason || response.reason || feedback || null,
+    continue: response.continue !== false,
+    stopReason: response.stopReason || null
+  };
+}
+
+/**
+ * Compare a decision with the one expected
+ *
+ * @param {Decision} expected - Recorded decision
+ * @param {Decision} actual - Decision given now
+ * @returns {Array<{field: string, expected: *, actual: *}>} Fields that differ
+ *
+ * @example
+ * diffDecisions({ decision: 'deny', ... }, { decision: null, ... });
+ * // [{ field: 'decision', expected: 'deny', actual: null }]
+ */
+function diffDecisions(expected, actual) {
+  return DECISION_FIELDS
+    .filter(field => (expected[field] ?? null) !== (actual[field] ?? null))
+    .map(field => ({ field, expected: expected[field] ?? null, actual: actual[field] ?? null }));
+}
+
+/**
+ * Save a fixture
+ *
+ * @param {Object} fixture - Fixture
+ * @param {string} fixture.action - Hook-runner action
+ * @param {string[]} [fixture.args=[]] - Its arguments
+ * @param {Object} fixture.payload - Hook input
+ * @param {{exitCode: number|null, stdout: string, stderr: string}} fixture.output - What the action answered
+ * @param {string} [fixture.name] - File name without .json (defaults to the time, action and tool or event)
+ * @returns {string} Path of the file written
+ *
+ * @example
+ * saveFixture({ action: 'check-command', payload, output });
+ * // '/repo/.claude/hook-fixtures/20261018T101500123Z-check-command-Bash.json'
+ */
+function saveFixture({ action, args = [], payload, output, name }) {
+  const dir = getFixturesDir();
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const base = name || [stamp, action, ...args, payload.tool_name || payload.hook_event_name].filter(Boolean).join('-');
+  const file = path.join(dir, `${base.replace(/[^\w.-]+/g, '_')}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ action, args, payload, expected: summarizeOutput(output) }, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * Read a fixture file
+ *
+ * @param {string} file - Path to the file
+ * @returns {Fixture}
+ * @throws {errors.ValidationError} If the file cannot be read or is not a fixture
+ */
+function loadFixture(file) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new errors.ValidationError(`Cannot read hook fixture ${file}: ${e.message}`, { cause: e });
+  }
+  if (typeof fixture?.action !== 'string' || typeof fixture.payload !== 'object' || typeof fixture.expected !== 'object') {
+    throw new errors.ValidationError(`Not a hook fixture (needs action, payload and expected): ${file}`);
+  }
+  return { args: [], ...fixture };
+}
+
+/**
+ * Run a hook-runner action on a payload in a new process, as Claude Code
+ * does, without recording it
+ *
+ * @param {string} action - Hook-runner action
+ * @param {string[]} args - Its arguments
+ * @param {Object} payload - Hook input
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.timeout=config.TIMEOUTS.EXTENDED] - Time the action may take in ms
+ * @returns {{exitCode: number|null, stdout: string, stderr: string}} What the action answered
+ */
+function runAction(action, args, payload, options = {}) {
+  const { timeout = config.TIMEOUTS.EXTENDED } = options;
+  const command = [process.execPath, HOOK_RUNNER, action, ...args].map(exec.escapeShellArg).join(' ');
+  const result = exec.exec(command, {
+    cwd: settings.resolveProjectDir(),
+    timeout,
+    input: JSON.stringify(payload),
+    env: { [`${config.SETTINGS_ENV_PREFIX}HOOK_FIXTURES`]: '{"record": false}' }
+  });
+  return {
+    exitCode: result.success ? 0 : result.code ?? null,
+    stdout: result.output || '',
+    stderr: result.stderr || ''
+  };
+}
+
+/**
+ * List the fixture files given, expanding directories
+ *
+ * @param {string[]} inputs - Fixture files or directories
+ * @returns {string[]} Absolute paths, sorted within each directory
+ */
+function listFixtures(inputs) {
+  return inputs.flatMap((input) => {
+    const resolved = path.resolve(input);
+    if (!fs.existsSync(resolved)) {
+      return [];
+    }
+    if (!fs.statSync(resolved).isDirectory()) {
+      return [resolved];
+    }
+    return fs.readdirSync(resolved)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => path.join(resolved, name));
+  });
+}
+
+/**
+ * Replay fixtures against the current code and settings
+ *
+ * @param {string[]} [inputs] - Fixture files or directories (defaults to the fixtures directory)
+ * @param {Object} [options={}] - Options for runAction
+ * @returns {{results: Array<{file: string, action?: string, differences: Array<Object>, error?: string}>,
+ *   unchanged: number, changed: number}} Fixtures whose decision differs, or that cannot be
+ *   replayed, count as changed
+ *
+ * @example
+ * const { results, changed } = replay();
+ * // changed === 0 when every fixture gets the decision it recorded
+ */
+function replay(inputs = [getFixturesDir()], options = {}) {
+  const results = listFixtures(inputs).map((file) => {
+    try {
+      const fixture = loadFixture(file);
+      const actual = summarizeOutput(runAction(fixture.action, fixture.args, fixture.payload, options));
+      return { file, action: [fixture.action, ...fixture.args].join(' '), differences: diffDecisions(fixture.expected, actual) };
+    } catch (e) {
+      return { file, differences: [], error: e.message };
+    }
+  });
+  const changed = results.filter(result => result.error || result.differences.length > 0).length;
+  return { results, unchanged: results.length - changed, changed };
+}
+
+module.exports = {
+  DECISION_FIELDS,
+  getFixturesDir,
+  isRecording,
+  summarizeOutput,
+  diffDecisions,
+  saveFixture,
+  loadFixture,
+  runAction,
+  replay
+};
@@ -0,0 +1,325 @@
+/**
+ * Claude Code hook protocol
+ *
+ * Parses the JSON a hook receives on stdin into a typed input, and turns
+ * the result a hook action returns into what Claude Code expects back: a
+ * JSON object on stdout, or exit code 2 with feedback on stderr.
+ *
+ * What a hook can do depends on its event (see EVENTS):
+ *
+ * - PreToolUse allows, denies or asks about the tool call
+ *   (`hookSpecificOutput.permissionDecision`)
+ * - PostToolUse, UserPromptSubmit, Stop and SubagentStop can block
+ *   (`decision: 'block'` with a reason Claude sees)
+ * - SessionStart, UserPromptSubmit and PostToolUse can add context for
+ *   Claude (`hookSpecificOutput.additionalContext`)
+ * - Any hook can stop Claude (`continue: false` with a `stopReason` for the
+ *   user), show the user a `systemMessage`, or hide its output from the
+ *   transcript (`suppressOutput`)
+ *
+ * Feedback (exit code 2) goes to Claude for PreToolUse (blocking the
+ * call), PostToolUse, Stop and SubagentStop (blocking the stop); it blocks
+ * and erases the prompt for UserPromptSubmit, and is shown to the user for
+ * every other event.
+ *
+ * touchedFiles lists the files an edit tool's input touches, whatever the
+ * tool (Edit, MultiEdit, Write, NotebookEdit, or multi-file inputs).
+ *
+ * A pipeline of hook actions answers once: isFinal tells when a step ends
+ * it, and combineResults merges the steps' results.
+ *
+ * Payloads can be simulated (lib/hooks/simulate), and recorded and
+ * replayed against the decisions they got (lib/hooks/fixtures).
+ *
+ * @module lib/hooks
+ */
+
+'use strict';
+
+const path = require('path');
+const { config } = require('../core');
+const errors = require('../errors');
+const simulate = require('./simulate');
+const fixtures = require('./fixtures');
+
+/**
+ * Hook events, with the decisions a hook may return for each and whether
+ * it may add context for Claude. Events not listed take neither.
+ * @type {Object<string, {decisions: string[], context: boolean}>}
+ */
+const EVENTS = {
+  PreToolUse: { decisions: ['allow', 'deny', 'ask'], context: false },
+  PostToolUse: { decisions: ['block'], context: true },
+  UserPromptSubmit: { decisions: ['block'], context: true },
+  Stop: { decisions: ['block'], context: false },
+  SubagentStop: { decisions: ['block'], context: false },
+  SessionStart: { decisions: [], context: true },
+  SessionEnd: { decisions: [], context: false },
+  PreCompact: { decisions: [], context: false },
+  Notification: { decisions: [], context: false }
+};
+
+/**
+ * Exit code that sends a hook's stderr back as feedback
+ * @type {number}
+ */
+const FEEDBACK_EXIT_CODE = config.HOOK_FEEDBACK_EXIT_CODE;
+
+/**
+ * @typedef {Object} HookInput
+ * @property {string|null} event - hook_event_name (e.g. 'PreToolUse')
+ * @property {string|null} sessionId - session_id
+ * @property {string|null} transcriptPath - transcript_path
+ * @property {string|null} cwd - Directory Claude Code runs in
+ * @property {string|null} permissionMode - permission_mode (e.g. 'default', 'plan')
+ * @property {string|null} toolName - tool_name (PreToolUse, PostToolUse)
+ * @property {Object} toolInput - tool_input, or {} (PreToolUse, PostToolUse)
+ * @property {*} toolResponse - tool_response, or null (PostToolUse)
+ * @property {string|null} prompt - The prompt submitted (UserPromptSubmit)
+ * @property {boolean} stopHookActive - stop_hook_active: Claude is already continuing
+ *   because of a stop hook, so blocking again may loop (Stop, SubagentStop)
+ * @property {string|null} trigger - 'manual' or 'auto' (PreCompact)
+ * @property {string|null} customInstructions - custom_instructions (PreCompact)
+ * @property {string|null} source - 'startup', 'resume', 'clear' or 'compact' (SessionStart)
+ * @property {string|null} reason - Why the session ended (SessionEnd)
+ * @property {string|null} message - Notification text (Notification)
+ * @property {Object} raw - The payload as received
+ */
+
+/**
+ * @typedef {Object} HookResult
+ * @property {string} [decision] - 'allow', 'deny' or 'ask' (PreToolUse), or 'block'
+ *   (PostToolUse, UserPromptSubmit, Stop, SubagentStop)
+ * @property {string} [reason] - Why: shown to Claude for deny and block, to the user for allow and ask
+ * @property {string} [additionalContext] - Context for Claude (SessionStart, UserPromptSubmit, PostToolUse)
+ * @property {boolean} [continue] - false stops Claude after the hook
+ * @property {string} [stopReason] - Shown to the user when continue is false
+ * @property {string} [systemMessage] - Warning shown to the user
+ * @property {boolean} [suppressOutput] - Hide stdout from the transcript
+ * @property {string} [feedback] - Exit with code 2 and this on stderr instead of
+ *   returning JSON; the other fields are ignored
+ */
+
+/**
+ * Read an optional string field
+ *
+ * @param {Object} raw - Payload
+ * @param {string} key - Field name
+ * @returns {string|null}
+ */
+function stringField(raw, key) {
+  return typeof raw[key] === 'string' ? raw[key] : null;
+}
+
+/**
+ * Parse a hook's stdin
+ *
+ * Fields missing from the payload, or of the wrong type, are null (an
+ * empty object for toolInput), so actions can run when invoked by hand.
+ *
+ * @param {string} text - stdin; empty when the hook is run without input
+ * @returns {HookInput}
+ * @throws {errors.ValidationError} If the input is too large, not JSON, or not an object
+ *
+ * @example
+ * const input = parseInput('{"hook_event_name":"PreToolUse","tool_name":"Bash","tool_input":{"command":"ls"}}');
+ * input.toolInput.command; // 'ls'
+ */
+function parseInput(text) {
+  if (Buffer.byteLength(text) > config.MAX_STDIN_SIZE) {
+    throw new errors.ValidationError(`Hook input exceeds ${config.MAX_STDIN_SIZE} bytes`);
+  }
+
+  let raw = {};
+  if (text.trim()) {
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new errors.ValidationError(`Hook input is not JSON: ${e.message}`, { cause: e });
+    }
+  }
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new errors.ValidationError('Hook input is not a JSON object');
+  }
+
+  const toolInput = raw.tool_input;
+  return {
+    event: stringField(raw, 'hook_event_name'),
+    sessionId: stringField(raw, 'session_id'),
+    transcriptPath: stringField(raw, 'transcript_path'),
+    cwd: stringField(raw, 'cwd'),
+    permissionMode: stringField(raw, 'permission_mode'),
+    toolName: stringField(raw, 'tool_name'),
+    toolInput: toolInput !== null && typeof toolInput === 'object' && !Array.isArray(toolInput) ? toolInput : {},
+    toolResponse: raw.tool_response ?? null,
+    prompt: stringField(raw, 'prompt'),
+    stopHookActive: raw.stop_hook_active === true,
+    trigger: stringField(raw, 'trigger'),
+    customInstructions: stringField(raw, 'custom_instructions'),
+    source: stringField(raw, 'source'),
+    reason: stringField(raw, 'reason'),
+    message: stringField(raw, 'message'),
+    raw
+  };
+}
+
+/**
+ * List the files an edit tool's input touches
+ *
+ * Reads `file_path`, `notebook_path` (NotebookEdit), and the `file_path`
+ * of every entry in `files` or `edits` (multi-file inputs). Entries that
+ * are not strings are ignored.
+ *
+ * @param {Object} toolInput - tool_input (see HookInput)
+ * @param {string} [cwd=process.cwd()] - Directory relative paths are resolved from
+ * @returns {string[]} Absolute paths, without duplicates, in the order given
+ *
+ * @example
+ * touchedFiles({ file_path: '/repo/a.py', edits: [{ file_path: '/repo/b.py', old_string: 'x', new_string: 'y' }] });
+ * // ['/repo/a.py', '/repo/b.py']
+ */
+function touchedFiles(toolInput, cwd = process.cwd()) {
+  const entries = [toolInput.files, toolInput.edits]
+    .filter(Array.isArray)
+    .flat()
+    .map(entry => entry?.file_path);
+  const paths = [toolInput.file_path, toolInput.notebook_path, ...entries]
+    .filter(file => typeof file === 'string' && file.length > 0)
+    .map(file => path.resolve(cwd, file));
+  return [...new Set(paths)];
+}
+
+/**
+ * Build a hook's response to Claude Code
+ *
+ * @param {string} event - Hook event the result answers
+ * @param {HookResult|null|undefined} result - What the action returned; nothing lets
+ *   Claude Code carry on as if the hook did not run
+ * @returns {{exitCode: number, stdout: string, stderr: string}}
+ * @throws {errors.ValidationError} If the event takes no such decision or context
+ *
+ * @example
+ * buildOutput('PreToolUse', { decision: 'deny', reason: 'Protected branch' });
+ * // { exitCode: 0, stderr: '', stdout: '{"hookSpecificOutput":{"hookEventName":"PreToolUse",
+ * //   "permissionDecision":"deny","permissionDecisionReason":"Protected branch"}}' }
+ * buildOutput('Stop', { feedback: 'Tests are failing' });
+ * // { exitCode: 2, stdout: '', stderr: 'Tests are failing' }
+ */
+function buildOutput(event, result) {
+  if (!result) {
+    return { exitCode: 0, stdout: '', stderr: '' };
+  }
+  if (result.feedback) {
+    return { exitCode: FEEDBACK_EXIT_CODE, stdout: '', stderr: result.feedback };
+  }
+
+  const { decisions, context } = EVENTS[event] || { decisions: [], context: false };
+  const output = {};
+  const specific = {};
+
+  if (result.continue === false) {
+    output.continue = false;
+    if (result.stopReason) output.stopReason = result.stopReason;
+  }
+  if (result.systemMessage) output.systemMessage = result.systemMessage;
+  if (result.suppressOutput) output.suppressOutput = true;
+
+  if (result.decision) {
+    if (!decisions.includes(result.decision)) {
+      throw new errors.ValidationError(`${event} hooks cannot return a '${result.decision}' decision`);
+    }
+    if (event === 'PreToolUse') {
+      specific.permissionDecision = result.decision;
+      if (result.reason) specific.permissionDecisionReason = result.reason;
+    } else {
+      output.decision = result.decision;
+      output.reason = result.reason || `Blocked by ${event} hook`;
+    }
+  }
+
+  if (result.additionalContext) {
+    if (!context) {
+      throw new errors.ValidationError(`${event} hooks cannot add context`);
+    }
+    specific.additionalContext = result.additionalContext;
+  }
+
+  if (Object.keys(specific).length > 0) {
+    output.hookSpecificOutput = { hookEventName: event, ...specific };
+  }
+  return { exitCode: 0, stdout: Object.keys(output).length > 0 ? JSON.stringify(output) : '', stderr: '' };
+}
+
+/**
+ * Tell whether a result ends a pipeline: it denies or blocks, stops
+ * Claude, or gives feedback
+ *
+ * @param {HookResult|null|undefined} result - Result of a step
+ * @returns {boolean}
+ */
+function isFinal(result) {
+  return Boolean(result) &&
+    (Boolean(result.feedback) || result.continue === false || ['deny', 'block'].includes(result.decision));
+}
+
+/**
+ * Combine the results of a pipeline's steps into one
+ *
+ * Feedback wins outright. Otherwise the strongest decision is kept
+ * (deny or block, then ask, then allow) with its reason, the first
+ * `continue: false` with its stopReason, and every step's context and
+ * system message, in order. Output is suppressed only if every step
+ * asked for it.
+ *
+ * @param {Array<HookResult|null|undefined>} results - Results of the steps, in order
+ * @returns {HookResult|null} Null if no step returned anything
+ *
+ * @example
+ * combineResults([{ additionalContext: 'Formatted' }, null, { decision: 'block', reason: '1 lint error' }]);
+ * // { decision: 'block', reason: '1 lint error', additionalContext: 'Formatted' }
+ */
+function combineResults(results) {
+  const present = results.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+  const feedback = present.find(result => result.feedback);
+  if (feedback) {
+    return { feedback: feedback.feedback };
+  }
+
+  const combined = {};
+  const decided = ['deny', 'block', 'ask', 'allow']
+    .map(decision => present.find(result => result.decision === decision))
+    .find(Boolean);
+  if (decided) {
+    combined.decision = decided.decision;
+    if (decided.reason) combined.reason = decided.reason;
+  }
+
+  const stopped = present.find(result => result.continue === false);
+  if (stopped) {
+    combined.continue = false;
+    if (stopped.stopReason) combined.stopReason = stopped.stopReason;
+  }
+
+  const contexts = present.map(result => result.additionalContext).filter(Boolean);
+  if (contexts.length > 0) combined.additionalContext = contexts.join('\n\n');
+  const messages = present.map(result => result.systemMessage).filter(Boolean);
+  if (messages.length > 0) combined.systemMessage = messages.join('\n');
+  if (present.every(result => result.suppressOutput)) combined.suppressOutput = true;
+
+  return combined;
+}
+
+module.exports = {
+  EVENTS,
+  FEEDBACK_EXIT_CODE,
+  parseInput,
+  touchedFiles,
+  buildOutput,
+  isFinal,
+  combineResults,
+  simulate,
+  fixtures
+};
@@ -0,0 +1,225 @@
+/**
+ * Hook payload simulation
+ *
+ * Builds the JSON Claude Code sends a hook for an event, so hook actions
+ * and pipelines can be tried without a session (`hook-runner.js simulate`).
+ * Tool inputs and responses have the shapes Claude Code sends for Edit,
+ * MultiEdit, Write, Bash and NotebookEdit, filled in from the file on disk
+ * where the caller gives no content: an Edit of an existing file replaces
+ * its first line with itself, and a Write writes its current content.
+ *
+ * @module lib/hooks/simulate
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const errors = require('../errors');
+
+/**
+ * Session id of simulated payloads unless one is given
+ * @type {string}
+ */
+const SIMULATED_SESSION = 'simulated-session';
+
+/**
+ * @typedef {Object} SimulateOptions
+ * @property {string} [tool] - Tool name, for PreToolUse and PostToolUse
+ * @property {string} [file] - File edited (Edit, MultiEdit, Write, NotebookEdit)
+ * @property {string} [command] - Command run (Bash)
+ * @property {string} [content] - New content (Write), string (Edit, MultiEdit) or cell source (NotebookEdit)
+ * @property {string} [oldString] - String replaced (Edit, MultiEdit); defaults to the file's first line
+ * @property {string} [prompt] - Prompt submitted (UserPromptSubmit)
+ * @property {string} [sessionId] - session_id
+ * @property {string} [cwd] - cwd (defaults to the current directory)
+ * @property {boolean} [stopHookActive] - stop_hook_active (Stop, SubagentStop)
+ * @property {string} [message] - Notification text (Notification)
+ */
+
+/**
+ * Read a file, or '' if it does not exist
+ *
+ * @param {string} file - Absolute path
+ * @returns {string}
+ */
+function readOrEmpty(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Get the file a tool edits, as an absolute path
+ *
+ * @param {string} tool - Tool name
+ * @param {SimulateOptions} options - Options
+ * @returns {string}
+ * @throws {errors.ValidationError} If no file is given
+ */
+function requireFile(tool, options) {
+  if (!options.file) {
+    throw new errors.ValidationError(`${tool} needs a file to simulate`);
+  }
+  return path.resolve(options.cwd || process.cwd(), options.file);
+}
+
+/**
+ * Get the string an Edit or MultiEdit replaces and its replacement
+ *
+ * @param {string} original - File content
+ * @param {SimulateOptions} options - Options
+ * @returns {{oldString: string, newString: string}}
+ */
+function editStrings(original, options) {
+  const oldString = options.oldString ?? original.split('\n').find(line => line.trim()) ?? '';
+  return { oldString, newString: options.content ?? oldString };
+}
+
+/**
+ * Tool input and response builders by tool name
+ * @type {Object<string, {input: function(SimulateOptions): Object, response: function(SimulateOptions, Object): Object}>}
+ */
+const TOOLS = {
+  Edit: {
+    input: (options) => {
+      const file = requireFile('Edit', options);
+      const { oldString, newString } = editStrings(readOrEmpty(file), options);
+      return { file_path: file, old_string: oldString, new_string: newString };
+    },
+    response: (options, input) => ({
+      filePath: input.file_path,
+      oldString: input.old_string,
+      newString: input.new_string,
+      originalFile: readOrEmpty(input.file_path),
+      structuredPatch: [],
+      userModified: false,
+      replaceAll: false
+    })
+  },
+  MultiEdit: {
+    input: (options) => {
+      const file = requireFile('MultiEdit', options);
+      const { oldString, newString } = editStrings(readOrEmpty(file), options);
+      return { file_path: file, edits: [{ old_string: oldString, new_string: newString }] };
+    },
+    response: (options, input) => ({
+      filePath: input.file_path,
+      edits: input.edits.map(edit => ({ ...edit, replace_all: false })),
+      originalFileContents: readOrEmpty(input.file_path),
+      structuredPatch: [],
+      userModified: false
+    })
+  },
+  Write: {
+    input: (options) => {
+      const file = requireFile('Write', options);
+      return { file_path: file, content: options.content ?? readOrEmpty(file) };
+    },
+    response: (options, input) => ({
+      type: fs.existsSync(input.file_path) ? 'update' : 'create',
+      filePath: input.file_path,
+      content: input.content,
+      structuredPatch: []
+    })
+  },
+  Bash: {
+    input: (options) => {
+      if (!options.command) {
+        throw new errors.ValidationError('Bash needs a command to simulate');
+      }
+      return { command: options.command, description: `Run ${options.command.split(/\s+/)[0]}` };
+    },
+    response: () => ({ stdout: '', stderr: '', interrupted: false, isImage: false })
+  },
+  NotebookEdit: {
+    input: (options) => {
+      const file = requireFile('NotebookEdit', options);
+      return { notebook_path: file, new_source: options.content ?? '', cell_type: 'code', edit_mode: 'replace' };
+    },
+    response: (options, input) => ({
+      new_source: input.new_source,
+      cell_type: input.cell_type,
+      language: 'python',
+      edit_mode: input.edit_mode,
+      error: ''
+    })
+  }
+};
+
+/**
+ * Build the tool fields of a PreToolUse or PostToolUse payload
+ *
+ * @param {SimulateOptions} options - Options
+ * @param {boolean} withResponse - Add tool_response (PostToolUse)
+ * @returns {Object}
+ * @throws {errors.ValidationError} If the tool is missing or not simulated
+ */
+function toolFields(options, withResponse) {
+  const tool = TOOLS[options.tool];
+  if (!tool) {
+    throw new errors.ValidationError(
+      `Tool events need one of these tools: ${Object.keys(TOOLS).join(', ')}${options.tool ? ` (got ${options.tool})` : ''}`
+    );
+  }
+  const input = tool.input(options);
+  return {
+    tool_name: options.tool,
+    tool_input: input,
+    ...(withResponse ? { tool_response: tool.response(options, input) } : {})
+  };
+}
+
+/**
+ * Event-specific payload fields by event name
+ * @type {Object<string, function(SimulateOptions): Object>}
+ */
+const EVENT_FIELDS = {
+  PreToolUse: options => toolFields(options, false),
+  PostToolUse: options => toolFields(options, true),
+  UserPromptSubmit: options => ({ prompt: options.prompt ?? '' }),
+  Stop: options => ({ stop_hook_active: options.stopHookActive === true }),
+  SubagentStop: options => ({ stop_hook_active: options.stopHookActive === true }),
+  SessionStart: () => ({ source: 'startup' }),
+  SessionEnd: () => ({ reason: 'other' }),
+  PreCompact: () => ({ trigger: 'manual', custom_instructions: '' }),
+  Notification: options => ({ message: options.message ?? 'Claude needs your permission to use Bash' })
+};
+
+/**
+ * Build the payload Claude Code would send a hook for an event
+ *
+ * @param {string} event - Hook event (e.g. 'PreToolUse')
+ * @param {SimulateOptions} [options={}] - What the payload describes
+ * @returns {Object} Payload, as parseInput expects it on stdin
+ * @throws {errors.ValidationError} If the event is unknown, or the tool or what it needs is missing
+ *
+ * @example
+ * buildPayload('PreToolUse', { tool: 'Bash', command: 'rm -rf /' });
+ * // { session_id: 'simulated-session', transcript_path: '...', cwd: '/repo', permission_mode: 'default',
+ * //   hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'rm -rf /', description: 'Run rm' } }
+ */
+function buildPayload(event, options = {}) {
+  const fields = EVENT_FIELDS[event];
+  if (!fields) {
+    throw new errors.ValidationError(`Unknown hook event: ${event} (expected one of ${Object.keys(EVENT_FIELDS).join(', ')})`);
+  }
+  const sessionId = options.sessionId || SIMULATED_SESSION;
+  return {
+    session_id: sessionId,
+    transcript_path: path.join(os.homedir(), '.claude', 'projects', 'simulated', `${sessionId}.jsonl`),
+    cwd: path.resolve(options.cwd || process.cwd()),
+    permission_mode: 'default',
+    hook_event_name: event,
+    ...fields(options)
+  };
+}
+
+module.exports = {
+  TOOLS,
+  EVENT_FIELDS,
+  buildPayload
+};
@@ -0,0 +1,174 @@
+/**
+ * Orchestrator domain registry
+ *
+ * Combines the built-in domains (config.DOMAIN_AGENTS,
+ * config.DOMAIN_DEPENDENCIES, config.HANDOFF_GRAPH) with domains a project
+ * registers through the `domains` setting, e.g.
+ *
+ *   "domains": {
+ *     "security": { "agent": "security-standards", "dependsOn": ["validation"], "requiredBy": ["test"] }
+ *   }
+ *
+ * The parser, orchestrator and handoff tracker all read domains from here.
+ *
+ * @module lib/orchestrator/domains
+ */
+
+'use strict';
+
+const config = require('../core/config');
+const { topologicalSort } = require('../core/graph');
+const errors = require('../errors');
+const settings = require('../settings');
+
+/**
+ * Look up a domain, failing with a clear message when it is not defined
+ *
+ * @param {Object<string, string>} agents - Domain to agent map
+ * @param {string} name - Domain referenced
+ * @param {string} referrer - Domain holding the reference
+ * @param {string} field - Setting the reference is in
+ * @returns {string} The domain's agent
+ * @throws {errors.ConfigError} If the domain is unknown
+ */
+function requireDomain(agents, name, referrer, field) {
+  if (!agents[name]) {
+    throw new errors.ConfigError(`Unknown domain '${name}' in domains.${referrer}.${field}`);
+  }
+  return agents[name];
+}
+
+/**
+ * Build the full domain definitions
+ *
+ * Project domains are added after the built-ins; an entry named after a
+ * built-in domain overrides its agent and/or dependencies. Each project
+ * domain also joins the handoff graph: its dependencies' agents may hand
+ * off to it, and it may hand off to the domains in its `handoffs`.
+ *
+ * @param {Object} [options={}] - Settings options (see settings.loadSettings)
+ * @returns {{agents: Object<string, string>, dependencies: Object<string, string[]>,
+ *   handoffs: Object<string, string[]>}} Domain to agent, domain to
+ *   dependencies, and agent to handoff target agents
+ * @throws {errors.ConfigError} If a project domain references an unknown domain
+ */
+function getDomainDefinitions(options = {}) {
+  const custom = settings.getSettings(options).domains || {};
+  const agents = { ...config.DOMAIN_AGENTS };
+  const dependencies = {};
+  for (const [name, deps] of Object.entries(config.DOMAIN_DEPENDENCIES)) {
+    dependencies[name] = [...deps];
+  }
+
+  for (const [name, spec] of Object.entries(custom)) {
+    agents[name] = spec.agent || agents[name] || `${name}-standards`;
+    dependencies[name] = [...(spec.dependsOn || dependencies[name] || [])];
+  }
+
+  // Handoffs are tracked per domain until every agent name is final
+  const domainOf = Object.fromEntries(
+    Object.entries(config.DOMAIN_AGENTS).map(([name, agent]) => [agent, name]));
+  const domainHandoffs = {};
+  for (const [agent, targets] of Object.entries(config.HANDOFF_GRAPH)) {
+    domainHandoffs[domainOf[agent]] = targets.map(target => domainOf[target]);
+  }
+  const addHandoff = (from, to) => {
+    domainHandoffs[from] = domainHandoffs[from] || [];
+    if (!domainHandoffs[from].includes(to)) {
+      domainHandoffs[from].push(to);
+    }
+  };
+
+  for (const [name, spec] of Object.entries(custom)) {
+    for (const dep of spec.dependsOn || []) {
+      requireDomain(agents, dep, name, 'dependsOn');
+      addHandoff(dep, name);
+    }
+    for (const dependent of spec.requiredBy || []) {
+      requireDomain(agents, dependent, name, 'requiredBy');
+      if (!dependencies[dependent].includes(name)) {
+        dependencies[dependent].push(name);
+      }
+    }
+    for (const target of spec.handoffs || []) {
+      requireDomain(agents, target, name, 'handoffs');
+      addHandoff(name, target);
+    }
+  }
+
+  const handoffs = {};
+  for (const [from, targets] of Object.entries(domainHandoffs)) {
+    handoffs[agents[from]] = targets.map(target => agents[target]);
+  }
+
+  return { agents, dependencies, handoffs };
+}
+
+/**
+ * Get every domain and its agent
+ *
+ * @param {Object} [options={}] - Settings options
+ * @returns {Object<string, string>} Domain name to agent name
+ *
+ * @example
+ * getDomains().security; // 'security-standards' once registered in settings
+ */
+function getDomains(options = {}) {
+  return getDomainDefinitions(options).agents;
+}
+
+/**
+ * Get every domain name (not including 'all')
+ *
+ * @param {Object} [options={}] - Settings options
+ * @returns {string[]}
+ */
+function getDomainNames(options = {}) {
+  return Object.keys(getDomains(options));
+}
+
+/**
+ * Get the order domains run in for domain=all
+ *
+ * @param {Object} [options={}] - Settings options
+ * @returns {string[]} Domains, each after all of its dependencies
+ * @throws {errors.ConfigError} If the dependencies are unknown or circular
+ *
+ * @example
+ * getExecutionOrder(); // ['naming', 'validation', 'error', ..., 'test']
+ */
+function getExecutionOrder(options = {}) {
+  return topologicalSort(getDomainDefinitions(options).dependencies, 'domain');
+}
+
+/**
+ * Get the domain an agent implements
+ *
+ * @param {string} agent - Agent name like 'logging-standards'
+ * @param {Object} [options={}] - Settings options
+ * @returns {string} Domain name; for unknown agents, the name without its
+ *   '-standards' suffix
+ */
+function getDomainForAgent(agent, options = {}) {
+  const entry = Object.entries(getDomains(options)).find(([, name]) => name === agent);
+  return entry ? entry[0] : agent.replace('-standards', '');
+}
+
+/**
+ * Get the handoff graph including project domains
+ *
+ * @param {Object} [options={}] - Settings options
+ * @returns {Object<string, string[]>} Source agent to typical target agents
+ */
+function getHandoffGraph(options = {}) {
+  return getDomainDefinitions(options).handoffs;
+}
+
+module.exports = {
+  getDomainDefinitions,
+  getDomains,
+  getDomainNames,
+  getExecutionOrder,
+  getDomainForAgent,
+  getHandoffGraph
+};
@@ -11,21 +11,8 @@
 
 'use strict';
 
-/**
- * Known handoff dependencies between agents.
- * Maps source agent to array of typical target agents.
- * @type {Object<string, string[]>}
- */
-const HANDOFF_GRAPH = {
-  'error-standards': ['logging-standards', 'test-standards'],
-  'logging-standards': ['test-standards'],
-  'type-standards': ['lint-standards', 'test-standards'],
-  'validation-standards': ['error-standards', 'test-standards'],
-  'housekeeping-standards': ['git-standards', 'test-standards'],
-  'naming-standards': ['test-standards', 'type-standards'],
-  'git-standards': ['test-standards'],
-  'lint-standards': ['test-standards']
-};
+const { HANDOFF_GRAPH } = require('../core/config');
+const domains = require('./domains');
 
 /**
  * Handoff queue
@@ -169,6 +156,8 @@ function fail(id, reason) {
 /**
  * Get suggested handoffs for an agent based on known dependencies
  *
+ * Includes handoffs to and from project-defined domains (see lib/orchestrator/domains).
+ *
  * @param {string} fromAgent - Agent that just completed work
  * @returns {string[]} List of agents that typically need handoffs
  *
@@ -177,7 +166,7 @@ function fail(id, reason) {
  * // ['logging-standards', 'test-standards']
  */
 function getSuggestedHandoffs(fromAgent) {
-  return HANDOFF_GRAPH[fromAgent] || [];
+  return domains.getHandoffGraph()[fromAgent] || [];
 }
 
 /**
@@ -10,8 +10,10 @@
 
 'use strict';
 
-const { DOMAIN_EXECUTION_ORDER } = require('../core/config');
+const { DOMAIN_AGENTS, DOMAIN_EXECUTION_ORDER } = require('../core/config');
+const errors = require('../errors');
 const git = require('../git');
+const domains = require('./domains');
 
 /**
  * Workflow phases in execution order
@@ -20,20 +22,11 @@ const git = require('../git');
 const PHASES = ['design', 'validate-design', 'build', 'test', 'validate'];
 
 /**
- * Available domains and their agent mappings
+ * Built-in domains and their agent mappings
+ * Project-defined domains are added at runtime (see lib/orchestrator/domains)
  * @type {Object<string, string>}
  */
-const DOMAINS = {
-  logging: 'logging-standards',
-  error: 'error-standards',
-  type: 'type-standards',
-  lint: 'lint-standards',
-  test: 'test-standards',
-  validation: 'validation-standards',
-  git: 'git-standards',
-  housekeeping: 'housekeeping-standards',
-  naming: 'naming-standards'
-};
+const DOMAINS = DOMAIN_AGENTS;
 
 /**
  * Orchestrator state
@@ -212,15 +205,25 @@ function commitPhaseChanges() {
 function initialize(params) {
   const { domain, phase, gitMode = 'auto' } = params;
 
+  let available;
+  let executionOrder;
+  try {
+    available = domains.getDomains();
+    executionOrder = domains.getExecutionOrder();
+  } catch (e) {
+    if (!(e instanceof errors.ConfigError)) throw e;
+    return { success: false, error: e.message };
+  }
+
   if (domain === 'all') {
     // Use dependency-sorted order instead of arbitrary Object.keys() order
-    state.domains = [...DOMAIN_EXECUTION_ORDER];
-  } else if (DOMAINS[domain]) {
+    state.domains = executionOrder;
+  } else if (available[domain]) {
     state.domains = [domain];
   } else {
     return {
       success: false,
-      error: `Unknown domain: ${domain}. Valid domains: ${Object.keys(DOMAINS).join(', ')}, all`
+      error: `Unknown domain: ${domain}. Valid domains: ${Object.keys(available).join(', ')}, all`
     };
   }
 
@@ -270,7 +273,7 @@ function getAgentPrompt() {
   if (!state.currentDomain) {
     return '';
   }
-  const agentName = DOMAINS[state.currentDomain];
+  const agentName = domains.getDomains()[state.currentDomain];
   return `@${agentName} phase=${state.currentPhase}`;
 }
 
@@ -692,8 +695,9 @@ function detectHandoffCycle(fromDomain, toDomain, completedDomains = []) {
   }
 
   // Check if handoff would violate dependency order
-  const fromIndex = DOMAIN_EXECUTION_ORDER.indexOf(fromDomain);
-  const toIndex = DOMAIN_EXECUTION_ORDER.indexOf(toDomain);
+  const executionOrder = domains.getExecutionOrder();
+  const fromIndex = executionOrder.indexOf(fromDomain);
+  const toIndex = executionOrder.indexOf(toDomain);
 
   if (toIndex !== -1 && fromIndex !== -1 && toIndex < fromIndex) {
     // Handoff goes backward in execution order - potential cycle
@@ -724,8 +728,9 @@ function detectHandoffCycle(fromDomain, toDomain, completedDomains = []) {
  * });
  */
 function registerHandoff(handoffRequest) {
-  // Extract domain from agent name (e.g., 'logging-standards' → 'logging')
-  const toDomain = handoffRequest.to.replace('-standards', '');
+  // Resolve the target agent's domain (e.g., 'logging-standards' → 'logging')
+  const toDomain = domains.getDomainForAgent(handoffRequest.to);
+  const fromAgent = domains.getDomains()[state.currentDomain];
 
   // Get list of completed domains
   const completedDomains = [...new Set(state.completedPhases.map(p => p.domain))];
@@ -735,7 +740,7 @@ function registerHandoff(handoffRequest) {
   if (cycleCheck.cycle) {
     state.history.push({
       type: 'handoff_skipped',
-      from: DOMAINS[state.currentDomain],
+      from: fromAgent,
       to: handoffRequest.to,
       reason: cycleCheck.reason,
       timestamp: new Date().toISOString()
@@ -750,7 +755,7 @@ function registerHandoff(handoffRequest) {
   const id = `handoff-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const entry = {
     id,
-    from: DOMAINS[state.currentDomain],
+    from: fromAgent,
     ...handoffRequest,
     status: 'pending',
     registeredAt: new Date().toISOString()
@@ -875,6 +880,7 @@ module.exports = {
   PHASES,
   DOMAINS,
   DOMAIN_EXECUTION_ORDER,
+  domains,
   initialize,
   getAgentPrompt,
   advancePhase,
@@ -9,14 +9,16 @@
 
 'use strict';
 
+const { DOMAIN_AGENTS } = require('../core/config');
+const errors = require('../errors');
+const domains = require('./domains');
+
 /**
- * Valid domains for the orchestrator
+ * Built-in domains for the orchestrator, plus 'all'
+ * Project-defined domains are accepted too (see getValidDomains)
  * @type {string[]}
  */
-const VALID_DOMAINS = [
-  'logging', 'error', 'type', 'lint', 'test',
-  'validation', 'git', 'housekeeping', 'naming', 'all'
-];
+const VALID_DOMAINS = [...Object.keys(DOMAIN_AGENTS), 'all'];
 
 /**
  * Valid phases for workflow execution
@@ -87,6 +89,16 @@ function parse(input) {
   return { agent, params };
 }
 
+/**
+ * Get every domain the orchestrator accepts, including project-defined ones
+ *
+ * @returns {string[]} Domain names plus 'all'
+ * @throws {errors.ConfigError} If the project's domain settings are inconsistent
+ */
+function getValidDomains() {
+  return [...domains.getDomainNames(), 'all'];
+}
+
 /**
  * Validate orchestrator parameters
  *
@@ -110,10 +122,18 @@ function validateOrchestratorParams(params) {
     return { valid: false, error: 'Missing required parameter: domain' };
   }
 
-  if (!VALID_DOMAINS.includes(params.domain)) {
+  let validDomains;
+  try {
+    validDomains = getValidDomains();
+  } catch (e) {
+    if (!(e instanceof errors.ConfigError)) throw e;
+    return { valid: false, error: e.message };
+  }
+
+  if (!validDomains.includes(params.domain)) {
     return {
       valid: false,
-      error: `Invalid domain: ${params.domain}. Valid: ${VALID_DOMAINS.join(', ')}`
+      error: `Invalid domain: ${params.domain}. Valid: ${validDomains.join(', ')}`
     };
   }
 
@@ -188,6 +208,7 @@ function formatParams(params) {
 
 module.exports = {
   VALID_DOMAINS,
+  getValidDomains,
   VALID_PHASES,
   VALID_GIT_MODES,
   parse,
@@ -0,0 +1,521 @@
+/**
+ * Project detection
+ *
+ * Scans a repository and reports every language present, with a confidence
+ * score from marker files (config.PROJECT_TYPE_PATTERNS) and source file
+ * counts (config.LANGUAGE_EXTENSIONS), plus the npm/pnpm/yarn workspaces,
+ * Python subprojects and Cargo/Go modules it contains.
+ *
+ * Reports are cached in memory and under ~/.claude/cache/dev-standards.
+ * A cached report is reused until a marker file it saw changes, a directory
+ * holding markers (or its parent) gains or loses entries, or it expires
+ * (config.TIMEOUTS.PROJECT_DETECTION_CACHE_MS).
+ *
+ * @module lib/project
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../core');
+const logging = require('../logging');
+
+/**
+ * Bumped whenever the report shape changes, so stale cache files are ignored
+ * @type {number}
+ */
+const REPORT_VERSION = 1;
+
+/**
+ * Detection reports, keyed by project root
+ * @type {Map<string, Object>}
+ */
+const cache = new Map();
+
+/**
+ * Map each marker file name to the languages it indicates
+ *
+ * @returns {Map<string, string[]>}
+ */
+function markerLanguages() {
+  const markers = new Map();
+  for (const [type, files] of Object.entries(config.PROJECT_TYPE_PATTERNS)) {
+    const language = config.PROJECT_TYPE_LANGUAGES[type] || type;
+    for (const file of files) {
+      markers.set(file, [...(markers.get(file) || []), language]);
+    }
+  }
+  return markers;
+}
+
+/**
+ * Map each source extension to the languages it counts towards
+ *
+ * @returns {Map<string, string[]>}
+ */
+function extensionLanguages() {
+  const extensions = new Map();
+  for (const [language, exts] of Object.entries(config.LANGUAGE_EXTENSIONS)) {
+    for (const ext of exts) {
+      extensions.set(ext, [...(extensions.get(ext) || []), language]);
+    }
+  }
+  return extensions;
+}
+
+/**
+ * Check whether the scan should skip a directory
+ *
+ * @param {string} name - Directory name
+ * @returns {boolean}
+ */
+function isIgnoredDir(name) {
+  return name.startsWith('.') ||
+    config.DETECTION_IGNORE_DIRS.includes(name) ||
+    config.VENV_NAMES.includes(name);
+}
+
+/**
+ * Walk a project collecting marker files and per-language file counts
+ *
+ * Breadth-first, so when config.DETECTION_LIMITS cuts the scan short the
+ * shallow directories (where markers usually live) have been seen.
+ *
+ * @param {string} root - Project root
+ * @returns {{markers: Array<{file: string, path: string, languages: string[]}>,
+ *   files: Object<string, number>, sourceFiles: number, scannedFiles: number, truncated: boolean}}
+ *   Marker paths are relative to the root, with forward slashes
+ */
+function scanProject(root) {
+  const markerMap = markerLanguages();
+  const extMap = extensionLanguages();
+  const { maxDepth, maxFiles } = config.DETECTION_LIMITS;
+
+  const result = { markers: [], files: {}, sourceFiles: 0, scannedFiles: 0, truncated: false };
+  const queue = [{ dir: root, rel: '', depth: 0 }];
+
+  while (queue.length > 0) {
+    const { dir, rel, depth } = queue.shift();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      logging.debug(`Project scan skipped ${dir}: ${e.message}`);
+      continue;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (depth < maxDepth && !isIgnoredDir(entry.name)) {
+          queue.push({ dir: path.join(dir, entry.name), rel: relPath, depth: depth + 1 });
+        }
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      if (result.scannedFiles >= maxFiles) {
+        result.truncated = true;
+        return result;
+      }
+      result.scannedFiles++;
+
+      if (markerMap.has(entry.name)) {
+        result.markers.push({ file: entry.name, path: relPath, languages: markerMap.get(entry.name) });
+      }
+
+      const languages = extMap.get(path.extname(entry.name).toLowerCase());
+      if (languages) {
+        result.sourceFiles++;
+        for (const language of languages) {
+          result.files[language] = (result.files[language] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Score every language found by a scan
+ *
+ * A marker in the project root scores 0.6 and a marker only in
+ * subdirectories 0.3; the language's share of all source files adds up to
+ * 0.4 on top.
+ *
+ * @param {Object} scan - Result of scanProject
+ * @returns {Array<{language: string, confidence: number, files: number, markers: string[]}>}
+ *   Highest confidence first
+ */
+function scoreLanguages(scan) {
+  const languages = new Set([
+    ...Object.keys(scan.files),
+    ...scan.markers.flatMap(m => m.languages)
+  ]);
+
+  return [...languages]
+    .map(language => {
+      const markers = scan.markers.filter(m => m.languages.includes(language)).map(m => m.path);
+      const markerScore = markers.some(m => !m.includes('/')) ? 0.6 : (markers.length > 0 ? 0.3 : 0);
+      const files = scan.files[language] || 0;
+      const share = scan.sourceFiles > 0 ? files / scan.sourceFiles : 0;
+      const confidence = Math.round((markerScore + 0.4 * share) * 100) / 100;
+      return { language, confidence, files, markers };
+    })
+    .filter(entry => entry.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence || a.language.localeCompare(b.language));
+}
+
+/**
+ * Read a file, returning null if it cannot be read
+ *
+ * @param {string} file - Path
+ * @returns {string|null}
+ */
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compile a workspace glob (e.g. 'packages/*') into an exact-match RegExp
+ *
+ * @param {string} pattern - Workspace pattern relative to the root
+ * @returns {RegExp}
+ */
+function workspacePatternToRegExp(pattern) {
+  const body = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split(/(\*\*|\*)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${body}$`);
+}
+
+/**
+ * Read the package patterns of a pnpm-workspace.yaml
+ *
+ * @param {string} content - File content
+ * @returns {string[]}
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of content.split('\n')) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\S/.test(line)) {
+      break;
+    } else if (inPackages) {
+      const item = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (item) patterns.push(item[1]);
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Find the JavaScript workspaces declared in the project root
+ *
+ * @param {string} root - Project root
+ * @param {Object} scan - Result of scanProject
+ * @returns {Array<{manager: string, patterns: string[], packages: string[]}>}
+ *   `packages` are the directories holding a package.json that match
+ */
+function findWorkspaces(root, scan) {
+  let manager = null;
+  let patterns = [];
+
+  const pnpm = readText(path.join(root, 'pnpm-workspace.yaml'));
+  if (pnpm !== null) {
+    manager = 'pnpm';
+    patterns = parsePnpmWorkspace(pnpm);
+  } else {
+    let pkg = null;
+    try {
+      pkg = JSON.parse(readText(path.join(root, 'package.json')) || 'null');
+    } catch (e) {
+      logging.debug(`Invalid package.json in ${root}: ${e.message}`);
+    }
+    const declared = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+    if (Array.isArray(declared)) {
+      manager = fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm';
+      patterns = declared.filter(p => typeof p === 'string');
+    }
+  }
+
+  if (!manager) {
+    return [];
+  }
+
+  const include = patterns.filter(p => !p.startsWith('!')).map(workspacePatternToRegExp);
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => workspacePatternToRegExp(p.slice(1)));
+  const packages = scan.markers
+    .filter(m => m.file === 'package.json' && m.path.includes('/'))
+    .map(m => path.posix.dirname(m.path))
+    .filter(dir => include.some(re => re.test(dir)) && !exclude.some(re => re.test(dir)));
+
+  return [{ manager, patterns, packages }];
+}
+
+/**
+ * Find Python subprojects (directories with pyproject.toml or setup.py)
+ *
+ * @param {Object} scan - Result of scanProject
+ * @returns {string[]} Directories relative to the root ('.' for the root)
+ */
+function findPythonProjects(scan) {
+  const dirs = scan.markers
+    .filter(m => m.file === 'pyproject.toml' || m.file === 'setup.py')
+    .map(m => path.posix.dirname(m.path));
+  return [...new Set(dirs)];
+}
+
+/**
+ * Find Cargo crates and Go modules
+ *
+ * @param {string} root - Project root
+ * @param {Object} scan - Result of scanProject
+ * @returns {Array<{type: string, path: string, name: string|null, workspace?: boolean}>}
+ *   Cargo entries flag whether the manifest declares a [workspace]
+ */
+function findModules(root, scan) {
+  const modules = [];
+
+  for (const marker of scan.markers) {
+    const dir = path.posix.dirname(marker.path);
+    const content = marker.file === 'Cargo.toml' || marker.file === 'go.mod'
+      ? readText(path.join(root, marker.path)) || ''
+      : null;
+
+    if (marker.file === 'Cargo.toml') {
+      const name = content.match(/\[package\][^[]*?^\s*name\s*=\s*"([^"]+)"/m);
+      modules.push({
+        type: 'cargo',
+        path: dir,
+        name: name ? name[1] : null,
+        workspace: /^\s*\[workspace\]/m.test(content)
+      });
+    } else if (marker.file === 'go.mod') {
+      const name = content.match(/^\s*module\s+(\S+)/m);
+      modules.push({ type: 'go', path: dir, name: name ? name[1] : null });
+    }
+  }
+
+  return modules;
+}
+
+/**
+ * Record what a cached report depends on
+ *
+ * @param {string} root - Project root
+ * @param {Object} scan - Result of scanProject
+ * @returns {Object<string, number>} Relative path ('.' for the root) to mtime
+ */
+function computeSignature(root, scan) {
+  const paths = new Set(['.']);
+  for (const marker of scan.markers) {
+    const dir = path.posix.dirname(marker.path);
+    paths.add(marker.path);
+    paths.add(dir);
+    paths.add(path.posix.dirname(dir));
+  }
+
+  const signature = {};
+  for (const rel of paths) {
+    try {
+      signature[rel] = fs.statSync(path.join(root, rel)).mtimeMs;
+    } catch {
+      signature[rel] = null;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Check whether the files a report depends on are unchanged
+ *
+ * @param {string} root - Project root
+ * @param {Object<string, number>} signature - From computeSignature
+ * @returns {boolean}
+ */
+function signatureMatches(root, signature) {
+  return Object.entries(signature).every(([rel, mtime]) => {
+    try {
+      return fs.statSync(path.join(root, rel)).mtimeMs === mtime;
+    } catch {
+      return mtime === null;
+    }
+  });
+}
+
+/**
+ * Get the cache file for a project's detection report
+ *
+ * @param {string} root - Project root
+ * @returns {string}
+ */
+function getCacheFile(root) {
+  const hash = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').slice(0, 16);
+  return path.join(os.homedir(), config.PROJECT_CACHE_DIR, `project-${hash}.json`);
+}
+
+/**
+ * Check whether a cached report can still be used
+ *
+ * @param {string} root - Project root
+ * @param {Object} entry - Cached {version, createdAt, signature, report}
+ * @returns {boolean}
+ */
+function isFresh(root, entry) {
+  return entry?.version === REPORT_VERSION &&
+    Date.now() - entry.createdAt < config.TIMEOUTS.PROJECT_DETECTION_CACHE_MS &&
+    signatureMatches(root, entry.signature);
+}
+
+/**
+ * Detect the languages and subprojects of a project
+ *
+ * @param {string} [root=process.cwd()] - Project root
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.fresh=false] - Ignore cached reports
+ * @param {boolean} [options.persist=true] - Read and write the on-disk cache
+ * @returns {{root: string, languages: Array<{language: string, confidence: number, files: number,
+ *   markers: string[]}>, workspaces: Array<Object>, pythonProjects: string[], modules: Array<Object>,
+ *   scannedFiles: number, truncated: boolean}}
+ *
+ * @example
+ * detect('/repo').languages
+ * // [{ language: 'python', confidence: 0.87, files: 120, markers: ['pyproject.toml'] },
+ * //  { language: 'typescript', confidence: 0.35, files: 40, markers: ['web/tsconfig.json'] }, ...]
+ */
+function detect(root = process.cwd(), options = {}) {
+  const { fresh = false, persist = true } = options;
+  const resolved = path.resolve(root);
+  const cacheFile = getCacheFile(resolved);
+
+  if (!fresh) {
+    const memory = cache.get(resolved);
+    if (memory && isFresh(resolved, memory)) {
+      return memory.report;
+    }
+
+    if (persist) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        if (isFresh(resolved, entry) && entry.report.root === resolved) {
+          cache.set(resolved, entry);
+          return entry.report;
+        }
+      } catch {
+        // No usable cache file - scan below
+      }
+    }
+  }
+
+  const scan = scanProject(resolved);
+  const report = {
+    root: resolved,
+    languages: scoreLanguages(scan),
+    workspaces: findWorkspaces(resolved, scan),
+    pythonProjects: findPythonProjects(scan),
+    modules: findModules(resolved, scan),
+    scannedFiles: scan.scannedFiles,
+    truncated: scan.truncated
+  };
+  const entry = {
+    version: REPORT_VERSION,
+    createdAt: Date.now(),
+    signature: computeSignature(resolved, scan),
+    report
+  };
+
+  cache.set(resolved, entry);
+  if (persist) {
+    try {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify(entry));
+    } catch (e) {
+      logging.debug(`Failed to save project detection cache: ${e.message}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Get the languages detected with at least a given confidence
+ *
+ * @param {string} [root=process.cwd()] - Project root
+ * @param {number} [minConfidence=config.DETECTION_MIN_CONFIDENCE] - Threshold
+ * @returns {string[]} Language names, highest confidence first
+ */
+function getLanguages(root = process.cwd(), minConfidence = config.DETECTION_MIN_CONFIDENCE) {
+  return detect(root).languages
+    .filter(entry => entry.confidence >= minConfidence)
+    .map(entry => entry.language);
+}
+
+/**
+ * Summarize a report in one line per topic, for session context
+ *
+ * @param {Object} report - Result of detect()
+ * @returns {string[]}
+ */
+function describe(report) {
+  const lines = [];
+  if (report.languages.length > 0) {
+    lines.push(`Languages: ${report.languages.map(l => `${l.language} (${l.confidence})`).join(', ')}`);
+  }
+  for (const workspace of report.workspaces) {
+    lines.push(`${workspace.manager} workspaces: ${workspace.packages.join(', ') || '(none found)'}`);
+  }
+  const pythonSubprojects = report.pythonProjects.filter(dir => dir !== '.');
+  if (pythonSubprojects.length > 0) {
+    lines.push(`Python projects: ${pythonSubprojects.join(', ')}`);
+  }
+  for (const type of ['cargo', 'go']) {
+    const modules = report.modules.filter(m => m.type === type);
+    if (modules.length > (type === 'cargo' ? 1 : 0) || modules.some(m => m.path !== '.')) {
+      lines.push(`${type === 'cargo' ? 'Cargo crates' : 'Go modules'}: ${modules.map(m => m.name || m.path).join(', ')}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Clear the in-memory report cache
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  isIgnoredDir,
+  scanProject,
+  scoreLanguages,
+  findWorkspaces,
+  findPythonProjects,
+  findModules,
+  getCacheFile,
+  detect,
+  getLanguages,
+  describe,
+  clearCache
+};
@@ -0,0 +1,493 @@
+/**
+ * JSON Schema validation
+ *
+ * Dependency-free validator for the subset of JSON Schema (draft 2020-12,
+ * plus the draft-07 spellings `definitions` and array-form `items`) used by
+ * the schemas in schemas/. Errors carry JSON-pointer paths into the
+ * validated instance.
+ *
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, patternProperties, propertyNames, minProperties,
+ * maxProperties, items, prefixItems, contains, minItems, maxItems,
+ * uniqueItems, minLength, maxLength, pattern, format, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, $ref (same-document),
+ * allOf, anyOf, oneOf, not, if/then/else. Annotation keywords (title,
+ * description, default, examples, $comment) are ignored.
+ *
+ * @module lib/schema
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../core');
+const errors = require('../errors');
+
+/**
+ * Format validators for the `format` keyword
+ * @type {Object<string, function(string): boolean>}
+ */
+const FORMATS = {
+  'date-time': s => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) &&
+    !Number.isNaN(Date.parse(s)),
+  date: s => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)),
+  time: s => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(s),
+  email: s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  uri: s => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(s),
+  'uri-reference': s => !/\s/.test(s),
+  uuid: s => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s),
+  regex: s => {
+    try {
+      new RegExp(s, 'u');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Loaded schema files, keyed by absolute path
+ * @type {Map<string, Object>}
+ */
+const cache = new Map();
+
+/**
+ * Escape a key for use in a JSON pointer (RFC 6901)
+ *
+ * @param {string|number} key - Object key or array index
+ * @returns {string}
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a JSON pointer against a document
+ *
+ * @param {Object} doc - Root document
+ * @param {string} pointer - Pointer like '/$defs/Node' ('' is the root)
+ * @returns {*} Target value, or undefined if it does not exist
+ */
+function resolvePointer(doc, pointer) {
+  if (pointer === '') {
+    return doc;
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), doc);
+}
+
+/**
+ * Get the JSON type name of a value
+ *
+ * @param {*} value - Value to inspect
+ * @returns {string} One of null, boolean, integer, number, string, array, object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check JSON equality (used by const, enum and uniqueItems)
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || a === null || typeof a !== 'object') return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors
+ *
+ * @param {Object|boolean} schema - Schema node
+ * @param {*} value - Instance value
+ * @param {Object} ctx - Validation context
+ * @param {Object} ctx.root - Root schema (for $ref)
+ * @param {Array<Object>} ctx.errors - Collected errors
+ * @param {string} instancePath - JSON pointer to value
+ * @param {string} schemaPath - JSON pointer to schema node
+ */
+function check(schema, value, ctx, instancePath, schemaPath) {
+  const fail = (keyword, message) => {
+    ctx.errors.push({ path: instancePath, keyword, message, schemaPath: `${schemaPath}/${keyword}` });
+  };
+
+  if (schema === true) return;
+  if (schema === false) {
+    ctx.errors.push({ path: instancePath, keyword: 'false', message: 'is not allowed', schemaPath });
+    return;
+  }
+
+  const type = typeOf(value);
+
+  if (schema.$ref !== undefined) {
+    if (!schema.$ref.startsWith('#')) {
+      throw new errors.ValidationError(`Unsupported $ref (only same-document refs): ${schema.$ref}`);
+    }
+    const pointer = schema.$ref.slice(1);
+    const target = resolvePointer(ctx.root, pointer);
+    if (target === undefined) {
+      throw new errors.ValidationError(`Unresolvable $ref: ${schema.$ref}`);
+    }
+    check(target, value, ctx, instancePath, pointer);
+  }
+
+  if (schema.type !== undefined) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(t => t === type || (t === 'number' && type === 'integer'));
+    if (!matches) {
+      fail('type', `must be ${allowed.join(' or ')}, got ${type}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(value, option))) {
+    fail('enum', `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+
+  if (type === 'string') {
+    checkString(schema, value, fail);
+  } else if (type === 'number' || type === 'integer') {
+    checkNumber(schema, value, fail);
+  } else if (type === 'array') {
+    checkArray(schema, value, ctx, instancePath, schemaPath, fail);
+  } else if (type === 'object') {
+    checkObject(schema, value, ctx, instancePath, schemaPath, fail);
+  }
+
+  checkCombinators(schema, value, ctx, instancePath, schemaPath, fail);
+}
+
+/**
+ * Apply string keywords
+ *
+ * @param {Object} schema - Schema node
+ * @param {string} value - Instance value
+ * @param {function(string, string): void} fail - Error reporter
+ */
+function checkString(schema, value, fail) {
+  const length = [...value].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    fail('minLength', `must have at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    fail('maxLength', `must have at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    fail('pattern', `must match pattern ${schema.pattern}`);
+  }
+  if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    fail('format', `must be a valid ${schema.format}`);
+  }
+}
+
+/**
+ * Apply numeric keywords
+ *
+ * @param {Object} schema - Schema node
+ * @param {number} value - Instance value
+ * @param {function(string, string): void} fail - Error reporter
+ */
+function checkNumber(schema, value, fail) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail('minimum', `must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail('maximum', `must be <= ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+    fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+  }
+}
+
+/**
+ * Apply array keywords
+ *
+ * @param {Object} schema - Schema node
+ * @param {Array} value - Instance value
+ * @param {Object} ctx - Validation context
+ * @param {string} instancePath - JSON pointer to value
+ * @param {string} schemaPath - JSON pointer to schema node
+ * @param {function(string, string): void} fail - Error reporter
+ */
+function checkArray(schema, value, ctx, instancePath, schemaPath, fail) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail('minItems', `must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail('maxItems', `must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems === true) {
+    const duplicate = value.findIndex((item, i) => value.slice(0, i).some(prev => deepEqual(prev, item)));
+    if (duplicate !== -1) {
+      fail('uniqueItems', `must not contain duplicate items (index ${duplicate})`);
+    }
+  }
+
+  // draft 2020-12 prefixItems, or draft-07 tuple-form items
+  const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+  const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+  const tupleKey = schema.prefixItems ? 'prefixItems' : 'items';
+
+  value.forEach((item, i) => {
+    const itemPath = `${instancePath}/${i}`;
+    if (tuple && i < tuple.length) {
+      check(tuple[i], item, ctx, itemPath, `${schemaPath}/${tupleKey}/${i}`);
+    } else if (rest !== undefined) {
+      const restKey = Array.isArray(schema.items) ? 'additionalItems' : 'items';
+      check(rest, item, ctx, itemPath, `${schemaPath}/${restKey}`);
+    }
+  });
+
+  if (schema.contains !== undefined) {
+    const found = value.some(item => isValid(schema.contains, item, ctx.root));
+    if (!found) {
+      fail('contains', 'must contain at least one matching item');
+    }
+  }
+}
+
+/**
+ * Apply object keywords
+ *
+ * @param {Object} schema - Schema node
+ * @param {Object} value - Instance value
+ * @param {Object} ctx - Validation context
+ * @param {string} instancePath - JSON pointer to value
+ * @param {string} schemaPath - JSON pointer to schema node
+ * @param {function(string, string): void} fail - Error reporter
+ */
+function checkObject(schema, value, ctx, instancePath, schemaPath, fail) {
+  const keys = Object.keys(value);
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    fail('minProperties', `must have at least ${schema.minProperties} properties`);
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+  }
+
+  for (const key of schema.required || []) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) {
+      fail('required', `must have required property '${key}'`);
+    }
+  }
+
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {})
+    .map(([pattern, sub]) => ({ pattern, regex: new RegExp(pattern, 'u'), sub }));
+
+  for (const key of keys) {
+    const childPath = `${instancePath}/${escapePointer(key)}`;
+    let evaluated = false;
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      evaluated = true;
+      check(properties[key], value[key], ctx, childPath, `${schemaPath}/properties/${escapePointer(key)}`);
+    }
+
+    for (const { pattern, regex, sub } of patterns) {
+      if (regex.test(key)) {
+        evaluated = true;
+        check(sub, value[key], ctx, childPath, `${schemaPath}/patternProperties/${escapePointer(pattern)}`);
+      }
+    }
+
+    if (!evaluated && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        ctx.errors.push({
+          path: instancePath,
+          keyword: 'additionalProperties',
+          message: `must NOT have additional property '${key}'`,
+          schemaPath: `${schemaPath}/additionalProperties`
+        });
+      } else {
+        check(schema.additionalProperties, value[key], ctx, childPath, `${schemaPath}/additionalProperties`);
+      }
+    }
+
+    if (schema.propertyNames !== undefined && !isValid(schema.propertyNames, key, ctx.root)) {
+      fail('propertyNames', `property name '${key}' is invalid`);
+    }
+  }
+}
+
+/**
+ * Apply allOf, anyOf, oneOf, not and if/then/else
+ *
+ * @param {Object} schema - Schema node
+ * @param {*} value - Instance value
+ * @param {Object} ctx - Validation context
+ * @param {string} instancePath - JSON pointer to value
+ * @param {string} schemaPath - JSON pointer to schema node
+ * @param {function(string, string): void} fail - Error reporter
+ */
+function checkCombinators(schema, value, ctx, instancePath, schemaPath, fail) {
+  (schema.allOf || []).forEach((sub, i) => {
+    check(sub, value, ctx, instancePath, `${schemaPath}/allOf/${i}`);
+  });
+
+  if (schema.anyOf !== undefined && !schema.anyOf.some(sub => isValid(sub, value, ctx.root))) {
+    fail('anyOf', 'must match at least one schema in anyOf');
+  }
+
+  if (schema.oneOf !== undefined) {
+    const matches = schema.oneOf.filter(sub => isValid(sub, value, ctx.root)).length;
+    if (matches !== 1) {
+      fail('oneOf', `must match exactly one schema in oneOf (matched ${matches})`);
+    }
+  }
+
+  if (schema.not !== undefined && isValid(schema.not, value, ctx.root)) {
+    fail('not', 'must NOT match the schema in not');
+  }
+
+  if (schema.if !== undefined) {
+    const branch = isValid(schema.if, value, ctx.root) ? 'then' : 'else';
+    if (schema[branch] !== undefined) {
+      check(schema[branch], value, ctx, instancePath, `${schemaPath}/${branch}`);
+    }
+  }
+}
+
+/**
+ * Check a subschema without recording errors
+ *
+ * @param {Object|boolean} schema - Subschema
+ * @param {*} value - Instance value
+ * @param {Object} root - Root schema (for $ref)
+ * @returns {boolean}
+ */
+function isValid(schema, value, root) {
+  const ctx = { root, errors: [] };
+  check(schema, value, ctx, '', '');
+  return ctx.errors.length === 0;
+}
+
+/**
+ * Validate data against a schema
+ *
+ * @param {Object} schema - JSON schema
+ * @param {*} data - Instance to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string, schemaPath: string}>}}
+ * @throws {errors.ValidationError} If the schema uses an unresolvable $ref
+ *
+ * @example
+ * validate({ type: 'object', required: ['name'] }, {});
+ * // { valid: false, errors: [{ path: '', keyword: 'required',
+ * //   message: "must have required property 'name'", schemaPath: '/required' }] }
+ */
+function validate(schema, data) {
+  const ctx = { root: schema, errors: [] };
+  check(schema, data, ctx, '', '');
+  return { valid: ctx.errors.length === 0, errors: ctx.errors };
+}
+
+/**
+ * Load a schema file
+ *
+ * @param {string} schemaRef - Absolute path, or a name relative to schemas/
+ *   (e.g. 'config', 'reports/project-state', 'hooks.schema.json')
+ * @returns {Object} Parsed schema
+ * @throws {errors.ConfigError} If the schema file is missing or not JSON
+ */
+function loadSchema(schemaRef) {
+  let file = path.isAbsolute(schemaRef) ? schemaRef : path.join(config.SCHEMAS_DIR, schemaRef);
+  if (!file.endsWith('.json')) {
+    file += '.schema.json';
+  }
+
+  if (cache.has(file)) {
+    return cache.get(file);
+  }
+
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new errors.ConfigError(`Cannot load schema ${file}: ${e.message}`, { cause: e });
+  }
+
+  cache.set(file, schema);
+  return schema;
+}
+
+/**
+ * Validate data against a named schema from schemas/
+ *
+ * @param {string} schemaRef - Schema name or path (see loadSchema)
+ * @param {*} data - Instance to validate
+ * @returns {{valid: boolean, errors: Array<Object>}}
+ *
+ * @example
+ * validateAgainst('reports/project-state', report).valid
+ */
+function validateAgainst(schemaRef, data) {
+  return validate(loadSchema(schemaRef), data);
+}
+
+/**
+ * Format validation errors as readable lines
+ *
+ * @param {Array<{path: string, message: string}>} validationErrors - Errors from validate()
+ * @returns {string[]} Lines like '/formatters/py: must be string or object'
+ */
+function formatErrors(validationErrors) {
+  return validationErrors.map(e => `${e.path || '/'}: ${e.message}`);
+}
+
+/**
+ * Validate data and throw if invalid
+ *
+ * @param {string|Object} schemaRef - Schema object, name or path
+ * @param {*} data - Instance to validate
+ * @param {string} [label='data'] - What is being validated (for the message)
+ * @throws {errors.ValidationError} With `errors` holding the validation errors
+ */
+function assertValid(schemaRef, data, label = 'data') {
+  const schema = typeof schemaRef === 'string' ? loadSchema(schemaRef) : schemaRef;
+  const result = validate(schema, data);
+  if (!result.valid) {
+    const error = new errors.ValidationError(`Invalid ${label}: ${formatErrors(result.errors).join('; ')}`);
+    error.errors = result.errors;
+    throw error;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  escapePointer,
+  resolvePointer,
+  validate,
+  loadSchema,
+  validateAgainst,
+  formatErrors,
+  assertValid
+};
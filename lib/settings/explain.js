@@ -0,0 +1,182 @@
+/**
+ * Settings provenance
+ *
+ * Replays the settings layers with the same merge rules as loadSettings
+ * and records, for every effective value, the layer that set it and the
+ * lower-layer values it replaced. Backs `hook-runner.js config explain`.
+ *
+ * @module lib/settings/explain
+ */
+
+'use strict';
+
+const { config } = require('../core');
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * List the leaf values of a settings subtree
+ *
+ * Arrays, scalars and empty objects are leaves; mergeSettings replaces
+ * these outright and merges everything else key by key.
+ *
+ * @param {*} value - Subtree
+ * @param {string[]} [keys=[]] - Path of the subtree
+ * @returns {Array<{path: string[], value: *}>}
+ */
+function flattenLeaves(value, keys = []) {
+  if (!isPlainObject(value) || Object.keys(value).length === 0) {
+    return [{ path: keys, value }];
+  }
+  return Object.entries(value).flatMap(([key, child]) => flattenLeaves(child, [...keys, key]));
+}
+
+/**
+ * Describe where a layer's value came from
+ *
+ * @param {Object} layer - Layer from loadLayers
+ * @param {string[]} keys - Path of the value within the settings
+ * @returns {string} Label like 'profile python', 'detected biome (/repo/biome.json)' or
+ *   'env DEV_STANDARDS_FORMATTERS__PY'
+ */
+function describeSource(layer, keys) {
+  switch (layer.name) {
+    case 'defaults':
+      return 'plugin default';
+    case 'profile':
+      return `profile ${layer.profile}`;
+    case 'tool':
+      return `detected ${layer.tool} (${layer.source})`;
+    case 'env': {
+      // A JSON-valued variable can set a whole subtree; use the closest one
+      for (let n = keys.length; n > 0; n--) {
+        const name = layer.variables?.[keys.slice(0, n).join('.')];
+        if (name) return `env ${name}`;
+      }
+      return `env ${config.SETTINGS_ENV_PREFIX}*`;
+    }
+    default:
+      return `${layer.name} ${layer.source}`;
+  }
+}
+
+/**
+ * Trace every effective setting back to the layer that set it
+ *
+ * @param {Array<Object>} layers - Layers from loadLayers, lowest precedence first
+ * @returns {Array<{path: string[], value: *, layer: string, source: string,
+ *   overrides: Array<{path: string[], value: *, layer: string, source: string}>}>}
+ *   One entry per effective leaf value, in settings order. `overrides`
+ *   lists the replaced values, most recent first.
+ *
+ * @example
+ * explainLayers(loadLayers({ projectDir: '/repo' }))
+ *   .find(e => e.path.join('.') === 'formatters.py')
+ * // { value: 'black', layer: 'project', source: 'project /repo/.claude/dev-standards.json',
+ * //   overrides: [{ value: 'ruff format', layer: 'defaults', source: 'plugin default', ... }] }
+ */
+function explainLayers(layers) {
+  const merged = {};
+  const origins = new Map();
+  const id = keys => JSON.stringify(keys);
+
+  const apply = (target, data, keys, layer) => {
+    for (const [key, value] of Object.entries(data)) {
+      const childKeys = [...keys, key];
+
+      if (isPlainObject(value) && isPlainObject(target[key])) {
+        apply(target[key], value, childKeys, layer);
+        continue;
+      }
+
+      const replaced = key in target
+        ? flattenLeaves(target[key], childKeys).flatMap(leaf => {
+          const origin = origins.get(id(leaf.path));
+          origins.delete(id(leaf.path));
+          return origin ? [origin, ...origin.overrides] : [];
+        })
+        : [];
+
+      // Copy so merging later layers into it leaves this layer's data intact
+      target[key] = structuredClone(value);
+      // An object replacing a scalar reports the replaced value once, on its first leaf
+      flattenLeaves(value, childKeys).forEach((leaf, i) => {
+        origins.set(id(leaf.path), {
+          path: leaf.path,
+          value: leaf.value,
+          layer: layer.name,
+          source: describeSource(layer, leaf.path),
+          overrides: i === 0 ? replaced.map(({ overrides: _chain, ...rest }) => rest) : []
+        });
+      });
+    }
+  };
+
+  for (const layer of layers) {
+    apply(merged, layer.data, [], layer);
+  }
+
+  return flattenLeaves(merged)
+    .filter(leaf => leaf.path.length > 0)
+    .map(leaf => origins.get(id(leaf.path)));
+}
+
+/**
+ * Render an explanation as an indented tree
+ *
+ * @param {{layers: Array<Object>, entries: Array<Object>, valid: boolean, errors: string[]}} explanation
+ *   Result of settings.explain()
+ * @returns {string} Multi-line text
+ */
+function formatExplanation(explanation) {
+  const lines = ['Settings layers (lowest precedence first):'];
+  for (const layer of explanation.layers) {
+    const label = layer.profile || layer.tool;
+    lines.push(`  ${layer.name}${label ? ` (${label})` : ''}: ${layer.source}`);
+  }
+  lines.push('', 'Effective settings:');
+
+  let previous = [];
+  for (const entry of explanation.entries) {
+    const parents = entry.path.slice(0, -1);
+    let shared = 0;
+    while (shared < parents.length && parents[shared] === previous[shared]) {
+      shared++;
+    }
+    for (let depth = shared; depth < parents.length; depth++) {
+      lines.push(`${'  '.repeat(depth + 1)}${parents[depth]}:`);
+    }
+    previous = parents;
+
+    const indent = '  '.repeat(entry.path.length);
+    lines.push(`${indent}${entry.path[entry.path.length - 1]}: ${JSON.stringify(entry.value)}  [${entry.source}]`);
+    for (const replaced of entry.overrides) {
+      const where = replaced.path.join('.') === entry.path.join('.') ? '' : ` at ${replaced.path.join('.')}`;
+      lines.push(`${indent}  overrides ${JSON.stringify(replaced.value)}${where}  [${replaced.source}]`);
+    }
+  }
+
+  if (!explanation.valid) {
+    lines.push('', 'Invalid settings (plugin defaults are used instead):');
+    for (const error of explanation.errors) {
+      lines.push(`  ${error}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  flattenLeaves,
+  describeSource,
+  explainLayers,
+  formatExplanation
+};
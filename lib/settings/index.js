@@ -0,0 +1,567 @@
+/**
+ * Layered settings
+ *
+ * Builds the effective plugin configuration by merging, lowest precedence
+ * first: plugin defaults (config/defaults.json), the language profiles
+ * detected in the project (config/profiles/*.json), the formatters, linters
+ * and type checkers the project is configured for (lib/tools/adapters,
+ * including tools registered by the project's tool modules),
+ * the user-level settings file, the project-level settings file,
+ * directory-scoped settings files between the project root and the file
+ * being processed, and DEV_STANDARDS_* environment variables. The merged result is validated
+ * against schemas/config.schema.json before use.
+ *
+ * Objects merge key by key; arrays and scalars from a higher layer replace
+ * the lower value outright.
+ *
+ * @module lib/settings
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { config } = require('../core');
+const errors = require('../errors');
+const logging = require('../logging');
+const schema = require('../schema');
+const profiles = require('./profiles');
+const adapters = require('../tools/adapters');
+const registry = require('../tools/registry');
+const scope = require('./scope');
+const { explainLayers, formatExplanation } = require('./explain');
+
+/**
+ * Effective settings cache, keyed by project directory and file scope
+ * @type {Map<string, Object>}
+ */
+const cache = new Map();
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve the project directory settings are loaded for
+ *
+ * @param {string} [projectDir] - Explicit project directory
+ * @returns {string} Absolute project directory
+ */
+function resolveProjectDir(projectDir) {
+  return path.resolve(projectDir || process.env.CLAUDE_PROJECT_DIR || process.cwd());
+}
+
+/**
+ * Build the settings cache key for a set of options
+ *
+ * Files in the same directory share scoped layers and package root, so the
+ * directory is enough to tell scopes apart.
+ *
+ * @param {Object} options - Options (see loadLayers)
+ * @returns {string}
+ */
+function cacheKey(options) {
+  const dir = options.filePath ? path.dirname(path.resolve(options.filePath)) : '';
+  return `${resolveProjectDir(options.projectDir)}\0${dir}`;
+}
+
+/**
+ * Get the project-level settings file path
+ *
+ * @param {string} [projectDir] - Project directory
+ * @returns {string} Path to <project>/.claude/dev-standards.json
+ */
+function getProjectSettingsFile(projectDir) {
+  return path.join(resolveProjectDir(projectDir), config.SETTINGS_FILE);
+}
+
+/**
+ * Get the user-level settings file path
+ *
+ * @returns {string} Path to ~/.claude/dev-standards.json
+ */
+function getUserSettingsFile() {
+  return path.join(os.homedir(), config.SETTINGS_FILE);
+}
+
+/**
+ * Read a settings file
+ *
+ * @param {string} filePath - Path to a JSON settings file
+ * @returns {Object|null} Parsed settings, or null if the file does not exist
+ * @throws {errors.ConfigError} If the file is unreadable or not a JSON object
+ */
+function readSettingsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new errors.ConfigError(`Invalid settings file ${filePath}: ${e.message}`, { cause: e });
+  }
+
+  if (!isPlainObject(data)) {
+    throw new errors.ConfigError(`Settings file must contain a JSON object: ${filePath}`);
+  }
+
+  delete data.$schema;
+  return data;
+}
+
+/**
+ * Convert an env var segment to a settings key
+ *
+ * @param {string} segment - Segment like 'PROTECTED_BRANCHES' or 'PY'
+ * @returns {string} Key like 'protectedBranches' or 'py'
+ */
+function envSegmentToKey(segment) {
+  return segment
+    .toLowerCase()
+    .replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Convert an override variable name to the settings key path it sets
+ *
+ * @param {string} name - Variable name like 'DEV_STANDARDS_FORMATTERS__PY'
+ * @returns {string[]|null} Key path like ['formatters', 'py'], or null if
+ *   the variable is not a settings override
+ */
+function envNameToKeys(name) {
+  if (!name.startsWith(config.SETTINGS_ENV_PREFIX)) {
+    return null;
+  }
+
+  const keys = name
+    .slice(config.SETTINGS_ENV_PREFIX.length)
+    .split('__')
+    .filter(Boolean)
+    .map(envSegmentToKey);
+
+  return keys.length > 0 ? keys : null;
+}
+
+/**
+ * Read a value at a key path
+ *
+ * @param {Object} obj - Object to read from
+ * @param {string[]} keys - Key path
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function getPath(obj, keys) {
+  return keys.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), obj);
+}
+
+/**
+ * Set a value at a key path, creating intermediate objects
+ *
+ * @param {Object} obj - Object to write into
+ * @param {string[]} keys - Key path
+ * @param {*} value - Value to set
+ */
+function setPath(obj, keys, value) {
+  let node = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Parse environment variable overrides into a settings layer
+ *
+ * `__` separates nesting levels and each segment is converted to camelCase:
+ * DEV_STANDARDS_FORMATTERS__PY=black sets formatters.py. Values starting
+ * with `[` or `{` are parsed as JSON; values for keys whose default is an
+ * array are split on commas.
+ *
+ * @param {Object<string, string>} [env=process.env] - Environment to read
+ * @param {Object} [defaults={}] - Plugin defaults, used to detect array keys
+ * @returns {Object} Settings layer (empty if no overrides are set)
+ * @throws {errors.ConfigError} If a JSON-valued override does not parse
+ *
+ * @example
+ * readEnvSettings({ DEV_STANDARDS_PROTECTED_BRANCHES: 'main,trunk' }, defaults)
+ * // { protectedBranches: ['main', 'trunk'] }
+ */
+function readEnvSettings(env = process.env, defaults = {}) {
+  const layer = {};
+
+  for (const [name, raw] of Object.entries(env)) {
+    const keys = envNameToKeys(name);
+    if (!keys || typeof raw !== 'string') {
+      continue;
+    }
+
+    const trimmed = raw.trim();
+    let value = trimmed;
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        value = JSON.parse(trimmed);
+      } catch (e) {
+        throw new errors.ConfigError(`Invalid JSON in ${name}: ${e.message}`, { cause: e });
+      }
+    } else if (Array.isArray(getPath(defaults, keys))) {
+      value = trimmed.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    setPath(layer, keys, value);
+  }
+
+  return layer;
+}
+
+/**
+ * Deep-merge a settings layer over a base
+ *
+ * @param {Object} base - Lower-precedence settings
+ * @param {Object} override - Higher-precedence settings
+ * @returns {Object} New merged object (inputs are not modified)
+ */
+function mergeSettings(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeSettings(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load every settings layer in precedence order (lowest first)
+ *
+ * Layers whose file does not exist, or which set nothing, are omitted.
+ * Profile layers carry the profile name in `profile`; the env layer maps
+ * each dotted key path it sets to the variable that set it in `variables`.
+ *
+ * Each tool the project opted into (biome.json, `[tool.black]`, ...; see
+ * lib/tools/adapters) adds a `tool` layer after the profiles, naming it in
+ * `tool` and the file that showed it in `source`. Formatters from the
+ * defaults and profiles that the project has not opted into are dropped,
+ * so e.g. prettier only runs in a project that configures or installs it.
+ * Tool modules named by the toolModules setting (paths relative to the
+ * project root) are loaded before detection, so the tools they register
+ * are detected too.
+ *
+ * With `filePath`, profiles are detected in the file's package root rather
+ * than the project root, and every settings file in a directory between the
+ * project root and the file adds a `directory` layer (nearest last).
+ *
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.projectDir] - Project directory
+ * @param {string} [options.filePath] - File the settings are for
+ * @param {Object<string, string>} [options.env=process.env] - Environment
+ * @param {string} [options.userFile] - Override the user settings path
+ * @returns {Array<{name: string, source: string, data: Object, profile?: string, tool?: string,
+ *   variables?: Object<string, string>}>}
+ * @throws {errors.ConfigError} If any layer is malformed
+ */
+function loadLayers(options = {}) {
+  const {
+    env = process.env,
+    userFile = getUserSettingsFile()
+  } = options;
+  const projectDir = resolveProjectDir(options.projectDir);
+  const projectFile = getProjectSettingsFile(projectDir);
+
+  const defaults = readSettingsFile(config.DEFAULTS_FILE);
+  if (!defaults) {
+    throw new errors.ConfigError(`Plugin defaults not found: ${config.DEFAULTS_FILE}`);
+  }
+
+  // Overrides are read first, since the tool modules they list can
+  // register tools that detection below should find
+  const overrides = [];
+  const user = readSettingsFile(userFile);
+  if (user) {
+    overrides.push({ name: 'user', source: userFile, data: user });
+  }
+
+  // The project file wins over the user file, but not when they are the
+  // same file (project opened at the home directory)
+  if (path.resolve(projectFile) !== path.resolve(userFile)) {
+    const project = readSettingsFile(projectFile);
+    if (project) {
+      overrides.push({ name: 'project', source: projectFile, data: project });
+    }
+  }
+
+  if (options.filePath) {
+    for (const file of scope.findScopedSettingsFiles(options.filePath, projectDir)) {
+      overrides.push({ name: 'directory', source: file, data: readSettingsFile(file) });
+    }
+  }
+
+  const envLayer = readEnvSettings(env, defaults);
+  if (Object.keys(envLayer).length > 0) {
+    const variables = {};
+    for (const name of Object.keys(env)) {
+      const keys = envNameToKeys(name);
+      if (keys) {
+        variables[keys.join('.')] = name;
+      }
+    }
+    overrides.push({ name: 'env', source: 'environment', data: envLayer, variables });
+  }
+
+  const toolModules = [defaults, ...overrides.map(layer => layer.data)]
+    .reduce((found, data) => (Array.isArray(data.toolModules) ? data.toolModules : found), [])
+    .filter(item => typeof item === 'string');
+  if (toolModules.length > 0) {
+    registry.loadModules(toolModules, projectDir);
+  }
+
+  const profileDir = options.filePath
+    ? scope.findPackageRoot(options.filePath, projectDir)
+    : projectDir;
+  const tools = adapters.detectTools(scope.packageDirs(profileDir, projectDir), projectDir);
+
+  const layers = [{
+    name: 'defaults',
+    source: config.DEFAULTS_FILE,
+    data: adapters.withConfiguredFormatters(defaults, tools)
+  }];
+
+  for (const entry of profiles.detectProfiles(profileDir)) {
+    layers.push({
+      name: 'profile',
+      profile: entry.name,
+      source: entry.file,
+      data: adapters.withConfiguredFormatters(profiles.profileToSettings(entry.profile), tools)
+    });
+  }
+
+  // Most preferred last, so it wins where several tools claim an extension
+  for (const detected of [...tools].reverse()) {
+    layers.push({
+      name: 'tool',
+      tool: detected.name,
+      source: detected.evidence,
+      data: adapters.toSettings(detected.definitions)
+    });
+  }
+
+  layers.push(...overrides);
+  return layers;
+}
+
+/**
+ * Validate merged settings against schemas/config.schema.json
+ *
+ * Beyond the schema, every dangerous command pattern must compile as a
+ * regular expression.
+ *
+ * @param {Object} merged - Merged settings
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateSettings(merged) {
+  const result = schema.validateAgainst(config.CONFIG_SCHEMA_FILE, merged);
+  const problems = schema.formatErrors(result.errors);
+
+  if (result.valid) {
+    for (const [group, patterns] of Object.entries(merged.dangerousPatterns)) {
+      if (!Array.isArray(patterns)) continue;
+      patterns.forEach((source, i) => {
+        try {
+          new RegExp(source);
+        } catch (e) {
+          problems.push(`/dangerousPatterns/${group}/${i}: invalid regex ${source}`);
+        }
+      });
+    }
+  }
+
+  return { valid: problems.length === 0, errors: problems };
+}
+
+/**
+ * Load and validate the effective settings
+ *
+ * Results are cached per project directory and file scope; pass
+ * `fresh: true` or call clearCache() after changing a settings file.
+ *
+ * @param {Object} [options={}] - Options (see loadLayers)
+ * @param {boolean} [options.fresh=false] - Bypass the cache
+ * @returns {Object} Effective settings
+ * @throws {errors.ConfigError} If a layer is malformed or the result is invalid
+ *
+ * @example
+ * const settings = loadSettings({ projectDir: '/repo' });
+ * settings.protectedBranches; // ['main', 'master', ...]
+ *
+ * // Settings for one file of a monorepo
+ * loadSettings({ projectDir: '/repo', filePath: '/repo/services/api/main.py' });
+ */
+function loadSettings(options = {}) {
+  const projectDir = resolveProjectDir(options.projectDir);
+  const cacheable = !options.env && !options.userFile;
+  const key = cacheKey(options);
+
+  if (cacheable && !options.fresh && cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const layers = loadLayers({ ...options, projectDir });
+  const merged = layers.reduce((acc, layer) => mergeSettings(acc, layer.data), {});
+
+  const result = validateSettings(merged);
+  if (!result.valid) {
+    const origin = layers.slice(1).map(l => l.source).join(', ') || config.DEFAULTS_FILE;
+    throw new errors.ConfigError(
+      `Invalid settings (from ${origin}): ${result.errors.join('; ')}`
+    );
+  }
+
+  if (cacheable) {
+    cache.set(key, merged);
+  }
+  return merged;
+}
+
+/**
+ * Explain where every effective setting came from
+ *
+ * Unlike loadSettings this does not throw on invalid merged settings; the
+ * problems are returned so they can be shown next to their sources.
+ *
+ * @param {Object} [options={}] - Options (see loadLayers)
+ * @returns {{layers: Array<{name: string, source: string, profile?: string}>,
+ *   entries: Array<Object>, valid: boolean, errors: string[]}}
+ *   `entries` as returned by explainLayers
+ * @throws {errors.ConfigError} If a layer is malformed
+ *
+ * @example
+ * console.log(formatExplanation(explain({ projectDir: '/repo' })));
+ */
+function explain(options = {}) {
+  const layers = loadLayers({ ...options, projectDir: resolveProjectDir(options.projectDir) });
+  const merged = layers.reduce((acc, layer) => mergeSettings(acc, layer.data), {});
+  const result = validateSettings(merged);
+
+  return {
+    layers: layers.map(({ name, source, profile, tool }) => ({
+      name,
+      source,
+      ...(profile ? { profile } : {}),
+      ...(tool ? { tool } : {})
+    })),
+    entries: explainLayers(layers),
+    valid: result.valid,
+    errors: result.errors
+  };
+}
+
+/**
+ * Get the effective settings without throwing
+ *
+ * Hooks must keep working when a project settings file is broken, so on a
+ * ConfigError this logs a warning and falls back to the plugin defaults.
+ *
+ * @param {Object} [options={}] - Options (see loadSettings)
+ * @returns {Object} Effective settings
+ */
+function getSettings(options = {}) {
+  try {
+    return loadSettings(options);
+  } catch (e) {
+    if (!(e instanceof errors.ConfigError)) {
+      throw e;
+    }
+    logging.warn(`${e.message}. Falling back to plugin defaults.`);
+    const defaults = readSettingsFile(config.DEFAULTS_FILE);
+    cache.set(cacheKey(options), defaults);
+    return defaults;
+  }
+}
+
+/**
+ * Get the effective protected branch list
+ *
+ * @param {Object} [options={}] - Options (see loadSettings)
+ * @returns {string[]}
+ */
+function getProtectedBranches(options = {}) {
+  return getSettings(options).protectedBranches;
+}
+
+/**
+ * Check whether a check is enabled for a scope
+ *
+ * @param {string} check - One of config.CHECKS
+ * @param {Object} [options={}] - Options (see loadSettings); pass `filePath`
+ *   to honour directory-scoped disabledChecks
+ * @returns {boolean}
+ *
+ * @example
+ * isCheckEnabled('lint', { filePath: 'vendor/lib.js' }); // false if vendor/ disables lint
+ */
+function isCheckEnabled(check, options = {}) {
+  return !(getSettings(options).disabledChecks || []).includes(check);
+}
+
+/**
+ * Get the effective dangerous command patterns, compiled
+ *
+ * Unix patterns are case-sensitive; Windows and cross-platform patterns
+ * (drive letters, SQL keywords) match case-insensitively. They add to the
+ * built-in rules of lib/validation/dangerous.
+ *
+ * @param {Object} [options={}] - Options (see loadSettings)
+ * @returns {RegExp[]}
+ */
+function getDangerousPatterns(options = {}) {
+  const groups = getSettings(options).dangerousPatterns || {};
+  return [
+    ...(groups.unix || []).map(p => new RegExp(p)),
+    ...(groups.windows || []).map(p => new RegExp(p, 'i')),
+    ...(groups.crossPlatform || []).map(p => new RegExp(p, 'i'))
+  ];
+}
+
+/**
+ * Clear the settings cache
+ */
+function clearCache() {
+  cache.clear();
+  profiles.clearCache();
+}
+
+module.exports = {
+  profiles,
+  scope,
+  resolveProjectDir,
+  getProjectSettingsFile,
+  getUserSettingsFile,
+  readSettingsFile,
+  readEnvSettings,
+  mergeSettings,
+  loadLayers,
+  validateSettings,
+  loadSettings,
+  explain,
+  formatExplanation,
+  getSettings,
+  getProtectedBranches,
+  isCheckEnabled,
+  getDangerousPatterns,
+  clearCache
+};
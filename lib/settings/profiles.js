@@ -0,0 +1,157 @@
+/**
+ * Language profiles
+ *
+ * Loads config/profiles/*.json and turns the profiles that apply to a
+ * project into settings layers. A profile applies when one of its
+ * detection markers exists in the project root.
+ *
+ * @module lib/settings/profiles
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../core');
+const errors = require('../errors');
+const schema = require('../schema');
+const project = require('../project');
+
+/**
+ * Profile tool kinds and the settings map each one feeds
+ * @type {Object<string, string>}
+ */
+const TOOL_SETTINGS_KEYS = {
+  formatter: 'formatters',
+  linter: 'linters',
+  typeChecker: 'typeCheckers'
+};
+
+/**
+ * Loaded profiles, keyed by profiles directory
+ * @type {Map<string, Array<Object>>}
+ */
+const cache = new Map();
+
+/**
+ * Load all language profiles
+ *
+ * @param {string} [profilesDir=config.PROFILES_DIR] - Directory of profile JSON files
+ * @returns {Array<{name: string, file: string, profile: Object}>} Sorted by name
+ * @throws {errors.ConfigError} If a profile is not valid JSON or fails profile.schema.json
+ */
+function loadProfiles(profilesDir = config.PROFILES_DIR) {
+  if (cache.has(profilesDir)) {
+    return cache.get(profilesDir);
+  }
+
+  const entries = [];
+  const files = fs.existsSync(profilesDir)
+    ? fs.readdirSync(profilesDir).filter(f => f.endsWith('.json')).sort()
+    : [];
+
+  for (const fileName of files) {
+    const file = path.join(profilesDir, fileName);
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new errors.ConfigError(`Invalid profile ${file}: ${e.message}`, { cause: e });
+    }
+    const result = schema.validateAgainst(config.PROFILE_SCHEMA_FILE, profile);
+    if (!result.valid) {
+      throw new errors.ConfigError(
+        `Invalid profile ${file}: ${schema.formatErrors(result.errors).join('; ')}`
+      );
+    }
+
+    entries.push({ name: profile.name, file, profile });
+  }
+
+  cache.set(profilesDir, entries);
+  return entries;
+}
+
+/**
+ * Get the profiles that apply to a project
+ *
+ * A profile applies when one of its detection markers exists in the project
+ * root, or when project detection scores its language at least
+ * config.DETECTION_MIN_CONFIDENCE (e.g. a repo of mostly .py files whose
+ * pyproject.toml lives in a subdirectory).
+ *
+ * Ordered from the broadest profile (most claimed extensions) to the most
+ * specific, so applying them in order lets e.g. typescript override
+ * javascript for .ts files.
+ *
+ * @param {string} projectDir - Project root
+ * @param {string} [profilesDir] - Directory of profile JSON files
+ * @returns {Array<{name: string, file: string, profile: Object}>}
+ *
+ * @example
+ * detectProfiles('/repo').map(p => p.name)
+ * // ['javascript', 'typescript'] for a repo with package.json and tsconfig.json
+ */
+function detectProfiles(projectDir, profilesDir) {
+  const extensionCount = entry => (entry.profile.detection?.extensions || []).length;
+  const languages = project.getLanguages(projectDir);
+
+  return loadProfiles(profilesDir)
+    .filter(entry => languages.includes(entry.name) ||
+      (entry.profile.detection?.markers || []).some(marker => fs.existsSync(path.join(projectDir, marker))))
+    .sort((a, b) => extensionCount(b) - extensionCount(a) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Convert a profile into a settings layer
+ *
+ * Each tool spec is registered for every extension it claims. Specs keep
+ * the profile's `{file}` template semantics: the placeholder is replaced
+ * with the file path, and a command without it runs as written.
+ * Commands are kept as written; lib/tools resolves each executable from
+ * the package's node_modules/.bin, its venv, or PATH.
+ *
+ * @param {Object} profile - Parsed profile
+ * @returns {Object} Settings layer data
+ *
+ * @example
+ * profileToSettings(pythonProfile).formatters.py
+ * // { command: 'ruff format {file}' }
+ */
+function profileToSettings(profile) {
+  const layer = {};
+
+  for (const [kind, key] of Object.entries(TOOL_SETTINGS_KEYS)) {
+    const spec = profile.tools?.[kind];
+    if (!spec) continue;
+
+    const entry = { command: spec.command };
+    if (spec.args?.length) {
+      entry.args = [...spec.args];
+    }
+
+    layer[key] = {};
+    for (const ext of spec.extensions) {
+      if (ext.startsWith('.')) {
+        layer[key][ext.slice(1).toLowerCase()] = entry;
+      }
+    }
+  }
+
+  return layer;
+}
+
+/**
+ * Clear the loaded-profile cache
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  TOOL_SETTINGS_KEYS,
+  loadProfiles,
+  detectProfiles,
+  profileToSettings,
+  clearCache
+};
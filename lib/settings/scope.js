@@ -0,0 +1,135 @@
+/**
+ * Directory scopes
+ *
+ * In a monorepo each subtree can carry its own settings file and usually
+ * has its own package root (package.json, pyproject.toml, ...). These
+ * helpers locate both for a given file, walking up from the file towards
+ * the project root.
+ *
+ * @module lib/settings/scope
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../core');
+
+/**
+ * Check whether a path lies inside a directory (or is the directory)
+ *
+ * @param {string} target - Absolute path
+ * @param {string} dir - Absolute directory
+ * @returns {boolean}
+ */
+function isWithin(target, dir) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * List the directories from a file up to a stop directory
+ *
+ * @param {string} filePath - File (or directory) to start from
+ * @param {string} stopDir - Last directory to include, if it is an ancestor
+ * @returns {string[]} Nearest directory first
+ */
+function ancestorDirs(filePath, stopDir) {
+  const dirs = [];
+  let dir = path.dirname(path.resolve(filePath));
+  const stop = path.resolve(stopDir);
+  const bounded = isWithin(dir, stop);
+
+  for (;;) {
+    dirs.push(dir);
+    const parent = path.dirname(dir);
+    if ((bounded && dir === stop) || parent === dir) break;
+    dir = parent;
+  }
+
+  return dirs;
+}
+
+/**
+ * Find the package root owning a file
+ *
+ * The nearest directory holding one of config.PACKAGE_ROOT_MARKERS, looking
+ * no higher than the project root for files inside the project.
+ *
+ * @param {string} filePath - File path
+ * @param {string} projectDir - Project root
+ * @returns {string} Package root, or the project root if no marker is found
+ *   (the file's own directory for files outside the project)
+ *
+ * @example
+ * findPackageRoot('/repo/services/api/app/main.py', '/repo')
+ * // '/repo/services/api' when it holds pyproject.toml
+ */
+function findPackageRoot(filePath, projectDir) {
+  const dirs = ancestorDirs(filePath, projectDir);
+  const root = dirs.find(dir =>
+    config.PACKAGE_ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker))));
+
+  if (root) {
+    return root;
+  }
+  return isWithin(path.resolve(filePath), path.resolve(projectDir))
+    ? path.resolve(projectDir)
+    : dirs[0];
+}
+
+/**
+ * Find the directory-scoped settings files that apply to a file
+ *
+ * Every <dir>/.claude/dev-standards.json strictly between the project root
+ * and the file applies; the project root's own file is the project layer.
+ * Files outside the project have no directory scopes.
+ *
+ * @param {string} filePath - File path
+ * @param {string} projectDir - Project root
+ * @returns {string[]} Settings files, outermost first (nearest wins when merged)
+ */
+function findScopedSettingsFiles(filePath, projectDir) {
+  const root = path.resolve(projectDir);
+  if (!isWithin(path.resolve(filePath), root)) {
+    return [];
+  }
+
+  return ancestorDirs(filePath, root)
+    .filter(dir => dir !== root)
+    .map(dir => path.join(dir, config.SETTINGS_FILE))
+    .filter(file => fs.existsSync(file))
+    .reverse();
+}
+
+/**
+ * List the directories from a package root up to the project root
+ *
+ * Tools look for their config and executables in each, so a monorepo
+ * package finds what is set up at the workspace root. A package root
+ * outside the project is searched on its own.
+ *
+ * @param {string} packageRoot - Package root (see findPackageRoot)
+ * @param {string} projectDir - Project root
+ * @returns {string[]} Nearest directory first
+ */
+function packageDirs(packageRoot, projectDir) {
+  const start = path.resolve(packageRoot);
+  const root = path.resolve(projectDir);
+  if (!isWithin(start, root)) {
+    return [start];
+  }
+
+  const dirs = [start];
+  for (let dir = start; dir !== root; dir = path.dirname(dir)) {
+    dirs.push(path.dirname(dir));
+  }
+  return dirs;
+}
+
+module.exports = {
+  isWithin,
+  packageDirs,
+  findPackageRoot,
+  findScopedSettingsFiles
+};
@@ -0,0 +1,204 @@
+/**
+ * Project tool adapters
+ *
+ * Tells which of the registered formatters, linters and type checkers (see
+ * lib/tools/registry) a project chose. A registration's `detect` lists what
+ * counts as opting in: `files` in the directory (biome.json, .prettierrc,
+ * pyrightconfig.json, ...), top-level `packageJson` keys, `packages` among
+ * package.json dependencies or Python requirements, `pyproject` tables
+ * (`[tool.<name>]`) and `ini` sections of setup.cfg/tox.ini. lib/settings
+ * turns the detected tools into settings layers, and drops built-in
+ * formatters the project has not opted into.
+ *
+ * @module lib/tools/adapters
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./registry');
+
+/**
+ * Read a file, returning null if it cannot be read
+ *
+ * @param {string} file - Path
+ * @returns {string|null}
+ */
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Escape a string for use in a RegExp
+ *
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read what a directory declares, for matching against every registration
+ *
+ * @param {string} dir - Directory
+ * @returns {{names: Set<string>, packageJson: Object|null, pyproject: string,
+ *   ini: Array<Array<string>>, requirements: Array<Array<string>>}} `ini` and `requirements`
+ *   pair each setup.cfg/tox.ini and requirements*.txt with its content
+ */
+function readDirectory(dir) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    // Unreadable directories declare nothing
+  }
+
+  let packageJson = null;
+  try {
+    packageJson = JSON.parse(readText(path.join(dir, 'package.json')));
+  } catch {
+    // Malformed package.json
+  }
+
+  return {
+    names: new Set(names),
+    packageJson,
+    pyproject: readText(path.join(dir, 'pyproject.toml')) || '',
+    ini: ['setup.cfg', 'tox.ini'].map(name => [name, readText(path.join(dir, name)) || '']),
+    requirements: names.filter(name => /^requirements.*\.txt$/.test(name))
+      .map(name => [name, readText(path.join(dir, name)) || ''])
+  };
+}
+
+/**
+ * Find what in a directory shows a project opted into a tool
+ *
+ * @param {{detect: Object}} definition - Registration
+ * @param {Object} declared - Result of readDirectory
+ * @param {string} dir - Directory
+ * @returns {string|null} The evidence, e.g. '/repo/biome.json' or
+ *   '/repo/package.json (devDependencies)', or null
+ */
+function findEvidence(definition, declared, dir) {
+  const { files = [], packageJson = [], packages = [], pyproject = [], ini = [] } = definition.detect;
+  const at = name => path.join(dir, name);
+
+  const file = files.find(name => declared.names.has(name));
+  if (file) return at(file);
+
+  const manifest = declared.packageJson;
+  if (manifest) {
+    const key = packageJson.find(name => manifest[name] !== undefined);
+    if (key) return `${at('package.json')} (${key})`;
+    const field = ['devDependencies', 'dependencies'].find(name => packages.some(pkg => manifest[name]?.[pkg]));
+    if (field) return `${at('package.json')} (${field})`;
+  }
+
+  const table = pyproject.find(name => new RegExp(`^\\s*\\[tool\\.${name}[\\].]`, 'm').test(declared.pyproject));
+  if (table) return `${at('pyproject.toml')} ([tool.${table}])`;
+
+  for (const [fileName, text] of declared.ini) {
+    const section = ini.find(name => new RegExp(`^\\s*\\[${escapeRegExp(name)}\\]`, 'm').test(text));
+    if (section) return `${at(fileName)} ([${section}])`;
+  }
+
+  // A quoted requirement in pyproject.toml, or a line of requirements*.txt
+  const quoted = name => new RegExp(`["']${escapeRegExp(name)}\\s*(?:[<>=!~;[]|["'])`);
+  if (packages.some(name => quoted(name).test(declared.pyproject))) {
+    return `${at('pyproject.toml')} (dependencies)`;
+  }
+  const listed = name => new RegExp(`^${escapeRegExp(name)}\\s*(?:[<>=!~;[]|$)`, 'm');
+  const requirements = declared.requirements.find(([, text]) => packages.some(name => listed(name).test(text)));
+  if (requirements) return at(requirements[0]);
+
+  return null;
+}
+
+/**
+ * Detect the tools a project opted into
+ *
+ * Given the directories from a package root up to the project root, a
+ * monorepo package picks up tools configured at the workspace root.
+ *
+ * @param {string[]} dirs - Directories to look in, nearest first
+ * @param {string} [projectDir] - Project root, whose tool modules count (defaults to the current project)
+ * @returns {Array<{name: string, evidence: string, definitions: Object[]}>} Nearest
+ *   directory first, then in registration order; `definitions` are the
+ *   tool's registrations (one per kind)
+ *
+ * @example
+ * detectTools(['/repo/packages/web', '/repo']).map(t => t.name);
+ * // ['eslint', 'biome'] for an .eslintrc.json in the package and a biome.json at the root
+ */
+function detectTools(dirs, projectDir) {
+  const candidates = registry.list(undefined, projectDir).filter(definition => definition.detect);
+  const detected = [];
+  for (const dir of dirs) {
+    const declared = readDirectory(dir);
+    for (const definition of candidates) {
+      if (detected.some(tool => tool.name === definition.name)) continue;
+      const evidence = findEvidence(definition, declared, dir);
+      if (evidence) {
+        const definitions = candidates.filter(candidate => candidate.name === definition.name);
+        detected.push({ name: definition.name, evidence, definitions });
+      }
+    }
+  }
+  return detected;
+}
+
+/**
+ * Convert a detected tool into a settings layer
+ *
+ * @param {Object[]} definitions - The tool's registrations
+ * @returns {Object} Settings layer data, mapping each file the tool applies
+ *   to (by extension or file name) to its command
+ *
+ * @example
+ * toSettings(biome.definitions).linters.ts; // 'biome lint'
+ */
+function toSettings(definitions) {
+  const layer = {};
+  for (const definition of definitions) {
+    const key = registry.KINDS[definition.kind];
+    if (!key || !definition.command) continue;
+    layer[key] = {
+      ...layer[key],
+      ...Object.fromEntries(registry.settingsKeys(definition).map(file => [file, definition.command]))
+    };
+  }
+  return layer;
+}
+
+/**
+ * Remove the formatters a project has not opted into from a settings layer
+ *
+ * Only registered tools that can be detected are removed; any other command
+ * was written by whoever configured it.
+ *
+ * @param {Object} layer - Settings layer data
+ * @param {Array<{name: string}>} detected - Result of detectTools
+ * @returns {Object} Layer without those formatters (the input is not modified)
+ */
+function withConfiguredFormatters(layer, detected) {
+  if (!layer.formatters) {
+    return layer;
+  }
+  const formatters = Object.fromEntries(Object.entries(layer.formatters).filter(([, tool]) => {
+    const definition = registry.findByCommand(tool, candidate => candidate.kind === 'formatter');
+    return !definition?.detect || detected.some(entry => entry.name === definition.name);
+  }));
+  return { ...layer, formatters };
+}
+
+module.exports = {
+  detectTools,
+  toSettings,
+  withConfiguredFormatters
+};
@@ -0,0 +1,330 @@
+/**
+ * Diagnostics baseline
+ *
+ * Records the lint and type check issues a codebase already has in
+ * config.BASELINE_FILE at the project root, a file meant to be committed.
+ * Diagnostics matching an entry are marked `suppressed` and no longer fail
+ * a check, so a legacy codebase can adopt the plugin and fail only on new
+ * issues, then ratchet the baseline down as old ones are fixed.
+ *
+ * An entry is keyed by file, tool, rule and a fingerprint of the line of
+ * code the issue is on rather than its line number, so it keeps matching
+ * when lines above it are added or removed, and fixing one issue does not
+ * change the fingerprints of its neighbours. Each entry matches one
+ * diagnostic: a second copy of a recorded issue in the same file is new.
+ * Only issues on a line are recorded, so a tool that is not installed or
+ * fails outright is never silenced.
+ *
+ * @module lib/tools/baseline
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../core');
+const errors = require('../errors');
+const schema = require('../schema');
+const settings = require('../settings');
+const logging = require('../logging');
+
+/**
+ * Baseline format version
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * Loaded baselines by path, with the mtime they were read at
+ * @type {Map<string, {mtimeMs: number, entries: Array<Object>}>}
+ */
+const loaded = new Map();
+
+/**
+ * Get the path of the project's baseline file
+ *
+ * @returns {string}
+ */
+function getBaselinePath() {
+  return path.join(settings.resolveProjectDir(), config.BASELINE_FILE);
+}
+
+/**
+ * Get a file's path as recorded in the baseline
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative to the project root, with '/' separators
+ */
+function toEntryFile(filePath) {
+  return path.relative(settings.resolveProjectDir(), filePath).split(path.sep).join('/');
+}
+
+/**
+ * Fingerprint an issue by its rule and the line of code it is on
+ *
+ * Whitespace is collapsed, so reindenting the code keeps the fingerprint.
+ *
+ * @param {Object} diagnostic - Diagnostic (see lib/tools/diagnostics)
+ * @param {string[]|null} lines - Lines of the diagnostic's file, or null if unreadable
+ * @returns {string} 16 hex digits
+ *
+ * @example
+ * fingerprint({ rule: 'no-var', line: 2, ... }, ['// a', 'var a = 1;', 'a++;']);
+ */
+function fingerprint(diagnostic, lines) {
+  const code = lines && diagnostic.line !== null ? (lines[diagnostic.line - 1] || '') : '';
+  return crypto.createHash('sha256')
+    .update(`${diagnostic.rule || diagnostic.message}\n${code.trim().replace(/\s+/g, ' ')}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Build baseline entries for diagnostics
+ *
+ * @param {Array<Object>} found - Diagnostics
+ * @returns {Array<{file: string, source: string, rule: string, fingerprint: string, message: string}>}
+ */
+function toEntries(found) {
+  const lines = new Map();
+  const readLines = (file) => {
+    if (!lines.has(file)) {
+      try {
+        lines.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/));
+      } catch {
+        lines.set(file, null);
+      }
+    }
+    return lines.get(file);
+  };
+
+  return found.map(diagnostic => ({
+    file: toEntryFile(diagnostic.file),
+    source: diagnostic.source || 'unknown',
+    rule: diagnostic.rule || diagnostic.message,
+    fingerprint: fingerprint(diagnostic, readLines(diagnostic.file)),
+    message: diagnostic.message
+  }));
+}
+
+/**
+ * Check whether a diagnostic can be recorded: it points at a line of code
+ *
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {boolean}
+ */
+function isRecordable(diagnostic) {
+  return diagnostic.line !== null;
+}
+
+/**
+ * Get the key an entry is matched by
+ *
+ * @param {Object} entry - Baseline entry
+ * @returns {string}
+ */
+function entryKey(entry) {
+  return [entry.file, entry.source, entry.rule, entry.fingerprint].join('\0');
+}
+
+/**
+ * Count entries by key
+ *
+ * @param {Array<Object>} entries - Baseline entries
+ * @returns {Map<string, number>}
+ */
+function countKeys(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const key = entryKey(entry);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Load a baseline file
+ *
+ * @param {string} [baselinePath] - Path to the file (defaults to the project's)
+ * @returns {Array<Object>} Its entries, or none if there is no baseline
+ * @throws {errors.ConfigError} If the file is not valid JSON or fails baseline.schema.json
+ */
+function load(baselinePath = getBaselinePath()) {
+  let stat;
+  try {
+    stat = fs.statSync(baselinePath);
+  } catch {
+    return [];
+  }
+
+  const cached = loaded.get(baselinePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.entries;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  } catch (e) {
+    throw new errors.ConfigError(`Invalid baseline ${baselinePath}: ${e.message}`, { cause: e });
+  }
+  const result = schema.validateAgainst(config.BASELINE_SCHEMA_FILE, data);
+  if (!result.valid) {
+    throw new errors.ConfigError(
+      `Invalid baseline ${baselinePath}: ${schema.formatErrors(result.errors).join('; ')}`
+    );
+  }
+
+  loaded.set(baselinePath, { mtimeMs: stat.mtimeMs, entries: data.entries });
+  return data.entries;
+}
+
+/**
+ * Write a baseline file, sorted so that updates diff cleanly
+ *
+ * @param {Array<Object>} entries - Baseline entries
+ * @param {string} [baselinePath] - Path to the file (defaults to the project's)
+ */
+function save(entries, baselinePath = getBaselinePath()) {
+  const sorted = [...entries].sort((a, b) => entryKey(a).localeCompare(entryKey(b)));
+  fs.writeFileSync(baselinePath, JSON.stringify({ version: VERSION, entries: sorted }, null, 2) + '\n');
+  loaded.delete(baselinePath);
+}
+
+/**
+ * Mark the diagnostics the baseline records as suppressed
+ *
+ * An invalid baseline is reported once and ignored, so checks keep
+ * reporting every issue rather than failing outright.
+ *
+ * @param {Array<Object>} found - Diagnostics
+ * @param {string} [baselinePath] - Path to the baseline (defaults to the project's)
+ * @returns {Array<Object>} The diagnostics, with `suppressed: true` on recorded ones
+ *
+ * @example
+ * suppress(diagnostics).filter(d => !d.suppressed); // the new issues
+ */
+function suppress(found, baselinePath = getBaselinePath()) {
+  let entries;
+  try {
+    entries = load(baselinePath);
+  } catch (e) {
+    if (!loaded.has(baselinePath)) {
+      logging.warn(`${e.message}; ignoring it`);
+      loaded.set(baselinePath, { mtimeMs: null, entries: [] });
+    }
+    return found;
+  }
+  if (entries.length === 0 || found.length === 0) {
+    return found;
+  }
+
+  const remaining = countKeys(entries);
+  const keys = toEntries(found).map(entryKey);
+  return found.map((diagnostic, index) => {
+    const count = remaining.get(keys[index]) || 0;
+    if (count === 0) {
+      return diagnostic;
+    }
+    remaining.set(keys[index], count - 1);
+    return { ...diagnostic, suppressed: true };
+  });
+}
+
+/**
+ * Count the entries added and removed between two baselines
+ *
+ * @param {Array<Object>} before - Entries before
+ * @param {Array<Object>} after - Entries after
+ * @returns {{added: number, removed: number, total: number}}
+ */
+function compare(before, after) {
+  const beforeCounts = countKeys(before);
+  const afterCounts = countKeys(after);
+  let added = 0;
+  let removed = 0;
+  for (const [key, count] of afterCounts) {
+    added += Math.max(0, count - (beforeCounts.get(key) || 0));
+  }
+  for (const [key, count] of beforeCounts) {
+    removed += Math.max(0, count - (afterCounts.get(key) || 0));
+  }
+  return { added, removed, total: after.length };
+}
+
+/**
+ * Record every issue found as the new baseline, replacing any existing one
+ *
+ * @param {Array<Object>} found - Diagnostics from checking the codebase
+ * @param {string} [baselinePath] - Path to the baseline (defaults to the project's)
+ * @returns {{added: number, removed: number, total: number}} Change in entries
+ *
+ * @example
+ * const report = await processFiles(['.'], { checks: ['typecheck', 'lint'] });
+ * create(report.diagnostics); // { added: 1204, removed: 0, total: 1204 }
+ */
+function create(found, baselinePath = getBaselinePath()) {
+  const before = fs.existsSync(baselinePath) ? load(baselinePath) : [];
+  const after = toEntries(found.filter(isRecordable));
+  save(after, baselinePath);
+  return compare(before, after);
+}
+
+/**
+ * Re-record the issues in the files checked, adding new ones and dropping
+ * fixed ones; entries for other files are kept
+ *
+ * @param {Array<Object>} found - Diagnostics from checking the files
+ * @param {string[]} files - Absolute paths of the files checked
+ * @param {string} [baselinePath] - Path to the baseline (defaults to the project's)
+ * @returns {{added: number, removed: number, total: number}} Change in entries
+ */
+function update(found, files, baselinePath = getBaselinePath()) {
+  const checked = new Set(files.map(toEntryFile));
+  const before = load(baselinePath);
+  const after = [
+    ...before.filter(entry => !checked.has(entry.file) && fs.existsSync(path.join(path.dirname(baselinePath), entry.file))),
+    ...toEntries(found.filter(diagnostic => isRecordable(diagnostic) && checked.has(toEntryFile(diagnostic.file))))
+  ];
+  save(after, baselinePath);
+  return compare(before, after);
+}
+
+/**
+ * Drop the entries for issues that are fixed in the files checked, or
+ * whose file no longer exists, without recording new issues
+ *
+ * @param {Array<Object>} found - Diagnostics from checking the files
+ * @param {string[]} files - Absolute paths of the files checked
+ * @param {string} [baselinePath] - Path to the baseline (defaults to the project's)
+ * @returns {{added: number, removed: number, total: number}} Change in entries
+ */
+function prune(found, files, baselinePath = getBaselinePath()) {
+  const checked = new Set(files.map(toEntryFile));
+  const remaining = countKeys(toEntries(found));
+  const before = load(baselinePath);
+  const after = before.filter((entry) => {
+    if (!fs.existsSync(path.join(path.dirname(baselinePath), entry.file))) {
+      return false;
+    }
+    if (!checked.has(entry.file)) {
+      return true;
+    }
+    const count = remaining.get(entryKey(entry)) || 0;
+    remaining.set(entryKey(entry), count - 1);
+    return count > 0;
+  });
+  save(after, baselinePath);
+  return compare(before, after);
+}
+
+module.exports = {
+  getBaselinePath,
+  fingerprint,
+  load,
+  suppress,
+  create,
+  update,
+  prune
+};
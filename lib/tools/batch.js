@@ -0,0 +1,383 @@
+/**
+ * Batch checking
+ *
+ * Formats, type checks and lints many files at once. Files are grouped by
+ * the tool configured for them and the package root it runs in, so each
+ * tool runs once per group (in chunks of config.BATCH_LIMITS.filesPerCommand)
+ * instead of once per file. Formatting runs first, since it rewrites files;
+ * type checkers and linters then run concurrently, a limited number of
+ * processes at a time. Files whose results are cached (see lib/tools/cache)
+ * are left out of the invocations. Issues the project's baseline records
+ * are marked suppressed and do not fail a check (see lib/tools/baseline).
+ *
+ * @module lib/tools/batch
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config, exec } = require('../core');
+const settings = require('../settings');
+const project = require('../project');
+const logging = require('../logging');
+const validation = require('../validation');
+const diagnostics = require('./diagnostics');
+const cache = require('./cache');
+const baseline = require('./baseline');
+const typescript = require('./typescript');
+const {
+  getExt,
+  fileScope,
+  getPackageRoot,
+  findConfiguredTool,
+  describeTool,
+  resolveToolCommand
+} = require('./runner');
+
+/**
+ * Checks in the order their phases run, with the settings key of their tools
+ * @type {Array<{check: string, key: string, phase: number}>}
+ */
+const CHECKS = [
+  { check: 'format', key: 'formatters', phase: 0 },
+  { check: 'typecheck', key: 'typeCheckers', phase: 1 },
+  { check: 'lint', key: 'linters', phase: 1 }
+];
+
+/**
+ * Convert a path to forward slashes
+ *
+ * @param {string} filePath - Path
+ * @returns {string}
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Check whether a diagnostic fails its check: an error the baseline does not record
+ *
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {boolean}
+ */
+function isFailure(diagnostic) {
+  return diagnostic.severity === 'error' && !diagnostic.suppressed;
+}
+
+/**
+ * Visit every file below a directory, skipping the directories project
+ * detection ignores (dot-directories, virtualenvs, node_modules, ...)
+ *
+ * @param {string} dir - Directory
+ * @param {function(string): void} visit - Called with each absolute file path
+ */
+function walk(dir, visit) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    logging.debug(`Cannot read ${dir}: ${e.message}`);
+    return;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!project.isIgnoredDir(entry.name)) walk(full, visit);
+    } else if (entry.isFile()) {
+      visit(full);
+    }
+  }
+}
+
+/**
+ * Expand paths, directories and globs into a list of files
+ *
+ * Directories include every file below them. Globs use the protectedPaths
+ * syntax (`**` across directories, `*` and `?` within a segment) relative
+ * to cwd, and are walked from the part before the first wildcard.
+ *
+ * @param {string|string[]} inputs - Paths, directories or globs
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd=process.cwd()] - Directory inputs are relative to
+ * @returns {string[]} Absolute file paths, sorted and without duplicates
+ *
+ * @example
+ * expandFiles(['src/**\/*.ts', 'scripts'], { cwd: '/repo' });
+ * // ['/repo/scripts/build.js', '/repo/src/a.ts', '/repo/src/lib/b.ts']
+ */
+function expandFiles(inputs, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const files = new Set();
+
+  for (const input of [].concat(inputs)) {
+    const absolute = path.resolve(cwd, input);
+
+    if (!/[*?]/.test(input)) {
+      let stat = null;
+      try {
+        stat = fs.statSync(absolute);
+      } catch {
+        logging.warn(`No such file or directory: ${input}`);
+        continue;
+      }
+      if (stat.isDirectory()) {
+        walk(absolute, file => files.add(file));
+      } else {
+        files.add(absolute);
+      }
+      continue;
+    }
+
+    const segments = toPosix(path.relative(cwd, absolute)).split('/');
+    const base = path.resolve(cwd, segments.slice(0, segments.findIndex(s => /[*?]/.test(s))).join('/'));
+    const pattern = validation.globToRegExp(`/${segments.join('/')}`);
+    walk(base, (file) => {
+      if (pattern.test(toPosix(path.relative(cwd, file)))) files.add(file);
+    });
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Check whether a tool takes the files to check as arguments
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {boolean} False for a spec without {file}, which checks what it
+ *   was written to
+ */
+function takesFiles(tool) {
+  return typeof tool === 'string' || tool.command.includes('{file}');
+}
+
+/**
+ * Group files into tool invocations
+ *
+ * @param {string[]} files - Absolute file paths
+ * @param {Object} options - Options
+ * @param {string[]} options.checks - Checks to run
+ * @param {number} options.filesPerCommand - Largest group one invocation gets
+ * @returns {Array<{check: string, phase: number, tool: string|Object, project: Object|null, cwd: string,
+ *   files: string[]}>} `project` is the tsconfig project a tsc task checks
+ */
+function planTasks(files, options) {
+  const { checks, filesPerCommand } = options;
+  const groups = new Map();
+
+  for (const file of files) {
+    const scope = fileScope(file);
+    const effective = settings.getSettings(scope);
+    const ext = getExt(file);
+
+    for (const { check, key, phase } of CHECKS) {
+      const tool = findConfiguredTool(effective, key, file);
+      if (!checks.includes(check) || !tool || !settings.isCheckEnabled(check, scope)) continue;
+
+      const cwd = getPackageRoot(file);
+      // tsc checks each tsconfig project once, as typeCheckFile does for one file
+      const project = check === 'typecheck' && diagnostics.toolName(tool) === 'tsc'
+        ? typescript.findProject(file)
+        : null;
+      const taskTool = project ? typescript.projectTool(tool, project) : tool;
+      // Python tools resolve through the venv, so keep them apart from the same command for other files
+      const groupKey = JSON.stringify([check, taskTool, cwd, ext === 'py']);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { check, phase, tool: taskTool, project, cwd, files: [] });
+      }
+      groups.get(groupKey).files.push(file);
+    }
+  }
+
+  const tasks = [];
+  for (const group of groups.values()) {
+    // A spec without {file} runs as written, once for the whole group
+    const size = takesFiles(group.tool) ? filesPerCommand : group.files.length;
+    for (let i = 0; i < group.files.length; i += size) {
+      tasks.push({ ...group, files: group.files.slice(i, i + size) });
+    }
+  }
+  return tasks;
+}
+
+/**
+ * Run async work over items with at most `limit` in flight
+ *
+ * @param {Array} items - Items
+ * @param {number} limit - Concurrency limit; config.BATCH_LIMITS.concurrency when not a finite number
+ * @param {function(*): Promise} worker - Work for one item
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const size = Number.isFinite(limit) ? Math.max(1, Math.floor(limit)) : config.BATCH_LIMITS.concurrency;
+
+  const workers = Array.from({ length: Math.min(size, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Run one tool invocation
+ *
+ * @param {Object} task - From planTasks
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<{task: Object, result: Object, diagnostics: Array<Object>, durationMs: number}>}
+ */
+async function runTask(task, timeout) {
+  const started = Date.now();
+  const formatting = task.check === 'format';
+  const tool = formatting ? task.tool : diagnostics.withMachineOutput(task.tool);
+
+  const resolved = resolveToolCommand(tool, task.files, task.cwd);
+  let result = resolved;
+  if (resolved.success) {
+    logging.debug(`Running: ${resolved.command}`);
+    result = await exec.execAsync(resolved.command, { cwd: task.cwd, timeout });
+  }
+
+  let found = formatting ? [] : diagnostics.parseDiagnostics(task.tool, result, {
+    // Output that names no file is attributed to the file only when there is one
+    filePath: task.files.length === 1 ? task.files[0] : task.cwd,
+    cwd: task.cwd
+  });
+  if (task.project) {
+    found = found.filter(typescript.diagnosticFilter(task.files, task.project));
+  }
+
+  return { task, result, diagnostics: found, durationMs: Date.now() - started };
+}
+
+/**
+ * Format, type check and lint many files, running each tool once per batch
+ *
+ * @param {string|string[]} inputs - Paths, directories or globs (see expandFiles)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd=process.cwd()] - Directory inputs are relative to
+ * @param {string[]} [options.checks=['format', 'typecheck', 'lint']] - Checks to run
+ * @param {number} [options.concurrency=config.BATCH_LIMITS.concurrency] - Tool processes at once
+ * @param {number} [options.filesPerCommand=config.BATCH_LIMITS.filesPerCommand] - Files per invocation
+ * @param {number} [options.timeout=config.TIMEOUTS.LONG] - Timeout per invocation in ms
+ * @returns {Promise<{success: boolean, files: Object<string, Object>, diagnostics: Array<Object>,
+ *   tasks: Array<{check: string, tool: string, command: string, cwd: string, files: number,
+ *   success: boolean, durationMs: number}>, durationMs: number}>}
+ *   `files` maps each file to its {format, typecheck, lint} results, like processFile;
+ *   diagnostics the project's baseline records have `suppressed: true`
+ *
+ * @example
+ * const report = await processFiles(['src', 'scripts/*.py'], { checks: ['lint', 'typecheck'] });
+ * report.tasks; // [{ check: 'typecheck', tool: 'tsc', files: 42, durationMs: 5120, ... }, ...]
+ */
+async function processFiles(inputs, options = {}) {
+  const {
+    cwd = process.cwd(),
+    checks = CHECKS.map(c => c.check),
+    concurrency = config.BATCH_LIMITS.concurrency,
+    filesPerCommand = config.BATCH_LIMITS.filesPerCommand,
+    timeout = config.TIMEOUTS.LONG
+  } = options;
+  const started = Date.now();
+
+  const files = expandFiles(inputs, { cwd }).filter((file) => {
+    const check = validation.validateFilePath(file);
+    if (!check.valid) logging.warn(`Skipping ${file}: ${check.reason}`);
+    return check.valid;
+  });
+
+  const report = {
+    success: true,
+    files: Object.fromEntries(files.map(file => [file, {}])),
+    diagnostics: [],
+    tasks: [],
+    durationMs: 0
+  };
+
+  const tasks = planTasks(files, { checks, filesPerCommand });
+  const seen = new Set();
+
+  const addDiagnostics = (found) => {
+    for (const diagnostic of found) {
+      const key = JSON.stringify(diagnostic);
+      if (!seen.has(key)) {
+        seen.add(key);
+        report.diagnostics.push(diagnostic);
+      }
+    }
+  };
+
+  for (const phase of [...new Set(CHECKS.map(c => c.phase))]) {
+    // Looked up per phase, since formatting changes the content later checks are keyed on
+    const pending = [];
+    for (const task of tasks.filter(t => t.phase === phase)) {
+      const uncached = !takesFiles(task.tool) ? task.files : task.files.filter((file) => {
+        const hit = cache.get(task.check, task.tool, file);
+        if (!hit) return true;
+
+        if (task.check === 'format') {
+          report.files[file].format = { success: true };
+        } else {
+          const own = baseline.suppress(hit.diagnostics);
+          report.files[file][task.check] = { success: !own.some(isFailure), diagnostics: own };
+          addDiagnostics(own);
+          report.success = report.success && report.files[file][task.check].success;
+        }
+        return false;
+      });
+      if (uncached.length > 0) pending.push({ ...task, files: uncached });
+    }
+
+    const outcomes = await runPool(pending, concurrency, task => runTask(task, timeout));
+
+    for (const { task, result, diagnostics: found, durationMs } of outcomes) {
+      // Cached unmarked, so that a change to the baseline applies to cached results
+      const marked = baseline.suppress(found);
+      const success = task.check === 'format'
+        ? result.success
+        : !marked.some(isFailure);
+      // As for single files: a failure that points at no line may not repeat
+      const cacheable = takesFiles(task.tool) &&
+        (result.success || (task.check !== 'format' && found.some(d => d.line !== null)));
+
+      for (const file of task.files) {
+        if (task.check === 'format') {
+          report.files[file].format = { success: result.success, error: result.error };
+          if (cacheable) cache.set('format', task.tool, file, {});
+        } else {
+          const own = marked.filter(d => d.file === file);
+          report.files[file][task.check] = { success: !own.some(isFailure), diagnostics: own };
+          if (cacheable) cache.set(task.check, task.tool, file, { diagnostics: found.filter(d => d.file === file) });
+        }
+      }
+
+      addDiagnostics(marked);
+
+      report.tasks.push({
+        check: task.check,
+        tool: diagnostics.toolName(task.tool),
+        command: describeTool(task.tool),
+        cwd: task.cwd,
+        files: task.files.length,
+        success,
+        durationMs
+      });
+      report.success = report.success && success;
+    }
+  }
+
+  report.durationMs = Date.now() - started;
+  return report;
+}
+
+module.exports = {
+  expandFiles,
+  planTasks,
+  processFiles
+};
@@ -0,0 +1,306 @@
+/**
+ * Built-in tools
+ *
+ * Registers the formatters, linters and type checkers the plugin knows out
+ * of the box (see lib/tools/registry), in order of preference when a
+ * project configures several of the same kind in one directory. `detect`
+ * lists what counts as opting into a tool (see lib/tools/adapters); `args`
+ * and `parse` read its diagnostics (see lib/tools/diagnostics); `stdout`
+ * checks formatting without writing (see runner.withStdout).
+ *
+ * @module lib/tools/builtins
+ */
+
+'use strict';
+
+const path = require('path');
+const registry = require('./registry');
+const diagnostics = require('./diagnostics');
+
+/**
+ * JavaScript and TypeScript sources
+ * @type {string[]}
+ */
+const JS_FILES = ['*.js', '*.jsx', '*.ts', '*.tsx'];
+
+/**
+ * Arguments that pick an output format: `-f`/`--format`
+ * @type {RegExp}
+ */
+const FORMAT_OPTION = /(^|\s)(--format|-f)(\s|=)/;
+
+/**
+ * What counts as opting into tools that register several kinds
+ * @type {Object}
+ */
+const BIOME = { files: ['biome.json', 'biome.jsonc'], packages: ['@biomejs/biome'] };
+const STANDARD = { packageJson: ['standard'], packages: ['standard'] };
+const RUFF = { files: ['ruff.toml', '.ruff.toml'], pyproject: ['ruff'], packages: ['ruff'] };
+
+/**
+ * Built-in tool definitions, in order of preference
+ * @type {Object[]}
+ */
+const BUILTINS = [
+  {
+    name: 'biome',
+    kind: 'formatter',
+    files: [...JS_FILES, '*.json'],
+    command: 'biome format --write',
+    detect: BIOME,
+    stdout: { args: ['--stdin-file-path={file}'], strip: ['--write'] }
+  },
+  {
+    name: 'biome',
+    kind: 'linter',
+    files: JS_FILES,
+    command: 'biome lint',
+    detect: BIOME,
+    args: ['--reporter=github'],
+    configured: /--reporter/,
+    parse: diagnostics.parseBiome,
+    informationUri: 'https://biomejs.dev'
+  },
+  {
+    name: 'dprint',
+    kind: 'formatter',
+    files: [...JS_FILES, '*.json', '*.md'],
+    command: 'dprint fmt',
+    detect: { files: ['dprint.json', '.dprint.json', 'dprint.jsonc', '.dprint.jsonc'], packages: ['dprint'] },
+    stdout: { args: ['--stdin', '{file}'] }
+  },
+  {
+    name: 'standard',
+    kind: 'formatter',
+    files: ['*.js', '*.jsx'],
+    command: 'standard --fix',
+    detect: STANDARD
+  },
+  {
+    name: 'standard',
+    kind: 'linter',
+    files: ['*.js', '*.jsx'],
+    command: 'standard',
+    detect: STANDARD,
+    args: ['--verbose'],
+    configured: /(^|\s)--verbose(\s|$)/,
+    parse: diagnostics.parseStandard,
+    informationUri: 'https://standardjs.com'
+  },
+  {
+    name: 'prettier',
+    kind: 'formatter',
+    files: [...JS_FILES, '*.json', '*.css', '*.scss', '*.html', '*.md'],
+    command: 'prettier --write',
+    detect: {
+      files: [
+        '.prettierrc', '.prettierrc.json', '.prettierrc.json5', '.prettierrc.yaml', '.prettierrc.yml',
+        '.prettierrc.toml', '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs',
+        'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs'
+      ],
+      packageJson: ['prettier'],
+      packages: ['prettier']
+    },
+    stdout: { args: ['--stdin-filepath', '{file}'], strip: ['--write', '-w'] }
+  },
+  {
+    name: 'eslint',
+    kind: 'linter',
+    files: JS_FILES,
+    command: 'eslint',
+    detect: {
+      files: [
+        '.eslintrc', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.js', '.eslintrc.cjs',
+        'eslint.config.js', 'eslint.config.cjs', 'eslint.config.mjs', 'eslint.config.ts'
+      ],
+      packageJson: ['eslintConfig'],
+      packages: ['eslint']
+    },
+    args: ['--format', 'json'],
+    configured: FORMAT_OPTION,
+    parse: diagnostics.parseEslint,
+    informationUri: 'https://eslint.org',
+    fix: ['--fix']
+  },
+  {
+    name: 'black',
+    kind: 'formatter',
+    files: ['*.py'],
+    command: 'black --quiet',
+    detect: { pyproject: ['black'], packages: ['black'] },
+    stdout: { args: ['--stdin-filename', '{file}', '-'] }
+  },
+  {
+    name: 'ruff',
+    kind: 'formatter',
+    files: ['*.py'],
+    command: 'ruff format',
+    detect: RUFF,
+    stdout: { args: ['--stdin-filename', '{file}', '-'] }
+  },
+  {
+    name: 'ruff',
+    kind: 'linter',
+    files: ['*.py'],
+    command: 'ruff check',
+    detect: RUFF,
+    args: ['--output-format', 'json'],
+    configured: /--output-format/,
+    parse: diagnostics.parseRuff,
+    informationUri: 'https://docs.astral.sh/ruff',
+    fix: ['--fix']
+  },
+  {
+    name: 'isort',
+    kind: 'formatter',
+    files: ['*.py'],
+    command: 'isort --quiet',
+    detect: { files: ['.isort.cfg'], pyproject: ['isort'], ini: ['isort', 'tool:isort'], packages: ['isort'] },
+    stdout: { args: ['--filename', '{file}', '-'] }
+  },
+  {
+    name: 'flake8',
+    kind: 'linter',
+    files: ['*.py'],
+    command: 'flake8',
+    detect: { files: ['.flake8'], pyproject: ['flake8'], ini: ['flake8'], packages: ['flake8'] },
+    configured: /--format/,
+    parse: diagnostics.parseFlake8,
+    informationUri: 'https://flake8.pycqa.org'
+  },
+  {
+    name: 'pyright',
+    kind: 'typeChecker',
+    files: ['*.py'],
+    command: 'pyright',
+    detect: { files: ['pyrightconfig.json'], pyproject: ['pyright'], packages: ['pyright'] },
+    args: ['--outputjson'],
+    configured: /--outputjson/,
+    parse: diagnostics.parsePyright,
+    informationUri: 'https://microsoft.github.io/pyright'
+  },
+  {
+    name: 'mypy',
+    kind: 'typeChecker',
+    files: ['*.py'],
+    command: 'mypy',
+    detect: { files: ['mypy.ini', '.mypy.ini'], pyproject: ['mypy'], ini: ['mypy'], packages: ['mypy'] },
+    args: ['--show-column-numbers', '--show-error-codes', '--no-error-summary'],
+    configured: /(^|\s)(-O|--output)(\s|=)/,
+    parse: diagnostics.parseMypy,
+    informationUri: 'https://mypy-lang.org'
+  },
+  {
+    // Enabled by the TypeScript profile rather than detected
+    name: 'tsc',
+    kind: 'typeChecker',
+    files: ['*.ts', '*.tsx'],
+    command: 'tsc --noEmit',
+    args: ['--pretty', 'false'],
+    configured: /--pretty/,
+    parse: diagnostics.parseTsc,
+    informationUri: 'https://www.typescriptlang.org'
+  },
+  {
+    name: 'gofmt',
+    kind: 'formatter',
+    files: ['*.go'],
+    command: 'gofmt -w',
+    detect: { files: ['go.mod'] },
+    stdout: { args: [], strip: ['-w', '-l'] }
+  },
+  {
+    name: 'rustfmt',
+    kind: 'formatter',
+    files: ['*.rs'],
+    command: 'rustfmt',
+    detect: { files: ['Cargo.toml', 'rustfmt.toml', '.rustfmt.toml'] },
+    stdout: { args: ['--emit', 'stdout'] }
+  },
+  {
+    name: 'shellcheck',
+    kind: 'linter',
+    files: ['*.sh', '*.bash'],
+    command: 'shellcheck',
+    detect: { files: ['.shellcheckrc'] },
+    args: ['--format', 'gcc'],
+    configured: FORMAT_OPTION,
+    parse: diagnostics.parseShellcheck,
+    informationUri: 'https://www.shellcheck.net'
+  },
+  {
+    name: 'stylelint',
+    kind: 'linter',
+    files: ['*.css', '*.scss', '*.less'],
+    command: 'stylelint',
+    detect: {
+      files: [
+        '.stylelintrc', '.stylelintrc.json', '.stylelintrc.yaml', '.stylelintrc.yml', '.stylelintrc.js',
+        '.stylelintrc.cjs', '.stylelintrc.mjs', 'stylelint.config.js', 'stylelint.config.cjs', 'stylelint.config.mjs'
+      ],
+      packageJson: ['stylelint'],
+      packages: ['stylelint']
+    },
+    args: ['--formatter', 'json'],
+    configured: /(^|\s)(--formatter|-f)(\s|=)/,
+    parse: diagnostics.parseStylelint,
+    informationUri: 'https://stylelint.io'
+  },
+  {
+    name: 'markdownlint',
+    kind: 'linter',
+    files: ['*.md', '*.markdown'],
+    command: 'markdownlint',
+    detect: {
+      files: ['.markdownlint.json', '.markdownlint.jsonc', '.markdownlint.yaml', '.markdownlint.yml', '.markdownlintrc'],
+      packages: ['markdownlint-cli']
+    },
+    parse: diagnostics.parseMarkdownlint,
+    informationUri: 'https://github.com/DavidAnson/markdownlint'
+  },
+  {
+    // Lints packages, so it runs on the directories of the files
+    name: 'golangci-lint',
+    kind: 'linter',
+    files: ['*.go'],
+    command: 'golangci-lint run',
+    detect: { files: ['.golangci.yml', '.golangci.yaml', '.golangci.toml', '.golangci.json'] },
+    build: ({ tool, files, buildCommand }) => buildCommand(tool, [...new Set(files.map(file => path.dirname(file)))]),
+    parse: diagnostics.parseGolangci,
+    informationUri: 'https://golangci-lint.run'
+  },
+  {
+    // Lints the whole crate of the package root it runs in
+    name: 'clippy',
+    kind: 'linter',
+    files: ['*.rs'],
+    command: 'cargo clippy',
+    detect: { files: ['clippy.toml', '.clippy.toml'] },
+    args: ['--message-format', 'short'],
+    configured: /--message-format/,
+    build: ({ tool }) => (typeof tool === 'string'
+      ? tool.trim()
+      : [tool.command.split('{file}').join('').trim(), ...(tool.args || [])].join(' ')),
+    parse: diagnostics.parseClippy,
+    informationUri: 'https://doc.rust-lang.org/clippy'
+  },
+  {
+    name: 'hadolint',
+    kind: 'linter',
+    files: ['Dockerfile', 'Containerfile', '*.dockerfile'],
+    command: 'hadolint',
+    detect: { files: ['.hadolint.yaml', '.hadolint.yml'] },
+    args: ['--format', 'json'],
+    configured: FORMAT_OPTION,
+    parse: diagnostics.parseHadolint,
+    informationUri: 'https://github.com/hadolint/hadolint'
+  }
+];
+
+for (const definition of BUILTINS) {
+  registry.register(definition);
+}
+
+module.exports = {
+  BUILTINS
+};
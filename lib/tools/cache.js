@@ -0,0 +1,460 @@
+/**
+ * Tool result cache
+ *
+ * Remembers what formatters, type checkers and linters reported for a file,
+ * so a PostToolUse edit that leaves a file's content unchanged does not run
+ * them again. Results are keyed on a hash of:
+ *
+ * - the file's path and content
+ * - the configured command and its arguments
+ * - the installed tool version (read from node_modules or the venv without
+ *   running the tool, else the executable's size and mtime)
+ * - the content of the config files that affect it (tsconfig.json,
+ *   .eslintrc*, pyproject.toml, ...; see config.TOOL_CONFIG_FILES) between
+ *   the file and the project root
+ *
+ * Entries are JSON files in the project's config.TOOL_CACHE_DIR, evicted
+ * least recently used first once the toolCache.maxEntries or
+ * toolCache.maxBytes setting is exceeded. Listing the directory costs a stat
+ * per entry, so writes keep a running estimate of its size and list it only
+ * on a process's first write and when the estimate passes a limit, then
+ * evict down to EVICTION_TARGET of the limits. The estimate counts this
+ * process's writes alone: entries other processes write are seen at the
+ * next listing, so the directory can briefly exceed the limits while
+ * several hooks write at once.
+ *
+ * Type checkers also read the modules a file imports, which are not part of
+ * the key, so a cached result would miss a change to an imported module.
+ * 'typecheck' is therefore not in the default toolCache.checks; projects
+ * whose type checker looks at the file alone can add it.
+ *
+ * @module lib/tools/cache
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../core');
+const settings = require('../settings');
+const venv = require('../venv');
+const logging = require('../logging');
+const diagnostics = require('./diagnostics');
+const resolver = require('./resolver');
+const { getExt, fileScope, getPackageRoot, describeTool } = require('./runner');
+
+/**
+ * Entry format version, part of every key so a format change starts afresh
+ * @type {number}
+ */
+const CACHE_FORMAT = 1;
+
+/**
+ * Fraction of the limits that eviction on write shrinks the cache to, so
+ * the writes that follow do not each list the directory again
+ * @type {number}
+ */
+const EVICTION_TARGET = 0.9;
+
+/**
+ * Running estimate of each cache directory's entries and bytes since it was
+ * last listed; writes over an existing key count again, which only makes
+ * eviction come sooner
+ * @type {Map<string, {entries: number, bytes: number}>}
+ */
+const usage = new Map();
+
+/**
+ * Tool fingerprints, keyed by tool name, package root and runtime
+ * @type {Map<string, string>}
+ */
+const fingerprints = new Map();
+
+/**
+ * Hash a string or buffer
+ *
+ * @param {string|Buffer} content - Content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get the cache directory for a project
+ *
+ * @param {string} [projectDir] - Project directory (defaults to the current project)
+ * @returns {string}
+ */
+function getCacheDir(projectDir) {
+  return path.join(settings.resolveProjectDir(projectDir), config.TOOL_CACHE_DIR);
+}
+
+/**
+ * Get the cache settings for a file, if its results are cached for a check
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} filePath - Path to the file
+ * @returns {{maxEntries: number, maxBytes: number}|null} Settings, or null
+ *   when caching is off for the check in the file's scope
+ */
+function getOptions(check, filePath) {
+  const options = settings.getSettings(fileScope(filePath)).toolCache;
+  if (!options?.enabled || !(options.checks || []).includes(check)) {
+    return null;
+  }
+  return options;
+}
+
+/**
+ * Find the config files that affect the tools run on a file
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string[]} Absolute paths, nearest directory first
+ */
+function findConfigFiles(filePath) {
+  const projectDir = settings.resolveProjectDir();
+  const absolute = path.resolve(filePath);
+  const inProject = !path.relative(projectDir, absolute).startsWith('..');
+  const stop = inProject ? projectDir : getPackageRoot(absolute);
+
+  const found = [];
+  let dir = path.dirname(absolute);
+  for (;;) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (e) {
+      logging.debug(`Cannot read ${dir}: ${e.message}`);
+    }
+    for (const name of names.sort()) {
+      if (config.TOOL_CONFIG_FILES.some(pattern => pattern.test(name))) {
+        found.push(path.join(dir, name));
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (dir === stop || parent === dir || path.relative(stop, dir).startsWith('..')) {
+      break;
+    }
+    dir = parent;
+  }
+
+  return found;
+}
+
+/**
+ * Read the version of an npm package installed in or above a directory
+ *
+ * @param {string} name - Package name
+ * @param {string} dir - Directory to start from
+ * @returns {string|null} Version, or null if not installed
+ */
+function nodePackageVersion(name, dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(current, 'node_modules', name, 'package.json'), 'utf8'));
+      return manifest.version || null;
+    } catch {
+      // Not installed here
+    }
+    if (path.dirname(current) === current) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Read the version of a Python distribution installed in a package's venv
+ *
+ * @param {string} name - Distribution name
+ * @param {string} dir - Package root
+ * @returns {string|null} Version, or null if there is no venv or it lacks the tool
+ */
+function pythonPackageVersion(name, dir) {
+  const venvPath = venv.findVenv(dir);
+  if (!venvPath) {
+    return null;
+  }
+
+  const distInfo = new RegExp(`^${name.replace(/[-_.]+/g, '[-_.]')}-(.+)\\.dist-info$`, 'i');
+  const libDirs = [path.join(venvPath, 'Lib')];
+  try {
+    for (const entry of fs.readdirSync(path.join(venvPath, 'lib'))) {
+      libDirs.push(path.join(venvPath, 'lib', entry));
+    }
+  } catch {
+    // Windows layout
+  }
+
+  for (const libDir of libDirs) {
+    try {
+      for (const entry of fs.readdirSync(path.join(libDir, 'site-packages'))) {
+        const match = entry.match(distInfo);
+        if (match) return match[1];
+      }
+    } catch {
+      // No site-packages here
+    }
+  }
+  return null;
+}
+
+/**
+ * Stamp the executable a command name resolves to
+ *
+ * @param {string} name - Command name
+ * @param {Object} options - Options for resolver.findExecutable
+ * @returns {string|null} Path, size and mtime, or null if not found
+ */
+function executableStamp(name, options) {
+  const executable = resolver.findExecutable(name, options);
+  try {
+    const stat = fs.statSync(executable);
+    return `${executable}:${stat.size}:${stat.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identify the installed version of the tool that runs on a file
+ *
+ * The version is read from the installed package rather than by running
+ * the tool, so looking it up costs a few file reads. Tools that are not
+ * installed as a package are identified by their executable instead.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @returns {string} Fingerprint, e.g. 'eslint@8.57.0'; 'unknown' when the
+ *   tool cannot be found
+ */
+function getToolFingerprint(tool, filePath) {
+  const name = diagnostics.toolName(tool);
+  const cwd = getPackageRoot(filePath);
+  const python = getExt(filePath) === 'py';
+  const key = `${name}\0${cwd}\0${python}`;
+  if (fingerprints.has(key)) {
+    return fingerprints.get(key);
+  }
+
+  const version = python
+    ? pythonPackageVersion(name, cwd)
+    : nodePackageVersion(config.NODE_TOOL_PACKAGES[name] || name, cwd);
+  const fingerprint = version ? `${name}@${version}` : executableStamp(name, { cwd, python }) || 'unknown';
+
+  fingerprints.set(key, fingerprint);
+  return fingerprint;
+}
+
+/**
+ * Build the cache key for a check of a file in its current state
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Key, or null if the file cannot be read
+ */
+function createKey(check, tool, filePath) {
+  const absolute = path.resolve(filePath);
+  let content;
+  try {
+    content = fs.readFileSync(absolute);
+  } catch (e) {
+    logging.debug(`Cannot hash ${absolute}: ${e.message}`);
+    return null;
+  }
+
+  const configs = findConfigFiles(absolute).map((file) => {
+    try {
+      return [file, hashContent(fs.readFileSync(file))];
+    } catch {
+      return [file, null];
+    }
+  });
+
+  return hashContent(JSON.stringify([
+    CACHE_FORMAT,
+    check,
+    absolute,
+    hashContent(content),
+    describeTool(tool),
+    getToolFingerprint(tool, absolute),
+    configs
+  ]));
+}
+
+/**
+ * Get the cached result of a check, if the file has not changed since
+ *
+ * A hit marks the entry as recently used.
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} The value stored by set, or null on a miss or when caching is off
+ */
+function get(check, tool, filePath) {
+  if (!getOptions(check, filePath)) {
+    return null;
+  }
+
+  const key = createKey(check, tool, filePath);
+  if (!key) {
+    return null;
+  }
+
+  const entryFile = path.join(getCacheDir(), `${key}.json`);
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryFile, 'utf8'));
+    const now = new Date();
+    fs.utimesSync(entryFile, now, now);
+    logging.debug(`Cache hit: ${check} ${filePath} (${describeTool(tool)})`);
+    return entry.value;
+  } catch {
+    logging.debug(`Cache miss: ${check} ${filePath}`);
+    return null;
+  }
+}
+
+/**
+ * Evict the least recently used entries beyond the size limits
+ *
+ * @param {string} dir - Cache directory
+ * @param {{maxEntries: number, maxBytes: number}} limits - Limits
+ * @returns {number} Entries removed
+ */
+function evict(dir, limits) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map((name) => {
+        const file = path.join(dir, name);
+        const stat = fs.statSync(file);
+        return { file, size: stat.size, mtimeMs: stat.mtimeMs };
+      })
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  } catch (e) {
+    logging.debug(`Cannot list tool cache: ${e.message}`);
+    return 0;
+  }
+
+  let removed = 0;
+  let bytes = 0;
+  let kept = 0;
+  entries.forEach((entry, index) => {
+    bytes += entry.size;
+    if (index < limits.maxEntries && bytes <= limits.maxBytes) {
+      kept++;
+      return;
+    }
+    bytes -= entry.size;
+    try {
+      fs.unlinkSync(entry.file);
+      removed++;
+    } catch {
+      // Removed by another process
+    }
+  });
+  usage.set(dir, { entries: kept, bytes });
+
+  if (removed > 0) {
+    logging.debug(`Evicted ${removed} tool cache entries`);
+  }
+  return removed;
+}
+
+/**
+ * Store the result of a check for the file in its current state
+ *
+ * Call it after the tool ran: for a formatter the key is the formatted
+ * content, which formatting again would leave as it is. The cache is
+ * evicted on the process's first write and when the running size estimate
+ * passes toolCache.maxEntries or toolCache.maxBytes.
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @param {Object} value - JSON-serializable result
+ * @returns {boolean} Whether it was stored
+ */
+function set(check, tool, filePath, value) {
+  const options = getOptions(check, filePath);
+  const key = options && createKey(check, tool, filePath);
+  if (!key) {
+    return false;
+  }
+
+  const dir = getCacheDir();
+  const entryFile = path.join(dir, `${key}.json`);
+  const tempFile = `${entryFile}.${process.pid}.tmp`;
+  let size;
+  try {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      // Keep the cache out of version control even when .claude/ is committed
+      fs.writeFileSync(path.join(dir, '.gitignore'), '*\n');
+    }
+    const entry = JSON.stringify({
+      check,
+      file: path.resolve(filePath),
+      tool: describeTool(tool),
+      value
+    });
+    fs.writeFileSync(tempFile, entry);
+    fs.renameSync(tempFile, entryFile);
+    size = Buffer.byteLength(entry);
+  } catch (e) {
+    logging.debug(`Cannot write tool cache entry: ${e.message}`);
+    return false;
+  }
+
+  const estimate = usage.get(dir);
+  if (!estimate) {
+    evict(dir, options);
+    return true;
+  }
+  estimate.entries++;
+  estimate.bytes += size;
+  if (estimate.entries > options.maxEntries || estimate.bytes > options.maxBytes) {
+    evict(dir, {
+      maxEntries: Math.floor(options.maxEntries * EVICTION_TARGET),
+      maxBytes: Math.floor(options.maxBytes * EVICTION_TARGET)
+    });
+  }
+  return true;
+}
+
+/**
+ * Forget the tool fingerprints looked up so far, so the next lookup sees
+ * tools installed or upgraded since; a long-lived process calls it per request
+ */
+function clearFingerprints() {
+  fingerprints.clear();
+}
+
+/**
+ * Remove every cached result for a project
+ *
+ * @param {string} [projectDir] - Project directory (defaults to the current project)
+ */
+function clear(projectDir) {
+  const dir = getCacheDir(projectDir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  usage.delete(dir);
+  clearFingerprints();
+}
+
+module.exports = {
+  getCacheDir,
+  findConfigFiles,
+  getToolFingerprint,
+  createKey,
+  get,
+  set,
+  evict,
+  clearFingerprints,
+  clear
+};
@@ -0,0 +1,215 @@
+/**
+ * Changed lines
+ *
+ * Narrows what a linter or type checker reports for a file to the lines an
+ * edit changed, so issues already in a legacy file are counted as
+ * pre-existing instead of listed. Changed lines come from `git diff -U0`
+ * (see git.getChangedLines) against one of three bases, chosen with the
+ * diffAware.base setting:
+ *
+ * - `HEAD`: the last commit
+ * - `merge-base`: where the branch left the default branch
+ * - `snapshot`: the file before its first edit in the session, copied into
+ *   the project's config.SNAPSHOT_DIR by the PreToolUse `snapshot` hook.
+ *   Without a snapshot (the hook is not registered, or no session id), HEAD
+ *   is used instead.
+ *
+ * A file git knows nothing about (untracked, or created in the session) is
+ * changed on every line.
+ *
+ * @module lib/tools/changes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../core');
+const settings = require('../settings');
+const git = require('../git');
+const logging = require('../logging');
+
+/**
+ * Bases changed lines can be computed against
+ * @type {string[]}
+ */
+const BASES = ['HEAD', 'merge-base', 'snapshot'];
+
+/**
+ * Get the directory holding a session's snapshots
+ *
+ * @param {string} sessionId - Session id from the hook input
+ * @returns {string}
+ */
+function getSnapshotDir(sessionId) {
+  const name = String(sessionId).replace(/[^\w.-]/g, '_');
+  return path.join(settings.resolveProjectDir(), config.SNAPSHOT_DIR, name);
+}
+
+/**
+ * Get the file a snapshot of a file is stored in
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} sessionId - Session id
+ * @returns {string}
+ */
+function getSnapshotFile(filePath, sessionId) {
+  const key = crypto.createHash('sha256').update(path.resolve(filePath)).digest('hex').slice(0, 32);
+  return path.join(getSnapshotDir(sessionId), key);
+}
+
+/**
+ * Remove the snapshots of sessions not written to for config.SNAPSHOT_MAX_AGE
+ *
+ * @param {string} sessionId - The current session, which is kept
+ */
+function pruneSnapshots(sessionId) {
+  const root = path.dirname(getSnapshotDir(sessionId));
+  const current = path.basename(getSnapshotDir(sessionId));
+  let entries = [];
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === current) continue;
+    const dir = path.join(root, entry.name);
+    try {
+      if (Date.now() - fs.statSync(dir).mtimeMs > config.SNAPSHOT_MAX_AGE) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    } catch (e) {
+      logging.debug(`Cannot prune snapshots in ${dir}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Save a file as it is before an edit
+ *
+ * Only the first edit of a file in a session is recorded, so later edits
+ * are compared with the file the session started from. A file that does
+ * not exist yet is recorded as empty: all of it is new.
+ *
+ * @param {string} filePath - Path to the file about to be edited
+ * @param {string} sessionId - Session id from the hook input
+ * @returns {boolean} Whether a snapshot was written
+ *
+ * @example
+ * saveSnapshot('/repo/src/legacy.js', input.session_id);
+ */
+function saveSnapshot(filePath, sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  const snapshot = getSnapshotFile(filePath, sessionId);
+  if (fs.existsSync(snapshot)) {
+    return false;
+  }
+
+  try {
+    const root = path.dirname(path.dirname(snapshot));
+    if (!fs.existsSync(root)) {
+      fs.mkdirSync(root, { recursive: true });
+      // Keep snapshots out of version control even when .claude/ is committed
+      fs.writeFileSync(path.join(root, '.gitignore'), '*\n');
+    }
+    fs.mkdirSync(path.dirname(snapshot), { recursive: true });
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath) : '';
+    fs.writeFileSync(snapshot, content);
+  } catch (e) {
+    logging.debug(`Cannot save snapshot of ${filePath}: ${e.message}`);
+    return false;
+  }
+
+  pruneSnapshots(sessionId);
+  return true;
+}
+
+/**
+ * Get the lines of a file changed against a base
+ *
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - Options
+ * @param {string} options.base - 'HEAD', 'merge-base' or 'snapshot'
+ * @param {string} [options.sessionId] - Session whose snapshot to use
+ * @returns {Array<Array<number>>|null} Changed `[first, last]` line ranges, or
+ *   null if every line counts as changed
+ */
+function getChangedLines(filePath, options) {
+  const { base, sessionId } = options;
+  const cwd = path.dirname(path.resolve(filePath));
+
+  if (base === 'snapshot' && sessionId) {
+    const snapshot = getSnapshotFile(filePath, sessionId);
+    if (fs.existsSync(snapshot)) {
+      return git.getChangedLines(filePath, { original: snapshot });
+    }
+    logging.debug(`No snapshot of ${filePath}, comparing with HEAD`);
+  }
+
+  if (base === 'merge-base') {
+    const revision = git.getMergeBase({ cwd });
+    return revision ? git.getChangedLines(filePath, { revision }) : null;
+  }
+
+  return git.getChangedLines(filePath, { revision: 'HEAD' });
+}
+
+/**
+ * Split diagnostics into those on changed lines and pre-existing ones
+ *
+ * Only diagnostics in the file itself are split: issues the tool reports
+ * in other files (a module importing a changed export) and issues without
+ * a line are kept.
+ *
+ * @param {Array<Object>} found - Diagnostics (see lib/tools/diagnostics)
+ * @param {string} filePath - File that was edited
+ * @param {Array<Array<number>>|null} ranges - Result of getChangedLines
+ * @returns {{changed: Array<Object>, preExisting: Array<Object>}}
+ *
+ * @example
+ * splitByChanges(diagnostics, '/repo/a.js', [[10, 12]]);
+ * // { changed: [issue on line 11], preExisting: [issues elsewhere in a.js] }
+ */
+function splitByChanges(found, filePath, ranges) {
+  if (!ranges) {
+    return { changed: found, preExisting: [] };
+  }
+
+  const file = path.resolve(filePath);
+  const changed = [];
+  const preExisting = [];
+  for (const diagnostic of found) {
+    const outside = diagnostic.file === file && diagnostic.line !== null &&
+      !ranges.some(([first, last]) => diagnostic.line >= first && diagnostic.line <= last);
+    (outside ? preExisting : changed).push(diagnostic);
+  }
+  return { changed, preExisting };
+}
+
+/**
+ * Count diagnostics by severity
+ *
+ * @param {Array<Object>} found - Diagnostics
+ * @returns {{error: number, warning: number, info: number}}
+ */
+function countBySeverity(found) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const diagnostic of found) {
+    counts[diagnostic.severity] = (counts[diagnostic.severity] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  BASES,
+  saveSnapshot,
+  getChangedLines,
+  splitByChanges,
+  countBySeverity
+};
@@ -0,0 +1,780 @@
+/**
+ * Tool diagnostics
+ *
+ * Parses linter and type checker output into a normalized diagnostic list.
+ * Registered tools with an output parser are switched to the format it reads
+ * (see lib/tools/registry); anything else falls back to common
+ * `file:line:col: message` shapes, or to the first line of output when a
+ * tool fails without one.
+ *
+ * @module lib/tools/diagnostics
+ */
+
+'use strict';
+
+const path = require('path');
+const registry = require('./registry');
+
+/**
+ * A single issue reported by a tool
+ *
+ * @typedef {Object} Diagnostic
+ * @property {string} file - Absolute path
+ * @property {number|null} line - 1-based line, null if unknown
+ * @property {number|null} column - 1-based column, null if unknown
+ * @property {string|null} rule - Rule or error code (e.g. 'no-unused-vars', 'F401', 'TS2322')
+ * @property {'error'|'warning'|'info'} severity - Severity
+ * @property {string} message - Message text
+ * @property {boolean} fixable - Whether the tool can fix it automatically
+ * @property {string} source - Tool that reported it
+ * @property {string} [url] - Documentation for the rule, when known
+ * @property {number|null} [cell] - Notebook cell the line is in, for .ipynb files (see lib/tools/notebook)
+ */
+
+/**
+ * Build a diagnostic, filling defaults
+ *
+ * @param {Object} fields - Diagnostic fields; `file` is resolved against cwd
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic}
+ */
+function createDiagnostic(fields, cwd) {
+  return {
+    file: path.resolve(cwd, fields.file),
+    line: Number.isInteger(fields.line) ? fields.line : null,
+    column: Number.isInteger(fields.column) ? fields.column : null,
+    rule: fields.rule || null,
+    severity: fields.severity || 'error',
+    message: String(fields.message || '').trim(),
+    fixable: Boolean(fields.fixable),
+    source: fields.source,
+    ...(fields.url ? { url: fields.url } : {})
+  };
+}
+
+/**
+ * Parse the JSON document a tool printed, ignoring any noise around it
+ *
+ * @param {string} output - Tool output
+ * @param {string} open - Opening character of the document ('[' or '{')
+ * @returns {*} Parsed value, or undefined if there is no valid document
+ */
+function parseJsonOutput(output, open) {
+  const start = output.indexOf(open);
+  if (start === -1) return undefined;
+  try {
+    return JSON.parse(output.slice(start));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse `eslint --format json` output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if the output is not eslint JSON
+ */
+function parseEslint(output, cwd) {
+  const results = parseJsonOutput(output, '[');
+  if (!Array.isArray(results)) return null;
+
+  return results.flatMap(result => (result.messages || []).map(message => createDiagnostic({
+    file: result.filePath,
+    line: message.line,
+    column: message.column,
+    rule: message.ruleId,
+    severity: message.severity === 2 ? 'error' : 'warning',
+    message: message.message,
+    fixable: Boolean(message.fix),
+    source: 'eslint',
+    // Core rules have no plugin prefix
+    url: message.ruleId && !message.ruleId.includes('/')
+      ? `https://eslint.org/docs/latest/rules/${message.ruleId}`
+      : null
+  }, cwd)));
+}
+
+/**
+ * Parse `ruff check --output-format json` output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if the output is not ruff JSON
+ */
+function parseRuff(output, cwd) {
+  const results = parseJsonOutput(output, '[');
+  if (!Array.isArray(results)) return null;
+
+  return results.map(result => createDiagnostic({
+    file: result.filename,
+    line: result.location?.row,
+    column: result.location?.column,
+    rule: result.code,
+    severity: 'error',
+    message: result.message,
+    fixable: Boolean(result.fix),
+    source: 'ruff',
+    url: result.url
+  }, cwd));
+}
+
+/**
+ * mypy's line format: `file:line[:col]: severity: message  [code]`
+ * @type {RegExp}
+ */
+const MYPY_LINE = /^(.+?):(\d+)(?::(\d+))?: (error|warning|note): (.*?)(?:\s+\[([\w-]+)\])?$/;
+
+/**
+ * Parse mypy output, either `-O json` (one object per line) or the line format
+ *
+ * Notes attach to the preceding error's message rather than becoming
+ * diagnostics of their own.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in a mypy format
+ */
+function parseMypy(output, cwd) {
+  const diagnostics = [];
+  let recognized = false;
+
+  for (const line of output.split('\n')) {
+    let entry = null;
+    if (line.startsWith('{')) {
+      try {
+        const json = JSON.parse(line);
+        entry = {
+          file: json.file,
+          line: json.line,
+          // JSON columns are 0-based (-1 when unknown); the line format's are 1-based
+          column: json.column >= 0 ? json.column + 1 : null,
+          severity: json.severity,
+          message: json.hint ? `${json.message} (${json.hint})` : json.message,
+          rule: json.code
+        };
+      } catch {
+        continue;
+      }
+    } else {
+      const match = line.match(MYPY_LINE);
+      if (match) {
+        entry = {
+          file: match[1],
+          line: Number(match[2]),
+          column: match[3] ? Number(match[3]) : null,
+          severity: match[4],
+          message: match[5],
+          rule: match[6]
+        };
+      }
+    }
+    if (!entry) continue;
+    recognized = true;
+
+    const previous = diagnostics[diagnostics.length - 1];
+    if (entry.severity === 'note' && previous) {
+      previous.message += `\n${entry.message}`;
+      continue;
+    }
+    diagnostics.push(createDiagnostic({
+      ...entry,
+      severity: entry.severity === 'note' ? 'info' : entry.severity,
+      source: 'mypy'
+    }, cwd));
+  }
+
+  return recognized ? diagnostics : null;
+}
+
+/**
+ * tsc's `--pretty false` format: `file(line,col): error TSxxxx: message`
+ * @type {RegExp}
+ */
+const TSC_LINE = /^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/;
+
+/**
+ * Parse tsc output
+ *
+ * Continuation lines (indented elaboration) are appended to the message.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in tsc's format
+ */
+function parseTsc(output, cwd) {
+  const diagnostics = [];
+
+  for (const line of output.split('\n')) {
+    const match = line.match(TSC_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        severity: match[4] === 'message' ? 'info' : match[4],
+        rule: match[5],
+        message: match[6],
+        source: 'tsc'
+      }, cwd));
+    } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+    }
+  }
+
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * flake8's default format: `file:line:col: CODE message`
+ * @type {RegExp}
+ */
+const FLAKE8_LINE = /^(.+?):(\d+):(\d+): ([A-Z]+\d+) (.*)$/;
+
+/**
+ * Parse flake8 output
+ *
+ * pycodestyle warnings (W codes) are warnings; everything else is an error.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in flake8's format
+ */
+function parseFlake8(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(FLAKE8_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        rule: match[4],
+        severity: match[4].startsWith('W') ? 'warning' : 'error',
+        message: match[5],
+        source: 'flake8'
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * Parse `pyright --outputjson` output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if the output is not pyright JSON
+ */
+function parsePyright(output, cwd) {
+  const report = parseJsonOutput(output, '{');
+  if (!Array.isArray(report?.generalDiagnostics)) return null;
+
+  return report.generalDiagnostics.map(entry => createDiagnostic({
+    file: entry.file,
+    // Ranges are 0-based
+    line: entry.range ? entry.range.start.line + 1 : null,
+    column: entry.range ? entry.range.start.character + 1 : null,
+    rule: entry.rule,
+    severity: entry.severity === 'information' ? 'info' : entry.severity,
+    message: entry.message,
+    source: 'pyright'
+  }, cwd));
+}
+
+/**
+ * GitHub Actions workflow command: `::error title=rule,file=f,line=1,col=2::message`
+ * @type {RegExp}
+ */
+const WORKFLOW_COMMAND = /^::(error|warning|notice) (.*?)::(.*)$/;
+
+/**
+ * Decode a value escaped for a workflow command
+ *
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+function decodeWorkflowValue(value) {
+  return value.replace(/%(0D|0A|3A|2C|25)/gi, (_, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+/**
+ * Parse `biome lint --reporter=github` output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is a workflow command
+ */
+function parseBiome(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.trim().match(WORKFLOW_COMMAND);
+    if (!match) continue;
+    const properties = Object.fromEntries(match[2].split(',').map((pair) => {
+      const index = pair.indexOf('=');
+      return [pair.slice(0, index), decodeWorkflowValue(pair.slice(index + 1))];
+    }));
+    diagnostics.push(createDiagnostic({
+      file: properties.file,
+      line: Number(properties.line),
+      column: Number(properties.col),
+      rule: properties.title,
+      severity: match[1] === 'notice' ? 'info' : match[1],
+      message: decodeWorkflowValue(match[3]),
+      source: 'biome'
+    }, cwd));
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * standard's format: `  file:line:col: message (rule)`, the rule shown with --verbose
+ * @type {RegExp}
+ */
+const STANDARD_LINE = /^\s*(.+?):(\d+):(\d+): (.*?)(?: \(([\w@/-]+)\))?$/;
+
+/**
+ * Parse standard output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in standard's format
+ */
+function parseStandard(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(STANDARD_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        rule: match[5],
+        message: match[4],
+        source: 'standard'
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * `shellcheck --format gcc` line: `file:line:col: severity: message [SC1234]`
+ * @type {RegExp}
+ */
+const SHELLCHECK_LINE = /^(.+?):(\d+):(\d+): (error|warning|note): (.*?) \[(SC\d+)\]$/;
+
+/**
+ * Parse `shellcheck --format gcc` output
+ *
+ * Info and style issues are printed as notes.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in shellcheck's format
+ */
+function parseShellcheck(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(SHELLCHECK_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        rule: match[6],
+        severity: match[4] === 'note' ? 'info' : match[4],
+        message: match[5],
+        source: 'shellcheck',
+        url: `https://www.shellcheck.net/wiki/${match[6]}`
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * Parse `stylelint --formatter json` output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if the output is not stylelint JSON
+ */
+function parseStylelint(output, cwd) {
+  const results = parseJsonOutput(output, '[');
+  if (!Array.isArray(results)) return null;
+
+  return results.flatMap(result => (result.warnings || []).map(warning => createDiagnostic({
+    file: result.source,
+    line: warning.line,
+    column: warning.column,
+    rule: warning.rule,
+    severity: warning.severity === 'warning' ? 'warning' : 'error',
+    // The text ends with the rule name, which is reported separately
+    message: String(warning.text || '').replace(/\s*\([\w@/-]+\)$/, ''),
+    source: 'stylelint',
+    url: warning.rule && !warning.rule.includes('/')
+      ? `https://stylelint.io/user-guide/rules/${warning.rule}`
+      : null
+  }, cwd)));
+}
+
+/**
+ * markdownlint's line format: `file:line[:col] [severity] MD013/line-length message`
+ * @type {RegExp}
+ */
+const MARKDOWNLINT_LINE = /^(.+?):(\d+)(?::(\d+))? (?:(error|warning) )?(MD\d+)(?:\/[\w/-]+)? (.*)$/;
+
+/**
+ * Parse markdownlint output
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in markdownlint's format
+ */
+function parseMarkdownlint(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(MARKDOWNLINT_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : null,
+        rule: match[5],
+        severity: match[4] || 'error',
+        message: match[6],
+        source: 'markdownlint',
+        url: `https://github.com/DavidAnson/markdownlint/blob/main/doc/${match[5].toLowerCase()}.md`
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * golangci-lint's line format: `file:line[:col]: message (linter)`
+ * @type {RegExp}
+ */
+const GOLANGCI_LINE = /^(.+?\.go):(\d+)(?::(\d+))?: (.*) \(([\w-]+)\)$/;
+
+/**
+ * Parse golangci-lint output
+ *
+ * The linter that reported an issue is its rule.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in golangci-lint's format
+ */
+function parseGolangci(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(GOLANGCI_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : null,
+        rule: match[5],
+        message: match[4],
+        source: 'golangci-lint'
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * `cargo clippy --message-format short` line: `file:line:col: severity[code]: message`
+ * @type {RegExp}
+ */
+const CLIPPY_LINE = /^(.+?\.rs):(\d+):(\d+): (error|warning)(?:\[(\w+)\])?: (.*)$/;
+
+/**
+ * Parse `cargo clippy --message-format short` output
+ *
+ * Summary lines without a location ("warning: `app` generated 2 warnings")
+ * are skipped.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if no line is in clippy's format
+ */
+function parseClippy(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(CLIPPY_LINE);
+    if (match) {
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        rule: match[5],
+        severity: match[4],
+        message: match[6],
+        source: 'clippy'
+      }, cwd));
+    }
+  }
+  return diagnostics.length > 0 ? diagnostics : null;
+}
+
+/**
+ * Parse `hadolint --format json` output
+ *
+ * Style issues are reported as info; rules from shellcheck (SC codes, for
+ * RUN instructions) link to its wiki.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @returns {Diagnostic[]|null} Null if the output is not hadolint JSON
+ */
+function parseHadolint(output, cwd) {
+  const results = parseJsonOutput(output, '[');
+  if (!Array.isArray(results)) return null;
+
+  return results.map(result => createDiagnostic({
+    file: result.file,
+    line: result.line,
+    column: result.column,
+    rule: result.code,
+    severity: ['error', 'warning'].includes(result.level) ? result.level : 'info',
+    message: result.message,
+    source: 'hadolint',
+    url: /^SC\d+$/.test(result.code)
+      ? `https://www.shellcheck.net/wiki/${result.code}`
+      : `https://github.com/hadolint/hadolint/wiki/${result.code}`
+  }, cwd));
+}
+
+/**
+ * Generic `file:line:col: [severity[:]] message [rule]` line
+ * @type {RegExp}
+ */
+const GENERIC_LINE = /^(.+?):(\d+):(\d+):?\s+(?:(error|warning|note|info)\b:?\s*)?(.*?)(?:\s+\[([\w./-]+)\])?$/i;
+
+/**
+ * eslint's compact format: `file: line N, col M, Error - message (rule)`
+ * @type {RegExp}
+ */
+const COMPACT_LINE = /^(.+?): line (\d+), col (\d+), (Error|Warning) - (.*?)(?: \(([\w@/-]+)\))?$/;
+
+/**
+ * Parse output of an unrecognized tool
+ *
+ * Tries tsc's format, eslint's compact format and the common
+ * `file:line:col: message` shape; if none matches, the first non-empty line becomes a single diagnostic
+ * against the checked file.
+ *
+ * @param {string} output - Tool output
+ * @param {string} cwd - Directory the tool ran in
+ * @param {string} filePath - File that was checked
+ * @param {string} source - Tool name for the diagnostics
+ * @returns {Diagnostic[]}
+ */
+function parseGeneric(output, cwd, filePath, source) {
+  const tsc = parseTsc(output, cwd);
+  if (tsc) {
+    return tsc.map(diagnostic => ({ ...diagnostic, source }));
+  }
+
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(COMPACT_LINE) || line.match(GENERIC_LINE);
+    if (match) {
+      const severity = (match[4] || 'error').toLowerCase();
+      diagnostics.push(createDiagnostic({
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        severity: severity === 'note' ? 'info' : severity,
+        message: match[5],
+        rule: match[6],
+        source
+      }, cwd));
+    }
+  }
+  if (diagnostics.length > 0) {
+    return diagnostics;
+  }
+
+  const first = output.split('\n').find(line => line.trim());
+  return first ? [createDiagnostic({ file: filePath, message: first, source }, cwd)] : [];
+}
+
+/**
+ * Get the command text of a configured tool
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string}
+ */
+function commandText(tool) {
+  return typeof tool === 'string' ? tool : [tool.command, ...(tool.args || [])].join(' ');
+}
+
+/**
+ * Find the registered tool whose output parser reads a configured tool's output
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {Object|null} Registration (see lib/tools/registry), or null for
+ *   tools without a parser
+ */
+function findParser(tool) {
+  return registry.findByCommand(tool, definition => Boolean(definition.parse));
+}
+
+/**
+ * Get the name diagnostics from a configured tool are reported under
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string} Registered name for known tools, else the command's
+ *   executable (skipping a leading npx)
+ *
+ * @example
+ * toolName('npx eslint');            // 'eslint'
+ * toolName({ command: 'golint {file}' }); // 'golint'
+ */
+function toolName(tool) {
+  const definition = registry.findByCommand(tool);
+  return definition ? definition.name : commandText(tool).trim().split(/\s+/).find(word => word !== 'npx');
+}
+
+/**
+ * Add the arguments that make a known linter apply its safe fixes
+ *
+ * eslint applies fixes but never suggestions; ruff applies only the fixes
+ * it marks safe unless configured otherwise.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string|{command: string, args?: string[]}|null} Tool with fix
+ *   arguments added (unchanged if it already fixes), or null if the tool
+ *   cannot fix
+ *
+ * @example
+ * withFix('ruff check');  // { command: 'ruff check {file}', args: ['--fix'] }
+ * withFix('mypy');        // null
+ */
+function withFix(tool) {
+  const linter = registry.findByCommand(tool, definition => Boolean(definition.fix));
+  if (!linter) {
+    return null;
+  }
+  if (/(^|\s)--fix(\s|$)/.test(commandText(tool))) {
+    return tool;
+  }
+
+  const spec = typeof tool === 'string' ? { command: `${tool.trim()} {file}` } : tool;
+  return { ...spec, args: [...(spec.args || []), ...linter.fix] };
+}
+
+/**
+ * Add the arguments that make a known tool print machine-readable output
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string|{command: string, args?: string[]}} Tool with output
+ *   arguments added, or the tool unchanged
+ *
+ * @example
+ * withMachineOutput('eslint');
+ * // { command: 'eslint {file}', args: ['--format', 'json'] }
+ */
+function withMachineOutput(tool) {
+  const parser = findParser(tool);
+  if (!parser || parser.args.length === 0 || parser.configured?.test(commandText(tool))) {
+    return tool;
+  }
+
+  const spec = typeof tool === 'string' ? { command: `${tool.trim()} {file}` } : tool;
+  return { ...spec, args: [...(spec.args || []), ...parser.args] };
+}
+
+/**
+ * Parse a tool's output into diagnostics
+ *
+ * A tool that is not installed (`result.missing`, see lib/tools/resolver)
+ * gives a single 'tool-not-installed' warning carrying the install hint.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {{success: boolean, output?: string, stderr?: string, error?: string, missing?: Object}} result - Result of running it
+ * @param {Object} options - Options
+ * @param {string} options.filePath - File that was checked
+ * @param {string} options.cwd - Directory the tool ran in
+ * @returns {Diagnostic[]}
+ *
+ * @example
+ * parseDiagnostics('ruff check', result, { filePath: '/repo/a.py', cwd: '/repo' })
+ * // [{ file: '/repo/a.py', line: 1, column: 8, rule: 'F401', severity: 'error',
+ * //    message: '`os` imported but unused', fixable: true, source: 'ruff' }]
+ */
+function parseDiagnostics(tool, result, options) {
+  const { filePath, cwd } = options;
+  if (result.missing) {
+    return [createDiagnostic({
+      file: filePath,
+      rule: 'tool-not-installed',
+      severity: 'warning',
+      message: result.error,
+      source: toolName(tool)
+    }, cwd)];
+  }
+
+  const output = [result.output, result.stderr].filter(Boolean).join('\n');
+  const parser = findParser(tool);
+
+  // Parsers from tool modules may leave fields out
+  const parsed = parser ? parser.parse(output, cwd) : null;
+  if (parsed) {
+    return parsed.map(diagnostic => createDiagnostic({ source: parser.name, ...diagnostic }, cwd));
+  }
+  if (result.success) {
+    return [];
+  }
+
+  return parseGeneric(output || result.error || '', cwd, filePath, toolName(tool));
+}
+
+/**
+ * Format a diagnostic as a single `file:line:col: severity message [rule]` line
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic
+ * @param {string} [cwd] - Show the file relative to this directory
+ * @returns {string}
+ *
+ * @example
+ * formatDiagnostic(d, '/repo'); // "src/a.ts:3:7: error Type 'string' is not assignable... [TS2322]"
+ * formatDiagnostic(cellDiagnostic, '/repo'); // "analysis.ipynb:cell 3:1:8: error `os` imported but unused [F401]"
+ */
+function formatDiagnostic(diagnostic, cwd) {
+  const file = cwd ? path.relative(cwd, diagnostic.file) || diagnostic.file : diagnostic.file;
+  const cell = diagnostic.cell ? `cell ${diagnostic.cell}` : null;
+  const location = [file, cell, diagnostic.line, diagnostic.column].filter(part => part !== null).join(':');
+  const rule = diagnostic.rule ? ` [${diagnostic.rule}]` : '';
+  const fixable = diagnostic.fixable ? ' (fixable)' : '';
+  return `${location}: ${diagnostic.severity} ${diagnostic.message.split('\n')[0]}${rule}${fixable}`;
+}
+
+module.exports = {
+  parseEslint,
+  parseRuff,
+  parseMypy,
+  parseTsc,
+  parseFlake8,
+  parsePyright,
+  parseBiome,
+  parseStandard,
+  parseShellcheck,
+  parseStylelint,
+  parseMarkdownlint,
+  parseGolangci,
+  parseClippy,
+  parseHadolint,
+  parseGeneric,
+  findParser,
+  toolName,
+  withMachineOutput,
+  withFix,
+  parseDiagnostics,
+  formatDiagnostic
+};
@@ -3,6 +3,27 @@
  *
  * Formatters, linters, and type checkers with venv support.
  *
+ * Commands come from the effective settings for each file: plugin defaults
+ * overlaid by the language profiles detected in the file's package root and
+ * any user, project or directory-scoped overrides (see lib/settings). Tools
+ * run with the package root (nearest package.json, pyproject.toml, go.mod or
+ * Cargo.toml) as their working directory, using the project's installed
+ * executables rather than downloading them (see lib/tools/resolver).
+ *
+ * Which tools exist, and how to run them and read their output, comes from
+ * the tool registry (see lib/tools/registry), where projects can add their
+ * own. Linters and type checkers report a normalized diagnostic list (see
+ * lib/tools/diagnostics) alongside a one-line summary of the first issue.
+ * Formatting can also be checked without writing, with a diff of what
+ * would change (formatFile's check mode, checkFormatting).
+ * processFiles checks many files at once (see lib/tools/batch). Results
+ * for unchanged files come from a content-hash cache (see lib/tools/cache).
+ * With diff-aware checking, only issues on the lines an edit changed are
+ * reported (see lib/tools/changes); issues recorded in the project's
+ * baseline are marked suppressed and do not fail checks (see
+ * lib/tools/baseline). Jupyter notebooks are checked through their code
+ * cells (see lib/tools/notebook).
+ *
  * @module lib/tools
  */
 
@@ -10,69 +31,86 @@
 
 const fs = require('fs');
 const path = require('path');
-const { config, exec } = require('../core');
-const venv = require('../venv');
+const { config, diff } = require('../core');
+const settings = require('../settings');
 const logging = require('../logging');
 const validation = require('../validation');
+const diagnostics = require('./diagnostics');
+const cache = require('./cache');
+const baseline = require('./baseline');
+const changes = require('./changes');
+const registry = require('./registry');
+const resolver = require('./resolver');
+const typescript = require('./typescript');
+const {
+  getExt,
+  fileScope,
+  getPackageRoot,
+  findConfiguredTool,
+  runPythonTool,
+  buildToolCommand,
+  withStdout,
+  describeTool,
+  runToolCommand
+} = require('./runner');
+const batch = require('./batch');
+const notebook = require('./notebook');
 
 /**
- * Get file extension (lowercase, without dot)
- *
- * @param {string} filePath - Path to the file
- * @returns {string} File extension
+ * Per-file checks: the settings map of their tools, and how log messages name them
+ * @type {Object<string, {key: string, action: string, noun: string}>}
  */
-function getExt(filePath) {
-  return path.extname(filePath).slice(1).toLowerCase();
-}
+const CHECKS = {
+  format: { key: 'formatters', action: 'Formatting', noun: 'formatter' },
+  typecheck: { key: 'typeCheckers', action: 'Type checking', noun: 'type checker' },
+  lint: { key: 'linters', action: 'Linting', noun: 'linter' }
+};
 
 /**
- * Run a Python tool through venv
+ * Find the tool a check runs on a file
  *
- * @param {string} toolName - Tool module name (e.g., 'ruff')
- * @param {string} args - Arguments for the tool
- * @param {Object} [options={}] - Options
- * @param {boolean} [options.autoCreate=true] - Create venv if needed
- * @param {string} [options.cwd=process.cwd()] - Working directory
- * @param {number} [options.timeout] - Timeout in ms
- * @returns {{success: boolean, output?: string, error?: string}}
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} filePath - Path to the file
+ * @returns {{tool: string|{command: string, args?: string[]}, effective: Object}|null}
+ *   The tool and the file's effective settings, or null if no tool is
+ *   configured for the file or the check is disabled
  */
-function runPythonTool(toolName, args, options = {}) {
-  const {
-    autoCreate = true,
-    cwd = process.cwd(),
-    timeout = config.TIMEOUTS.EXTENDED
-  } = options;
-
-  let pythonPath = null;
-  const venvPath = venv.findVenv(cwd);
-
-  if (venvPath) {
-    pythonPath = venv.getVenvPython(venvPath);
-  } else if (autoCreate) {
-    try {
-      pythonPath = venv.ensureVenvWithTool(cwd, toolName);
-    } catch (e) {
-      return { success: false, error: e.message };
-    }
+function findTool(check, filePath) {
+  const { key, action, noun } = CHECKS[check];
+  const scope = fileScope(filePath);
+  if (!settings.isCheckEnabled(check, scope)) {
+    logging.debug(`${action} disabled for ${filePath}`);
+    return null;
   }
 
-  const escapedArgs = exec.escapeFilePath(args.replace(/^["']|["']$/g, ''));
-  const cmd = pythonPath
-    ? `"${pythonPath}" -m ${toolName} ${escapedArgs}`
-    : `${toolName} ${escapedArgs}`;
-
-  logging.debug(`Running: ${cmd}`);
-
-  return exec.exec(cmd, { cwd, timeout });
+  const effective = settings.getSettings(scope);
+  const tool = findConfiguredTool(effective, key, filePath);
+  if (!tool) {
+    logging.debug(`No ${noun} for ${path.basename(filePath)}`);
+    return null;
+  }
+  return { tool, effective };
 }
 
 /**
  * Format a file
  *
+ * In check mode the file is left alone: the formatter prints the formatted
+ * content instead (see runner.withStdout), and the result tells whether the
+ * file would change, with a unified diff of the change.
+ *
  * @param {string} filePath - Path to the file
- * @returns {{success: boolean, error?: string}|null} Result or null if no formatter
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.check] - Report what formatting would change instead of writing
+ * @returns {{success: boolean, error?: string, changed?: boolean, diff?: string}|null} Result,
+ *   or null if no formatter or formatting is disabled. In check mode, `changed` tells whether
+ *   the file would be reformatted, which fails the check, and `diff` is how
+ *
+ * @example
+ * formatFile('src/app.js', { check: true });
+ * // { success: false, changed: true, error: 'Would reformat src/app.js', diff: '--- a/src/app.js\n...' }
  */
-function formatFile(filePath) {
+function formatFile(filePath, options = {}) {
   // Validate file path before processing
   const pathValidation = validation.validateFilePath(filePath);
   if (!pathValidation.valid) {
@@ -80,32 +118,29 @@ function formatFile(filePath) {
     return { success: false, error: pathValidation.reason };
   }
 
-  const ext = getExt(filePath);
-  const formatter = config.FORMATTERS[ext];
-
-  if (!formatter) {
-    logging.debug(`No formatter for extension: ${ext}`);
+  const found = findTool('format', filePath);
+  if (!found) {
     return null;
   }
+  const formatter = found.tool;
 
   if (!fs.existsSync(filePath)) {
     return { success: false, error: 'File not found' };
   }
 
-  logging.debug(`Formatting ${filePath} with ${formatter}`);
-
-  // Python files use venv-aware execution
-  if (ext === 'py') {
-    return runPythonTool('ruff', `format "${filePath}"`, {
-      timeout: config.TIMEOUTS.STANDARD
-    });
+  if (cache.get('format', formatter, filePath)) {
+    return options.check ? { success: true, changed: false } : { success: true };
+  }
+  if (options.check) {
+    return checkFormat(formatter, filePath);
   }
 
-  // Other formatters run directly
-  const escapedPath = exec.escapeFilePath(filePath);
-  const result = exec.exec(`${formatter} ${escapedPath}`, {
-    timeout: config.TIMEOUTS.STANDARD
-  });
+  logging.debug(`Formatting ${filePath} with ${describeTool(formatter)}`);
+
+  const result = runToolCommand(formatter, filePath, { timeout: config.TIMEOUTS.STANDARD });
+  if (result.success) {
+    cache.set('format', formatter, filePath, {});
+  }
 
   return {
     success: result.success,
@@ -113,13 +148,187 @@ function formatFile(filePath) {
   };
 }
 
+/**
+ * Get a file's path relative to the project root, as patches show it
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string}
+ */
+function projectRelative(filePath) {
+  return path.relative(settings.resolveProjectDir(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Check whether formatting would change a file, without writing it
+ *
+ * Content the formatter leaves unchanged is cached as formatted, as after
+ * formatting in place.
+ *
+ * @param {string|{command: string, args?: string[]}} formatter - Formatter from settings
+ * @param {string} filePath - Path to the file
+ * @returns {{success: boolean, error?: string, changed?: boolean, diff?: string}} See formatFile
+ */
+function checkFormat(formatter, filePath) {
+  const stdoutTool = withStdout(formatter);
+  if (!stdoutTool) {
+    return { success: false, error: `${describeTool(formatter)} cannot check formatting without writing` };
+  }
+
+  logging.debug(`Checking formatting of ${filePath} with ${describeTool(formatter)}`);
+
+  const before = fs.readFileSync(filePath, 'utf8');
+  const result = runToolCommand(stdoutTool, filePath, { timeout: config.TIMEOUTS.STANDARD, input: before, trim: false });
+  if (!result.success) {
+    return { success: false, error: result.stderr || result.error };
+  }
+  if (result.output === before) {
+    cache.set('format', formatter, filePath, {});
+    return { success: true, changed: false };
+  }
+
+  const name = projectRelative(filePath);
+  return {
+    success: false,
+    changed: true,
+    error: `Would reformat ${name}`,
+    diff: diff.createPatch(name, before, result.output)
+  };
+}
+
+/**
+ * Check the formatting of many files without writing them
+ *
+ * @param {string|string[]} inputs - Paths, directories or globs (see expandFiles)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd=process.cwd()] - Directory inputs are relative to
+ * @returns {{success: boolean, files: Object<string, Object|null>, changed: number,
+ *   unchanged: number, failed: number, skipped: number}} `files` maps each file to its
+ *   formatFile check result (null without a formatter). The check succeeds when no file
+ *   would change and every formatter ran
+ *
+ * @example
+ * const report = checkFormatting(['src']);
+ * report.changed; // 2 files would be reformatted
+ */
+function checkFormatting(inputs, options = {}) {
+  const report = { success: true, files: {}, changed: 0, unchanged: 0, failed: 0, skipped: 0 };
+  for (const file of batch.expandFiles(inputs, options)) {
+    const result = formatFile(file, { check: true });
+    report.files[file] = result;
+    if (!result) {
+      report.skipped++;
+    } else if (result.changed) {
+      report.changed++;
+    } else if (result.success) {
+      report.unchanged++;
+    } else {
+      report.failed++;
+    }
+  }
+  report.success = report.changed === 0 && report.failed === 0;
+  return report;
+}
+
+/**
+ * Run a linter or type checker and collect its diagnostics
+ *
+ * Known tools get the arguments that make them print machine-readable
+ * output. The check fails when any diagnostic is an error the project's
+ * baseline does not record (see lib/tools/baseline). Diagnostics are cached
+ * unless the tool failed without pointing at a line (e.g. it is not
+ * installed), since running it again may then give a different answer, or
+ * `cacheable` is false.
+ *
+ * @param {string} check - 'typecheck' or 'lint'
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @param {number} timeout - Timeout in ms
+ * @param {function(Object): boolean} [filter] - Keeps the diagnostics to report
+ * @param {boolean} [cacheable=true] - Whether the file's own state decides the result
+ * @returns {{success: boolean, diagnostics: Array<Object>, summary?: string}}
+ *   `summary` is the first error, formatted, when the check fails
+ */
+function runDiagnosticTool(check, tool, filePath, timeout, filter = null, cacheable = true) {
+  const cwd = getPackageRoot(filePath);
+  let found = cacheable ? cache.get(check, tool, filePath)?.diagnostics : undefined;
+
+  if (!found) {
+    const result = runToolCommand(diagnostics.withMachineOutput(tool), filePath, { timeout, cwd });
+    const parsed = diagnostics.parseDiagnostics(tool, result, { filePath: path.resolve(filePath), cwd });
+    found = filter ? parsed.filter(filter) : parsed;
+    if (cacheable && (result.success || parsed.some(d => d.line !== null))) {
+      cache.set(check, tool, filePath, { diagnostics: found });
+    }
+  }
+
+  return summarize(baseline.suppress(found), cwd);
+}
+
+/**
+ * Build a check result from diagnostics
+ *
+ * @param {Array<Object>} found - Diagnostics
+ * @param {string} cwd - Directory file names in the summary are relative to
+ * @returns {{success: boolean, diagnostics: Array<Object>, summary?: string}}
+ *   `summary` is the first error not suppressed by the baseline, formatted,
+ *   when there is one
+ */
+function summarize(found, cwd) {
+  const firstError = found.find(d => d.severity === 'error' && !d.suppressed);
+  if (firstError) {
+    return { success: false, diagnostics: found, summary: diagnostics.formatDiagnostic(firstError, cwd) };
+  }
+  return { success: true, diagnostics: found };
+}
+
+/**
+ * Keep only the diagnostics on lines changed in a file, when diff-aware
+ * checking is on (the diffAware setting, or options.diffBase)
+ *
+ * The rest are counted by severity in `preExisting`, and do not fail the
+ * check. See lib/tools/changes for how changed lines are found.
+ *
+ * @param {{success: boolean, diagnostics: Array<Object>, summary?: string}} result - Check result
+ * @param {string} filePath - Path to the file
+ * @param {Object} effective - Effective settings for the file
+ * @param {Object} options - Options of the check
+ * @param {string|null} [options.diffBase] - 'HEAD', 'merge-base' or 'snapshot', or null to report everything
+ * @param {string} [options.sessionId] - Session whose pre-edit snapshots to compare with
+ * @returns {{success: boolean, diagnostics: Array<Object>, summary?: string,
+ *   preExisting?: {error: number, warning: number, info: number}}}
+ */
+function narrowToChanges(result, filePath, effective, options) {
+  const diffAware = effective.diffAware || {};
+  const { diffBase = diffAware.enabled ? diffAware.base : null, sessionId } = options;
+  if (!diffBase) {
+    return result;
+  }
+
+  const ranges = changes.getChangedLines(filePath, { base: diffBase, sessionId });
+  const { changed, preExisting } = changes.splitByChanges(result.diagnostics, filePath, ranges);
+  return { ...summarize(changed, getPackageRoot(filePath)), preExisting: changes.countBySeverity(preExisting) };
+}
+
 /**
  * Type check a file
  *
+ * tsc checks the tsconfig project that owns the file and reports only the
+ * file's diagnostics and those of the files importing it (see
+ * lib/tools/typescript).
+ *
+ * With diff-aware checking on (see narrowToChanges), only issues on changed
+ * lines are reported.
+ *
  * @param {string} filePath - Path to the file
- * @returns {{success: boolean, error?: string}|null} Result or null if no checker
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.diffBase] - Report only issues on lines changed against this base
+ *   ('HEAD', 'merge-base' or 'snapshot'; defaults to the diffAware setting, null reports every issue)
+ * @param {string} [options.sessionId] - Session whose pre-edit snapshot the 'snapshot' base uses
+ * @returns {{success: boolean, error?: string, diagnostics?: Array<Object>, preExisting?: Object}|null}
+ *   Result, or null if no checker or type checking is disabled. `error` is the first error,
+ *   `diagnostics` every issue reported, `preExisting` the issues left out by severity
  */
-function typeCheckFile(filePath) {
+function typeCheckFile(filePath, options = {}) {
   // Validate file path before processing
   const pathValidation = validation.validateFilePath(filePath);
   if (!pathValidation.valid) {
@@ -127,62 +336,110 @@ function typeCheckFile(filePath) {
     return { success: false, error: pathValidation.reason };
   }
 
-  const ext = getExt(filePath);
-  const checker = config.TYPE_CHECKERS[ext];
-
-  if (!checker) {
-    logging.debug(`No type checker for extension: ${ext}`);
+  const found = findTool('typecheck', filePath);
+  if (!found) {
     return null;
   }
-
-  logging.debug(`Type checking ${filePath}`);
-
-  // Python uses mypy through venv
-  if (ext === 'py') {
-    const result = runPythonTool('mypy', `--ignore-missing-imports "${filePath}"`, {
-      timeout: config.TIMEOUTS.EXTENDED
-    });
-
-    if (!result.success) {
-      const output = result.output || result.error || '';
-      if (output.includes(checker.errorPattern)) {
-        const errorLine = output.split('\n').find(l => l.includes(checker.errorPattern));
-        return {
-          success: false,
-          error: (errorLine || 'type error').substring(0, 100)
-        };
-      }
-    }
-    return { success: true };
+  const checker = found.tool;
+
+  // tsc checks the project that owns the file, so its tsconfig.json applies.
+  // Its report then covers the file's imports and importers, which the cache
+  // key does not, so it is not cached
+  const project = diagnostics.toolName(checker) === 'tsc' ? typescript.findProject(filePath) : null;
+  const tool = project ? typescript.projectTool(checker, project) : checker;
+  const filter = project ? typescript.diagnosticFilter(filePath, project) : null;
+
+  logging.debug(`Type checking ${filePath} with ${describeTool(tool)}`);
+
+  const result = narrowToChanges(
+    runDiagnosticTool('typecheck', tool, filePath, config.TIMEOUTS.EXTENDED, filter, !project),
+    filePath,
+    found.effective,
+    options
+  );
+  const preExisting = result.preExisting ? { preExisting: result.preExisting } : {};
+  if (!result.success) {
+    return { success: false, error: result.summary, diagnostics: result.diagnostics, ...preExisting };
   }
 
-  // TypeScript uses tsc
-  const escapedPath = exec.escapeFilePath(filePath);
-  const result = exec.exec(`${checker.cmd} ${escapedPath}`, {
-    timeout: config.TIMEOUTS.EXTENDED
-  });
+  return { success: true, diagnostics: result.diagnostics, ...preExisting };
+}
 
-  if (!result.success) {
-    const output = result.output || result.stderr || '';
-    if (output.includes(checker.errorPattern)) {
-      const errorLine = output.split('\n').find(l => l.includes(checker.errorPattern));
-      return {
-        success: false,
-        error: (errorLine || 'type error').substring(0, 100)
-      };
-    }
+/**
+ * Apply a linter's safe fixes to a file
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Linter from settings
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Unified diff of what changed (paths relative to the
+ *   project root), or null if the linter cannot fix or changed nothing
+ */
+function applyFixes(tool, filePath) {
+  const fixTool = diagnostics.withFix(tool);
+  if (!fixTool) {
+    logging.debug(`${describeTool(tool)} has no fix mode`);
+    return null;
+  }
+
+  const before = fs.readFileSync(filePath, 'utf8');
+  runToolCommand(fixTool, filePath, { timeout: config.TIMEOUTS.STANDARD });
+  const after = fs.readFileSync(filePath, 'utf8');
+  if (after === before) {
+    logging.debug(`No fixes applied to ${filePath}`);
+    return null;
   }
 
-  return { success: true };
+  return diff.createPatch(projectRelative(filePath), before, after);
+}
+
+/**
+ * Find the diagnostics a fix removed
+ *
+ * Lines move when code is fixed, so diagnostics are matched on rule and
+ * message.
+ *
+ * @param {Array<Object>} before - Diagnostics before fixing
+ * @param {Array<Object>} after - Diagnostics after fixing
+ * @returns {Array<Object>} Fixable diagnostics from before that are gone
+ */
+function fixedDiagnostics(before, after) {
+  const remaining = after.map(d => `${d.rule}\0${d.message}`);
+  return before.filter((d) => {
+    if (!d.fixable) return false;
+    const index = remaining.indexOf(`${d.rule}\0${d.message}`);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
 }
 
 /**
  * Lint a file
  *
+ * In fix mode (the autoFix setting, or options.fix), a linter that can fix
+ * (eslint, ruff check) applies its safe fixes when it reports fixable
+ * issues, and the file is linted again for what remains.
+ *
+ * With diff-aware checking on (see narrowToChanges), only issues on changed
+ * lines are reported, and only those trigger fix mode. Issues the baseline
+ * records do not trigger it either.
+ *
  * @param {string} filePath - Path to the file
- * @returns {{success: boolean, warning?: string}|null} Result or null if no linter
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.fix] - Apply safe fixes (defaults to the autoFix setting)
+ * @param {string|null} [options.diffBase] - Report only issues on lines changed against this base
+ *   (defaults to the diffAware setting; see typeCheckFile)
+ * @param {string} [options.sessionId] - Session whose pre-edit snapshot the 'snapshot' base uses
+ * @returns {{success: boolean, warning?: string, diagnostics?: Array<Object>, diff?: string,
+ *   fixed?: Array<Object>, preExisting?: Object}|null} Result, or null if no linter or linting is
+ *   disabled. `warning` is the first error, `diagnostics` every issue reported (after fixing),
+ *   `preExisting` the issues left out by severity. When fixes changed the file, `diff` is a unified
+ *   diff of the change and `fixed` the diagnostics it resolved
+ *
+ * @example
+ * lintFile('src/app.js', { fix: true });
+ * // { success: true, diagnostics: [], diff: '--- a/src/app.js\n...', fixed: [{ rule: 'semi', ... }] }
  */
-function lintFile(filePath) {
+function lintFile(filePath, options = {}) {
   // Validate file path before processing
   const pathValidation = validation.validateFilePath(filePath);
   if (!pathValidation.valid) {
@@ -190,64 +447,52 @@ function lintFile(filePath) {
     return { success: false, warning: pathValidation.reason };
   }
 
-  const ext = getExt(filePath);
-  const linter = config.LINTERS[ext];
-
-  if (!linter) {
-    logging.debug(`No linter for extension: ${ext}`);
+  const found = findTool('lint', filePath);
+  if (!found) {
     return null;
   }
-
-  logging.debug(`Linting ${filePath}`);
-
-  // Python uses ruff through venv
-  if (ext === 'py') {
-    const result = runPythonTool('ruff', `check "${filePath}"`, {
-      timeout: config.TIMEOUTS.STANDARD
-    });
-
-    if (!result.success) {
-      const output = result.output || result.error || '';
-      if (linter.successPattern && output.includes(linter.successPattern)) {
-        return { success: true };
-      }
-      if (output.trim()) {
-        return {
-          success: false,
-          warning: output.split('\n')[0]
-        };
-      }
+  const linter = found.tool;
+  const { fix = found.effective.autoFix === true } = options;
+
+  logging.debug(`Linting ${filePath} with ${describeTool(linter)}`);
+
+  const lint = () => narrowToChanges(
+    runDiagnosticTool('lint', linter, filePath, config.TIMEOUTS.STANDARD),
+    filePath,
+    found.effective,
+    options
+  );
+
+  let result = lint();
+  let fixes = null;
+  if (fix && result.diagnostics.some(d => d.fixable && !d.suppressed)) {
+    const before = result.diagnostics;
+    const patch = applyFixes(linter, filePath);
+    if (patch) {
+      result = lint();
+      fixes = { diff: patch, fixed: fixedDiagnostics(before, result.diagnostics) };
     }
-    return { success: true };
   }
 
-  // JS/TS use eslint
-  const escapedPath = exec.escapeFilePath(filePath);
-  const result = exec.exec(`${linter.cmd} ${escapedPath}`, {
-    timeout: config.TIMEOUTS.STANDARD
-  });
-
-  if (!result.success) {
-    const output = result.output || result.stderr || '';
-    if (linter.errorPattern && linter.errorPattern.test(output)) {
-      const errorLine = output.split('\n').find(l => linter.errorPattern.test(l));
-      return {
-        success: false,
-        warning: errorLine || 'lint issues'
-      };
-    }
+  const output = result.success
+    ? { success: true, diagnostics: result.diagnostics }
+    : { success: false, warning: result.summary, diagnostics: result.diagnostics };
+  if (result.preExisting) {
+    output.preExisting = result.preExisting;
   }
-
-  return { success: true };
+  return fixes ? { ...output, ...fixes } : output;
 }
 
 /**
  * Process a file with all tools (format, typecheck, lint)
  *
  * @param {string} filePath - Path to the file
- * @returns {{format?: object, typecheck?: object, lint?: object}}
+ * @param {Object} [options={}] - Options for typeCheckFile and lintFile
+ * @returns {{format?: object, typecheck?: object, lint?: object, diagnostics: Array<Object>}}
+ *   `diagnostics` combines the type checker's and linter's diagnostics; those the
+ *   project's baseline records have `suppressed: true`
  */
-function processFile(filePath) {
+function processFile(filePath, options = {}) {
   const results = {};
 
   const formatResult = formatFile(filePath);
@@ -255,24 +500,81 @@ function processFile(filePath) {
     results.format = formatResult;
   }
 
-  const typeResult = typeCheckFile(filePath);
+  const typeResult = typeCheckFile(filePath, options);
   if (typeResult) {
     results.typecheck = typeResult;
   }
 
-  const lintResult = lintFile(filePath);
+  const lintResult = lintFile(filePath, options);
   if (lintResult) {
     results.lint = lintResult;
   }
 
+  results.diagnostics = [
+    ...(typeResult?.diagnostics || []),
+    ...(lintResult?.diagnostics || [])
+  ];
+
   return results;
 }
 
+/**
+ * Type check and lint a set of files, collecting every diagnostic
+ *
+ * Files are not formatted, and every issue is reported whatever the
+ * diffAware setting. Each tool is also recorded with the package root it
+ * first ran in, so callers can look up its version there.
+ *
+ * @param {string[]} filePaths - Files to check
+ * @returns {{diagnostics: Array<Object>, tools: Object<string, {cwd: string, python: boolean}>}}
+ *   `tools` is keyed by the name diagnostics are reported under
+ */
+function checkFiles(filePaths) {
+  const found = [];
+  const tools = {};
+
+  for (const filePath of filePaths) {
+    const scope = fileScope(filePath);
+    const effective = settings.getSettings(scope);
+
+    for (const [check, run] of [['typecheck', typeCheckFile], ['lint', lintFile]]) {
+      const tool = findConfiguredTool(effective, CHECKS[check].key, filePath);
+      if (!tool || !settings.isCheckEnabled(check, scope)) continue;
+
+      const name = diagnostics.toolName(tool);
+      tools[name] = tools[name] || { cwd: getPackageRoot(filePath), python: getExt(filePath) === 'py' };
+
+      const result = run(filePath, { diffBase: null });
+      if (result?.diagnostics) {
+        found.push(...result.diagnostics);
+      } else if (result && !result.success) {
+        logging.warn(`Skipped ${filePath}: ${result.error || result.warning}`);
+      }
+    }
+  }
+
+  return { diagnostics: found, tools };
+}
+
 module.exports = {
+  diagnostics,
+  cache,
+  baseline,
+  changes,
+  registry,
+  resolver,
+  notebook,
   getExt,
+  getPackageRoot,
   runPythonTool,
+  buildToolCommand,
+  runToolCommand,
   formatFile,
+  checkFormatting,
   typeCheckFile,
   lintFile,
-  processFile
+  processFile,
+  processFiles: batch.processFiles,
+  expandFiles: batch.expandFiles,
+  checkFiles
 };
@@ -0,0 +1,285 @@
+/**
+ * Jupyter notebook checks
+ *
+ * Python tools do not read .ipynb files, so a notebook's code cells are
+ * written to a temporary .py file next to it (where the project's
+ * pyproject.toml, ruff.toml and venv apply), each after a `# %% cell N`
+ * marker, and the file's check runs on that. Diagnostics are mapped back
+ * to the notebook, with the cell (`cell`, numbered from 1 among all cells)
+ * and the line within it.
+ *
+ * The temporary file is named after the notebook and the check
+ * (`_dev_standards_<stem>_<check>.py`), so results for unchanged cells
+ * come from the tool cache, which is keyed on the file's path. It exists
+ * only while the tool runs, but file watchers and `git status` may see it
+ * meanwhile. Passing the code on stdin would avoid that, but mypy cannot
+ * read stdin and tool resolution, the cache and diff-aware checks all work
+ * on files. Two checks of the same kind on one notebook at once would
+ * share the file; hooks run each check once per edit.
+ *
+ * IPython magics and shell escapes (`%time`, `!pip install`) are commented
+ * out so the code parses, and cells starting with a cell magic (`%%bash`)
+ * are left out. Formatting writes the formatted cells back into the
+ * notebook, leaving outputs and metadata alone. Lint fixes are not
+ * applied, and every issue is reported whatever the diffAware setting.
+ * The baseline does not apply to notebooks.
+ *
+ * @module lib/tools/notebook
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const errors = require('../errors');
+const diagnostics = require('./diagnostics');
+const { getPackageRoot } = require('./runner');
+
+/**
+ * Marker line written before each cell's code
+ * @type {RegExp}
+ */
+const CELL_MARKER = /^# %% cell (\d+)$/;
+
+/**
+ * Prefix commenting out a magic or shell escape line
+ * @type {string}
+ */
+const MAGIC_PREFIX = '# dev-standards-magic: ';
+
+/**
+ * Tell whether a file is a Jupyter notebook
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+function isNotebook(filePath) {
+  return path.extname(filePath).toLowerCase() === '.ipynb';
+}
+
+/**
+ * Get a cell's source as one string (nbformat allows a string or a list of lines)
+ *
+ * @param {Object} cell - Notebook cell
+ * @returns {string}
+ */
+function cellSource(cell) {
+  return Array.isArray(cell.source) ? cell.source.join('') : String(cell.source ?? '');
+}
+
+/**
+ * Read a notebook
+ *
+ * @param {string} notebookPath - Path to the .ipynb file
+ * @returns {{notebook: Object, text: string}} Parsed notebook and the file's text
+ * @throws {errors.ValidationError} If the file cannot be read or is not a notebook
+ */
+function readNotebook(notebookPath) {
+  let text;
+  let notebook;
+  try {
+    text = fs.readFileSync(notebookPath, 'utf8');
+    notebook = JSON.parse(text);
+  } catch (e) {
+    throw new errors.ValidationError(`Cannot read notebook ${notebookPath}: ${e.message}`, { cause: e });
+  }
+  if (!Array.isArray(notebook?.cells)) {
+    throw new errors.ValidationError(`Not a Jupyter notebook (no cells): ${notebookPath}`);
+  }
+  return { notebook, text };
+}
+
+/**
+ * Tell whether a notebook runs Python, from its kernel metadata (assumed
+ * when the metadata does not say)
+ *
+ * @param {Object} notebook - Parsed notebook
+ * @returns {boolean}
+ */
+function isPython(notebook) {
+  const language = notebook.metadata?.language_info?.name || notebook.metadata?.kernelspec?.language;
+  return !language || language.toLowerCase() === 'python';
+}
+
+/**
+ * Extract a notebook's code cells as one Python source
+ *
+ * @param {Object} notebook - Parsed notebook
+ * @returns {{source: string, cells: Array<{cell: number, index: number, start: number, lines: number}>}}
+ *   `cells` locates each cell's code in the source: its number, its index in
+ *   notebook.cells, the line its code starts on (from 1) and its line count
+ *
+ * @example
+ * extractCode({ cells: [{ cell_type: 'markdown', source: '# Title' }, { cell_type: 'code', source: ['import os\n', '%time os.getcwd()'] }] });
+ * // { source: '# %% cell 2\nimport os\n# dev-standards-magic: %time os.getcwd()\n',
+ * //   cells: [{ cell: 2, index: 1, start: 2, lines: 2 }] }
+ */
+function extractCode(notebook) {
+  const lines = [];
+  const cells = [];
+
+  notebook.cells.forEach((cell, index) => {
+    const source = cellSource(cell);
+    if (cell.cell_type !== 'code' || source.trimStart().startsWith('%%')) {
+      return;
+    }
+    const code = source.replace(/\n$/, '').split('\n')
+      .map(line => line.replace(/^(\s*)([%!].*)$/, `$1${MAGIC_PREFIX}$2`));
+
+    lines.push(`# %% cell ${index + 1}`);
+    cells.push({ cell: index + 1, index, start: lines.length + 1, lines: code.length });
+    lines.push(...code);
+  });
+
+  return { source: lines.length > 0 ? `${lines.join('\n')}\n` : '', cells };
+}
+
+/**
+ * Split formatted source back into the code of each cell
+ *
+ * @param {string} source - Source extracted by extractCode, after formatting
+ * @returns {Map<number, string>} Code by cell number, magics restored
+ */
+function splitCells(source) {
+  const cells = new Map();
+  let current = null;
+  for (const line of source.split('\n')) {
+    const marker = line.match(CELL_MARKER);
+    if (marker) {
+      current = [];
+      cells.set(Number(marker[1]), current);
+    } else if (current) {
+      current.push(line.replace(new RegExp(`^(\\s*)${MAGIC_PREFIX}`), '$1'));
+    }
+  }
+  return new Map([...cells].map(([cell, code]) => [cell, code.join('\n').replace(/^\n+|\s+$/g, '')]));
+}
+
+/**
+ * Map a diagnostic on the extracted source back to the notebook
+ *
+ * @param {Object} diagnostic - Diagnostic
+ * @param {string} extracted - Path of the extracted source
+ * @param {string} notebookPath - Path of the notebook
+ * @param {Array<Object>} cells - Cell locations (see extractCode)
+ * @returns {Object} The diagnostic, on the notebook with `cell` and the line in the
+ *   cell; diagnostics on other files are returned as they are
+ */
+function mapDiagnostic(diagnostic, extracted, notebookPath, cells) {
+  if (diagnostic.file !== extracted) {
+    return diagnostic;
+  }
+  const located = diagnostic.line === null ? null
+    : cells.find(c => diagnostic.line >= c.start && diagnostic.line < c.start + c.lines);
+  return {
+    ...diagnostic,
+    file: notebookPath,
+    cell: located ? located.cell : null,
+    line: located ? diagnostic.line - located.start + 1 : null
+  };
+}
+
+/**
+ * Write formatted cells back into a notebook
+ *
+ * @param {string} notebookPath - Path of the notebook
+ * @param {{notebook: Object, text: string}} read - The notebook as read
+ * @param {Array<Object>} cells - Cell locations (see extractCode)
+ * @param {string} formatted - Formatted source
+ * @returns {{success: boolean, error?: string, changedCells?: number[]}}
+ */
+function writeFormatted(notebookPath, read, cells, formatted) {
+  const code = splitCells(formatted);
+  if (code.size !== cells.length || cells.some(c => !code.has(c.cell))) {
+    return { success: false, error: `Formatting lost cell markers in ${path.basename(notebookPath)}; notebook left unchanged` };
+  }
+
+  const changedCells = [];
+  for (const { cell, index } of cells) {
+    const original = read.notebook.cells[index];
+    const updated = code.get(cell);
+    if (updated === cellSource(original).replace(/\s+$/, '')) continue;
+    // nbformat stores sources as lines, each but the last ending with a newline
+    original.source = updated.split('\n').map((line, i, all) => (i < all.length - 1 ? `${line}\n` : line));
+    changedCells.push(cell);
+  }
+
+  if (changedCells.length > 0) {
+    const indent = read.text.match(/^\{\n( +)"/)?.[1].length || 1;
+    fs.writeFileSync(notebookPath, JSON.stringify(read.notebook, null, indent) + '\n');
+  }
+  return { success: true, changedCells };
+}
+
+/**
+ * Format, type check or lint a notebook's code cells with the Python tools
+ *
+ * @param {string} check - 'format', 'typecheck' or 'lint'
+ * @param {string} notebookPath - Path to the .ipynb file
+ * @param {function(string, string, Object): (Object|null|Promise<Object|null>)} run - Runs a
+ *   check on a file, like formatFile, typeCheckFile and lintFile (or the daemon's run)
+ * @returns {Promise<Object|null>} What the check returns for a Python file, with diagnostics
+ *   on the notebook; for format, `changedCells` lists the cells reformatted. Null if the
+ *   notebook has no Python code or no tool checks it
+ * @throws {errors.ValidationError} If the file is not a notebook
+ *
+ * @example
+ * await checkNotebook('lint', 'analysis.ipynb', lintFile);
+ * // { success: false, warning: 'analysis.ipynb:cell 3:1:8: error `os` imported but unused [F401]',
+ * //   diagnostics: [{ file: '/repo/analysis.ipynb', cell: 3, line: 1, column: 8, rule: 'F401', ... }] }
+ */
+async function checkNotebook(check, notebookPath, run) {
+  const resolved = path.resolve(notebookPath);
+  const read = readNotebook(resolved);
+  const { source, cells } = extractCode(read.notebook);
+  if (!isPython(read.notebook) || cells.length === 0) {
+    return null;
+  }
+
+  // Next to the notebook so the project's tool config applies; a valid module name for mypy,
+  // the same on every run so the tool cache applies
+  const stem = path.basename(resolved, path.extname(resolved)).replace(/\W+/g, '_');
+  const extracted = path.join(path.dirname(resolved), `_dev_standards_${stem}_${check}.py`);
+  fs.writeFileSync(extracted, source);
+
+  let result;
+  let formatted = null;
+  try {
+    result = await run(check, extracted, check === 'format' ? {} : { diffBase: null, fix: false });
+    if (check === 'format' && result?.success) {
+      formatted = fs.readFileSync(extracted, 'utf8');
+    }
+  } finally {
+    fs.rmSync(extracted, { force: true });
+  }
+
+  if (!result) {
+    return null;
+  }
+  if (formatted !== null) {
+    return writeFormatted(resolved, read, cells, formatted);
+  }
+
+  const rename = text => text && text.split(extracted).join(resolved).split(path.basename(extracted)).join(path.basename(resolved));
+  if (check === 'format') {
+    return { ...result, error: rename(result.error) };
+  }
+
+  const found = (result.diagnostics || []).map(d => mapDiagnostic(d, extracted, resolved, cells));
+  const firstError = found.find(d => d.severity === 'error' && !d.suppressed);
+  const summary = firstError ? diagnostics.formatDiagnostic(firstError, getPackageRoot(resolved)) : null;
+  const failure = check === 'typecheck' ? 'error' : 'warning';
+  const mapped = { ...result, diagnostics: found };
+  if (!result.success) {
+    mapped[failure] = summary || rename(result[failure]);
+  }
+  return mapped;
+}
+
+module.exports = {
+  isNotebook,
+  extractCode,
+  splitCells,
+  mapDiagnostic,
+  checkNotebook
+};
@@ -0,0 +1,426 @@
+/**
+ * Tool registry
+ *
+ * Every formatter, linter, type checker and test runner the plugin knows is
+ * a registration: its name and kind, the files it applies to, the command a
+ * project that opts into it runs, and optionally what counts as opting in,
+ * a command builder, an output parser and the arguments of its fix mode.
+ * The built-in tools are registered by lib/tools/builtins; a project adds
+ * its own through tool modules listed in the toolModules setting.
+ *
+ * Registrations drive project tool detection (lib/tools/adapters), command
+ * construction (lib/tools/runner) and output parsing (lib/tools/diagnostics).
+ * What a tool module registers belongs to the project that lists it, and is
+ * seen only in that project's checks (the current project unless a
+ * projectDir is given), so one process can check several projects.
+ * Settings still decide which tool runs on a file; the registry tells how
+ * to run it and read what it printed.
+ *
+ * @module lib/tools/registry
+ */
+
+'use strict';
+
+const path = require('path');
+const errors = require('../errors');
+const logging = require('../logging');
+
+/**
+ * Tool kinds and the settings map each one feeds. Test runners have no
+ * settings map; they are looked up with list('test').
+ * @type {Object<string, string|null>}
+ */
+const KINDS = {
+  formatter: 'formatters',
+  linter: 'linters',
+  typeChecker: 'typeCheckers',
+  test: null
+};
+
+/**
+ * A tool registration
+ *
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Name diagnostics are reported under (e.g. 'eslint')
+ * @property {'formatter'|'linter'|'typeChecker'|'test'} kind - What the tool does
+ * @property {string[]} files - Files it applies to: `*.ext` patterns or file
+ *   names (e.g. ['*.js', 'Dockerfile'])
+ * @property {string} [command] - Command a project that opted in runs, as in
+ *   a settings file (e.g. 'ruff check')
+ * @property {RegExp} [match] - Recognizes the tool in a configured command;
+ *   defaults to the leading words of `command` (or the name)
+ * @property {Object} [detect] - What counts as opting in; see lib/tools/adapters
+ * @property {function(Object): string} [build] - Builds the shell command from
+ *   `{tool, files, cwd, buildCommand}`, for tools that do not take the files
+ *   as arguments (buildCommand is runner.buildToolCommand)
+ * @property {string[]} [args] - Arguments that switch the tool to the output `parse` reads
+ * @property {RegExp} [configured] - Matches a command that already picks an output format
+ * @property {function(string, string): (Array<Object>|null)} [parse] - Parses
+ *   output (given the directory the tool ran in) into diagnostics, or null
+ *   if the output is not in the expected format
+ * @property {string[]} [fix] - Arguments that make a linter apply its safe fixes
+ * @property {{args: string[], strip?: string[]}} [stdout] - For formatters:
+ *   arguments that make the tool read the file from stdin and print it
+ *   formatted (`{file}` stands for the file's path, for config lookup), and
+ *   the arguments that make it write in place, which are removed
+ * @property {string} [informationUri] - The tool's home page
+ * @property {string} source - 'builtin', or the tool module that registered it
+ */
+
+/**
+ * Registrations every project sees (built-in tools and direct register
+ * calls) by `kind:name`, in registration order
+ * @type {Map<string, ToolDefinition>}
+ */
+const tools = new Map();
+
+/**
+ * Registrations from tool modules, by project root, then `kind:name`
+ * @type {Map<string, Map<string, ToolDefinition>>}
+ */
+const projectTools = new Map();
+
+/**
+ * Tool modules already loaded, by project root
+ * @type {Map<string, Set<string>>}
+ */
+const loadedModules = new Map();
+
+/**
+ * Tool module being loaded and the project it is loaded for, recorded on
+ * what it registers
+ * @type {{file: string, projectDir: string}|null}
+ */
+let loadingModule = null;
+
+/**
+ * Whether lib/tools/builtins has been loaded
+ * @type {boolean}
+ */
+let builtinsLoaded = false;
+
+/**
+ * Register the built-in tools on first use
+ *
+ * lib/tools/builtins needs the parsers in lib/tools/diagnostics, which
+ * itself looks tools up here, so it is loaded lazily.
+ */
+function ensureBuiltins() {
+  if (!builtinsLoaded) {
+    builtinsLoaded = true;
+    require('./builtins');
+  }
+}
+
+/**
+ * Get the current project root
+ *
+ * lib/settings loads tool modules through this module, so it is required lazily.
+ *
+ * @returns {string}
+ */
+function currentProject() {
+  return require('../settings').resolveProjectDir();
+}
+
+/**
+ * Escape a string for use in a RegExp
+ *
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the pattern that recognizes a tool from its command's leading words
+ * (up to the first option), e.g. 'ruff check' or 'cargo clippy'
+ *
+ * @param {string} command - Command, or the tool name
+ * @returns {RegExp}
+ */
+function commandPattern(command) {
+  const words = command.trim().split(/\s+/);
+  const end = words.findIndex((word, index) => index > 0 && word.startsWith('-'));
+  const leading = words.slice(0, end === -1 ? words.length : end);
+  return new RegExp(`(^|[\\s/])${leading.map(escapeRegExp).join('\\s+')}(\\s|$)`);
+}
+
+/**
+ * Check that a value is an array of strings
+ *
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Describe what is wrong with a tool definition
+ *
+ * @param {Object} definition - Definition
+ * @returns {string|null} The problem, or null if the definition is valid
+ */
+function findProblem(definition) {
+  const { name, kind, files } = definition;
+  if (typeof name !== 'string' || !/^[\w@.-]+$/.test(name)) {
+    return 'name must be a word such as "shellcheck"';
+  }
+  if (!Object.hasOwn(KINDS, kind)) {
+    return `kind must be one of ${Object.keys(KINDS).join(', ')}`;
+  }
+  if (!isStringArray(files) || files.length === 0 || !files.every(file => /^(\*\.[\w+-]+|[^*?/\\]+)$/.test(file))) {
+    return 'files must list "*.ext" patterns or file names';
+  }
+  const types = {
+    command: 'string',
+    informationUri: 'string',
+    build: 'function',
+    parse: 'function'
+  };
+  for (const [key, type] of Object.entries(types)) {
+    if (definition[key] !== undefined && typeof definition[key] !== type) {
+      return `${key} must be a ${type}`;
+    }
+  }
+  for (const key of ['match', 'configured']) {
+    if (definition[key] !== undefined && !(definition[key] instanceof RegExp)) {
+      return `${key} must be a RegExp`;
+    }
+  }
+  for (const key of ['args', 'fix']) {
+    if (definition[key] !== undefined && !isStringArray(definition[key])) {
+      return `${key} must be an array of strings`;
+    }
+  }
+  if (definition.detect !== undefined && (typeof definition.detect !== 'object' || definition.detect === null)) {
+    return 'detect must be an object';
+  }
+  const { stdout } = definition;
+  if (stdout !== undefined && (!isStringArray(stdout?.args) || (stdout.strip !== undefined && !isStringArray(stdout.strip)))) {
+    return 'stdout must have args, and optionally strip, as arrays of strings';
+  }
+  return null;
+}
+
+/**
+ * Register a tool
+ *
+ * A registration with the name and kind of an existing one replaces it.
+ *
+ * @param {Object} definition - Tool definition (see ToolDefinition)
+ * @returns {ToolDefinition} The registration, with defaults filled in
+ * @throws {errors.ConfigError} If the definition is malformed
+ *
+ * @example
+ * register({
+ *   name: 'shellcheck',
+ *   kind: 'linter',
+ *   files: ['*.sh', '*.bash'],
+ *   command: 'shellcheck',
+ *   args: ['--format', 'gcc'],
+ *   parse: parseShellcheck
+ * });
+ */
+function register(definition) {
+  ensureBuiltins();
+
+  const problem = findProblem(definition || {});
+  if (problem) {
+    const label = definition?.name ? `"${definition.name}"` : 'definition';
+    throw new errors.ConfigError(`Invalid tool ${label}: ${problem}`);
+  }
+
+  const registration = {
+    match: commandPattern(definition.command || definition.name),
+    args: [],
+    ...definition,
+    source: loadingModule ? loadingModule.file : 'builtin'
+  };
+  const key = `${definition.kind}:${definition.name}`;
+  let scope = tools;
+  if (loadingModule) {
+    if (!projectTools.has(loadingModule.projectDir)) {
+      projectTools.set(loadingModule.projectDir, new Map());
+    }
+    scope = projectTools.get(loadingModule.projectDir);
+  }
+  scope.delete(key);
+  scope.set(key, registration);
+  return registration;
+}
+
+/**
+ * Remove a registration, from every project
+ *
+ * @param {string} name - Tool name
+ * @param {string} kind - Tool kind
+ * @returns {boolean} True if it was registered
+ */
+function unregister(name, kind) {
+  ensureBuiltins();
+  const key = `${kind}:${name}`;
+  return [tools, ...projectTools.values()].map(scope => scope.delete(key)).includes(true);
+}
+
+/**
+ * List the registrations a project sees, in registration order
+ *
+ * A project's tool modules come after the tools every project sees, and
+ * replace those of the same kind and name.
+ *
+ * @param {string} [kind] - Only tools of this kind
+ * @param {string} [projectDir] - Project root (defaults to the current project)
+ * @returns {ToolDefinition[]}
+ */
+function list(kind, projectDir = currentProject()) {
+  ensureBuiltins();
+  const own = projectTools.get(path.resolve(projectDir)) || new Map();
+  const all = [
+    ...[...tools].filter(([key]) => !own.has(key)).map(([, definition]) => definition),
+    ...own.values()
+  ];
+  return kind ? all.filter(definition => definition.kind === kind) : all;
+}
+
+/**
+ * Get a registration by name
+ *
+ * @param {string} name - Tool name
+ * @param {string} [kind] - Tool kind; without it, the first registration of that name
+ * @param {string} [projectDir] - Project root (defaults to the current project)
+ * @returns {ToolDefinition|null}
+ */
+function get(name, kind, projectDir) {
+  return list(kind, projectDir).find(definition => definition.name === name) || null;
+}
+
+/**
+ * Get the command text of a configured tool
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string}
+ */
+function commandText(tool) {
+  return typeof tool === 'string' ? tool : [tool.command, ...(tool.args || [])].join(' ');
+}
+
+/**
+ * Find the registration a configured command runs
+ *
+ * Later registrations win, so a tool module can take over a command from
+ * a built-in tool.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {function(ToolDefinition): boolean} [filter] - Only consider registrations it accepts
+ * @returns {ToolDefinition|null} Null for commands no registration recognizes
+ *
+ * @example
+ * findByCommand('npx eslint --max-warnings 0').name; // 'eslint'
+ * findByCommand('ruff format', d => d.kind === 'linter'); // null
+ */
+function findByCommand(tool, filter = () => true) {
+  const command = commandText(tool);
+  return list().reverse().find(definition => filter(definition) && definition.match.test(command)) || null;
+}
+
+/**
+ * Get the settings keys a registration's file matchers stand for
+ *
+ * @param {ToolDefinition} definition - Registration
+ * @returns {string[]} Extensions (for `*.ext` patterns) and file names
+ *
+ * @example
+ * settingsKeys(hadolint); // ['Dockerfile', 'Containerfile', 'dockerfile']
+ */
+function settingsKeys(definition) {
+  return definition.files.map(file => (file.startsWith('*.') ? file.slice(2).toLowerCase() : file));
+}
+
+/**
+ * Check whether a registration applies to a file
+ *
+ * @param {ToolDefinition} definition - Registration
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+function matchesFile(definition, filePath) {
+  const name = path.basename(filePath);
+  const ext = path.extname(name).slice(1).toLowerCase();
+  return settingsKeys(definition).some(key => key === name || (ext && key === ext));
+}
+
+/**
+ * Register the tools a module provides for a project
+ *
+ * @param {string} file - Absolute module path
+ * @param {string} projectDir - Project root
+ */
+function loadModule(file, projectDir) {
+  loadingModule = { file, projectDir };
+  try {
+    const provided = require(file);
+    if (typeof provided === 'function') {
+      provided(module.exports);
+    } else {
+      for (const definition of [].concat(provided)) {
+        try {
+          register(definition);
+        } catch (e) {
+          logging.warn(`Skipped a tool from ${file}: ${e.message}`);
+        }
+      }
+    }
+  } catch (e) {
+    logging.warn(`Cannot load tool module ${file}: ${e.message}`);
+  } finally {
+    loadingModule = null;
+  }
+}
+
+/**
+ * Load tool modules
+ *
+ * A tool module exports a tool definition, an array of them, or a function
+ * that is called with this module and registers tools itself. What it
+ * registers is seen by the project only. Each module loads once per
+ * project; one that fails to load, or a definition that is malformed, is
+ * skipped with a warning.
+ *
+ * @param {string[]} modulePaths - Module paths, relative to projectDir
+ * @param {string} projectDir - Project root
+ * @returns {ToolDefinition[]} Registrations from those modules
+ *
+ * @example
+ * loadModules(['tools/vale.js'], '/repo').map(d => d.name); // ['vale']
+ */
+function loadModules(modulePaths, projectDir) {
+  ensureBuiltins();
+  const root = path.resolve(projectDir);
+  const files = modulePaths.map(modulePath => path.resolve(root, modulePath));
+  if (!loadedModules.has(root)) {
+    loadedModules.set(root, new Set());
+  }
+  const loaded = loadedModules.get(root);
+  for (const file of files) {
+    if (!loaded.has(file)) {
+      loaded.add(file);
+      loadModule(file, root);
+    }
+  }
+  return list(undefined, root).filter(definition => files.includes(definition.source));
+}
+
+module.exports = {
+  KINDS,
+  register,
+  unregister,
+  list,
+  get,
+  findByCommand,
+  settingsKeys,
+  matchesFile,
+  loadModules
+};
@@ -0,0 +1,286 @@
+/**
+ * Tool executable resolution
+ *
+ * Finds the executable a configured command runs, without downloading
+ * anything: node tools come from the nearest node_modules/.bin between the
+ * package root and the project root, Python tools from the package's venv,
+ * and anything else (or a tool missing from both) from PATH. A tool found
+ * nowhere is reported as not installed, with the command that installs it
+ * using the project's package manager (see config.PACKAGE_MANAGERS).
+ *
+ * A leading `npx` in a configured command is dropped, so settings written
+ * for npx resolve the same way instead of fetching the package.
+ *
+ * @module lib/tools/resolver
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config, exec, platform } = require('../core');
+const settings = require('../settings');
+const venv = require('../venv');
+
+/**
+ * npx options that take a value
+ * @type {string[]}
+ */
+const NPX_VALUE_OPTIONS = ['-p', '--package', '-c', '--call'];
+
+/**
+ * Check whether a path is an executable file
+ *
+ * @param {string} file - Path
+ * @returns {boolean}
+ */
+function isExecutable(file) {
+  try {
+    if (!fs.statSync(file).isFile()) {
+      return false;
+    }
+    if (!platform.isWindows) {
+      fs.accessSync(file, fs.constants.X_OK);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the file names an executable may have on this platform
+ *
+ * @param {string} name - Command name
+ * @returns {string[]}
+ */
+function executableNames(name) {
+  if (!platform.isWindows) {
+    return [name];
+  }
+  const extensions = (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').filter(Boolean);
+  return [name, ...extensions.map(ext => name + ext.toLowerCase())];
+}
+
+/**
+ * List the directories from a package root up to the project root
+ *
+ * @param {string} cwd - Package root
+ * @returns {string[]} Directories, nearest first
+ */
+function searchDirs(cwd) {
+  return settings.scope.packageDirs(cwd, settings.resolveProjectDir());
+}
+
+/**
+ * Find a tool installed in node_modules/.bin
+ *
+ * @param {string} name - Executable name
+ * @param {string} cwd - Package root the tool runs in
+ * @returns {string|null} Absolute path, or null if not installed locally
+ *
+ * @example
+ * findLocalBin('eslint', '/repo/packages/web');
+ * // '/repo/node_modules/.bin/eslint' when hoisted to the workspace root
+ */
+function findLocalBin(name, cwd) {
+  for (const dir of searchDirs(cwd)) {
+    for (const file of executableNames(name)) {
+      const candidate = path.join(dir, 'node_modules', '.bin', file);
+      if (isExecutable(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an executable on PATH
+ *
+ * @param {string} name - Executable name
+ * @returns {string|null} Absolute path, or null if not found
+ */
+function findOnPath(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const file of executableNames(name)) {
+      const candidate = path.join(dir, file);
+      if (isExecutable(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a Python tool installed in a package's venv
+ *
+ * @param {string} name - Tool name (its console script and module)
+ * @param {string} cwd - Package root
+ * @returns {string|null} The venv's Python, or null if there is no venv or it lacks the tool
+ */
+function findVenvTool(name, cwd) {
+  const venvPath = venv.findVenv(cwd);
+  if (!venvPath) {
+    return null;
+  }
+  const binDir = path.join(venvPath, platform.getVenvBinDir());
+  const installed = executableNames(name).some(file => isExecutable(path.join(binDir, file)));
+  return installed ? venv.getVenvPython(venvPath) : null;
+}
+
+/**
+ * Detect the package manager a package uses
+ *
+ * The `packageManager` field of package.json wins; otherwise the first
+ * lockfile found between the package root and the project root decides.
+ *
+ * @param {string} cwd - Package root
+ * @param {'node'|'python'} ecosystem - Ecosystem
+ * @returns {{name: string, lockfiles: string[], install: string}} Entry of config.PACKAGE_MANAGERS
+ *
+ * @example
+ * detectPackageManager('/repo', 'node'); // { name: 'pnpm', ... } with pnpm-lock.yaml
+ */
+function detectPackageManager(cwd, ecosystem) {
+  const managers = config.PACKAGE_MANAGERS[ecosystem];
+
+  for (const dir of searchDirs(cwd)) {
+    if (ecosystem === 'node') {
+      try {
+        const declared = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).packageManager;
+        const manager = managers.find(entry => String(declared).split('@')[0] === entry.name);
+        if (manager) return manager;
+      } catch {
+        // No package.json here
+      }
+    }
+    const manager = managers.find(entry => entry.lockfiles.some(file => fs.existsSync(path.join(dir, file))));
+    if (manager) return manager;
+  }
+
+  return managers[managers.length - 1];
+}
+
+/**
+ * Get the command that installs a tool as a dev dependency
+ *
+ * @param {string} name - Executable name
+ * @param {string} cwd - Package root
+ * @param {boolean} python - Whether it is a Python tool
+ * @returns {string}
+ *
+ * @example
+ * installHint('tsc', '/repo', false); // 'pnpm add -D typescript' with pnpm-lock.yaml
+ */
+function installHint(name, cwd, python) {
+  const ecosystem = python ? 'python' : 'node';
+  const packageName = python ? name : config.NODE_TOOL_PACKAGES[name] || name;
+  return detectPackageManager(cwd, ecosystem).install.split('{package}').join(packageName);
+}
+
+/**
+ * Split a command into its executable and the rest, dropping a leading npx
+ *
+ * @param {string} command - Shell command
+ * @returns {{name: string, rest: string}}
+ */
+function splitCommand(command) {
+  let text = command.trim();
+  if (/^npx\s/.test(text)) {
+    text = text.slice(3).trimStart();
+    for (let option = text.match(/^(-\S+)\s+/); option; option = text.match(/^(-\S+)\s+/)) {
+      text = text.slice(option[0].length);
+      if (NPX_VALUE_OPTIONS.includes(option[1])) {
+        text = text.replace(/^\S+\s*/, '');
+      }
+    }
+  }
+  const [, name, rest] = text.match(/^(\S*)\s*([\s\S]*)$/);
+  return { name, rest };
+}
+
+/**
+ * Resolve the executable of a shell command
+ *
+ * The command's first word is looked up as described in the module
+ * documentation and replaced with the executable found; a Python tool runs
+ * as a module of the venv's Python. Commands starting with a path or an
+ * environment assignment run as written.
+ *
+ * @param {string} command - Shell command, as built by runner.buildToolCommand
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Package root the command runs in
+ * @param {boolean} [options.python=false] - Whether it is a Python tool
+ * @returns {{success: boolean, command?: string, error?: string, missing?: {tool: string, hint: string}}}
+ *   On failure, `missing` names the tool and the command that installs it
+ *
+ * @example
+ * resolveCommand("npx eslint 'a.js'", { cwd: '/repo' });
+ * // { success: true, command: "'/repo/node_modules/.bin/eslint' 'a.js'" }
+ * resolveCommand("ruff check 'a.py'", { cwd: '/repo', python: true });
+ * // { success: true, command: "'/repo/.venv/bin/python' -m ruff check 'a.py'" }
+ */
+function resolveCommand(command, options) {
+  const { cwd, python = false } = options;
+  const { name, rest } = splitCommand(command);
+  const run = executable => [executable, rest].filter(Boolean).join(' ');
+
+  if (!name || /[/\\=]/.test(name)) {
+    return { success: true, command: run(name) };
+  }
+
+  if (python) {
+    const venvPython = findVenvTool(name, cwd);
+    if (venvPython) {
+      return { success: true, command: run(`${exec.escapeFilePath(venvPython)} -m ${name}`) };
+    }
+  } else {
+    const local = findLocalBin(name, cwd);
+    if (local) {
+      return { success: true, command: run(exec.escapeFilePath(local)) };
+    }
+  }
+
+  if (findOnPath(name)) {
+    return { success: true, command: run(name) };
+  }
+
+  const hint = installHint(name, cwd, python);
+  return {
+    success: false,
+    error: `${name} is not installed. Install it with: ${hint}`,
+    missing: { tool: name, hint }
+  };
+}
+
+/**
+ * Find the executable a tool name resolves to, for identifying its version
+ *
+ * @param {string} name - Executable name
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Package root
+ * @param {boolean} [options.python=false] - Whether it is a Python tool
+ * @returns {string|null} Absolute path, or null if not installed
+ */
+function findExecutable(name, options) {
+  const { cwd, python = false } = options;
+  if (python) {
+    const venvPath = venv.findVenv(cwd);
+    const binDir = venvPath && path.join(venvPath, platform.getVenvBinDir());
+    const inVenv = binDir && executableNames(name).map(file => path.join(binDir, file)).find(isExecutable);
+    return inVenv || findOnPath(name);
+  }
+  return findLocalBin(name, cwd) || findOnPath(name);
+}
+
+module.exports = {
+  findLocalBin,
+  findOnPath,
+  findVenvTool,
+  findExecutable,
+  detectPackageManager,
+  installHint,
+  resolveCommand
+};
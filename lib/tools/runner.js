@@ -0,0 +1,300 @@
+/**
+ * Tool command construction and execution
+ *
+ * Builds the shell command for a configured tool and runs it in the file's
+ * package root, with its executable resolved by lib/tools/resolver. Shared by the
+ * per-file checks in lib/tools and the batch runner in lib/tools/batch.
+ *
+ * @module lib/tools/runner
+ */
+
+'use strict';
+
+const path = require('path');
+const { config, exec } = require('../core');
+const settings = require('../settings');
+const venv = require('../venv');
+const logging = require('../logging');
+const registry = require('./registry');
+const resolver = require('./resolver');
+
+/**
+ * Runs tools without spawning them; see setInProcessRunner
+ * @type {function(Object, string[], {cwd: string, input?: string, timeout: number}): Object|null|null}
+ */
+let inProcessRunner = null;
+
+/**
+ * Get file extension (lowercase, without dot)
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string} File extension
+ */
+function getExt(filePath) {
+  return path.extname(filePath).slice(1).toLowerCase();
+}
+
+/**
+ * Build the command that runs a Python tool through venv
+ *
+ * @param {string} toolName - Tool module name (e.g., 'ruff')
+ * @param {string} args - Arguments for the tool, already shell-escaped
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.autoCreate=true] - Create venv if needed
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @returns {{success: boolean, command?: string, error?: string}}
+ */
+function getPythonCommand(toolName, args, options = {}) {
+  const {
+    autoCreate = true,
+    cwd = process.cwd()
+  } = options;
+
+  let pythonPath = null;
+  const venvPath = venv.findVenv(cwd);
+
+  if (venvPath) {
+    pythonPath = venv.getVenvPython(venvPath);
+  } else if (autoCreate) {
+    try {
+      pythonPath = venv.ensureVenvWithTool(cwd, toolName);
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  const command = pythonPath
+    ? `${exec.escapeFilePath(pythonPath)} -m ${toolName} ${args}`
+    : `${toolName} ${args}`;
+
+  return { success: true, command };
+}
+
+/**
+ * Run a Python tool through venv
+ *
+ * @param {string} toolName - Tool module name (e.g., 'ruff')
+ * @param {string} args - Arguments for the tool, already shell-escaped
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.autoCreate=true] - Create venv if needed
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @param {number} [options.timeout] - Timeout in ms
+ * @returns {{success: boolean, output?: string, error?: string}}
+ */
+function runPythonTool(toolName, args, options = {}) {
+  const {
+    cwd = process.cwd(),
+    timeout = config.TIMEOUTS.EXTENDED
+  } = options;
+
+  const python = getPythonCommand(toolName, args, options);
+  if (!python.success) {
+    return python;
+  }
+
+  logging.debug(`Running: ${python.command}`);
+
+  return exec.exec(python.command, { cwd, timeout });
+}
+
+/**
+ * Get the settings options scoping a lookup to one file
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {{filePath: string}}
+ */
+function fileScope(filePath) {
+  return { filePath: path.resolve(filePath) };
+}
+
+/**
+ * Get the package root a file's tools run in
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string} Nearest package root, or the project root
+ */
+function getPackageRoot(filePath) {
+  return settings.scope.findPackageRoot(path.resolve(filePath), settings.resolveProjectDir());
+}
+
+/**
+ * Find the tool settings configure for a file
+ *
+ * A file-name key (e.g. `Dockerfile`) wins over the file's extension.
+ *
+ * @param {Object} effective - Effective settings for the file
+ * @param {string} key - 'formatters', 'typeCheckers' or 'linters'
+ * @param {string} filePath - Path to the file
+ * @returns {string|{command: string, args?: string[]}|null} Tool, or null if none
+ *
+ * @example
+ * findConfiguredTool(settings.getSettings(scope), 'linters', 'docker/Dockerfile'); // 'hadolint'
+ */
+function findConfiguredTool(effective, key, filePath) {
+  const tools = effective[key] || {};
+  const name = path.basename(filePath);
+  const ext = getExt(filePath);
+  if (Object.hasOwn(tools, name)) return tools[name];
+  return ext && Object.hasOwn(tools, ext) ? tools[ext] : null;
+}
+
+/**
+ * Build the shell command for a configured tool
+ *
+ * A plain command string has the file path appended. A tool spec (from a
+ * language profile or a settings file) has `{file}` replaced with the file
+ * path and its `args` appended; without a placeholder it runs as written.
+ * Given several files, every path takes the place of one.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string|string[]} filePath - Path to the file, or paths to several
+ * @returns {string} Shell command
+ *
+ * @example
+ * buildToolCommand('ruff format', 'a.py');                     // "ruff format 'a.py'"
+ * buildToolCommand({ command: 'eslint {file}', args: ['--fix'] }, ['a.js', 'b.js']);
+ * // "eslint 'a.js' 'b.js' --fix"
+ */
+function buildToolCommand(tool, filePath) {
+  const escapedPath = [].concat(filePath).map(exec.escapeFilePath).join(' ');
+
+  if (typeof tool === 'string') {
+    return `${tool.trim()} ${escapedPath}`;
+  }
+
+  const command = tool.command.trim().split('{file}').join(escapedPath);
+  return [command, ...(tool.args || [])].join(' ');
+}
+
+/**
+ * Turn a configured formatter into the command that prints the formatted
+ * file instead of writing it
+ *
+ * The file is passed on stdin, so the configured command's write
+ * arguments and `{file}` placeholder are dropped and the registration's
+ * `stdout` arguments added; options such as `--single-quote` are kept.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Formatter from settings
+ * @returns {{command: string}|null} Tool spec to run with the file on stdin,
+ *   or null if the formatter has no stdout mode
+ *
+ * @example
+ * withStdout('prettier --write --single-quote');
+ * // { command: 'prettier --single-quote --stdin-filepath {file}' }
+ * withStdout('gofmt -w'); // { command: 'gofmt' }
+ */
+function withStdout(tool) {
+  const formatter = registry.findByCommand(tool, definition => definition.kind === 'formatter' && Boolean(definition.stdout));
+  if (!formatter) {
+    return null;
+  }
+
+  const strip = new Set([...(formatter.stdout.strip || []), '{file}']);
+  const words = describeTool(tool).trim().split(/\s+/).filter(word => !strip.has(word));
+  return { command: [...words, ...formatter.stdout.args].join(' ') };
+}
+
+/**
+ * Describe a configured tool for log messages
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @returns {string}
+ */
+function describeTool(tool) {
+  return typeof tool === 'string' ? tool : [tool.command, ...(tool.args || [])].join(' ');
+}
+
+/**
+ * Resolve the shell command that runs a configured tool against files
+ *
+ * Files are passed as absolute paths, or to the command builder of the
+ * registered tool (see lib/tools/registry) for tools that take something
+ * else. The executable comes from the package's node_modules/.bin, or its
+ * venv for Python files (e.g. 'ruff format' -> python -m ruff format), else
+ * PATH; see lib/tools/resolver.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string|string[]} filePath - Path to the file, or paths to several of the same type
+ * @param {string} cwd - Working directory
+ * @returns {{success: boolean, command?: string, error?: string, missing?: {tool: string, hint: string}}}
+ *   `missing` is set when the tool is not installed
+ */
+function resolveToolCommand(tool, filePath, cwd) {
+  const files = [].concat(filePath).map(file => path.resolve(file));
+  const definition = registry.findByCommand(tool);
+  const command = definition?.build
+    ? definition.build({ tool, files, cwd, buildCommand: buildToolCommand })
+    : buildToolCommand(tool, files);
+
+  return resolver.resolveCommand(command, { cwd, python: getExt(files[0]) === 'py' });
+}
+
+/**
+ * Answer tool commands in this process where possible, instead of spawning them
+ *
+ * The tool daemon (see lib/daemon) sets a runner that checks files with the
+ * eslint and TypeScript instances it keeps loaded. The runner is given each
+ * resolved tool before it is spawned, and returns a result shaped like
+ * exec's, or null to spawn the tool after all.
+ *
+ * @param {function(string|Object, string[], {cwd: string, input?: string, timeout: number}): Object|null|null} runner
+ *   Runner, or null to always spawn
+ */
+function setInProcessRunner(runner) {
+  inProcessRunner = runner;
+}
+
+/**
+ * Run a configured tool against a file
+ *
+ * The tool runs in the file's package root; see resolveToolCommand. An
+ * in-process runner (see setInProcessRunner) may answer instead.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - Tool from settings
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.timeout=config.TIMEOUTS.STANDARD] - Timeout in ms
+ * @param {string} [options.cwd] - Working directory (defaults to the package root)
+ * @param {string} [options.input] - Text written to the tool's stdin
+ * @param {boolean} [options.trim=true] - Trim whitespace around the output
+ * @returns {{success: boolean, output?: string, error?: string, stderr?: string,
+ *   missing?: {tool: string, hint: string}}}
+ */
+function runToolCommand(tool, filePath, options = {}) {
+  const {
+    timeout = config.TIMEOUTS.STANDARD,
+    cwd = getPackageRoot(filePath),
+    input,
+    trim = true
+  } = options;
+
+  const resolved = resolveToolCommand(tool, filePath, cwd);
+  if (!resolved.success) {
+    return resolved;
+  }
+
+  const answered = inProcessRunner && inProcessRunner(tool, [path.resolve(filePath)], { cwd, input, timeout });
+  if (answered) {
+    logging.debug(`Ran in process: ${resolved.command}`);
+    return answered;
+  }
+
+  logging.debug(`Running: ${resolved.command}`);
+
+  return exec.exec(resolved.command, { cwd, timeout, input, trim });
+}
+
+module.exports = {
+  getExt,
+  fileScope,
+  getPackageRoot,
+  findConfiguredTool,
+  getPythonCommand,
+  runPythonTool,
+  buildToolCommand,
+  withStdout,
+  describeTool,
+  resolveToolCommand,
+  setInProcessRunner,
+  runToolCommand
+};
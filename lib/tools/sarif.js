@@ -0,0 +1,242 @@
+/**
+ * SARIF export
+ *
+ * Turns normalized diagnostics (see lib/tools/diagnostics) into a SARIF
+ * 2.1.0 log for code-review tooling and dashboards: one run per tool, with
+ * driver name and version, rule descriptors, and physical locations
+ * relative to the repository root. Issues the project's baseline records
+ * are reported with an external suppression.
+ *
+ * @module lib/tools/sarif
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { config, exec } = require('../core');
+const git = require('../git');
+const logging = require('../logging');
+const registry = require('./registry');
+const resolver = require('./resolver');
+const tools = require('./index');
+
+/**
+ * SARIF version written
+ * @type {string}
+ */
+const SARIF_VERSION = '2.1.0';
+
+/**
+ * SARIF 2.1.0 JSON schema
+ * @type {string}
+ */
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Diagnostic severity to SARIF result level
+ * @type {Object<string, string>}
+ */
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * Tool versions, keyed by tool name, working directory and runtime
+ * @type {Map<string, string|null>}
+ */
+const versionCache = new Map();
+
+/**
+ * Get the installed version of a tool
+ *
+ * The executable is resolved as when the tool runs (see lib/tools/resolver).
+ *
+ * @param {string} name - Tool name, e.g. 'eslint' or 'ruff'
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.cwd=process.cwd()] - Package root the tool runs in
+ * @param {boolean} [options.python=false] - Whether it is a Python module
+ * @returns {string|null} Version like '8.57.0', or null if it cannot be determined
+ */
+function getToolVersion(name, options = {}) {
+  const { cwd = process.cwd(), python = false } = options;
+  const key = `${name}\0${cwd}\0${python}`;
+  if (versionCache.has(key)) {
+    return versionCache.get(key);
+  }
+
+  const resolved = resolver.resolveCommand(`${name} --version`, { cwd, python });
+  if (!resolved.success) {
+    logging.debug(resolved.error);
+    versionCache.set(key, null);
+    return null;
+  }
+
+  const result = exec.exec(resolved.command, { cwd, timeout: config.TIMEOUTS.STANDARD });
+  const match = result.success && result.output.match(/\d+\.\d+(?:\.\d+)?(?:[-+][\w.]+)?/);
+  const version = match ? match[0] : null;
+  if (!version) {
+    logging.debug(`Could not determine ${name} version`);
+  }
+
+  versionCache.set(key, version);
+  return version;
+}
+
+/**
+ * Build a SARIF artifact location for a file
+ *
+ * @param {string} file - Absolute path
+ * @param {string} root - Repository root
+ * @returns {{uri: string, uriBaseId?: string}} Relative to SRCROOT when the
+ *   file is inside the root, else an absolute file URI
+ */
+function artifactLocation(file, root) {
+  const rel = path.relative(root, file);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+    return { uri: pathToFileURL(file).href };
+  }
+  return {
+    uri: rel.split(path.sep).map(encodeURIComponent).join('/'),
+    uriBaseId: 'SRCROOT'
+  };
+}
+
+/**
+ * Convert a diagnostic into a SARIF result
+ *
+ * @param {Object} diagnostic - Diagnostic
+ * @param {string} root - Repository root
+ * @param {number} ruleIndex - Index of its rule in the driver's rules, or -1
+ * @returns {Object} SARIF result
+ */
+function toResult(diagnostic, root, ruleIndex) {
+  const physicalLocation = { artifactLocation: artifactLocation(diagnostic.file, root) };
+  if (diagnostic.line !== null) {
+    physicalLocation.region = { startLine: diagnostic.line };
+    if (diagnostic.column !== null) {
+      physicalLocation.region.startColumn = diagnostic.column;
+    }
+  }
+
+  return {
+    ...(diagnostic.rule ? { ruleId: diagnostic.rule, ruleIndex } : {}),
+    level: LEVELS[diagnostic.severity] || 'warning',
+    message: { text: diagnostic.message },
+    locations: [{ physicalLocation }],
+    ...(diagnostic.suppressed
+      ? { suppressions: [{ kind: 'external', justification: `Recorded in ${config.BASELINE_FILE}` }] }
+      : {}),
+    properties: { fixable: diagnostic.fixable }
+  };
+}
+
+/**
+ * Build a SARIF log from diagnostics
+ *
+ * Diagnostics are grouped into one run per tool; identical diagnostics
+ * (e.g. the same tsc error reported while checking two files) appear once.
+ *
+ * @param {Array<Object>} found - Diagnostics
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.root=process.cwd()] - Repository root locations are relative to
+ * @param {Object<string, {version?: string|null}>} [options.tools={}] - Tools that ran, so
+ *   tools without findings still get a run; versions go into the driver
+ * @returns {Object} SARIF log
+ *
+ * @example
+ * toSarif(diagnostics, { root: '/repo', tools: { eslint: { version: '8.57.0' } } }).runs[0].tool.driver
+ * // { name: 'eslint', version: '8.57.0', informationUri: 'https://eslint.org', rules: [...] }
+ */
+function toSarif(found, options = {}) {
+  const { root = process.cwd(), tools: toolInfo = {} } = options;
+
+  const seen = new Set();
+  const bySource = new Map(Object.keys(toolInfo).map(name => [name, []]));
+  for (const diagnostic of found) {
+    const key = JSON.stringify([diagnostic.source, diagnostic.file, diagnostic.line,
+      diagnostic.column, diagnostic.rule, diagnostic.message]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (!bySource.has(diagnostic.source)) bySource.set(diagnostic.source, []);
+    bySource.get(diagnostic.source).push(diagnostic);
+  }
+
+  const rootUri = pathToFileURL(root).href.replace(/\/?$/, '/');
+
+  const runs = [...bySource].map(([name, list]) => {
+    const rules = [];
+    const ruleIndexes = new Map();
+    for (const diagnostic of list) {
+      if (diagnostic.rule && !ruleIndexes.has(diagnostic.rule)) {
+        ruleIndexes.set(diagnostic.rule, rules.length);
+        rules.push({ id: diagnostic.rule, ...(diagnostic.url ? { helpUri: diagnostic.url } : {}) });
+      }
+    }
+
+    const version = toolInfo[name]?.version;
+    const informationUri = registry.list().find(definition => definition.name === name && definition.informationUri)
+      ?.informationUri;
+
+    return {
+      tool: {
+        driver: {
+          name,
+          ...(version ? { version } : {}),
+          ...(informationUri ? { informationUri } : {}),
+          rules
+        }
+      },
+      originalUriBaseIds: { SRCROOT: { uri: rootUri } },
+      results: list.map(d => toResult(d, root, d.rule ? ruleIndexes.get(d.rule) : -1))
+    };
+  });
+
+  return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs };
+}
+
+/**
+ * Type check and lint files and build a SARIF log of the results
+ *
+ * @param {string[]} filePaths - Files to check
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.root] - Repository root (defaults to the git root, else the cwd)
+ * @returns {{log: Object, diagnostics: Array<Object>}}
+ */
+function createReport(filePaths, options = {}) {
+  const root = path.resolve(options.root || git.getRepoRoot() || process.cwd());
+  const checked = tools.checkFiles(filePaths);
+
+  const toolInfo = {};
+  for (const [name, info] of Object.entries(checked.tools)) {
+    toolInfo[name] = { version: getToolVersion(name, info) };
+  }
+
+  return {
+    log: toSarif(checked.diagnostics, { root, tools: toolInfo }),
+    diagnostics: checked.diagnostics
+  };
+}
+
+/**
+ * Write a SARIF log to a file
+ *
+ * @param {string} outputFile - Destination, conventionally ending in .sarif
+ * @param {Object} log - SARIF log
+ */
+function writeSarif(outputFile, log) {
+  fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(log, null, 2) + '\n');
+}
+
+module.exports = {
+  SARIF_VERSION,
+  getToolVersion,
+  toSarif,
+  createReport,
+  writeSarif
+};
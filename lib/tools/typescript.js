@@ -0,0 +1,462 @@
+/**
+ * tsconfig-aware TypeScript checking
+ *
+ * `tsc <file>` ignores tsconfig.json, losing path aliases, strictness, jsx
+ * mode and lib settings. Instead, a file is checked with the project that
+ * owns it: the nearest tsconfig.json whose files/include/exclude cover it,
+ * or a project it references (solution-style configs list their projects
+ * under `references`). tsc runs with `-p` and an incremental build info file
+ * kept in the project's config.TSC_BUILD_INFO_DIR, and only the diagnostics
+ * for the edited file, the files that import it directly, and the config
+ * itself are reported. Since those depend on more than the edited file,
+ * project checks are not cached (see lib/tools/cache).
+ *
+ * @module lib/tools/typescript
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, exec } = require('../core');
+const settings = require('../settings');
+const logging = require('../logging');
+const validation = require('../validation');
+
+/**
+ * File tsc looks for in a project directory
+ * @type {string}
+ */
+const CONFIG_NAME = 'tsconfig.json';
+
+/**
+ * Excluded when a config sets no `exclude`, as tsc does (plus its outDir)
+ * @type {string[]}
+ */
+const DEFAULT_EXCLUDE = ['node_modules', 'bower_components', 'jspm_packages'];
+
+/**
+ * Extensions an import specifier may leave out or write as .js
+ * @type {RegExp}
+ */
+const SCRIPT_EXTENSION = /\.(d\.ts|[cm]?tsx?|[cm]?jsx?)$/;
+
+/**
+ * Module specifiers in import/export/require statements
+ * @type {RegExp}
+ */
+const IMPORT_SPECIFIER = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]([^'"\n]+)['"]/g;
+
+/**
+ * Parse JSON with comments and trailing commas, as tsconfig files allow
+ *
+ * @param {string} text - File content
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If the content is not valid JSON once comments are removed
+ */
+function parseJsonc(text) {
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      out += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      if (text[i] === '}' || text[i] === ']') {
+        out = out.replace(/,(\s*)$/, '$1');
+      }
+      out += text[i];
+      i++;
+    }
+  }
+
+  return JSON.parse(out);
+}
+
+/**
+ * Resolve the file an `extends` entry names
+ *
+ * @param {string} extendsPath - Relative path or package name
+ * @param {string} dir - Directory of the extending config
+ * @returns {string|null} Absolute path, or null if it cannot be found
+ */
+function resolveExtends(extendsPath, dir) {
+  if (extendsPath.startsWith('.') || path.isAbsolute(extendsPath)) {
+    const file = path.resolve(dir, extendsPath);
+    return fs.existsSync(file) || file.endsWith('.json') ? file : `${file}.json`;
+  }
+
+  for (const request of [extendsPath, `${extendsPath}/${CONFIG_NAME}`, `${extendsPath}.json`]) {
+    try {
+      return require.resolve(request, { paths: [dir] });
+    } catch {
+      // Try the next form
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a tsconfig file, following `extends`
+ *
+ * Paths are made absolute against the config that sets them: `files`,
+ * `include` and `exclude` come from the nearest config that has them, and
+ * `paths` resolve against `baseUrl` or else the config that declares them.
+ * `references` are not inherited.
+ *
+ * @param {string} configFile - Path to the tsconfig file
+ * @param {Set<string>} [seen] - Configs already loaded in this chain
+ * @returns {{configFile: string, dir: string, compilerOptions: Object, files?: string[],
+ *   include?: string[], exclude?: string[], references: Array<{path: string}>, filesBase?: string,
+ *   includeBase?: string, excludeBase?: string, baseUrl?: string, paths?: Object<string, string[]>,
+ *   pathsBase?: string}|null} Project, or null if it cannot be read
+ */
+function loadConfig(configFile, seen = new Set()) {
+  const file = path.resolve(configFile);
+  if (seen.has(file)) {
+    logging.debug(`Circular extends in ${file}`);
+    return null;
+  }
+  seen.add(file);
+
+  let raw;
+  try {
+    raw = parseJsonc(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logging.debug(`Cannot read ${file}: ${e.message}`);
+    return null;
+  }
+
+  const dir = path.dirname(file);
+  let project = { compilerOptions: {} };
+  for (const extendsPath of [].concat(raw.extends || [])) {
+    const baseFile = resolveExtends(extendsPath, dir);
+    const base = baseFile && loadConfig(baseFile, new Set(seen));
+    if (base) {
+      project = { ...project, ...base, compilerOptions: { ...project.compilerOptions, ...base.compilerOptions } };
+    }
+  }
+
+  const options = raw.compilerOptions || {};
+  project = {
+    ...project,
+    configFile: file,
+    dir,
+    compilerOptions: { ...project.compilerOptions, ...options },
+    references: Array.isArray(raw.references) ? raw.references : []
+  };
+  for (const key of ['files', 'include', 'exclude']) {
+    if (Array.isArray(raw[key])) {
+      project[key] = raw[key];
+      project[`${key}Base`] = dir;
+    }
+  }
+  if (options.baseUrl) {
+    project.baseUrl = path.resolve(dir, options.baseUrl);
+  }
+  if (options.paths) {
+    project.paths = options.paths;
+  }
+  if (options.baseUrl || options.paths) {
+    project.pathsBase = project.baseUrl || dir;
+  }
+  if (options.outDir) {
+    project.outDir = path.resolve(dir, options.outDir);
+  }
+
+  return project;
+}
+
+/**
+ * Check whether a path matches tsconfig include/exclude patterns
+ *
+ * @param {string} file - Absolute path
+ * @param {string[]} patterns - Patterns relative to base
+ * @param {string} base - Directory patterns are relative to
+ * @returns {boolean}
+ */
+function matchesPatterns(file, patterns, base) {
+  const rel = path.relative(base, file).split(path.sep).join('/');
+
+  return patterns.some((pattern) => {
+    const normalized = path.posix.normalize(pattern.replace(/\\/g, '/'));
+    // Patterns only reach outside their base when they say so
+    if (rel.startsWith('../') && !normalized.startsWith('../')) {
+      return false;
+    }
+    return validation.globToRegExp(`/${normalized === '.' ? '**' : normalized}`).test(rel);
+  });
+}
+
+/**
+ * Check whether a project's files/include/exclude cover a file
+ *
+ * @param {Object} project - From loadConfig
+ * @param {string} file - Absolute path
+ * @returns {boolean}
+ */
+function includesFile(project, file) {
+  if (project.files && project.files.some(entry => path.resolve(project.filesBase, entry) === file)) {
+    return true;
+  }
+  if (project.files && !project.include) {
+    return false;
+  }
+
+  if (!matchesPatterns(file, project.include || ['**/*'], project.includeBase || project.dir)) {
+    return false;
+  }
+
+  const exclude = project.exclude
+    ? { patterns: project.exclude, base: project.excludeBase }
+    : { patterns: DEFAULT_EXCLUDE, base: project.dir };
+  if (!project.exclude && project.outDir && !path.relative(project.outDir, file).startsWith('..')) {
+    return false;
+  }
+  return !matchesPatterns(file, exclude.patterns, exclude.base);
+}
+
+/**
+ * Find the project a config or the projects it references assign a file to
+ *
+ * @param {string} configFile - Path to the tsconfig file
+ * @param {string} file - Absolute path
+ * @param {Set<string>} visited - Configs already searched
+ * @returns {Object|null} Project, from loadConfig
+ */
+function findOwner(configFile, file, visited) {
+  const resolved = path.resolve(configFile);
+  if (visited.has(resolved)) {
+    return null;
+  }
+  visited.add(resolved);
+
+  const project = loadConfig(resolved);
+  if (!project) {
+    return null;
+  }
+  if (includesFile(project, file)) {
+    return project;
+  }
+
+  for (const reference of project.references) {
+    if (typeof reference?.path !== 'string') continue;
+    const target = path.resolve(project.dir, reference.path);
+    const owner = findOwner(target.endsWith('.json') ? target : path.join(target, CONFIG_NAME), file, visited);
+    if (owner) {
+      return owner;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the TypeScript project that owns a file
+ *
+ * Searches from the file's directory up to the project root. At each
+ * tsconfig.json found, the config itself is tried, then the projects it
+ * references; a config that covers neither passes the search on upwards.
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} Project (see loadConfig), or null if no tsconfig covers the file
+ *
+ * @example
+ * findProject('/repo/packages/web/src/app.tsx').configFile;
+ * // '/repo/packages/web/tsconfig.json' (referenced from /repo/tsconfig.json)
+ */
+function findProject(filePath) {
+  const file = path.resolve(filePath);
+  const projectDir = settings.resolveProjectDir();
+  const visited = new Set();
+
+  for (let dir = path.dirname(file); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, CONFIG_NAME);
+    if (fs.existsSync(candidate)) {
+      const owner = findOwner(candidate, file, visited);
+      if (owner) {
+        return owner;
+      }
+    }
+    if (dir === projectDir || path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Get the incremental build info file for a project
+ *
+ * @param {string} configFile - Path to the tsconfig file
+ * @returns {string} Path in the plugin's cache, so no build output lands in the source tree
+ */
+function getBuildInfoFile(configFile) {
+  const id = crypto.createHash('sha1').update(path.resolve(configFile)).digest('hex').slice(0, 16);
+  return path.join(settings.resolveProjectDir(), config.TSC_BUILD_INFO_DIR, `${id}.tsbuildinfo`);
+}
+
+/**
+ * Turn a configured tsc command into one that checks a whole project
+ *
+ * Any `{file}` placeholder is dropped, and `-p`, `--noEmit` and the
+ * incremental build info file are added. Composite projects are checked
+ * without `composite`, which would otherwise require emitting declarations.
+ *
+ * @param {string|{command: string, args?: string[]}} tool - tsc tool from settings
+ * @param {Object} project - From findProject
+ * @returns {{command: string, args?: string[]}} Spec that runs as written
+ *
+ * @example
+ * projectTool('tsc --noEmit', project);
+ * // { command: "tsc --noEmit -p '/repo/tsconfig.json' --incremental --tsBuildInfoFile '/repo/.claude/...'" }
+ */
+function projectTool(tool, project) {
+  const spec = typeof tool === 'string' ? { command: tool } : tool;
+  const buildInfoFile = getBuildInfoFile(project.configFile);
+
+  const dir = path.dirname(buildInfoFile);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.gitignore'), '*\n');
+  }
+
+  const words = [spec.command.split('{file}').join(' ').replace(/\s+/g, ' ').trim()];
+  if (!/(^|\s)--noEmit\b/.test(words[0])) {
+    words.push('--noEmit');
+  }
+  words.push('-p', exec.escapeFilePath(project.configFile),
+    '--incremental', '--tsBuildInfoFile', exec.escapeFilePath(buildInfoFile));
+  if (project.compilerOptions.composite) {
+    words.push('--composite', 'false');
+  }
+
+  return { ...spec, command: words.join(' ') };
+}
+
+/**
+ * Strip the script extension from a path
+ *
+ * @param {string} file - Path
+ * @returns {string}
+ */
+function stripExtension(file) {
+  return file.replace(SCRIPT_EXTENSION, '');
+}
+
+/**
+ * List the paths a module specifier may refer to
+ *
+ * @param {string} specifier - Specifier from an import
+ * @param {string} fromFile - Importing file
+ * @param {Object} project - From loadConfig
+ * @returns {string[]} Absolute paths, possibly without extension
+ */
+function candidatePaths(specifier, fromFile, project) {
+  if (specifier.startsWith('.')) {
+    return [path.resolve(path.dirname(fromFile), specifier)];
+  }
+
+  const candidates = [];
+  for (const [pattern, targets] of Object.entries(project.paths || {})) {
+    const star = pattern.indexOf('*');
+    let captured = null;
+    if (star === -1) {
+      if (specifier === pattern) captured = '';
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) && specifier.endsWith(suffix)) {
+        captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+      }
+    }
+    if (captured === null || !Array.isArray(targets)) continue;
+    for (const target of targets) {
+      candidates.push(path.resolve(project.pathsBase, target.replace('*', captured)));
+    }
+  }
+
+  if (project.baseUrl) {
+    candidates.push(path.resolve(project.baseUrl, specifier));
+  }
+  return candidates;
+}
+
+/**
+ * Check whether a file imports any of a set of files directly
+ *
+ * Relative specifiers, `paths` aliases and `baseUrl` are resolved; package
+ * imports are ignored.
+ *
+ * @param {string} sourceFile - Possibly importing file
+ * @param {Set<string>} targets - Imported files, absolute and without extension
+ * @param {Object} project - From loadConfig
+ * @returns {boolean}
+ */
+function importsAny(sourceFile, targets, project) {
+  let text;
+  try {
+    text = fs.readFileSync(sourceFile, 'utf8');
+  } catch {
+    return false;
+  }
+
+  for (const [, specifier] of text.matchAll(IMPORT_SPECIFIER)) {
+    for (const candidate of candidatePaths(specifier, sourceFile, project)) {
+      const stripped = stripExtension(candidate);
+      if (targets.has(stripped) || targets.has(path.join(stripped, 'index'))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Build a filter keeping the diagnostics that concern some files
+ *
+ * A project check reports on every file in the project; what concerns the
+ * edited files is their own diagnostics, those of the files importing them
+ * directly, errors in the config, and output that points at no line (such
+ * as an unknown compiler option).
+ *
+ * @param {string|string[]} filePaths - Edited files
+ * @param {Object} project - From findProject
+ * @returns {function(Object): boolean} Filter for diagnostics
+ */
+function diagnosticFilter(filePaths, project) {
+  const files = new Set([].concat(filePaths).map(file => path.resolve(file)));
+  const targets = new Set([...files].map(stripExtension));
+  const dependents = new Map();
+
+  return (diagnostic) => {
+    if (files.has(diagnostic.file) || diagnostic.file === project.configFile || diagnostic.line === null) {
+      return true;
+    }
+    if (!dependents.has(diagnostic.file)) {
+      dependents.set(diagnostic.file, importsAny(diagnostic.file, targets, project));
+    }
+    return dependents.get(diagnostic.file);
+  };
+}
+
+module.exports = {
+  parseJsonc,
+  loadConfig,
+  includesFile,
+  findProject,
+  getBuildInfoFile,
+  projectTool,
+  diagnosticFilter
+};
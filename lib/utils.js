@@ -12,11 +12,17 @@
 
 // Import domain modules
 const { platform, config, exec } = require('./core');
+const settings = require('./settings');
+const schema = require('./schema');
+const project = require('./project');
 const venv = require('./venv');
 const git = require('./git');
 const logging = require('./logging');
 const validation = require('./validation');
 const tools = require('./tools');
+const sarif = require('./tools/sarif');
+const daemon = require('./daemon');
+const hooks = require('./hooks');
 const version = require('./version');
 const errors = require('./errors');
 const orchestrator = require('./orchestrator');
@@ -35,6 +41,7 @@ module.exports = {
   FORMATTERS: config.FORMATTERS,
   TYPE_CHECKERS: config.TYPE_CHECKERS,
   LINTERS: config.LINTERS,
+  /** @deprecated See config.DANGEROUS_PATTERNS */
   DANGEROUS_PATTERNS: config.DANGEROUS_PATTERNS,
 
   // Path utilities (from logging, tools)
@@ -65,6 +72,9 @@ module.exports = {
   stageFiles: git.stageFiles,
   createCommit: git.createCommit,
 
+  // Settings
+  getSettings: settings.getSettings,
+
   // Validation
   isDangerousCommand: validation.isDangerousCommand,
 
@@ -83,11 +93,17 @@ module.exports = {
   platform,
   config,
   exec,
+  settings,
+  schema,
+  project,
   venv,
   git,
   logging,
   validation,
   tools,
+  sarif,
+  daemon,
+  hooks,
   version,
   errors,
 
@@ -0,0 +1,447 @@
+/**
+ * Dangerous command rules
+ *
+ * Each simple command a Bash command line would run (see
+ * lib/validation/shell) is checked against RULES, so that `rm -r -f /`,
+ * `sudo rm -rf /*`, or `rm -rf ~` inside `bash -c` or `$(...)` are caught
+ * however they are written, while text that merely mentions a dangerous
+ * command (`echo "DROP TABLE"`, `grep 'rm -rf /' notes.md`) is not.
+ *
+ * Options are read per command, so `-r -f`, `-fr` and `--recursive
+ * --force` are the same. Globs are judged as written. A delete target's
+ * variables are resolved from the values the command line assigns them
+ * (`for d in build dist`), and a target whose value cannot be known
+ * (`rm -rf "$DIR"`, `rm -rf "$(pwd)"`) counts as dangerous. A force push
+ * without a refspec is judged by the current branch.
+ *
+ * Projects can add regular expressions in the dangerousPatterns setting;
+ * they are matched against the raw command line, as before these rules,
+ * and against each simple command's text (its name and arguments, quotes
+ * removed).
+ *
+ * @module lib/validation/dangerous
+ */
+
+'use strict';
+
+const path = require('path');
+const shell = require('./shell');
+
+/**
+ * Commands that download content
+ * @type {Set<string>}
+ */
+const DOWNLOADERS = new Set(['curl', 'wget', 'fetch', 'http', 'https', 'invoke-webrequest', 'iwr', 'invoke-restmethod', 'irm']);
+
+/**
+ * Interpreters that run a program read from stdin when given no script
+ * @type {Set<string>}
+ */
+const INTERPRETERS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'mksh', 'ash', 'fish',
+  'python', 'python3', 'perl', 'ruby', 'node', 'php', 'pwsh', 'powershell', 'iex', 'invoke-expression']);
+
+/**
+ * Database clients whose arguments and input are SQL
+ * @type {Set<string>}
+ */
+const SQL_CLIENTS = new Set(['psql', 'mysql', 'mariadb', 'sqlite3', 'sqlcmd', 'duckdb', 'clickhouse-client',
+  'clickhouse', 'cockroach', 'snowsql', 'bq']);
+
+/**
+ * SQL statements that destroy data: DROP, TRUNCATE, and DELETE without WHERE
+ * @type {RegExp}
+ */
+const DESTRUCTIVE_SQL = /\b(DROP\s+(DATABASE|SCHEMA|TABLE)\b|TRUNCATE\s+\w|DELETE\s+FROM\s+[\w."`[\]]+\s*(;|$))/im;
+
+/**
+ * Block devices, whose overwriting destroys a file system
+ * @type {RegExp}
+ */
+const BLOCK_DEVICE = /^\/dev\/(sd[a-z]|hd[a-z]|vd[a-z]|xvd[a-z]|nvme\d|mmcblk\d|disk\d|rdisk\d)/;
+
+/**
+ * @typedef {Object} CommandMatch
+ * @property {string} rule - Rule id (e.g. 'recursive-delete'), or 'dangerousPatterns'
+ * @property {string} reason - What the rule guards against
+ * @property {string} command - The simple command that matched
+ * @property {string[]} via - Wrappers and scripts it runs through (e.g. ['sudo', 'bash -c'])
+ */
+
+/**
+ * Read a command's options
+ *
+ * Short options may be combined (`-rf`); `--` ends the options.
+ *
+ * @param {string[]} args - Arguments
+ * @param {string[]} [values=[]] - Options that take the next argument as their value
+ * @returns {{short: Set<string>, long: Set<string>, operands: string[]}} Short option
+ *   letters, long option names (without `--` or `=value`), and the other arguments
+ *
+ * @example
+ * readOptions(['-rf', '--no-preserve-root', '/']);
+ * // { short: Set {'r', 'f'}, long: Set {'no-preserve-root'}, operands: ['/'] }
+ */
+function readOptions(args, values = []) {
+  const short = new Set();
+  const long = new Set();
+  const operands = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith('--')) {
+      long.add(arg.slice(2).split('=')[0]);
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      for (const letter of arg.slice(1)) short.add(letter);
+    } else {
+      operands.push(arg);
+      continue;
+    }
+    if (values.includes(arg)) i++;
+  }
+  return { short, long, operands };
+}
+
+/**
+ * Tell whether a path, as written, is a whole tree: the root or a
+ * top-level directory, a home directory, a drive root, the parent
+ * directory, or a bare wildcard (and, unless `cwd` is false, the current
+ * directory)
+ *
+ * @param {string} target - Path as written
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.cwd=true] - Count `.` (and `./*`) as a whole tree
+ * @returns {boolean}
+ *
+ * @example
+ * isWholeTree('/etc');      // true
+ * isWholeTree('~/*');       // true
+ * isWholeTree('/tmp/test'); // false
+ */
+function isWholeTree(target, options = {}) {
+  const { cwd = true } = options;
+  if (/^[a-z]:[\\/]?\*?$/i.test(target)) {
+    return true;
+  }
+  // Everything in a directory is as good as the directory
+  const dir = target.replace(/\/\.?\*$/, '/').replace(/(.)\/+$/, '$1');
+  if (/^(~[\w.-]*|\$HOME|\$\{HOME\})$/.test(dir) || dir === '*' || dir === '.*') {
+    return true;
+  }
+  if (dir.startsWith('/')) {
+    return path.posix.normalize(dir).split('/').filter(Boolean).length <= 1;
+  }
+  const normalized = path.posix.normalize(dir);
+  return /^\.\.(\/\.\.)*$/.test(normalized) || (cwd && normalized === '.');
+}
+
+/**
+ * Tell whether a path, as written, is the system temp directory or
+ * everything in it, which recursive deletes may clear
+ *
+ * @param {string} target - Path as written
+ * @returns {boolean}
+ *
+ * @example
+ * isTempDir('/tmp/*'); // true
+ * isTempDir('/tmp/../etc'); // false
+ */
+function isTempDir(target) {
+  return path.posix.normalize(target.replace(/\/\.?\*$/, '/')).replace(/(.)\/+$/, '$1') === '/tmp';
+}
+
+/**
+ * Tell whether any of the words a command deletes may be a whole tree
+ * other than the temp directory (see isWholeTree), counting one whose
+ * variables or substitutions cannot be resolved (see shell.expandWord)
+ *
+ * @param {import('./shell').SimpleCommand} command - Command
+ * @param {import('./shell').Word[]} words - Words naming what it deletes
+ * @param {Object} [options={}] - Options for isWholeTree
+ * @returns {boolean}
+ */
+function deletesWholeTree(command, words, options = {}) {
+  return words.some((word) => {
+    const values = shell.expandWord(word, command.variables);
+    return values === null || values.some(value => isWholeTree(value, options) && !isTempDir(value));
+  });
+}
+
+/**
+ * Read a git command's subcommand and its arguments, skipping git's own options
+ *
+ * @param {string[]} args - git's arguments
+ * @returns {{subcommand: string|null, args: string[]}}
+ */
+function gitSubcommand(args) {
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-')) {
+    i += ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env'].includes(args[i]) ? 2 : 1;
+  }
+  return { subcommand: args[i] ?? null, args: args.slice(i + 1) };
+}
+
+/**
+ * Tell whether a git push rewrites or deletes a protected branch
+ *
+ * Without a refspec, or with `HEAD`, the current branch is pushed.
+ *
+ * @param {string[]} args - push's arguments
+ * @param {string[]} protectedBranches - Protected branch names
+ * @param {function(): (string|null)} currentBranch - Gets the current branch, null if unknown
+ * @returns {boolean}
+ */
+function pushesOverProtected(args, protectedBranches, currentBranch) {
+  const { short, long, operands } = readOptions(args, ['-o', '--push-option', '--repo', '--receive-pack', '--exec']);
+  if (long.has('mirror')) {
+    return true;
+  }
+  const force = short.has('f') || long.has('force') || long.has('force-with-lease');
+  const deleting = short.has('d') || long.has('delete');
+  if (force && long.has('all')) {
+    return true;
+  }
+  const refspecs = operands.slice(1);
+  if (force && refspecs.length === 0) {
+    return protectedBranches.includes(currentBranch());
+  }
+  return refspecs.some((refspec) => {
+    let destination = refspec.replace(/^\+/, '').split(':').pop().replace(/^refs\/heads\//, '');
+    if (destination === 'HEAD') destination = currentBranch();
+    const rewrites = force || deleting || refspec.startsWith('+') || refspec.startsWith(':');
+    return rewrites && protectedBranches.includes(destination);
+  });
+}
+
+/**
+ * Get the SQL a command runs: its own words when it is a bare statement,
+ * or a database client's arguments, here-documents and piped input
+ *
+ * @param {import('./shell').SimpleCommand} command - Command
+ * @returns {string[]} SQL texts
+ */
+function sqlOf(command) {
+  if (/^[\s;'"]*(drop|truncate|delete)\b/.test(command.text.toLowerCase())) {
+    return [command.text];
+  }
+  if (!SQL_CLIENTS.has(command.name)) {
+    return [];
+  }
+  return [
+    ...command.args,
+    ...command.redirects.filter(r => r.op === '<<<').map(r => r.target || ''),
+    ...command.redirects.map(r => r.heredoc).filter(body => body !== undefined),
+    ...command.upstream.flatMap(c => [...c.args, ...c.redirects.map(r => r.heredoc).filter(body => body !== undefined)])
+  ];
+}
+
+/**
+ * Tell whether an interpreter reads its program from stdin rather than a
+ * script file or an option (`-c`, `-e`, `-m`)
+ *
+ * @param {import('./shell').SimpleCommand} command - Interpreter command
+ * @returns {boolean}
+ */
+function readsProgramFromStdin(command) {
+  const { short, long, operands } = readOptions(command.args);
+  if (['c', 'e', 'm', 'r'].some(letter => short.has(letter)) || long.has('command') || long.has('eval')) {
+    return false;
+  }
+  return operands.length === 0 || operands[0] === '-' || short.has('s');
+}
+
+/**
+ * Rules checked against each simple command; `test` gets the command, the
+ * options of the check and every command of the line
+ * @type {Array<{id: string, reason: string, test: function(Object, Object, Array<Object>): boolean}>}
+ */
+const RULES = [
+  {
+    id: 'recursive-delete',
+    reason: 'Recursive delete of a root, home, parent or current directory, or of a path that cannot be known',
+    test: (command) => {
+      if (command.name !== 'rm') return false;
+      const { short, long, operands } = readOptions(command.args);
+      if (long.has('no-preserve-root')) return true;
+      if (!short.has('r') && !short.has('R') && !long.has('recursive')) return false;
+      const targets = command.words.filter(word => operands.includes(word.value));
+      const piped = command.fromXargs ? command.upstream.flatMap(c => c.words) : [];
+      return deletesWholeTree(command, [...targets, ...piped]);
+    }
+  },
+  {
+    id: 'find-delete',
+    reason: 'find deleting from a root, home or parent directory, or from a path that cannot be known',
+    test: (command) => {
+      if (command.name !== 'find') return false;
+      const startEnd = command.args.findIndex(arg => arg.startsWith('-') || arg === '(' || arg === '!');
+      const starts = command.words.slice(0, startEnd === -1 ? command.words.length : startEnd);
+      const deletes = command.args.some((arg, i) => arg === '-delete' ||
+        (['-exec', '-execdir', '-ok', '-okdir'].includes(arg) &&
+          ['rm', 'shred', 'unlink'].includes(shell.commandName(command.args[i + 1] || ''))));
+      return deletes && deletesWholeTree(command, starts, { cwd: false });
+    }
+  },
+  {
+    id: 'protected-branch-push',
+    reason: 'Force push, deletion or mirror push of a protected branch',
+    test: (command, options) => {
+      if (command.name !== 'git') return false;
+      const { subcommand, args } = gitSubcommand(command.args);
+      return subcommand === 'push' && pushesOverProtected(args, options.protectedBranches, options.currentBranch);
+    }
+  },
+  {
+    id: 'hard-reset',
+    reason: 'git reset --hard discards uncommitted changes',
+    test: (command) => {
+      if (command.name !== 'git') return false;
+      const { subcommand, args } = gitSubcommand(command.args);
+      return subcommand === 'reset' && readOptions(args).long.has('hard');
+    }
+  },
+  {
+    id: 'git-clean',
+    reason: 'git clean -f deletes untracked files',
+    test: (command) => {
+      if (command.name !== 'git') return false;
+      const { subcommand, args } = gitSubcommand(command.args);
+      if (subcommand !== 'clean') return false;
+      const { short, long } = readOptions(args, ['-e', '--exclude']);
+      return (short.has('f') || long.has('force')) && !short.has('n') && !long.has('dry-run');
+    }
+  },
+  {
+    id: 'destructive-sql',
+    reason: 'SQL DROP, TRUNCATE, or DELETE without WHERE',
+    test: command => sqlOf(command).some(sql => DESTRUCTIVE_SQL.test(sql))
+  },
+  {
+    id: 'fork-bomb',
+    reason: 'Function that calls itself more than once (fork bomb)',
+    test: (command, options, commands) => command.inFunction !== null && command.name === command.inFunction &&
+      commands.filter(c => c.inFunction === command.inFunction && c.name === command.inFunction).length > 1
+  },
+  {
+    id: 'disk-write',
+    reason: 'Writing to a block device or creating a file system',
+    test: (command) => {
+      if (/^mkfs(\..+)?$/.test(command.name) || ['mke2fs', 'mkswap', 'wipefs'].includes(command.name)) return true;
+      if (command.name === 'dd' && command.args.some(arg => arg.startsWith('of=') && BLOCK_DEVICE.test(arg.slice(3)))) {
+        return true;
+      }
+      return command.redirects.some(r => /^(>|>>|>\||&>|&>>|<>)$/.test(r.op) && BLOCK_DEVICE.test(r.target || ''));
+    }
+  },
+  {
+    id: 'recursive-permissions',
+    reason: 'Recursive permission or owner change on a root or home directory',
+    test: (command) => {
+      if (!['chmod', 'chown', 'chgrp'].includes(command.name)) return false;
+      const { short, long, operands } = readOptions(command.args);
+      return (short.has('R') || long.has('recursive')) && operands.some(target => isWholeTree(target, { cwd: false }));
+    }
+  },
+  {
+    id: 'remote-code',
+    reason: 'Running downloaded code (curl | sh)',
+    test: (command) => {
+      const runs = INTERPRETERS.has(command.name) || ['eval', 'source', '.'].includes(command.name);
+      if (!runs) return false;
+      if (command.substituted.some(c => DOWNLOADERS.has(c.name))) return true;
+      return INTERPRETERS.has(command.name) && readsProgramFromStdin(command) &&
+        command.upstream.some(c => DOWNLOADERS.has(c.name));
+    }
+  },
+  {
+    id: 'drive-format',
+    reason: 'Formatting a drive',
+    test: command => command.name === 'format' && command.args.some(arg => /^[a-z]:/i.test(arg))
+  },
+  {
+    id: 'powershell-recursive-delete',
+    reason: 'PowerShell recursive delete on a drive',
+    test: (command) => {
+      if (!['remove-item', 'ri', 'del', 'erase', 'rd', 'rmdir'].includes(command.name)) return false;
+      const args = command.args.map(arg => arg.toLowerCase());
+      return args.some(arg => arg.startsWith('-r')) && args.some(arg => arg.startsWith('-fo')) &&
+        command.words.some(word => /^["']?[a-z]:\\/i.test(word.raw));
+    }
+  },
+  {
+    id: 'nested-too-deep',
+    reason: 'Scripts nested too deeply to check',
+    test: command => command.tooDeep
+  }
+];
+
+/**
+ * Check a command line against the rules
+ *
+ * @param {string} cmd - Command line
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.protectedBranches=[]] - Branches force pushes must not rewrite
+ * @param {function(): (string|null)} [options.currentBranch] - Gets the branch a push without a
+ *   refspec pushes; called at most once, and only for such a push
+ * @param {RegExp[]} [options.patterns=[]] - Extra patterns, matched against the command line and
+ *   each simple command's text
+ * @returns {{dangerous: boolean, matches: CommandMatch[]}} Every rule each simple command matched
+ *
+ * @example
+ * analyzeCommand('cd build && sudo rm -fr ~');
+ * // { dangerous: true, matches: [{ rule: 'recursive-delete', command: 'rm -fr ~', via: ['sudo'],
+ * //   reason: 'Recursive delete of a root, home, parent or current directory' }] }
+ * analyzeCommand('echo "DROP TABLE users"'); // { dangerous: false, matches: [] }
+ */
+function analyzeCommand(cmd, options = {}) {
+  const { protectedBranches = [], patterns = [] } = options;
+  if (typeof cmd !== 'string') {
+    return { dangerous: false, matches: [] };
+  }
+  let branch;
+  const currentBranch = () => {
+    if (branch === undefined) branch = options.currentBranch ? options.currentBranch() : null;
+    return branch;
+  };
+
+  const commands = shell.listCommands(cmd);
+  const matches = [];
+  const add = (rule, reason, command) => {
+    // A fork bomb's calls, for one, are several commands with the same text
+    if (!matches.some(m => m.rule === rule && m.command === command.text)) {
+      matches.push({ rule, reason, command: command.text, via: command.via });
+    }
+  };
+  for (const command of commands) {
+    for (const rule of RULES) {
+      if (rule.test(command, { protectedBranches, currentBranch }, commands)) {
+        add(rule.id, rule.reason, command);
+      }
+    }
+    const pattern = patterns.find(p => p.test(command.text));
+    if (pattern) {
+      add('dangerousPatterns', `Matches dangerousPatterns entry ${pattern.source}`, command);
+    }
+  }
+  // Patterns written for the raw line (`curl.*\|\s*sh`) keep working
+  const linePattern = !matches.some(m => m.rule === 'dangerousPatterns') && patterns.find(p => p.test(cmd));
+  if (linePattern) {
+    matches.push({
+      rule: 'dangerousPatterns',
+      reason: `Matches dangerousPatterns entry ${linePattern.source}`,
+      command: cmd,
+      via: []
+    });
+  }
+  return { dangerous: matches.length > 0, matches };
+}
+
+module.exports = {
+  RULES,
+  readOptions,
+  isWholeTree,
+  isTempDir,
+  analyzeCommand
+};
@@ -1,73 +1,163 @@
 /**
  * Input validation and security utilities
  *
- * Dangerous command detection and input sanitization.
+ * Dangerous command detection, protected paths, file naming conventions
+ * and input sanitization.
  *
  * @module lib/validation
  */
 
 'use strict';
 
+const path = require('path');
 const { config } = require('../core');
+const settings = require('../settings');
+const git = require('../git');
+const dangerous = require('./dangerous');
+const shell = require('./shell');
+
+/**
+ * Check a command line against the dangerous command rules
+ *
+ * The command is parsed as a shell command line and each simple command
+ * it runs is checked (see lib/validation/dangerous). Force pushes are
+ * checked against the protectedBranches setting, those without a refspec
+ * by the branch checked out in the project directory, and the
+ * dangerousPatterns setting adds patterns matched against the command line
+ * and each simple command.
+ *
+ * @param {string} cmd - The command to check
+ * @param {Object} [options={}] - Options (see settings.loadSettings)
+ * @returns {{dangerous: boolean, matches: Array<Object>}} Each rule matched,
+ *   with its id, reason and the simple command that matched
+ *
+ * @example
+ * analyzeCommand('git push --force origin main').matches[0].rule; // 'protected-branch-push'
+ */
+function analyzeCommand(cmd, options = {}) {
+  return dangerous.analyzeCommand(cmd, {
+    protectedBranches: settings.getProtectedBranches(options),
+    currentBranch: () => git.getCurrentBranch(settings.resolveProjectDir(options.projectDir)),
+    patterns: settings.getDangerousPatterns(options)
+  });
+}
 
 /**
  * Check if a command is potentially dangerous
  *
  * @param {string} cmd - The command to check
- * @returns {boolean} True if the command matches a dangerous pattern
+ * @param {Object} [options={}] - Options (see settings.loadSettings)
+ * @returns {boolean} True if any dangerous command rule matches
  *
  * @example
- * isDangerousCommand('rm -rf /'); // true
- * isDangerousCommand('git status'); // false
+ * isDangerousCommand('sudo rm -r -f /'); // true
+ * isDangerousCommand('echo "DROP TABLE"'); // false
+ */
+function isDangerousCommand(cmd, options = {}) {
+  return analyzeCommand(cmd, options).dangerous;
+}
+
+/**
+ * Get the reason why a command is dangerous
+ *
+ * @param {string} cmd - The command to check
+ * @param {Object} [options={}] - Options (see settings.loadSettings)
+ * @returns {string|null} Reason of the first rule matched, or null if safe
  */
-function isDangerousCommand(cmd) {
-  if (typeof cmd !== 'string') {
+function getDangerReason(cmd, options = {}) {
+  const [match] = analyzeCommand(cmd, options).matches;
+  return match ? match.reason : null;
+}
+
+/**
+ * Compile a path glob into a regular expression
+ *
+ * `**` matches across directories, `*` and `?` within one path segment.
+ * A pattern starting with '/' is anchored to the project root; any other
+ * pattern may match at any depth. A pattern matching a directory also
+ * matches everything below it.
+ *
+ * @param {string} pattern - Glob like 'migrations/**' or '/package-lock.json'
+ * @returns {RegExp} Matches forward-slash paths relative to the project root
+ *
+ * @example
+ * globToRegExp('*.lock').test('web/yarn.lock'); // true
+ * globToRegExp('/docs').test('docs/a.md');      // true
+ */
+function globToRegExp(pattern) {
+  const anchored = pattern.startsWith('/');
+  const body = pattern
+    .replace(/^\/+|\/+$/g, '')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}(?:/.*)?$`);
+}
+
+/**
+ * Check if a file is covered by the protectedPaths setting
+ *
+ * Uses the settings in effect for the file, so directory-scoped settings
+ * can protect paths in their own subtree. Always false when the
+ * protectedPaths check is disabled for the file.
+ *
+ * @param {string} filePath - File to check
+ * @param {Object} [options={}] - Options (see settings.loadSettings)
+ * @returns {boolean} True if the file must not be edited
+ *
+ * @example
+ * // with protectedPaths: ['migrations/**']
+ * isProtectedPath('services/api/migrations/0001_init.py'); // true
+ */
+function isProtectedPath(filePath, options = {}) {
+  if (typeof filePath !== 'string' || filePath.length === 0) {
     return false;
   }
 
-  for (const pattern of config.DANGEROUS_PATTERNS) {
-    if (pattern.test(cmd)) {
-      return true;
-    }
+  const projectDir = settings.resolveProjectDir(options.projectDir);
+  const resolved = path.resolve(projectDir, filePath);
+  const scoped = { ...options, filePath: resolved };
+  if (!settings.isCheckEnabled('protectedPaths', scoped)) {
+    return false;
   }
-  return false;
+
+  const relative = path.relative(projectDir, resolved).split(path.sep).join('/');
+  return (settings.getSettings(scoped).protectedPaths || [])
+    .some(pattern => globToRegExp(pattern).test(relative));
 }
 
 /**
- * Get the reason why a command is dangerous
+ * Check a file name against a naming convention
  *
- * @param {string} cmd - The command to check
- * @returns {string|null} Description of why it's dangerous, or null if safe
+ * The name up to its first '.' is checked, so 'user-service.test.js' is
+ * kebab-case. Dotfiles and dunder names like '__init__.py' are exempt.
+ *
+ * @param {string} filePath - File to check
+ * @param {string} [convention] - Key of config.FILE_NAME_STYLES; no check if omitted
+ * @returns {{valid: boolean, reason?: string}}
+ *
+ * @example
+ * checkFileName('src/UserService.ts', 'kebab-case');
+ * // { valid: false, reason: "'UserService' is not kebab-case" }
  */
-function getDangerReason(cmd) {
-  if (typeof cmd !== 'string') {
-    return null;
-  }
+function checkFileName(filePath, convention) {
+  const rule = config.FILE_NAME_STYLES[convention];
+  const stem = path.basename(filePath).split('.')[0];
 
-  const reasons = [
-    { pattern: /rm\s+-rf\s+\/(?!tmp)/, reason: 'Recursive delete of root directory' },
-    { pattern: /rm\s+-rf\s+~/, reason: 'Recursive delete of home directory' },
-    { pattern: /rm\s+-rf\s+\*/, reason: 'Recursive delete with wildcard' },
-    { pattern: /DROP\s+(DATABASE|TABLE)/i, reason: 'SQL DROP statement' },
-    { pattern: /TRUNCATE\s+TABLE/i, reason: 'SQL TRUNCATE statement' },
-    { pattern: /DELETE\s+FROM\s+\w+\s*;?$/i, reason: 'Unrestricted SQL DELETE' },
-    { pattern: /:(){.*};:/, reason: 'Fork bomb' },
-    { pattern: /mkfs\./, reason: 'Filesystem formatting command' },
-    { pattern: /dd\s+if=.*of=\/dev/, reason: 'Direct disk write' },
-    { pattern: /chmod\s+-R\s+777\s+\//, reason: 'Recursive permission change on root' },
-    { pattern: /curl.*\|\s*(bash|sh)/, reason: 'Remote code execution via curl' },
-    { pattern: /wget.*\|\s*(bash|sh)/, reason: 'Remote code execution via wget' },
-    { pattern: /format\s+[cdefgh]:/i, reason: 'Windows format command' },
-    { pattern: /Remove-Item.*-Recurse.*-Force.*[A-Z]:\\/i, reason: 'PowerShell recursive delete' }
-  ];
-
-  for (const { pattern, reason } of reasons) {
-    if (pattern.test(cmd)) {
-      return reason;
-    }
+  if (!rule || stem === '' || /^__.*__$/.test(stem)) {
+    return { valid: true };
   }
 
-  return null;
+  return rule.test(stem)
+    ? { valid: true }
+    : { valid: false, reason: `'${stem}' is not ${convention}` };
 }
 
 /**
@@ -151,8 +241,13 @@ function checkStdinSize(data) {
 }
 
 module.exports = {
+  shell,
+  analyzeCommand,
   isDangerousCommand,
   getDangerReason,
+  globToRegExp,
+  isProtectedPath,
+  checkFileName,
   isValidPackageName,
   validateFilePath,
   sanitizeInput,
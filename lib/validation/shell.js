@@ -0,0 +1,1012 @@
+/**
+ * POSIX shell command parsing
+ *
+ * Splits a command line the way a POSIX shell does before running it:
+ * quotes and escapes, pipelines, `&&`, `||` and `;` lists, subshells and
+ * brace groups, function definitions, redirections with here-documents,
+ * and command and process substitutions, which are parsed in turn.
+ * Parsing is lenient: an unterminated quote or substitution runs to the
+ * end of the input and stray operators are skipped, since a line the
+ * shell rejects may still run in part.
+ *
+ * listCommands then gives every simple command the line would run, with
+ * leading assignments and wrappers (sudo, env, busybox, xargs, nice,
+ * timeout, ...) resolved, and the scripts of `sh -c`, `su -c`, `eval`,
+ * `env -S` and `find -exec` parsed as well. Nothing is expanded: variables
+ * and globs stay as written, but the values the line assigns to each
+ * variable (`dir=build`, `for f in a b`) are collected so that expandWord
+ * can tell what a word may stand for. lib/validation/dangerous checks the
+ * commands.
+ *
+ * @module lib/validation/shell
+ */
+
+'use strict';
+
+/**
+ * Operators, longest first so that the first match is the right one
+ * @type {string[]}
+ */
+const OPERATORS = [
+  '&>>', '<<<', '<<-',
+  '&&', '||', ';;', '|&', '&>', '<<', '>>', '>|', '<>', '>&', '<&',
+  ';', '&', '|', '(', ')', '<', '>', '\n'
+];
+
+/**
+ * Redirection operators; each takes the word after it
+ * @type {Set<string>}
+ */
+const REDIRECTS = new Set(['&>>', '<<<', '<<-', '&>', '<<', '>>', '>|', '<>', '>&', '<&', '<', '>']);
+
+/**
+ * Operators separating the pipelines of a list
+ * @type {Set<string>}
+ */
+const SEPARATORS = new Set([';', ';;', '&', '&&', '||', '\n']);
+
+/**
+ * Characters ending an unquoted word
+ * @type {string}
+ */
+const WORD_END = ' \t\r\n|&;()<>';
+
+/**
+ * How deep `sh -c`, `eval` and substitutions are followed
+ * @type {number}
+ */
+const MAX_DEPTH = 8;
+
+/**
+ * How many values expandWord lists before giving up on a word
+ * @type {number}
+ */
+const MAX_EXPANSIONS = 64;
+
+/**
+ * Commands that run the command after their options, with the options
+ * taking a value; `operands` are skipped too (timeout's duration). `split`
+ * options take a command line to run (`env -S 'rm -rf /'`), and `dash`
+ * wrappers take a lone `-` as an option (`env - rm`)
+ * @type {Object<string, {values?: string[], operands?: number, assignments?: boolean, split?: string[],
+ *   dash?: boolean}>}
+ */
+const WRAPPERS = {
+  sudo: {
+    values: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-T', '-U', '-R',
+      '--user', '--group', '--host', '--prompt', '--close-from', '--chdir', '--role', '--type',
+      '--command-timeout', '--other-user', '--chroot']
+  },
+  doas: { values: ['-u', '-C'] },
+  env: { values: ['-u', '-C', '--unset', '--chdir'], split: ['-S', '--split-string'], assignments: true, dash: true },
+  busybox: {},
+  toybox: {},
+  nice: { values: ['-n', '--adjustment'] },
+  ionice: { values: ['-c', '-n', '-p', '--class', '--classdata'] },
+  nohup: {},
+  time: {},
+  timeout: { values: ['-s', '-k', '--signal', '--kill-after'], operands: 1 },
+  stdbuf: { values: ['-i', '-o', '-e', '--input', '--output', '--error'] },
+  command: {},
+  builtin: {},
+  exec: { values: ['-a'] },
+  xargs: {
+    values: ['-I', '-n', '-P', '-L', '-s', '-d', '-E', '-a', '--max-args', '--max-procs', '--max-lines',
+      '--max-chars', '--delimiter', '--eof', '--arg-file', '--replace']
+  }
+};
+
+/**
+ * Reserved words that may come before a command (`if rm ...`, `then rm ...`)
+ * @type {Set<string>}
+ */
+const LEADING_WORDS = new Set(['!', 'if', 'then', 'else', 'elif', 'do', 'while', 'until']);
+
+/**
+ * Reserved words whose other words are not commands (`for x in ...`, `case $x in`)
+ * or that end a compound command
+ * @type {Set<string>}
+ */
+const NON_COMMANDS = new Set(['for', 'select', 'case', 'in', 'fi', 'done', 'esac']);
+
+/**
+ * Builtins whose `name=value` arguments set variables (`export dir=build`)
+ * @type {Set<string>}
+ */
+const DECLARATIONS = new Set(['export', 'local', 'declare', 'typeset', 'readonly']);
+
+/**
+ * Shells whose `-c` option takes a script, and which otherwise read one
+ * from stdin when given no script file
+ * @type {Set<string>}
+ */
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'mksh', 'ash', 'fish']);
+
+/**
+ * @typedef {Object} Word
+ * @property {'word'} type
+ * @property {string} value - The word with quotes and escapes removed
+ * @property {string} raw - The word as written
+ * @property {boolean} quoted - Whether any of it was quoted or escaped
+ * @property {boolean} expands - Whether it has variables or substitutions the shell would expand
+ * @property {string[]} substitutions - Sources of its `$(...)`, backquote, `<(...)` and `>(...)` substitutions
+ * @property {string} [heredoc] - Here-document body, when the word is its delimiter
+ */
+
+/**
+ * @typedef {Object} SimpleCommand
+ * @property {string} name - Command name: argv[0]'s base name, lowercased, without `.exe`
+ * @property {string[]} args - Arguments, quotes removed
+ * @property {Word[]} words - Argument words, for their raw text
+ * @property {Array<{op: string, target: string|null, heredoc?: string}>} redirects - Redirections,
+ *   including those of the groups it runs in
+ * @property {string[]} via - Wrappers and scripts it runs through (e.g. ['sudo', 'bash -c'])
+ * @property {boolean} fromXargs - Whether xargs adds arguments read from stdin
+ * @property {SimpleCommand[]} upstream - Commands piped into it
+ * @property {SimpleCommand[]} substituted - Commands of the substitutions in its words
+ * @property {string|null} inFunction - Function whose body it is in
+ * @property {boolean} tooDeep - Scripts it runs were nested too deeply to follow
+ * @property {Map<string, Array<string|null>>} variables - Values the line (or the script it is
+ *   in) assigns to each variable, null for one that cannot be known (see expandWord)
+ * @property {string} text - The command as it would run, space separated
+ */
+
+/**
+ * Find the end of a balanced substitution
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index just after the opening bracket
+ * @param {string} open - Opening bracket
+ * @param {string} close - Closing bracket
+ * @returns {number} Index of the closing bracket, or source.length if unterminated
+ */
+function findClosing(source, start, open, close) {
+  let depth = 1;
+  let i = start;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '\\') {
+      i += 2;
+      continue;
+    }
+    if (c === "'" || c === '"' || c === '`') {
+      const end = findQuoteEnd(source, i + 1, c);
+      i = end + 1;
+      continue;
+    }
+    if (c === open) depth++;
+    if (c === close && --depth === 0) return i;
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the closing quote of a quoted string
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index just after the opening quote
+ * @param {string} quote - `'`, `"` or a backquote
+ * @returns {number} Index of the closing quote, or source.length if unterminated
+ */
+function findQuoteEnd(source, start, quote) {
+  let i = start;
+  while (i < source.length && source[i] !== quote) {
+    i += quote !== "'" && source[i] === '\\' ? 2 : 1;
+  }
+  return Math.min(i, source.length);
+}
+
+/**
+ * Read a `$(...)`, `${...}` or backquoted substitution
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index of the `$` or backquote
+ * @returns {{text: string, script: string|null, end: number}} The text as written, the
+ *   script it runs (null for `${...}`), and the index after it
+ */
+function readSubstitution(source, start) {
+  if (source[start] === '`') {
+    const close = findQuoteEnd(source, start + 1, '`');
+    return {
+      text: source.slice(start, close + 1),
+      script: source.slice(start + 1, close).replace(/\\([`$\\])/g, '$1'),
+      end: close + 1
+    };
+  }
+  const brace = source[start + 1] === '{';
+  const close = findClosing(source, start + 2, brace ? '{' : '(', brace ? '}' : ')');
+  return {
+    text: source.slice(start, close + 1),
+    script: brace ? null : source.slice(start + 2, close),
+    end: close + 1
+  };
+}
+
+/**
+ * Read a word
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index of its first character
+ * @returns {{word: Word, end: number}}
+ */
+function readWord(source, start) {
+  const word = { type: 'word', value: '', raw: '', quoted: false, expands: false, substitutions: [] };
+  let i = start;
+
+  // Process substitution: <(...) or >(...)
+  if ((source[i] === '<' || source[i] === '>') && source[i + 1] === '(') {
+    const close = findClosing(source, i + 2, '(', ')');
+    word.expands = true;
+    word.substitutions.push(source.slice(i + 2, close));
+    word.value = word.raw = source.slice(i, close + 1);
+    return { word, end: Math.min(close + 1, source.length) };
+  }
+
+  while (i < source.length && !WORD_END.includes(source[i])) {
+    const c = source[i];
+    if (c === '\\') {
+      if (source[i + 1] !== '\n') {
+        word.value += source[i + 1] ?? '';
+        word.quoted = true;
+      }
+      i += 2;
+    } else if (c === "'") {
+      const close = findQuoteEnd(source, i + 1, "'");
+      word.value += source.slice(i + 1, close);
+      word.quoted = true;
+      i = close + 1;
+    } else if (c === '"') {
+      i = readDoubleQuoted(source, i + 1, word);
+      word.quoted = true;
+    } else if (c === '`' || (c === '$' && (source[i + 1] === '(' || source[i + 1] === '{'))) {
+      const substitution = readSubstitution(source, i);
+      if (substitution.script !== null) word.substitutions.push(substitution.script);
+      word.value += substitution.text;
+      word.expands = true;
+      i = substitution.end;
+    } else {
+      if (c === '$' && /[\w@*#?$!-]/.test(source[i + 1] ?? '')) word.expands = true;
+      word.value += c;
+      i++;
+    }
+  }
+
+  const end = Math.min(i, source.length);
+  word.raw = source.slice(start, end);
+  return { word, end };
+}
+
+/**
+ * Read the rest of a double-quoted string into a word
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index just after the opening quote
+ * @param {Word} word - Word to add the string's value and substitutions to
+ * @returns {number} Index after the closing quote
+ */
+function readDoubleQuoted(source, start, word) {
+  let i = start;
+  while (i < source.length && source[i] !== '"') {
+    const c = source[i];
+    if (c === '\\') {
+      const next = source[i + 1] ?? '';
+      if (next !== '\n') word.value += '$`"\\'.includes(next) ? next : c + next;
+      i += 2;
+    } else if (c === '`' || (c === '$' && (source[i + 1] === '(' || source[i + 1] === '{'))) {
+      const substitution = readSubstitution(source, i);
+      if (substitution.script !== null) word.substitutions.push(substitution.script);
+      word.value += substitution.text;
+      word.expands = true;
+      i = substitution.end;
+    } else {
+      if (c === '$' && /[\w@*#?$!-]/.test(source[i + 1] ?? '')) word.expands = true;
+      word.value += c;
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+/**
+ * Read the bodies of the here-documents started on the line just ended
+ *
+ * @param {string} source - Source
+ * @param {number} start - Index of the next line
+ * @param {Array<{word: Word, stripTabs: boolean}>} pending - Delimiters waiting for their body
+ * @returns {number} Index after the last body
+ */
+function readHeredocs(source, start, pending) {
+  let i = start;
+  for (const { word, stripTabs } of pending.splice(0)) {
+    const lines = [];
+    while (i < source.length) {
+      const eol = source.indexOf('\n', i);
+      const end = eol === -1 ? source.length : eol;
+      const line = stripTabs ? source.slice(i, end).replace(/^\t+/, '') : source.slice(i, end);
+      i = end + 1;
+      if (line === word.value) break;
+      lines.push(line);
+    }
+    word.heredoc = lines.join('\n');
+  }
+  return i;
+}
+
+/**
+ * Split a command line into words and operators
+ *
+ * @param {string} source - Command line
+ * @returns {Array<Word|{type: 'op', value: string}>} Tokens; newlines are `\n` operators
+ *
+ * @example
+ * tokenize('rm -rf "$dir" && echo done').map(t => t.value);
+ * // ['rm', '-rf', '$dir', '&&', 'echo', 'done']
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pending = [];
+  let heredoc = null;
+  let i = 0;
+
+  while (i < source.length) {
+    const c = source[i];
+    if (c === ' ' || c === '\t' || c === '\r') {
+      i++;
+    } else if (c === '\\' && source[i + 1] === '\n') {
+      i += 2;
+    } else if (c === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (c === '\n') {
+      tokens.push({ type: 'op', value: '\n' });
+      i = readHeredocs(source, i + 1, pending);
+    } else {
+      const op = (c === '<' || c === '>') && source[i + 1] === '(' ? null : OPERATORS.find(o => source.startsWith(o, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op });
+        if (op === '<<' || op === '<<-') heredoc = op;
+        i += op.length;
+        continue;
+      }
+      const { word, end } = readWord(source, i);
+      i = end;
+      // A file descriptor number (2>, 0<) belongs to the redirection after it
+      if (/^\d+$/.test(word.raw) && (source[i] === '<' || source[i] === '>')) continue;
+      tokens.push(word);
+      if (heredoc) {
+        pending.push({ word, stripTabs: heredoc === '<<-' });
+        heredoc = null;
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Tell whether a token is a given operator
+ *
+ * @param {Object|undefined} token - Token
+ * @param {string} value - Operator
+ * @returns {boolean}
+ */
+function isOp(token, value) {
+  return token?.type === 'op' && token.value === value;
+}
+
+/**
+ * Tell whether a token is a given unquoted word
+ *
+ * @param {Object|undefined} token - Token
+ * @param {string} value - Word
+ * @returns {boolean}
+ */
+function isWord(token, value) {
+  return token?.type === 'word' && !token.quoted && token.value === value;
+}
+
+/**
+ * Parse a list of pipelines, up to a closing `)` or `}` if given
+ *
+ * @param {{tokens: Array<Object>, pos: number}} state - Tokens and position
+ * @param {string|null} closer - ')' or '}' ending the list
+ * @returns {{type: 'list', pipelines: Array<Object>}}
+ */
+function parseList(state, closer) {
+  const pipelines = [];
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+    if ((closer === ')' && isOp(token, ')')) || (closer === '}' && isWord(token, '}'))) {
+      break;
+    }
+    if (token.type === 'op' && (SEPARATORS.has(token.value) || token.value === ')')) {
+      state.pos++;
+      continue;
+    }
+    const pipeline = parsePipeline(state, closer);
+    if (pipeline.commands.length > 0) pipelines.push(pipeline);
+  }
+  return { type: 'list', pipelines };
+}
+
+/**
+ * Parse a pipeline
+ *
+ * @param {{tokens: Array<Object>, pos: number}} state - Tokens and position
+ * @param {string|null} closer - ')' or '}' ending the enclosing list
+ * @returns {{type: 'pipeline', commands: Array<Object>}}
+ */
+function parsePipeline(state, closer) {
+  const commands = [];
+  for (;;) {
+    const command = parseCommand(state, closer);
+    if (command) commands.push(command);
+    const token = state.tokens[state.pos];
+    if (!isOp(token, '|') && !isOp(token, '|&')) {
+      return { type: 'pipeline', commands };
+    }
+    state.pos++;
+  }
+}
+
+/**
+ * Parse the redirections after a group
+ *
+ * @param {{tokens: Array<Object>, pos: number}} state - Tokens and position
+ * @returns {Array<{op: string, target: Word|null}>}
+ */
+function parseRedirects(state) {
+  const redirects = [];
+  while (state.tokens[state.pos]?.type === 'op' && REDIRECTS.has(state.tokens[state.pos].value)) {
+    const op = state.tokens[state.pos++].value;
+    const target = state.tokens[state.pos]?.type === 'word' ? state.tokens[state.pos++] : null;
+    redirects.push({ op, target });
+  }
+  return redirects;
+}
+
+/**
+ * Parse a function body: a group, or braces glued to the words inside
+ * them as in `f(){ f|f& }`
+ *
+ * @param {{tokens: Array<Object>, pos: number}} state - Tokens and position
+ * @returns {Object|null} Body node
+ */
+function parseFunctionBody(state) {
+  const first = state.tokens[state.pos];
+  if (first?.type !== 'word' || first.quoted || !first.value.startsWith('{') || first.value === '{') {
+    return parseCommand(state, null);
+  }
+
+  let last = state.pos;
+  while (last < state.tokens.length - 1 &&
+    !(state.tokens[last].type === 'word' && state.tokens[last].value.endsWith('}'))) {
+    last++;
+  }
+  const inner = state.tokens.slice(state.pos, last + 1).map((token, index, all) => {
+    if (token.type !== 'word') return token;
+    let value = index === 0 ? token.value.slice(1) : token.value;
+    if (index === all.length - 1 && value.endsWith('}')) value = value.slice(0, -1);
+    return { ...token, value };
+  }).filter(token => token.type !== 'word' || token.value !== '');
+  state.pos = last + 1;
+  return parseList({ tokens: inner, pos: 0 }, null);
+}
+
+/**
+ * Parse a command: a subshell, a brace group, a function definition or a
+ * simple command with its redirections
+ *
+ * @param {{tokens: Array<Object>, pos: number}} state - Tokens and position
+ * @param {string|null} closer - ')' or '}' ending the enclosing list
+ * @returns {Object|null} Command node, or null at a separator or closer
+ */
+function parseCommand(state, closer) {
+  const { tokens } = state;
+  const first = tokens[state.pos];
+
+  if (isOp(first, '(')) {
+    state.pos++;
+    const body = parseList(state, ')');
+    if (isOp(tokens[state.pos], ')')) state.pos++;
+    return { type: 'group', subshell: true, body, redirects: parseRedirects(state) };
+  }
+  if (isWord(first, '{')) {
+    state.pos++;
+    const body = parseList(state, '}');
+    if (isWord(tokens[state.pos], '}')) state.pos++;
+    return { type: 'group', subshell: false, body, redirects: parseRedirects(state) };
+  }
+  if (isWord(first, 'function') && tokens[state.pos + 1]?.type === 'word') {
+    // function name [()] body
+    const name = tokens[state.pos + 1].value;
+    state.pos += 2;
+    if (isOp(tokens[state.pos], '(') && isOp(tokens[state.pos + 1], ')')) state.pos += 2;
+    while (isOp(tokens[state.pos], '\n')) state.pos++;
+    return { type: 'function', name, body: parseFunctionBody(state) };
+  }
+  if (first?.type === 'word' && isOp(tokens[state.pos + 1], '(') && isOp(tokens[state.pos + 2], ')')) {
+    state.pos += 3;
+    while (isOp(tokens[state.pos], '\n')) state.pos++;
+    return { type: 'function', name: first.value, body: parseFunctionBody(state) };
+  }
+
+  const words = [];
+  const redirects = [];
+  while (state.pos < tokens.length) {
+    const token = tokens[state.pos];
+    if (token.type === 'op') {
+      if (REDIRECTS.has(token.value)) {
+        redirects.push(...parseRedirects(state));
+        continue;
+      }
+      if (token.value !== '(') break;
+      state.pos++;
+      continue;
+    }
+    if (words.length === 0 && closer === '}' && isWord(token, '}')) break;
+    words.push(token);
+    state.pos++;
+  }
+  return words.length > 0 || redirects.length > 0 ? { type: 'command', words, redirects } : null;
+}
+
+/**
+ * Parse a command line
+ *
+ * @param {string} source - Command line
+ * @returns {{type: 'list', pipelines: Array<Object>}} Syntax tree: lists of pipelines of
+ *   commands (`command`, `group` with a `body` list, or `function`)
+ *
+ * @example
+ * parse('cd src && (make || exit 1) | tee log').pipelines.length; // 2
+ */
+function parse(source) {
+  return parseList({ tokens: tokenize(source), pos: 0 }, null);
+}
+
+/**
+ * Get the name a command word runs: its base name, lowercased (case-insensitive
+ * file systems run `RM` as rm), without `.exe`
+ *
+ * @param {string} value - Command word
+ * @returns {string}
+ */
+function commandName(value) {
+  return value.split(/[\\/]/).pop().toLowerCase().replace(/\.exe$/, '');
+}
+
+/**
+ * Skip a wrapper and its options
+ *
+ * @param {Word[]} words - Words, the wrapper first
+ * @param {{values?: string[], operands?: number, assignments?: boolean, split?: string[], dash?: boolean}} wrapper -
+ *   Its options (see WRAPPERS)
+ * @returns {Word[]|null} The words of the command it runs, or null if it runs none
+ *   (`command -v` only looks the command up)
+ */
+function skipWrapper(words, wrapper) {
+  const values = wrapper.values || [];
+  const split = wrapper.split || [];
+  let i = 1;
+  while (i < words.length) {
+    const arg = words[i].value;
+    if (arg === '--') {
+      i++;
+      break;
+    }
+    const splitOption = split.find(option =>
+      arg === option || arg.startsWith(option.startsWith('--') ? `${option}=` : option));
+    if (splitOption) {
+      const line = arg === splitOption ? words[i + 1]?.value ?? '' : arg.slice(splitOption.length).replace(/^=/, '');
+      const splitWords = tokenize(line).filter(token => token.type === 'word');
+      return [...splitWords, ...words.slice(arg === splitOption ? i + 2 : i + 1)];
+    }
+    if (wrapper.assignments && /^[A-Za-z_]\w*=/.test(arg)) {
+      i++;
+    } else if ((arg.startsWith('-') && arg.length > 1) || (arg === '-' && wrapper.dash)) {
+      if (commandName(words[0].value) === 'command' && /^-[pvV]*[vV]/.test(arg)) return null;
+      i += values.includes(arg) ? 2 : 1;
+    } else {
+      break;
+    }
+  }
+  return words.slice(i + (wrapper.operands || 0));
+}
+
+/**
+ * Get the scripts a command runs: `sh -c script`, `su -c script`, `eval args`
+ *
+ * @param {string} name - Command name
+ * @param {string[]} args - Its arguments
+ * @returns {Array<{label: string, source: string}>}
+ */
+function scriptsOf(name, args) {
+  if (name === 'eval') {
+    return args.length > 0 ? [{ label: 'eval', source: args.join(' ') }] : [];
+  }
+  if (SHELLS.has(name) || name === 'su') {
+    const index = args.findIndex(arg => arg === '--command' || /^-[a-z]*c[a-z]*$/i.test(arg));
+    if (index !== -1 && index + 1 < args.length) {
+      return [{ label: `${name} -c`, source: args[index + 1] }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Tell whether a shell reads its script from stdin: no `-c` and no script
+ * file, or `-s` or `-` for one
+ *
+ * @param {string[]} args - The shell's arguments
+ * @returns {boolean}
+ */
+function readsScriptFromStdin(args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-' || arg === '--') {
+      return arg === '-' || i + 1 === args.length;
+    }
+    if (/^[-+][oO]$/.test(arg) || arg === '--rcfile' || arg === '--init-file') {
+      i++;
+    } else if (/^-[a-z]*c/i.test(arg) || arg === '--command') {
+      return false;
+    } else if (/^-[a-z]*s/i.test(arg)) {
+      return true;
+    } else if (!/^[-+]/.test(arg)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the scripts a shell reading stdin is fed: the here-documents and
+ * here-strings given to it, or to the commands piped into it, and what
+ * `echo` piped into it prints
+ *
+ * @param {SimpleCommand} command - Command
+ * @returns {Array<{label: string, source: string}>}
+ */
+function stdinScriptsOf(command) {
+  if (!SHELLS.has(command.name) || !readsScriptFromStdin(command.args)) {
+    return [];
+  }
+  const fed = redirects => redirects.flatMap((r) => {
+    if (r.heredoc !== undefined) return [r.heredoc];
+    return r.op === '<<<' && r.target !== null ? [r.target] : [];
+  });
+  const sources = [
+    ...fed(command.redirects),
+    ...command.upstream.flatMap(c => [
+      ...fed(c.redirects),
+      ...(c.name === 'echo' ? [c.args.filter(arg => !/^-[neE]+$/.test(arg)).join(' ')] : [])
+    ])
+  ];
+  return sources.map(source => ({ label: `${command.name} stdin`, source }));
+}
+
+/**
+ * Get the commands `find -exec` (and -execdir, -ok, -okdir) runs, with `{}`
+ * standing for the paths find starts from
+ *
+ * @param {Word[]} words - find's arguments
+ * @returns {Array<{type: 'command', words: Word[], redirects: Array}>} Command nodes
+ */
+function findExecCommands(words) {
+  const args = words.map(word => word.value);
+  const startEnd = args.findIndex(arg => arg.startsWith('-') || arg === '(' || arg === '!');
+  const starts = words.slice(0, startEnd === -1 ? args.length : startEnd);
+  const roots = starts.length > 0
+    ? starts
+    : [{ type: 'word', value: '.', raw: '.', quoted: false, expands: false, substitutions: [] }];
+
+  const nodes = [];
+  args.forEach((arg, index) => {
+    if (!['-exec', '-execdir', '-ok', '-okdir'].includes(arg)) return;
+    const rest = words.slice(index + 1);
+    const end = rest.findIndex(word => word.value === ';' || word.value === '+');
+    const command = (end === -1 ? rest : rest.slice(0, end))
+      .flatMap(word => (word.value === '{}' ? roots : [word]));
+    if (command.length > 0) nodes.push({ type: 'command', words: command, redirects: [] });
+  });
+  return nodes;
+}
+
+/**
+ * Tell whether a word is a variable assignment (`name=value`, `name+=value`)
+ *
+ * @param {Word} word - Word
+ * @returns {boolean}
+ */
+function isAssignment(word) {
+  return /^[A-Za-z_]\w*\+?=/.test(word.raw);
+}
+
+/**
+ * Add a value a variable may have
+ *
+ * @param {Map<string, Array<string|null>>} variables - Values by variable; added to
+ * @param {string} name - Variable
+ * @param {string|null} value - Value, or null if it cannot be known
+ */
+function addValue(variables, name, value) {
+  if (!variables.has(name)) variables.set(name, []);
+  variables.get(name).push(value);
+}
+
+/**
+ * Record the value an assignment word gives its variable; appending
+ * (`+=`) or assigning an expansion gives one that cannot be known
+ *
+ * @param {Map<string, Array<string|null>>} variables - Values by variable; added to
+ * @param {Word} word - Assignment word
+ */
+function recordAssignment(variables, word) {
+  const [, name, append] = /^([A-Za-z_]\w*)(\+?)=/.exec(word.raw);
+  addValue(variables, name, append || word.expands ? null : word.value.slice(word.value.indexOf('=') + 1));
+}
+
+/**
+ * Record the values a `for` or `select` loop gives its variable: the words
+ * after `in`, or the positional parameters (unknown) without them
+ *
+ * @param {Map<string, Array<string|null>>} variables - Values by variable; added to
+ * @param {Word[]} words - The loop's words, `for` first
+ */
+function recordLoop(variables, words) {
+  if (!['for', 'select'].includes(words[0].value) || !/^[A-Za-z_]\w*$/.test(words[1]?.value ?? '')) {
+    return;
+  }
+  const name = words[1].value;
+  if (words[2]?.value !== 'in') {
+    addValue(variables, name, null);
+    return;
+  }
+  for (const word of words.slice(3)) {
+    addValue(variables, name, word.expands ? null : word.value);
+  }
+}
+
+/**
+ * Record the variables a simple command sets: the assignments of
+ * `export`/`local`/`declare`, the variables `read`, `mapfile`, `getopts`,
+ * `printf -v` and `let` set, and `${name:=value}` defaults (whose values
+ * cannot be known). A sourced script may set any variable, which the `*`
+ * entry records
+ *
+ * @param {Map<string, Array<string|null>>} variables - Values by variable; added to
+ * @param {SimpleCommand} command - Command
+ */
+function recordSettings(variables, command) {
+  const identifiers = command.words.filter(word => /^[A-Za-z_]\w*$/.test(word.value));
+  if (DECLARATIONS.has(command.name)) {
+    for (const word of command.words.filter(isAssignment)) recordAssignment(variables, word);
+  } else if (['read', 'mapfile', 'readarray', 'getopts'].includes(command.name)) {
+    for (const word of identifiers) addValue(variables, word.value, null);
+  } else if (command.name === 'let') {
+    for (const word of command.words.filter(isAssignment)) addValue(variables, /^[A-Za-z_]\w*/.exec(word.raw)[0], null);
+  } else if (command.name === 'printf') {
+    const index = command.args.indexOf('-v');
+    if (index !== -1 && command.args[index + 1]) addValue(variables, command.args[index + 1], null);
+  } else if (command.name === 'source' || command.name === '.') {
+    addValue(variables, '*', null);
+  }
+  for (const word of command.words) {
+    for (const [, name] of word.value.matchAll(/\$\{([A-Za-z_]\w*):?[=]/g)) addValue(variables, name, null);
+  }
+}
+
+/**
+ * List the values a word may stand for once its variables are expanded
+ *
+ * Only `$name` and `${name}` of variables the command line assigns are
+ * resolved. A substitution, a special or positional parameter, `${...}`
+ * with an operator, or a variable set elsewhere (the environment, `read`,
+ * a sourced script) cannot be. Each value is listed whole and split at
+ * whitespace, as an unquoted expansion would be.
+ *
+ * @param {Word} word - Word
+ * @param {Map<string, Array<string|null>>} variables - Values by variable (SimpleCommand.variables)
+ * @returns {string[]|null} Every value it may have, or null if one cannot be known
+ *
+ * @example
+ * const [rm] = listCommands('for f in build dist; do rm -rf "$f"; done');
+ * expandWord(rm.words[1], rm.variables); // ['build', 'dist']
+ * expandWord(listCommands('rm -rf "$(pwd)"')[1].words[1], new Map()); // null
+ */
+function expandWord(word, variables) {
+  if (!word.expands) {
+    return [word.value];
+  }
+  if (word.substitutions.length > 0 || word.value.includes('`') || variables.has('*')) {
+    return null;
+  }
+  let values = [''];
+  const parts = word.value.split(/(\$\{[^}]*\}|\$[A-Za-z_]\w*|\$[\d@*#?$!-])/);
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      values = values.map(value => value + parts[i]);
+      continue;
+    }
+    const name = /^\$\{?([A-Za-z_]\w*)\}?$/.exec(parts[i])?.[1];
+    const options = name ? variables.get(name) : undefined;
+    if (!options || options.includes(null)) {
+      return null;
+    }
+    values = values.flatMap(value => options.map(option => value + option));
+    if (values.length > MAX_EXPANSIONS) {
+      return null;
+    }
+  }
+  return [...new Set(values.flatMap(value => [value, ...value.split(/\s+/).filter(Boolean)]))];
+}
+
+/**
+ * List the simple commands of a command node, resolving wrappers and
+ * following the scripts it runs
+ *
+ * @param {{words: Word[], redirects: Array<{op: string, target: Word|null}>}} node - Command node
+ * @param {Object} context - Where the command runs (see collect)
+ * @returns {SimpleCommand[]} Its substitutions' commands, the command, then its scripts' commands
+ */
+function resolveCommand(node, context) {
+  const found = [];
+  const substituted = [];
+  const targets = node.redirects.map(redirect => redirect.target).filter(Boolean);
+  for (const word of [...node.words, ...targets]) {
+    for (const script of word.substitutions) {
+      substituted.push(...follow(script, context, 'substitution'));
+    }
+  }
+  found.push(...substituted);
+
+  const redirects = node.redirects.map(({ op, target }) => ({
+    op,
+    target: target ? target.value : null,
+    ...(target?.heredoc !== undefined ? { heredoc: target.heredoc } : {})
+  }));
+
+  let words = node.words;
+  const assignments = [];
+  while (words.length > 0 && ((!words[0].quoted && LEADING_WORDS.has(words[0].value)) || isAssignment(words[0]))) {
+    if (isAssignment(words[0])) assignments.push(words[0]);
+    words = words.slice(1);
+  }
+  // Assignments before a command only set its environment
+  if (words.length === 0) {
+    for (const word of assignments) recordAssignment(context.variables, word);
+  }
+  if (words.length > 0 && !words[0].quoted && NON_COMMANDS.has(words[0].value)) {
+    recordLoop(context.variables, words);
+    words = [];
+  }
+
+  const via = [...context.via];
+  let fromXargs = false;
+  while (words.length > 0 && WRAPPERS[commandName(words[0].value)]) {
+    const name = commandName(words[0].value);
+    via.push(name);
+    fromXargs = fromXargs || name === 'xargs';
+    words = skipWrapper(words, WRAPPERS[name]);
+    if (!words) return found;
+  }
+
+  if (words.length === 0 && redirects.length === 0) {
+    return found;
+  }
+
+  const command = {
+    name: words.length > 0 ? commandName(words[0].value) : '',
+    args: words.slice(1).map(word => word.value),
+    words: words.slice(1),
+    redirects,
+    via,
+    fromXargs,
+    upstream: context.upstream,
+    substituted,
+    inFunction: context.inFunction,
+    tooDeep: false,
+    variables: context.variables,
+    text: words.map(word => word.value).join(' ')
+  };
+  found.push(command);
+  recordSettings(context.variables, command);
+
+  const inner = { ...context, via };
+  for (const { label, source } of [...scriptsOf(command.name, command.args), ...stdinScriptsOf(command)]) {
+    if (context.depth >= MAX_DEPTH) {
+      command.tooDeep = true;
+    } else {
+      // eval runs in this shell; `sh -c` and `sh <<EOF` start another, which sees none of its variables
+      found.push(...follow(source, label === 'eval' ? inner : { ...inner, variables: new Map() }, label));
+    }
+  }
+  if (command.name === 'find') {
+    for (const exec of findExecCommands(command.words)) {
+      found.push(...resolveCommand(exec, { ...inner, via: [...via, 'find -exec'] }));
+    }
+  }
+  return found;
+}
+
+/**
+ * List the simple commands of a script run by another command
+ *
+ * @param {string} source - Script
+ * @param {Object} context - Where the running command runs (see collect)
+ * @param {string} label - How it runs the script, for `via`
+ * @returns {SimpleCommand[]}
+ */
+function follow(source, context, label) {
+  if (context.depth >= MAX_DEPTH) {
+    return [];
+  }
+  const found = [];
+  collect(parse(source), { ...context, via: [...context.via, label], depth: context.depth + 1, upstream: [] }, found);
+  return found;
+}
+
+/**
+ * Collect the simple commands of a syntax tree node
+ *
+ * @param {Object} node - list, pipeline, group, function or command node
+ * @param {{via: string[], depth: number, upstream: SimpleCommand[], inFunction: string|null,
+ *   variables: Map<string, Array<string|null>>}} context - Wrappers and scripts it runs through,
+ *   nesting depth, commands piped into it, enclosing function, and the values its shell assigns
+ * @param {SimpleCommand[]} found - Commands found so far; added to
+ */
+function collect(node, context, found) {
+  if (!node) return;
+  switch (node.type) {
+    case 'list':
+      for (const pipeline of node.pipelines) collect(pipeline, context, found);
+      break;
+    case 'pipeline': {
+      let upstream = context.upstream;
+      for (const element of node.commands) {
+        const commands = [];
+        collect(element, { ...context, upstream }, commands);
+        found.push(...commands);
+        upstream = [...upstream, ...commands];
+      }
+      break;
+    }
+    case 'group': {
+      const commands = [];
+      collect(node.body, context, commands);
+      const redirects = node.redirects.map(({ op, target }) => ({ op, target: target ? target.value : null }));
+      for (const command of commands) command.redirects.push(...redirects);
+      found.push(...commands);
+      break;
+    }
+    case 'function':
+      collect(node.body, { ...context, inFunction: commandName(node.name) }, found);
+      break;
+    default:
+      found.push(...resolveCommand(node, context));
+  }
+}
+
+/**
+ * List every simple command a command line would run
+ *
+ * @param {string} source - Command line
+ * @returns {SimpleCommand[]} In the order they would start
+ *
+ * @example
+ * listCommands('sudo env FOO=1 bash -c "rm -r -f /"').map(c => [c.name, c.via.join(' > ')]);
+ * // [['bash', 'sudo > env'], ['rm', 'sudo > env > bash -c']]
+ */
+function listCommands(source) {
+  const found = [];
+  collect(parse(source), { via: [], depth: 0, upstream: [], inFunction: null, variables: new Map() }, found);
+  return found;
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  commandName,
+  listCommands,
+  expandWord
+};
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
- * Validates hooks.json against the JSON schema and best practices.
+ * Validates hooks.json against schemas/hooks.schema.json and best practices.
+ * Schema errors are reported with JSON-pointer paths (e.g. /PreToolUse/0/hooks/1).
  * Run with: node scripts/validate-hooks.js
  *
  * Exit codes:
@@ -10,6 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const schema = require('../lib/schema');
 
 const HOOKS_PATH = path.join(__dirname, '..', 'hooks', 'hooks.json');
 const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'hooks.schema.json');
@@ -56,18 +58,18 @@ function validate() {
     return;
   }
 
-  // Check _meta section
-  if (!hooks._meta) {
-    error('Missing _meta section');
+  // Structural checks come from the schema
+  const result = schema.validate(schema.loadSchema(SCHEMA_PATH), hooks);
+  if (result.valid) {
+    console.log('  \x1b[32m✓\x1b[0m Matches hooks.schema.json');
   } else {
-    if (!hooks._meta.version) {
-      error('Missing _meta.version');
-    } else if (!/^\d+\.\d+\.\d+$/.test(hooks._meta.version)) {
-      error(`Invalid version format: ${hooks._meta.version} (expected semver)`);
-    } else {
-      console.log(`  \x1b[32m✓\x1b[0m Version: ${hooks._meta.version}`);
+    for (const message of schema.formatErrors(result.errors)) {
+      error(message);
     }
   }
+  if (hooks._meta?.version) {
+    console.log(`  \x1b[32m✓\x1b[0m Version: ${hooks._meta.version}`);
+  }
 
   // Check required sections
   const requiredSections = [
@@ -77,92 +79,54 @@ function validate() {
     'Stop'
   ];
 
-  const optionalSections = [
-    'UserPromptSubmit',
-    'SubagentStop',
-    'PreCompact'
-  ];
-
   for (const section of requiredSections) {
     if (!hooks[section]) {
       error(`Missing required section: ${section}`);
-    } else if (!Array.isArray(hooks[section])) {
-      error(`${section} must be an array`);
     } else {
       console.log(`  \x1b[32m✓\x1b[0m Has ${section} section`);
     }
   }
 
-  for (const section of optionalSections) {
-    if (hooks[section] && !Array.isArray(hooks[section])) {
-      error(`${section} must be an array if present`);
-    }
-  }
-
-  // Validate each hook entry
-  const allSections = [...requiredSections, ...optionalSections];
+  // Best-practice checks on every hook entry
   let hookCount = 0;
 
-  for (const section of allSections) {
-    const entries = hooks[section];
-    if (!Array.isArray(entries)) continue;
+  for (const [section, entries] of Object.entries(hooks)) {
+    if (section === '_meta' || !Array.isArray(entries)) continue;
 
     entries.forEach((entry, i) => {
-      const prefix = `${section}[${i}]`;
+      const prefix = `/${section}/${i}`;
 
-      // Check matcher
-      if (!entry.matcher) {
-        error(`${prefix}: missing 'matcher'`);
-      } else if (entry.matcher !== '*') {
+      if (typeof entry.matcher === 'string' && entry.matcher !== '*') {
         try {
           new RegExp(entry.matcher);
         } catch (e) {
-          error(`${prefix}: invalid regex matcher: ${entry.matcher}`);
+          error(`${prefix}/matcher: invalid regex matcher: ${entry.matcher}`);
         }
       }
 
-      // Check hooks array
-      if (!entry.hooks || !Array.isArray(entry.hooks)) {
-        error(`${prefix}: missing or invalid 'hooks' array`);
-      } else {
-        entry.hooks.forEach((hook, j) => {
-          const hookPrefix = `${prefix}.hooks[${j}]`;
-          hookCount++;
-
-          if (!hook.type) {
-            error(`${hookPrefix}: missing 'type'`);
-          } else if (hook.type === 'command') {
-            if (!hook.command) {
-              error(`${hookPrefix}: command type missing 'command'`);
-            }
-            if (typeof hook.timeout !== 'number' || hook.timeout <= 0) {
-              error(`${hookPrefix}: command type missing or invalid 'timeout'`);
-            }
-            if (hook.timeout > 60) {
-              warn(`${hookPrefix}: timeout > 60s may cause issues`);
-            }
-
-            // Check for cross-platform compatibility
-            if (hook.command) {
-              if (hook.command.startsWith('bash -c')) {
-                warn(`${hookPrefix}: 'bash -c' may not work on Windows`);
-              }
-              if (hook.command.includes('~/.claude')) {
-                warn(`${hookPrefix}: '~/' path may not work on Windows`);
-              }
-              if (hook.command.includes('$(date ')) {
-                warn(`${hookPrefix}: '$(date)' may not work on Windows`);
-              }
-            }
-          } else if (hook.type === 'prompt') {
-            if (!hook.prompt) {
-              error(`${hookPrefix}: prompt type missing 'prompt'`);
-            }
-          } else {
-            error(`${hookPrefix}: invalid type '${hook.type}' (expected 'command' or 'prompt')`);
+      (Array.isArray(entry.hooks) ? entry.hooks : []).forEach((hook, j) => {
+        const hookPrefix = `${prefix}/hooks/${j}`;
+        hookCount++;
+
+        if (hook.type !== 'command') return;
+
+        if (hook.timeout > 60) {
+          warn(`${hookPrefix}: timeout > 60s may cause issues`);
+        }
+
+        // Check for cross-platform compatibility
+        if (typeof hook.command === 'string') {
+          if (hook.command.startsWith('bash -c')) {
+            warn(`${hookPrefix}: 'bash -c' may not work on Windows`);
           }
-        });
-      }
+          if (hook.command.includes('~/.claude')) {
+            warn(`${hookPrefix}: '~/' path may not work on Windows`);
+          }
+          if (hook.command.includes('$(date ')) {
+            warn(`${hookPrefix}: '$(date)' may not work on Windows`);
+          }
+        }
+      });
 
       // Check description (optional but recommended)
       if (!entry.description) {
@@ -172,14 +136,6 @@ function validate() {
   }
 
   console.log(`\n  Total hooks validated: ${hookCount}`);
-
-  // Check for unknown sections
-  const validSections = ['_meta', ...allSections];
-  for (const key of Object.keys(hooks)) {
-    if (!validSections.includes(key)) {
-      warn(`Unknown section: ${key}`);
-    }
-  }
 }
 
 // Run validation
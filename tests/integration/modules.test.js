@@ -90,16 +90,14 @@ test('venv uses config module correctly', () => {
   assert(result === null, 'Should return null for nonexistent path');
 });
 
-test('validation uses config for patterns', () => {
+test('validation uses settings for protected branches', () => {
   const validation = require('../../lib/validation');
   const config = require('../../lib/core/config');
 
-  // Validation uses patterns from config
-  assert(config.DANGEROUS_PATTERNS.length > 0, 'Config should have patterns');
-
-  // Verify patterns are used
-  const dangerous = validation.isDangerousCommand('rm -rf /');
-  assert(dangerous === true, 'Should detect dangerous command');
+  // Force pushes are checked against the protectedBranches setting
+  const [branch] = config.PROTECTED_BRANCHES;
+  assert(validation.isDangerousCommand(`git push --force origin ${branch}`), 'Should detect force push');
+  assert(!validation.isDangerousCommand('git push --force origin feature/x'), 'Should allow feature branch');
 });
 
 test('tools uses venv and exec modules', () => {
@@ -34,6 +34,13 @@ const testSuites = [
   { name: 'Git Module (Unit)', file: 'unit/git.test.js' },
   { name: 'Logging Module (Unit)', file: 'unit/logging.test.js' },
   { name: 'Error Types (Unit)', file: 'unit/errors.test.js' },
+  { name: 'Settings Module (Unit)', file: 'unit/settings.test.js' },
+  { name: 'Tools Module (Unit)', file: 'unit/tools.test.js' },
+  { name: 'Tool Daemon (Unit)', file: 'unit/daemon.test.js' },
+  { name: 'Hook Protocol (Unit)', file: 'unit/hooks.test.js' },
+  { name: 'Schema Module (Unit)', file: 'unit/schema.test.js' },
+  { name: 'Orchestrator Domains (Unit)', file: 'unit/domains.test.js' },
+  { name: 'Project Detection (Unit)', file: 'unit/project.test.js' },
 
   // Integration tests
   { name: 'Module Integration', file: 'integration/modules.test.js' },
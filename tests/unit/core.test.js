@@ -32,6 +32,9 @@ function assertEqual(actual, expected, message) {
 const platform = require('../../lib/core/platform');
 const config = require('../../lib/core/config');
 const exec = require('../../lib/core/exec');
+const graph = require('../../lib/core/graph');
+const diff = require('../../lib/core/diff');
+const { ConfigError } = require('../../lib/errors');
 
 // ============================================
 // Test: Platform Detection
@@ -160,6 +163,51 @@ test('VALID_PACKAGE_NAME is RegExp', () => {
   assert(config.VALID_PACKAGE_NAME instanceof RegExp);
 });
 
+// ============================================
+// Test: Dependency Graph
+// ============================================
+console.log('\n\x1b[1mDependency Graph\x1b[0m');
+
+function sortError(dependencies) {
+  try {
+    graph.topologicalSort(dependencies, 'domain');
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+test('topologicalSort places dependencies first and keeps declaration order', () => {
+  const order = graph.topologicalSort({ lint: ['error'], naming: [], error: [] });
+  assert(order.join(',') === 'naming,error,lint', `got ${order.join(',')}`);
+});
+
+test('DOMAIN_EXECUTION_ORDER satisfies DOMAIN_DEPENDENCIES', () => {
+  const order = config.DOMAIN_EXECUTION_ORDER;
+  assert(order.length === Object.keys(config.DOMAIN_DEPENDENCIES).length);
+  for (const [domain, deps] of Object.entries(config.DOMAIN_DEPENDENCIES)) {
+    for (const dep of deps) {
+      assert(order.indexOf(dep) < order.indexOf(domain), `${dep} should run before ${domain}`);
+    }
+  }
+  assert(order[order.length - 1] === 'test', 'test hub runs last');
+});
+
+test('topologicalSort reports the cycle path', () => {
+  const error = sortError({ a: ['c'], b: ['a'], c: ['b'] });
+  assert(error instanceof ConfigError, 'should throw ConfigError');
+  assert(error.message === 'Circular domain dependency: a -> c -> b -> a', error.message);
+});
+
+test('topologicalSort rejects unknown dependencies', () => {
+  const error = sortError({ security: ['auth'] });
+  assert(error instanceof ConfigError && error.message.includes("'auth'"));
+});
+
+test('findCycle returns null for an acyclic graph', () => {
+  assert(graph.findCycle(config.DOMAIN_DEPENDENCIES) === null);
+});
+
 // ============================================
 // Test: Gitignore Patterns (Phase 11)
 // ============================================
@@ -336,6 +384,19 @@ test('exec successful command has output', () => {
   assert(result.output.includes('hello'));
 });
 
+test('exec writes input to stdin and can keep output untrimmed', () => {
+  const script = 'process.stdin.pipe(process.stdout)';
+  const result = exec.exec(`node -e "${script}"`, { input: '  text\n', trim: false });
+  assert(result.success && result.output === '  text\n', JSON.stringify(result.output));
+  assert(exec.exec(`node -e "${script}"`, { input: '  text\n' }).output === 'text');
+});
+
+test('exec sets env variables on top of the current environment', () => {
+  const script = 'console.log(process.env.EXEC_TEST_VALUE, Boolean(process.env.PATH))';
+  const result = exec.exec(`node -e "${script}"`, { env: { EXEC_TEST_VALUE: 'set' } });
+  assert(result.success && result.output === 'set true', JSON.stringify(result.output));
+});
+
 test('exec failed command has error', () => {
   const result = exec.exec('exit 1', { timeout: 1000 });
   // Note: 'exit 1' may not work on all platforms - verify we get some result back
@@ -357,6 +418,42 @@ test('execOrThrow throws on failure', () => {
   assert(threw, 'Should throw on failed command');
 });
 
+// ============================================
+// Test: Diff
+// ============================================
+console.log('\n\x1b[1mDiff\x1b[0m');
+
+test('createPatch returns an empty string for equal texts', () => {
+  assert(diff.createPatch('a.js', 'x\n', 'x\n') === '');
+});
+
+test('createPatch writes headers, hunk ranges and changed lines', () => {
+  const patch = diff.createPatch('src/a.js', 'a\nb\nc\n', 'a\nB\nc\nd\n');
+  assert(patch === '--- a/src/a.js\n+++ b/src/a.js\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d\n', patch);
+});
+
+test('changes far apart get separate hunks with context', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+  const changed = [...lines];
+  changed[1] = 'two';
+  changed[17] = 'eighteen';
+  const patch = diff.createPatch('f', lines.join('\n') + '\n', changed.join('\n') + '\n');
+  const hunks = patch.split('\n').filter(line => line.startsWith('@@'));
+  assert(hunks.join(' | ') === '@@ -1,5 +1,5 @@ | @@ -15,6 +15,6 @@', hunks.join(' | '));
+});
+
+test('a missing newline at end of file is marked', () => {
+  const patch = diff.createPatch('f', 'a\nb', 'a\nb\n');
+  assert(patch.endsWith('-b\n\\ No newline at end of file\n+b\n'), patch);
+});
+
+test('diffLines keeps every line of both texts in order', () => {
+  const ops = diff.diffLines(['a', 'b', 'c', 'a', 'b'], ['c', 'b', 'a', 'b', 'a']);
+  assert(ops.filter(o => o.type !== '+').map(o => o.line).join('') === 'abcab');
+  assert(ops.filter(o => o.type !== '-').map(o => o.line).join('') === 'cbaba');
+  assert(ops.filter(o => o.type !== ' ').length === 4, 'shortest edit script');
+});
+
 // ============================================
 // Summary
 // ============================================
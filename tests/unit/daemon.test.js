@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/daemon module
+ * Tests the tool daemon, its warm eslint and TypeScript runners, and the
+ * fallback to checking directly
+ */
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const asyncTests = [];
+
+/**
+ * Queue an async test; queued tests run in order before the summary
+ */
+function testAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load modules
+const daemon = require('../../lib/daemon');
+const warm = require('../../lib/daemon/warm');
+const settings = require('../../lib/settings');
+const { config, exec } = require('../../lib/core');
+const errors = require('../../lib/errors');
+const { diagnostics } = require('../../lib/tools');
+const typescript = require('../../lib/tools/typescript');
+
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const PROJECT = path.join(LOCAL_TMP, `daemon-test-${Date.now()}`);
+const ORIGINAL_PROJECT_DIR = process.env.CLAUDE_PROJECT_DIR;
+
+// A project using the plugin's own eslint and typescript
+fs.mkdirSync(path.join(PROJECT, 'src'), { recursive: true });
+fs.mkdirSync(path.join(PROJECT, '.claude'), { recursive: true });
+fs.symlinkSync(path.join(__dirname, '..', '..', 'node_modules'), path.join(PROJECT, 'node_modules'), 'junction');
+fs.writeFileSync(path.join(PROJECT, 'package.json'), '{"name": "daemon-test"}\n');
+fs.writeFileSync(path.join(PROJECT, '.eslintrc.json'), JSON.stringify({
+  root: true,
+  extends: 'eslint:recommended',
+  env: { node: true },
+  parserOptions: { ecmaVersion: 2022 },
+  rules: { 'no-var': 'error' }
+}));
+fs.writeFileSync(path.join(PROJECT, 'tsconfig.json'), '{"compilerOptions": {"strict": true, "noEmit": true}, "include": ["src"]}\n');
+fs.writeFileSync(path.join(PROJECT, 'src', 'app.js'), 'var a = 1;\nexports.a = a;\n');
+fs.writeFileSync(path.join(PROJECT, 'src', 'a.ts'), 'import { b } from "./b";\nexport const x: number = b;\n');
+fs.writeFileSync(path.join(PROJECT, 'src', 'b.ts'), 'export const b: string = "b";\n');
+fs.writeFileSync(path.join(PROJECT, 'src', 'c.ts'), 'export const c: number = "c";\n');
+
+const writeSettings = (values) => {
+  fs.writeFileSync(path.join(PROJECT, config.SETTINGS_FILE), JSON.stringify(values));
+  settings.clearCache();
+};
+
+process.env.CLAUDE_PROJECT_DIR = PROJECT;
+writeSettings({ toolCache: { enabled: false } });
+
+/**
+ * Run a tool in process, as the daemon does, and by spawning it
+ */
+const runBothWays = (tool, file) => {
+  const cwd = PROJECT;
+  const answered = warm.run(tool, [file], { cwd, timeout: config.TIMEOUTS.EXTENDED });
+  const resolved = require('../../lib/tools/runner').resolveToolCommand(tool, file, cwd);
+  const spawned = exec.exec(resolved.command, { cwd, timeout: config.TIMEOUTS.EXTENDED });
+  const parse = result => diagnostics.parseDiagnostics(tool, result, { filePath: file, cwd })
+    .map(d => `${path.relative(cwd, d.file)}:${d.line}:${d.column} ${d.rule}`)
+    .sort();
+  return { answered, inProcess: answered && parse(answered), spawned: parse(spawned) };
+};
+
+// ============================================
+// Test: Socket and Settings
+// ============================================
+console.log('\n\x1b[1mSocket and Settings\x1b[0m');
+
+test('getSocketPath is stable per project and differs between projects', () => {
+  const socketPath = daemon.getSocketPath(PROJECT);
+  assert(socketPath === daemon.getSocketPath(PROJECT));
+  assert(socketPath !== daemon.getSocketPath(path.join(PROJECT, 'other')));
+  if (process.platform !== 'win32') {
+    const dir = path.dirname(socketPath);
+    assert(socketPath.startsWith(process.env.XDG_RUNTIME_DIR || os.tmpdir()) && socketPath.endsWith('.sock'), socketPath);
+    assert((fs.statSync(dir).mode & 0o777) === 0o700 && fs.statSync(dir).uid === process.getuid(), 'socket directory should be private');
+  }
+});
+
+test('getSocketPath refuses a socket directory others can write to', () => {
+  if (process.platform === 'win32') return;
+  const original = process.env.XDG_RUNTIME_DIR;
+  const shared = path.join(PROJECT, 'shared-run');
+  fs.mkdirSync(shared, { recursive: true });
+  fs.chmodSync(shared, 0o777);
+  process.env.XDG_RUNTIME_DIR = shared;
+  try {
+    let threw = null;
+    try {
+      daemon.getSocketPath(PROJECT);
+    } catch (e) {
+      threw = e;
+    }
+    assert(threw instanceof errors.SecurityError, threw && threw.message);
+  } finally {
+    if (original === undefined) delete process.env.XDG_RUNTIME_DIR;
+    else process.env.XDG_RUNTIME_DIR = original;
+    fs.rmSync(shared, { recursive: true, force: true });
+  }
+});
+
+test('getOptions has the daemon and its stats off by default', () => {
+  const options = daemon.getOptions();
+  assert(options.enabled === false && options.idleTimeout > 0 && options.recordStats === false, JSON.stringify(options));
+});
+
+// ============================================
+// Test: Latency Stats
+// ============================================
+console.log('\n\x1b[1mLatency Stats\x1b[0m');
+
+test('summarizeStats reports the median and p95 per check and mode', () => {
+  for (const ms of [300, 100, 200]) daemon.recordLatency('lint', 'direct', ms);
+  daemon.recordLatency('lint', 'daemon', 20);
+  const summary = daemon.summarizeStats();
+  assert(summary.lint.direct.runs === 3 && summary.lint.direct.median === 200 && summary.lint.direct.p95 === 300,
+    JSON.stringify(summary));
+  assert(summary.lint.daemon.runs === 1 && summary.lint.daemon.median === 20);
+});
+
+test('recordLatency keeps the latest samples only', () => {
+  for (let i = 0; i < config.DAEMON_LIMITS.maxSamples + 5; i++) daemon.recordLatency('format', 'direct', i);
+  const summary = daemon.summarizeStats();
+  assert(summary.format.direct.runs === config.DAEMON_LIMITS.maxSamples, JSON.stringify(summary.format));
+  fs.rmSync(path.join(PROJECT, config.DAEMON_STATS_FILE));
+});
+
+// ============================================
+// Test: Warm Runners
+// ============================================
+console.log('\n\x1b[1mWarm Runners\x1b[0m');
+
+test('warm.run leaves tools it cannot answer to be spawned', () => {
+  const file = path.join(PROJECT, 'src', 'app.js');
+  const options = { cwd: PROJECT, timeout: config.TIMEOUTS.STANDARD };
+  assert(warm.run('ruff check {file}', [file], options) === null);
+  assert(warm.run({ command: 'eslint {file}', args: ['--format', 'json', '--max-warnings', '0'] }, [file], options) === null);
+  assert(warm.run({ command: 'eslint {file}', args: ['--format', 'json'] }, [file], { ...options, input: '' }) === null);
+});
+
+test('warm.run lints with eslint in process, reporting what eslint does', () => {
+  const file = path.join(PROJECT, 'src', 'app.js');
+  const { answered, inProcess, spawned } = runBothWays(diagnostics.withMachineOutput('eslint'), file);
+  assert(answered && answered.success === false, JSON.stringify(answered));
+  assert(inProcess.join() === spawned.join() && inProcess.join() === 'src/app.js:1:1 no-var', inProcess.join());
+});
+
+test('warm.run type checks with a language service, reporting the file and its importers', () => {
+  const file = path.join(PROJECT, 'src', 'b.ts');
+  const project = typescript.findProject(file);
+  const tool = diagnostics.withMachineOutput(typescript.projectTool('tsc --noEmit', project));
+  const { answered, inProcess, spawned } = runBothWays(tool, file);
+  const concerns = typescript.diagnosticFilter(file, project);
+  const filtered = spawned.filter(line => concerns({ file: path.join(PROJECT, line.split(':')[0]), line: 1 }));
+  assert(answered && answered.success === false, JSON.stringify(answered));
+  assert(inProcess.join() === filtered.join() && inProcess.join() === 'src/a.ts:2:14 TS2322', inProcess.join());
+  assert(warm.describe().typescript.includes(project.configFile));
+});
+
+test('warm.run reloads eslint when its installed version changes', () => {
+  const upgraded = path.join(PROJECT, 'upgraded');
+  const eslintDir = path.join(upgraded, 'node_modules', 'eslint');
+  const install = (version, rule) => {
+    fs.writeFileSync(path.join(eslintDir, 'package.json'), JSON.stringify({ name: 'eslint', version, main: 'index.js' }));
+    fs.writeFileSync(path.join(eslintDir, 'index.js'), 'class ESLint {\n' +
+      '  async lintFiles(files) {\n' +
+      `    return files.map(filePath => ({ filePath, errorCount: 1, warningCount: 0, messages: [{ ruleId: '${rule}', ` +
+      "severity: 2, message: 'm', line: 1, column: 1 }] }));\n" +
+      '  }\n' +
+      '}\n' +
+      'module.exports = { ESLint };\n');
+  };
+  fs.mkdirSync(path.join(upgraded, 'node_modules', '.bin'), { recursive: true });
+  fs.mkdirSync(eslintDir, { recursive: true });
+  fs.writeFileSync(path.join(upgraded, 'node_modules', '.bin', 'eslint'), '#!/bin/sh\n', { mode: 0o755 });
+  fs.writeFileSync(path.join(upgraded, 'package.json'), '{"name": "upgraded"}\n');
+  fs.writeFileSync(path.join(upgraded, 'app.js'), 'var a = 1;\n');
+
+  const lintRule = () => {
+    const answered = warm.run(diagnostics.withMachineOutput('eslint'), [path.join(upgraded, 'app.js')],
+      { cwd: upgraded, timeout: config.TIMEOUTS.STANDARD });
+    return answered && JSON.parse(answered.output)[0].messages[0].ruleId;
+  };
+  install('8.0.0', 'old-rule');
+  assert(lintRule() === 'old-rule');
+  install('8.1.0', 'new-rule');
+  assert(lintRule() === 'new-rule', 'the upgraded eslint should be loaded');
+});
+
+// ============================================
+// Test: Daemon
+// ============================================
+
+testAsync('run checks directly when the daemon is off, recording no stats', async () => {
+  const result = await daemon.run('lint', path.join(PROJECT, 'src', 'app.js'));
+  assert(result && result.success === false && result.diagnostics[0].rule === 'no-var', JSON.stringify(result));
+  assert(!fs.existsSync(path.join(PROJECT, config.DAEMON_STATS_FILE)), 'no stats without recordStats');
+});
+
+testAsync('run records direct checks with recordStats, even with the daemon off', async () => {
+  writeSettings({ toolCache: { enabled: false }, daemon: { recordStats: true } });
+  await daemon.run('lint', path.join(PROJECT, 'src', 'app.js'));
+  assert(daemon.summarizeStats().lint.direct.runs === 1 && !daemon.summarizeStats().lint.daemon);
+  fs.rmSync(path.join(PROJECT, config.DAEMON_STATS_FILE));
+});
+
+testAsync('run falls back to checking directly when the daemon cannot start', async () => {
+  writeSettings({ toolCache: { enabled: false }, daemon: { enabled: true, idleTimeout: 5000, recordStats: true } });
+  const originalRuntimeDir = process.env.XDG_RUNTIME_DIR;
+  const originalStartTimeout = config.DAEMON_LIMITS.startTimeout;
+  process.env.XDG_RUNTIME_DIR = path.join(PROJECT, 'missing');
+  config.DAEMON_LIMITS.startTimeout = 1000;
+  try {
+    const result = await daemon.run('lint', path.join(PROJECT, 'src', 'app.js'));
+    assert(result && result.diagnostics[0].rule === 'no-var', JSON.stringify(result));
+    assert(daemon.summarizeStats().lint.direct.runs === 1 && !daemon.summarizeStats().lint.daemon);
+  } finally {
+    if (originalRuntimeDir === undefined) delete process.env.XDG_RUNTIME_DIR;
+    else process.env.XDG_RUNTIME_DIR = originalRuntimeDir;
+    config.DAEMON_LIMITS.startTimeout = originalStartTimeout;
+  }
+});
+
+testAsync('run starts the daemon and gets the same result from it', async () => {
+  const file = path.join(PROJECT, 'src', 'app.js');
+  try {
+    const result = await daemon.run('lint', file);
+    assert(result && result.success === false && result.diagnostics.map(d => d.rule).join() === 'no-var',
+      JSON.stringify(result));
+    assert(daemon.summarizeStats().lint.daemon.runs === 1);
+
+    const status = await daemon.request('stats', {}, { start: false });
+    assert(status.requests.lint.count === 1 && status.warm.eslint === true, JSON.stringify(status));
+  } finally {
+    await daemon.request('shutdown', {}, { start: false }).catch(() => {});
+  }
+});
+
+testAsync('the daemon exits once idle', async () => {
+  writeSettings({ toolCache: { enabled: false }, daemon: { enabled: true, idleTimeout: 1000 } });
+  const { pid } = await daemon.request('ping');
+  assert(pid > 0 && pid !== process.pid);
+  await new Promise(resolve => setTimeout(resolve, 3000));
+  let running = true;
+  await daemon.request('ping', {}, { start: false }).catch(() => { running = false; });
+  if (running) {
+    await daemon.request('shutdown', {}, { start: false }).catch(() => {});
+  }
+  assert(!running, 'daemon still running after its idle timeout');
+});
+
+// ============================================
+// Summary
+// ============================================
+(async () => {
+  console.log('\n\x1b[1mDaemon\x1b[0m');
+  for (const { name, fn } of asyncTests) {
+    try {
+      await fn();
+      console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+      failed++;
+    }
+  }
+
+  fs.rmSync(PROJECT, { recursive: true, force: true });
+  if (ORIGINAL_PROJECT_DIR === undefined) {
+    delete process.env.CLAUDE_PROJECT_DIR;
+  } else {
+    process.env.CLAUDE_PROJECT_DIR = ORIGINAL_PROJECT_DIR;
+  }
+  settings.clearCache();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\x1b[1mDaemon Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(50));
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/orchestrator/domains module
+ * Tests built-in and project-defined domains, execution order and handoffs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// Load modules
+const domains = require('../../lib/orchestrator/domains');
+const parser = require('../../lib/orchestrator/parser');
+const handoff = require('../../lib/orchestrator/handoff');
+const settings = require('../../lib/settings');
+const config = require('../../lib/core/config');
+const { ConfigError } = require('../../lib/errors');
+
+// Use local tmp directory instead of system temp (per housekeeping standards)
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const PROJECT = path.join(LOCAL_TMP, `domains-test-${Date.now()}`);
+const ORIGINAL_PROJECT_DIR = process.env.CLAUDE_PROJECT_DIR;
+
+/**
+ * Point settings at PROJECT with the given domains setting
+ */
+function useDomains(domainSettings) {
+  const file = path.join(PROJECT, config.SETTINGS_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ domains: domainSettings }));
+  process.env.CLAUDE_PROJECT_DIR = PROJECT;
+  settings.clearCache();
+}
+
+// ============================================
+// Test: Built-in Domains
+// ============================================
+console.log('\n\x1b[1mBuilt-in Domains\x1b[0m');
+
+useDomains({});
+
+test('getDomains matches DOMAIN_AGENTS without project domains', () => {
+  assert(JSON.stringify(domains.getDomains()) === JSON.stringify(config.DOMAIN_AGENTS));
+});
+
+test('getExecutionOrder matches DOMAIN_EXECUTION_ORDER', () => {
+  assert(domains.getExecutionOrder().join(',') === config.DOMAIN_EXECUTION_ORDER.join(','));
+});
+
+test('getHandoffGraph matches HANDOFF_GRAPH', () => {
+  assert(JSON.stringify(domains.getHandoffGraph()) === JSON.stringify(config.HANDOFF_GRAPH));
+});
+
+test('parser VALID_DOMAINS is derived from DOMAIN_AGENTS', () => {
+  assert(parser.VALID_DOMAINS.length === Object.keys(config.DOMAIN_AGENTS).length + 1);
+  assert(parser.VALID_DOMAINS.includes('all'));
+});
+
+// ============================================
+// Test: Project Domains
+// ============================================
+console.log('\n\x1b[1mProject Domains\x1b[0m');
+
+test('project domain gets an agent and a place in the order', () => {
+  useDomains({ security: { agent: 'security-standards', dependsOn: ['validation'], requiredBy: ['test'] } });
+  assert(domains.getDomains().security === 'security-standards');
+
+  const order = domains.getExecutionOrder();
+  assert(order.indexOf('validation') < order.indexOf('security'), 'after its dependency');
+  assert(order.indexOf('security') < order.indexOf('test'), 'before the domain requiring it');
+});
+
+test('agent defaults to <name>-standards', () => {
+  useDomains({ i18n: {} });
+  assert(domains.getDomains().i18n === 'i18n-standards');
+  assert(domains.getDomainForAgent('i18n-standards') === 'i18n');
+});
+
+test('parser accepts project domains', () => {
+  useDomains({ i18n: { dependsOn: ['naming'] } });
+  assert(parser.validateOrchestratorParams({ domain: 'i18n' }).valid);
+  assert(!parser.validateOrchestratorParams({ domain: 'security' }).valid);
+});
+
+test('project domains join the handoff graph', () => {
+  useDomains({ security: { dependsOn: ['validation'], handoffs: ['test'] } });
+  assert(handoff.getSuggestedHandoffs('validation-standards').includes('security-standards'));
+  assert(handoff.getSuggestedHandoffs('security-standards')[0] === 'test-standards');
+});
+
+test('overriding a built-in domain renames its agent everywhere', () => {
+  useDomains({ lint: { agent: 'eslint-standards' } });
+  assert(domains.getDomains().lint === 'eslint-standards');
+  assert(handoff.getSuggestedHandoffs('type-standards').includes('eslint-standards'));
+});
+
+// ============================================
+// Test: Errors
+// ============================================
+console.log('\n\x1b[1mErrors\x1b[0m');
+
+test('circular project dependencies throw ConfigError naming the cycle', () => {
+  useDomains({ security: { dependsOn: ['test'], requiredBy: ['validation'] } });
+  let threw = null;
+  try {
+    domains.getExecutionOrder();
+  } catch (e) {
+    threw = e;
+  }
+  assert(threw instanceof ConfigError, 'should throw ConfigError');
+  assert(threw.message.startsWith('Circular domain dependency:') && threw.message.includes('security'), threw.message);
+});
+
+test('unknown referenced domain throws ConfigError', () => {
+  useDomains({ security: { dependsOn: ['auth'] } });
+  let threw = null;
+  try {
+    domains.getDomains();
+  } catch (e) {
+    threw = e;
+  }
+  assert(threw instanceof ConfigError && threw.message.includes('domains.security.dependsOn'));
+});
+
+test('parser reports inconsistent domain settings as invalid', () => {
+  const result = parser.validateOrchestratorParams({ domain: 'lint' });
+  assert(!result.valid && result.error.includes('auth'));
+});
+
+fs.rmSync(PROJECT, { recursive: true, force: true });
+if (ORIGINAL_PROJECT_DIR === undefined) {
+  delete process.env.CLAUDE_PROJECT_DIR;
+} else {
+  process.env.CLAUDE_PROJECT_DIR = ORIGINAL_PROJECT_DIR;
+}
+settings.clearCache();
+
+// ============================================
+// Summary
+// ============================================
+console.log('\n' + '='.repeat(50));
+console.log(`\x1b[1mDomains Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -30,9 +30,9 @@ const git = require('../../lib/git');
 // ============================================
 console.log('\n\x1b[1mProtected Branch Detection\x1b[0m');
 
-// Only test branches that are actually in config (Phase 11 added develop, staging, release)
-const protectedBranches = ['main', 'master', 'production', 'develop', 'staging', 'release'];
-const safeBranches = ['feature/test', 'fix/bug', 'dev', 'prod', 'hotfix/urgent', 'chore/cleanup'];
+// The default protectedBranches setting; projects add develop, staging and release themselves
+const protectedBranches = ['main', 'master', 'production'];
+const safeBranches = ['feature/test', 'fix/bug', 'dev', 'prod', 'hotfix/urgent', 'chore/cleanup', 'develop'];
 
 for (const branch of protectedBranches) {
   test(`${branch} is protected`, () => {
@@ -46,6 +46,20 @@ for (const branch of safeBranches) {
   });
 }
 
+test('branches added to protectedBranches are protected', () => {
+  const settings = require('../../lib/settings');
+  process.env.DEV_STANDARDS_PROTECTED_BRANCHES = 'main,develop,staging,release';
+  settings.clearCache();
+  try {
+    for (const branch of ['develop', 'staging', 'release']) {
+      assert(git.isProtectedBranch(branch), `${branch} should be protected`);
+    }
+  } finally {
+    delete process.env.DEV_STANDARDS_PROTECTED_BRANCHES;
+    settings.clearCache();
+  }
+});
+
 // ============================================
 // Test: Git Status Functions
 // ============================================
@@ -214,6 +228,31 @@ test('createCommit rejects AI co-authoring', () => {
   assert(result.success === false, 'should reject AI co-authoring');
 });
 
+// ============================================
+// Test: Changed Lines
+// ============================================
+console.log('\n\x1b[1mChanged Lines\x1b[0m');
+
+test('parseChangedLines reads line ranges from -U0 hunk headers', () => {
+  const diff = [
+    'diff --git a/app.js b/app.js',
+    '--- a/app.js',
+    '+++ b/app.js',
+    '@@ -3 +3 @@ function a() {',
+    '-old',
+    '+new',
+    '@@ -10,0 +11,4 @@',
+    '@@ -20,2 +24,0 @@',
+    '@@ -0,0 +1 @@'
+  ].join('\n');
+  assert(JSON.stringify(git.parseChangedLines(diff)) === '[[3,3],[11,14],[24,25],[1,1]]',
+    JSON.stringify(git.parseChangedLines(diff)));
+});
+
+test('parseChangedLines returns no ranges for an empty diff', () => {
+  assert(git.parseChangedLines('').length === 0);
+});
+
 // ============================================
 // Test: Function Exports
 // ============================================
@@ -231,7 +270,10 @@ const expectedExports = [
   'getUncommittedFiles',
   'validateCommitMessage',
   'stageFiles',
-  'createCommit'
+  'createCommit',
+  'getMergeBase',
+  'parseChangedLines',
+  'getChangedLines'
 ];
 
 for (const name of expectedExports) {
@@ -0,0 +1,531 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/hooks module
+ * Tests parsing hook input, building hook output, combining pipeline
+ * results, simulating and replaying payloads, and the hook runner's
+ * answers to Claude Code
+ */
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertThrows(fn, ErrorType, message) {
+  try {
+    fn();
+  } catch (e) {
+    if (!(e instanceof ErrorType)) throw new Error(`${message || 'Wrong error'}: ${e.name}: ${e.message}`);
+    return;
+  }
+  throw new Error(message || 'Expected an error');
+}
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Load modules
+const hooks = require('../../lib/hooks');
+const errors = require('../../lib/errors');
+const settings = require('../../lib/settings');
+const { config } = require('../../lib/core');
+
+const HOOK_RUNNER = path.join(__dirname, '..', '..', 'lib', 'hook-runner.js');
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const PROJECT = path.join(LOCAL_TMP, `hooks-test-${Date.now()}`);
+const OTHER_REPOS = path.join(LOCAL_TMP, `hooks-other-${Date.now()}`);
+const ORIGINAL_PROJECT_DIR = process.env.CLAUDE_PROJECT_DIR;
+
+// A project with its own pipeline, whose .py files are "formatted"
+// (x=1 -> x = 1) and "linted" (any 'bad' is an error) by node scripts
+fs.mkdirSync(path.join(PROJECT, '.claude'), { recursive: true });
+fs.writeFileSync(path.join(PROJECT, 'fmt.js'),
+  "const fs = require('fs');\n" +
+  'const f = process.argv[2];\n' +
+  "fs.writeFileSync(f, fs.readFileSync(f, 'utf8').replace(/(\\w)=(\\w)/g, '$1 = $2'));\n");
+fs.writeFileSync(path.join(PROJECT, 'lint.js'),
+  "const fs = require('fs');\n" +
+  'const f = process.argv[2];\n' +
+  "const bad = fs.readFileSync(f, 'utf8').split('\\n').map((line, i) => line.includes('bad') ? `${f}:${i + 1}:1: error no bad [no-bad]` : null).filter(Boolean);\n" +
+  "console.log(bad.join('\\n'));\n" +
+  'process.exit(bad.length > 0 ? 1 : 0);\n');
+fs.writeFileSync(path.join(PROJECT, config.SETTINGS_FILE), JSON.stringify({
+  pipelines: {
+    guard: [{ action: 'check-command' }, { action: 'stop' }, { action: 'snapshot' }]
+  },
+  formatters: { py: { command: `node ${path.join(PROJECT, 'fmt.js')} {file}` } },
+  linters: { py: { command: `node ${path.join(PROJECT, 'lint.js')} {file}` } },
+  toolCache: { enabled: false }
+}));
+fs.writeFileSync(path.join(PROJECT, 'app.js'), 'const a = 1;\nexports.a = a;\n');
+process.env.CLAUDE_PROJECT_DIR = PROJECT;
+settings.clearCache();
+
+/**
+ * Run a hook-runner action with a payload on stdin, in the project as Claude Code does
+ */
+const runHook = (args, payload) => spawnSync(process.execPath, [HOOK_RUNNER, ...[].concat(args)], {
+  input: typeof payload === 'string' ? payload : JSON.stringify(payload),
+  encoding: 'utf8',
+  timeout: 30000,
+  cwd: PROJECT,
+  env: { ...process.env, CLAUDE_PROJECT_DIR: PROJECT }
+});
+
+// ============================================
+// Test: parseInput
+// ============================================
+console.log('\n\x1b[1mparseInput\x1b[0m');
+
+test('parseInput reads the common and tool fields', () => {
+  const input = hooks.parseInput(JSON.stringify({
+    hook_event_name: 'PostToolUse',
+    session_id: 'abc',
+    transcript_path: '/tmp/t.jsonl',
+    cwd: '/repo',
+    tool_name: 'Write',
+    tool_input: { file_path: 'src/app.js' },
+    tool_response: { success: true }
+  }));
+  assert(input.event === 'PostToolUse' && input.sessionId === 'abc' && input.transcriptPath === '/tmp/t.jsonl');
+  assert(input.cwd === '/repo' && input.toolName === 'Write' && input.toolInput.file_path === 'src/app.js');
+  assert(input.toolResponse.success === true && input.stopHookActive === false && input.prompt === null);
+});
+
+test('parseInput reads stop_hook_active, prompt and event fields', () => {
+  assert(hooks.parseInput('{"hook_event_name":"Stop","stop_hook_active":true}').stopHookActive === true);
+  assert(hooks.parseInput('{"prompt":"fix it"}').prompt === 'fix it');
+  const compact = hooks.parseInput('{"trigger":"auto","custom_instructions":"keep tests"}');
+  assert(compact.trigger === 'auto' && compact.customInstructions === 'keep tests');
+  assert(hooks.parseInput('{"source":"resume"}').source === 'resume');
+});
+
+test('parseInput gives empty fields for empty input and wrong types', () => {
+  const empty = hooks.parseInput('');
+  assert(empty.event === null && empty.toolResponse === null && Object.keys(empty.toolInput).length === 0);
+  const wrong = hooks.parseInput('{"session_id":7,"tool_input":"ls","stop_hook_active":"yes"}');
+  assert(wrong.sessionId === null && Object.keys(wrong.toolInput).length === 0 && wrong.stopHookActive === false);
+});
+
+test('parseInput rejects invalid, non-object and oversized input', () => {
+  assertThrows(() => hooks.parseInput('{"tool_name":'), errors.ValidationError);
+  assertThrows(() => hooks.parseInput('[1, 2]'), errors.ValidationError);
+  assertThrows(() => hooks.parseInput('null'), errors.ValidationError);
+  assertThrows(() => hooks.parseInput(`"${'x'.repeat(config.MAX_STDIN_SIZE)}"`), errors.ValidationError);
+});
+
+test('touchedFiles lists every file an edit tool input touches, once', () => {
+  const files = hooks.touchedFiles({
+    file_path: '/repo/a.py',
+    edits: [{ file_path: '/repo/b.py' }, { old_string: 'x' }, { file_path: '/repo/a.py' }],
+    files: [{ file_path: 'c.py' }, null]
+  }, '/repo');
+  assert(JSON.stringify(files) === '["/repo/a.py","/repo/c.py","/repo/b.py"]', JSON.stringify(files));
+  assert(hooks.touchedFiles({ notebook_path: '/repo/nb.ipynb' })[0] === '/repo/nb.ipynb');
+  assert(hooks.touchedFiles({ command: 'ls' }).length === 0);
+});
+
+// ============================================
+// Test: buildOutput
+// ============================================
+console.log('\n\x1b[1mbuildOutput\x1b[0m');
+
+test('buildOutput gives no output for no result', () => {
+  const output = hooks.buildOutput('PreToolUse', null);
+  assert(output.exitCode === 0 && output.stdout === '' && output.stderr === '');
+});
+
+test('buildOutput puts PreToolUse decisions in hookSpecificOutput', () => {
+  for (const decision of ['allow', 'deny', 'ask']) {
+    const { hookSpecificOutput, decision: topLevel } = JSON.parse(
+      hooks.buildOutput('PreToolUse', { decision, reason: 'why' }).stdout
+    );
+    assert(hookSpecificOutput.hookEventName === 'PreToolUse' && hookSpecificOutput.permissionDecision === decision);
+    assert(hookSpecificOutput.permissionDecisionReason === 'why' && topLevel === undefined);
+  }
+});
+
+test('buildOutput gives other events a top-level block decision', () => {
+  const output = JSON.parse(hooks.buildOutput('Stop', { decision: 'block', reason: 'Tests fail' }).stdout);
+  assert(output.decision === 'block' && output.reason === 'Tests fail' && !output.hookSpecificOutput);
+});
+
+test('buildOutput adds context for the events that take it', () => {
+  const output = JSON.parse(hooks.buildOutput('SessionStart', { additionalContext: 'On branch main' }).stdout);
+  assert(output.hookSpecificOutput.hookEventName === 'SessionStart');
+  assert(output.hookSpecificOutput.additionalContext === 'On branch main');
+});
+
+test('buildOutput rejects decisions and context an event does not take', () => {
+  assertThrows(() => hooks.buildOutput('PostToolUse', { decision: 'deny' }), errors.ValidationError);
+  assertThrows(() => hooks.buildOutput('SessionEnd', { decision: 'block' }), errors.ValidationError);
+  assertThrows(() => hooks.buildOutput('Stop', { additionalContext: 'x' }), errors.ValidationError);
+});
+
+test('buildOutput sets continue, stopReason, systemMessage and suppressOutput', () => {
+  const output = JSON.parse(hooks.buildOutput('PostToolUse', {
+    continue: false, stopReason: 'Build broken', systemMessage: 'Heads up', suppressOutput: true
+  }).stdout);
+  assert(output.continue === false && output.stopReason === 'Build broken');
+  assert(output.systemMessage === 'Heads up' && output.suppressOutput === true);
+});
+
+test('buildOutput sends feedback to stderr with exit code 2', () => {
+  const output = hooks.buildOutput('Stop', { feedback: 'Run the tests first', decision: 'block' });
+  assert(output.exitCode === hooks.FEEDBACK_EXIT_CODE && output.stderr === 'Run the tests first' && output.stdout === '');
+});
+
+// ============================================
+// Test: Pipelines
+// ============================================
+console.log('\n\x1b[1mPipelines\x1b[0m');
+
+test('isFinal is true for deny, block, continue false and feedback only', () => {
+  assert(hooks.isFinal({ decision: 'deny' }) && hooks.isFinal({ decision: 'block' }));
+  assert(hooks.isFinal({ continue: false }) && hooks.isFinal({ feedback: 'no' }));
+  assert(!hooks.isFinal(null) && !hooks.isFinal({ decision: 'ask' }) && !hooks.isFinal({ additionalContext: 'x' }));
+});
+
+test('combineResults keeps the strongest decision and joins context and messages', () => {
+  const combined = hooks.combineResults([
+    { decision: 'allow', reason: 'fine', additionalContext: 'first', systemMessage: 'a' },
+    null,
+    { decision: 'ask', reason: 'check', additionalContext: 'second', systemMessage: 'b' }
+  ]);
+  assert(combined.decision === 'ask' && combined.reason === 'check', JSON.stringify(combined));
+  assert(combined.additionalContext === 'first\n\nsecond' && combined.systemMessage === 'a\nb');
+  assert(!combined.suppressOutput);
+});
+
+test('combineResults gives feedback alone, and null for no results', () => {
+  const combined = hooks.combineResults([{ additionalContext: 'x' }, { feedback: 'Fix the tests' }]);
+  assert(combined.feedback === 'Fix the tests' && Object.keys(combined).length === 1);
+  assert(hooks.combineResults([null, undefined]) === null);
+});
+
+test('pipeline stops at the first step that denies and answers once', () => {
+  const result = runHook(['pipeline', 'guard'], {
+    hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'rm -rf /' }
+  });
+  const output = JSON.parse(result.stdout);
+  assert(result.status === 0 && output.hookSpecificOutput.permissionDecision === 'deny', result.stdout);
+  assert(/pipeline guard: check-command \d+ms, stopped by check-command/.test(result.stderr), result.stderr);
+});
+
+test('pipeline skips steps for another event and runs the rest', () => {
+  const result = runHook(['pipeline', 'guard'], {
+    hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'ls' }
+  });
+  assert(result.status === 0 && result.stdout === '', result.stdout);
+  assert(/stop is not a PreToolUse hook action/.test(result.stderr), result.stderr);
+  assert(/check-command \d+ms, snapshot \d+ms$/m.test(result.stderr), result.stderr);
+});
+
+test('pipeline fails for a pipeline not in the settings', () => {
+  const result = runHook(['pipeline', 'missing'], {});
+  assert(result.status === 1 && /Usage: hook-runner.js pipeline/.test(result.stderr), result.stderr);
+});
+
+// ============================================
+// Test: Simulation
+// ============================================
+console.log('\n\x1b[1mSimulation\x1b[0m');
+
+test('buildPayload fills in the common fields and the tool input', () => {
+  const payload = hooks.simulate.buildPayload('PreToolUse', { tool: 'Bash', command: 'ls -la', cwd: PROJECT });
+  assert(payload.hook_event_name === 'PreToolUse' && payload.session_id && payload.transcript_path.endsWith('.jsonl'));
+  assert(payload.cwd === PROJECT && payload.tool_name === 'Bash' && payload.tool_input.command === 'ls -la');
+  assert(payload.tool_response === undefined);
+  assert(hooks.parseInput(JSON.stringify(payload)).toolInput.command === 'ls -la');
+});
+
+test('buildPayload builds file tool inputs and responses from the file on disk', () => {
+  const options = { file: 'app.js', cwd: PROJECT };
+  const edit = hooks.simulate.buildPayload('PostToolUse', { ...options, tool: 'Edit' });
+  assert(edit.tool_input.file_path === path.join(PROJECT, 'app.js') && edit.tool_input.old_string === 'const a = 1;');
+  assert(edit.tool_response.filePath === edit.tool_input.file_path && edit.tool_response.originalFile.startsWith('const'));
+  const multi = hooks.simulate.buildPayload('PostToolUse', { ...options, tool: 'MultiEdit', content: 'let a = 1;' });
+  assert(multi.tool_input.edits[0].new_string === 'let a = 1;' && multi.tool_response.edits.length === 1);
+  const write = hooks.simulate.buildPayload('PostToolUse', { ...options, tool: 'Write' });
+  assert(write.tool_input.content.includes('exports.a') && write.tool_response.type === 'update');
+  const notebook = hooks.simulate.buildPayload('PreToolUse', { file: 'n.ipynb', cwd: PROJECT, tool: 'NotebookEdit' });
+  assert(notebook.tool_input.notebook_path === path.join(PROJECT, 'n.ipynb') && notebook.tool_input.edit_mode === 'replace');
+});
+
+test('buildPayload builds the fields of non-tool events', () => {
+  assert(hooks.simulate.buildPayload('UserPromptSubmit', { prompt: 'hi' }).prompt === 'hi');
+  assert(hooks.simulate.buildPayload('Stop', { stopHookActive: true }).stop_hook_active === true);
+  assert(hooks.simulate.buildPayload('PreCompact').trigger === 'manual');
+  for (const event of Object.keys(hooks.EVENTS)) {
+    const options = event.endsWith('ToolUse') ? { tool: 'Bash', command: 'ls' } : {};
+    assert(hooks.simulate.buildPayload(event, options).hook_event_name === event, event);
+  }
+});
+
+test('buildPayload rejects unknown events and tools, and tools missing what they need', () => {
+  assertThrows(() => hooks.simulate.buildPayload('PreEdit'), errors.ValidationError);
+  assertThrows(() => hooks.simulate.buildPayload('PreToolUse', { tool: 'Grep' }), errors.ValidationError);
+  assertThrows(() => hooks.simulate.buildPayload('PreToolUse', { tool: 'Edit' }), errors.ValidationError);
+  assertThrows(() => hooks.simulate.buildPayload('PreToolUse', { tool: 'Bash' }), errors.ValidationError);
+});
+
+// ============================================
+// Test: Fixtures
+// ============================================
+console.log('\n\x1b[1mFixtures\x1b[0m');
+
+test('summarizeOutput reads the decision of every answer shape', () => {
+  const denied = hooks.fixtures.summarizeOutput(hooks.buildOutput('PreToolUse', { decision: 'deny', reason: 'no' }));
+  assert(denied.decision === 'deny' && denied.reason === 'no' && denied.exitCode === 0 && denied.continue === true);
+  const fed = hooks.fixtures.summarizeOutput(hooks.buildOutput('Stop', { feedback: 'Tests fail' }));
+  assert(fed.exitCode === 2 && fed.reason === 'Tests fail' && fed.decision === null);
+  const stopped = hooks.fixtures.summarizeOutput(hooks.buildOutput('Stop', { continue: false, stopReason: 'Done' }));
+  assert(stopped.continue === false && stopped.stopReason === 'Done');
+});
+
+test('diffDecisions lists the fields that changed', () => {
+  const expected = hooks.fixtures.summarizeOutput(hooks.buildOutput('PreToolUse', { decision: 'deny', reason: 'no' }));
+  const differences = hooks.fixtures.diffDecisions(expected, hooks.fixtures.summarizeOutput(hooks.buildOutput('PreToolUse', null)));
+  assert(differences.map(d => d.field).join() === 'decision,reason', JSON.stringify(differences));
+  assert(hooks.fixtures.diffDecisions(expected, expected).length === 0);
+});
+
+test('replay reports fixtures whose decision still holds, changed or cannot be read', () => {
+  const payload = hooks.simulate.buildPayload('PreToolUse', { tool: 'Bash', command: 'rm -rf /', cwd: PROJECT });
+  const output = hooks.fixtures.runAction('check-command', [], payload);
+  const kept = hooks.fixtures.saveFixture({ action: 'check-command', payload, output, name: 'deny-rm' });
+  hooks.fixtures.saveFixture({
+    action: 'check-command', payload, output: hooks.buildOutput('PreToolUse', null), name: 'allow-rm'
+  });
+  fs.writeFileSync(path.join(hooks.fixtures.getFixturesDir(), 'broken.json'), '{');
+  assert(kept === path.join(PROJECT, '.claude', 'hook-fixtures', 'deny-rm.json'), kept);
+
+  const report = hooks.fixtures.replay();
+  const byName = Object.fromEntries(report.results.map(result => [path.basename(result.file), result]));
+  assert(report.results.length === 3 && report.unchanged === 1 && report.changed === 2, JSON.stringify(report));
+  assert(byName['deny-rm.json'].differences.length === 0);
+  assert(byName['allow-rm.json'].differences[0].field === 'decision' && byName['allow-rm.json'].differences[0].actual === 'deny');
+  assert(/Cannot read hook fixture/.test(byName['broken.json'].error));
+  fs.rmSync(hooks.fixtures.getFixturesDir(), { recursive: true });
+});
+
+test('hook actions record fixtures when hookFixtures.record is on', () => {
+  const result = spawnSync(process.execPath, [HOOK_RUNNER, 'check-command'], {
+    input: JSON.stringify({ hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'rm -rf ~' } }),
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, DEV_STANDARDS_HOOK_FIXTURES: '{"record": true}' }
+  });
+  const [file] = fs.readdirSync(hooks.fixtures.getFixturesDir());
+  const fixture = hooks.fixtures.loadFixture(path.join(hooks.fixtures.getFixturesDir(), file));
+  assert(result.status === 0 && /-check-command-Bash\.json$/.test(file), file);
+  assert(fixture.payload.tool_input.command === 'rm -rf ~' && fixture.expected.decision === 'deny');
+  fs.rmSync(hooks.fixtures.getFixturesDir(), { recursive: true });
+});
+
+test('simulate runs an action on a simulated payload', () => {
+  const result = runHook(['simulate', 'PreToolUse', '--tool', 'Bash', '--command', 'rm -rf /', '--run', 'check-command'], '');
+  assert(result.status === 0 && /Decision: deny \(exit 0\): Potentially destructive/.test(result.stdout), result.stdout);
+});
+
+// ============================================
+// Test: Hook Runner
+// ============================================
+console.log('\n\x1b[1mHook Runner\x1b[0m');
+
+test('check-command denies a dangerous command', () => {
+  const result = runHook('check-command', {
+    hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'rm -rf /' }
+  });
+  const output = JSON.parse(result.stdout);
+  assert(result.status === 0 && output.hookSpecificOutput.permissionDecision === 'deny', result.stdout);
+});
+
+test('check-command reports the rule and the command it matched', () => {
+  const result = runHook('check-command', {
+    hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'cd /srv && sudo bash -c "git reset --hard"' }
+  });
+  const reason = JSON.parse(result.stdout).hookSpecificOutput.permissionDecisionReason;
+  assert(/\(hard-reset: .+\): git reset --hard via sudo, bash -c$/.test(reason), reason);
+});
+
+test('check-command allows a safe command without output', () => {
+  const result = runHook('check-command', {
+    hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'ls -la' }
+  });
+  assert(result.status === 0 && result.stdout === '', result.stdout);
+});
+
+test('hook actions fail open on input that is not JSON', () => {
+  const result = runHook('check-command', 'not json');
+  assert(result.status === 0 && result.stdout === '' && /Ignoring check-command hook input/.test(result.stderr),
+    result.stderr);
+});
+
+test('CLI actions that fail report the error and exit non-zero', () => {
+  const result = runHook(['sarif', 'app.js', '--output', PROJECT], '');
+  assert(result.status === 1 && /sarif failed:/.test(result.stderr) && !/\n\s+at /.test(result.stderr), result.stderr);
+});
+
+test('check rejects a --concurrency that is not a positive integer', () => {
+  for (const value of ['abc', '0', '-2', '1.5']) {
+    const result = runHook(['check', 'app.js', '--checks', 'lint', '--concurrency', value], '');
+    assert(result.status === 1 && /Usage: hook-runner.js check/.test(result.stderr), `${value}: ${result.stderr}`);
+  }
+});
+
+/**
+ * Create a git repository on a branch, with settings of its own, outside
+ * the project the hook runner is started in
+ */
+function setUpOtherRepo(name, branch, values) {
+  const repo = path.join(OTHER_REPOS, name);
+  fs.mkdirSync(path.join(repo, '.claude'), { recursive: true });
+  spawnSync('git', ['init', '-q', '-b', branch], { cwd: repo });
+  fs.writeFileSync(path.join(repo, config.SETTINGS_FILE), JSON.stringify(values));
+  fs.writeFileSync(path.join(repo, 'notes.txt'), 'uncommitted\n');
+  return repo;
+}
+
+test('check-branch and prompt-submit read the branch and settings of the hook cwd', () => {
+  const repo = setUpOtherRepo('trunk-repo', 'trunk', { protectedBranches: ['trunk'] });
+  const edit = runHook('check-branch', {
+    hook_event_name: 'PreToolUse', cwd: repo, tool_name: 'Edit', tool_input: { file_path: 'notes.txt' }
+  });
+  const { permissionDecision, permissionDecisionReason } = JSON.parse(edit.stdout).hookSpecificOutput;
+  assert(permissionDecision === 'deny' && /\(trunk\)/.test(permissionDecisionReason), edit.stdout);
+  const prompt = runHook('prompt-submit', { hook_event_name: 'UserPromptSubmit', cwd: repo, prompt: 'go' });
+  assert(/\(trunk\) is protected/.test(prompt.stdout), prompt.stdout);
+});
+
+test('stop counts the uncommitted files of the hook cwd', () => {
+  const repo = setUpOtherRepo('stop-repo', 'feature', {});
+  const result = runHook('stop', { hook_event_name: 'Stop', cwd: repo });
+  // notes.txt and .claude/
+  assert(result.status === 0 && /\b2 uncommitted file/.test(result.stdout), result.stdout);
+});
+
+test('check-path applies the protectedPaths of the hook cwd', () => {
+  const repo = setUpOtherRepo('paths-repo', 'feature', { protectedPaths: ['notes.txt'] });
+  const result = runHook('check-path', {
+    hook_event_name: 'PreToolUse', cwd: repo, tool_name: 'Edit', tool_input: { file_path: 'notes.txt' }
+  });
+  assert(/Editing protected path blocked/.test(result.stdout), result.stdout);
+});
+
+test('stop does nothing while a stop hook is already active', () => {
+  const result = runHook('stop', { hook_event_name: 'Stop', stop_hook_active: true });
+  assert(result.status === 0 && result.stdout === '', result.stdout);
+});
+
+/**
+ * Write a notebook with a markdown cell and the given code cells
+ */
+function writeNotebook(file, ...sources) {
+  fs.writeFileSync(file, JSON.stringify({
+    cells: [{ cell_type: 'markdown', metadata: {}, source: ['# Notes'] },
+      ...sources.map(source => ({ cell_type: 'code', metadata: {}, execution_count: null, outputs: [], source }))],
+    metadata: { kernelspec: { language: 'python', name: 'python3' } },
+    nbformat: 4,
+    nbformat_minor: 5
+  }, null, 1) + '\n');
+}
+
+test('post-edit checks every file of a multi-file edit and reports each', () => {
+  fs.writeFileSync(path.join(PROJECT, 'good.py'), 'ok = 1\n');
+  fs.writeFileSync(path.join(PROJECT, 'bad.py'), 'z = bad\n');
+  const result = runHook(['post-edit', 'lint'], {
+    hook_event_name: 'PostToolUse',
+    tool_name: 'MultiEdit',
+    tool_input: { file_path: path.join(PROJECT, 'good.py'), edits: [{ file_path: path.join(PROJECT, 'bad.py') }] }
+  });
+  const output = JSON.parse(result.stdout);
+  assert(!output.decision, result.stdout);
+  assert(output.hookSpecificOutput.additionalContext === '[Lint] 2 files checked, 1 failed\n[Lint] good.py: passed\n' +
+    '[Lint] bad.py: failed\n[Lint]   bad.py:1:1: error no bad [no-bad]', result.stdout);
+});
+
+test('post-edit blocks on errors in files where blockOnCheckErrors is on', () => {
+  const strict = path.join(PROJECT, 'strict');
+  fs.mkdirSync(path.join(strict, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(strict, config.SETTINGS_FILE), JSON.stringify({ blockOnCheckErrors: true }));
+  fs.writeFileSync(path.join(strict, 'bad.py'), 'z = bad\n');
+  const result = runHook(['post-edit', 'lint'], {
+    hook_event_name: 'PostToolUse',
+    tool_name: 'Write',
+    tool_input: { file_path: path.join(strict, 'bad.py') }
+  });
+  const output = JSON.parse(result.stdout);
+  assert(output.decision === 'block' && output.reason === '[Lint] strict/bad.py:1:1: error no bad [no-bad]', result.stdout);
+});
+
+test('post-edit resolves relative paths from the payload\'s cwd', () => {
+  const sub = path.join(PROJECT, 'sub');
+  fs.mkdirSync(sub, { recursive: true });
+  fs.writeFileSync(path.join(sub, 'only_here.py'), 'z = bad\n');
+  const result = runHook(['post-edit', 'lint'], {
+    hook_event_name: 'PostToolUse',
+    cwd: sub,
+    tool_name: 'Write',
+    tool_input: { file_path: 'only_here.py' }
+  });
+  assert(/only_here\.py:1:1: error no bad/.test(result.stdout), result.stdout);
+});
+
+test('post-edit lints a notebook\'s code cells, reporting the cell and line', () => {
+  const notebook = path.join(PROJECT, 'analysis.ipynb');
+  writeNotebook(notebook, ['%matplotlib inline\n', 'x = 1'], '%%bash\necho bad', 'y = bad');
+  const result = runHook(['post-edit', 'lint'], {
+    hook_event_name: 'PostToolUse',
+    tool_name: 'NotebookEdit',
+    tool_input: { notebook_path: notebook, new_source: 'y = bad', cell_type: 'code', edit_mode: 'replace' }
+  });
+  assert(JSON.parse(result.stdout).hookSpecificOutput.additionalContext ===
+    '[Lint] analysis.ipynb:cell 4:1:1: error no bad [no-bad]', result.stdout);
+  assert(fs.readdirSync(PROJECT).every(name => !name.startsWith('_dev_standards_')), 'extracted source removed');
+});
+
+test('post-edit format writes formatted cells back into the notebook', () => {
+  const notebook = path.join(PROJECT, 'format.ipynb');
+  writeNotebook(notebook, ['%time a=1\n', 'b=2'], 'c = 3');
+  const result = runHook(['post-edit', 'format'], {
+    hook_event_name: 'PostToolUse', tool_name: 'NotebookEdit', tool_input: { notebook_path: notebook }
+  });
+  const cells = JSON.parse(fs.readFileSync(notebook, 'utf8')).cells;
+  assert(result.status === 0 && result.stdout === '', result.stderr);
+  assert(JSON.stringify(cells[1].source) === '["%time a = 1\\n","b = 2"]' && cells[2].source === 'c = 3',
+    JSON.stringify(cells));
+  assert(cells[0].source[0] === '# Notes' && Array.isArray(cells[1].outputs));
+});
+
+fs.rmSync(PROJECT, { recursive: true, force: true });
+fs.rmSync(OTHER_REPOS, { recursive: true, force: true });
+if (ORIGINAL_PROJECT_DIR === undefined) {
+  delete process.env.CLAUDE_PROJECT_DIR;
+} else {
+  process.env.CLAUDE_PROJECT_DIR = ORIGINAL_PROJECT_DIR;
+}
+settings.clearCache();
+
+// ============================================
+// Summary
+// ============================================
+console.log('\n' + '='.repeat(50));
+console.log(`\x1b[1mHook Protocol Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+process.exit(failed > 0 ? 1 : 0);
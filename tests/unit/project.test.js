@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/project module
+ * Tests language detection, workspace discovery and report caching
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// Load modules
+const project = require('../../lib/project');
+const profiles = require('../../lib/settings/profiles');
+
+// Use local tmp directory instead of system temp (per housekeeping standards)
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const ROOT = path.join(LOCAL_TMP, `project-test-${Date.now()}`);
+
+/**
+ * Write files under ROOT from a map of relative path to content
+ */
+function writeFiles(files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const file = path.join(ROOT, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+}
+
+function detect() {
+  return project.detect(ROOT, { persist: false });
+}
+
+writeFiles({
+  'package.json': JSON.stringify({ private: true, workspaces: ['packages/*', '!packages/legacy'] }),
+  'yarn.lock': '',
+  'packages/ui/package.json': '{}',
+  'packages/ui/index.js': '',
+  'packages/legacy/package.json': '{}',
+  'packages/ui/nested/deep/package.json': '{}',
+  'services/api/pyproject.toml': '[project]\nname = "api"\n',
+  'services/api/app.py': '',
+  'services/api/models.py': '',
+  'services/api/views.py': '',
+  'services/worker/setup.py': '',
+  'services/worker/main.py': '',
+  'crates/core/Cargo.toml': '[package]\nname = "core-lib"\nversion = "0.1.0"\n',
+  'crates/core/src/lib.rs': '',
+  'tools/gen/go.mod': 'module example.com/gen\n\ngo 1.22\n',
+  'tools/gen/main.go': '',
+  'node_modules/dep/package.json': '{}',
+  'node_modules/dep/index.js': ''
+});
+
+// ============================================
+// Test: Languages
+// ============================================
+console.log('\n\x1b[1mLanguages\x1b[0m');
+
+test('detect reports every language with a marker or source files', () => {
+  const names = detect().languages.map(l => l.language);
+  for (const name of ['javascript', 'python', 'rust', 'go']) {
+    assert(names.includes(name), `should detect ${name}, got ${names.join(', ')}`);
+  }
+  assert(!names.includes('java'), 'should not report absent languages');
+});
+
+test('root marker outscores subdirectory markers', () => {
+  const [first] = detect().languages;
+  assert(first.language === 'javascript' && first.confidence >= 0.6, JSON.stringify(first));
+});
+
+test('confidence combines markers with the share of source files', () => {
+  const python = detect().languages.find(l => l.language === 'python');
+  assert(python.files === 5, `got ${python.files} files`);
+  assert(python.confidence > 0.3 && python.confidence < 0.6, `got ${python.confidence}`);
+  assert(python.markers.includes('services/api/pyproject.toml'));
+});
+
+test('ignored directories are not scanned', () => {
+  const javascript = detect().languages.find(l => l.language === 'javascript');
+  assert(javascript.files === 1, `got ${javascript.files} files`);
+  assert(!javascript.markers.some(m => m.startsWith('node_modules/')));
+});
+
+test('scan stops at the file limit and flags truncation', () => {
+  const config = require('../../lib/core/config');
+  const original = config.DETECTION_LIMITS.maxFiles;
+  config.DETECTION_LIMITS.maxFiles = 3;
+  try {
+    const scan = project.scanProject(ROOT);
+    assert(scan.truncated && scan.scannedFiles === 3);
+  } finally {
+    config.DETECTION_LIMITS.maxFiles = original;
+  }
+});
+
+// ============================================
+// Test: Subprojects
+// ============================================
+console.log('\n\x1b[1mSubprojects\x1b[0m');
+
+test('yarn workspaces honour negated patterns and match one level', () => {
+  const [workspace] = detect().workspaces;
+  assert(workspace.manager === 'yarn');
+  assert(workspace.packages.join(',') === 'packages/ui', `got ${workspace.packages.join(',')}`);
+});
+
+test('pnpm-workspace.yaml takes precedence', () => {
+  const scan = project.scanProject(ROOT);
+  writeFiles({ 'pnpm-workspace.yaml': "packages:\n  - 'packages/**'\n  - '!packages/legacy'\n" });
+  try {
+    const [workspace] = project.findWorkspaces(ROOT, scan);
+    assert(workspace.manager === 'pnpm');
+    assert(workspace.packages.join(',') === 'packages/ui,packages/ui/nested/deep', `got ${workspace.packages.join(',')}`);
+  } finally {
+    fs.rmSync(path.join(ROOT, 'pnpm-workspace.yaml'));
+  }
+});
+
+test('Python subprojects are found by pyproject.toml or setup.py', () => {
+  assert(detect().pythonProjects.join(',') === 'services/api,services/worker');
+});
+
+test('Cargo crates and Go modules are named from their manifests', () => {
+  const modules = detect().modules;
+  assert(modules.some(m => m.type === 'cargo' && m.path === 'crates/core' && m.name === 'core-lib'));
+  assert(modules.some(m => m.type === 'go' && m.path === 'tools/gen' && m.name === 'example.com/gen'));
+});
+
+test('describe summarizes the report for session context', () => {
+  const lines = project.describe(detect());
+  assert(lines[0].startsWith('Languages: javascript ('), lines[0]);
+  assert(lines.includes('yarn workspaces: packages/ui'));
+  assert(lines.includes('Go modules: example.com/gen'));
+});
+
+// ============================================
+// Test: Caching
+// ============================================
+console.log('\n\x1b[1mCaching\x1b[0m');
+
+test('report is reused while markers are unchanged', () => {
+  project.clearCache();
+  assert(detect() === detect(), 'second call should return the cached report');
+});
+
+test('editing a marker file invalidates the report', () => {
+  const before = detect();
+  const manifest = path.join(ROOT, 'tools/gen/go.mod');
+  fs.writeFileSync(manifest, 'module example.com/generator\n');
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(manifest, future, future);
+
+  const after = detect();
+  assert(after !== before, 'should rescan');
+  assert(after.modules.some(m => m.name === 'example.com/generator'));
+});
+
+test('adding a marker file invalidates the report', () => {
+  const before = detect();
+  writeFiles({ 'tsconfig.json': '{}' });
+  const future = new Date(Date.now() + 10000);
+  fs.utimesSync(ROOT, future, future);
+
+  const after = detect();
+  assert(after !== before, 'should rescan');
+  assert(after.languages.some(l => l.language === 'typescript'));
+});
+
+test('getCacheFile is stable per root', () => {
+  assert(project.getCacheFile(ROOT) === project.getCacheFile(ROOT + '/'));
+  assert(project.getCacheFile(ROOT) !== project.getCacheFile(LOCAL_TMP));
+});
+
+// ============================================
+// Test: Profiles
+// ============================================
+console.log('\n\x1b[1mProfile Selection\x1b[0m');
+
+test('detectProfiles selects languages detected with enough confidence', () => {
+  const pyRoot = path.join(ROOT, 'services');
+  const names = profiles.detectProfiles(pyRoot).map(p => p.name);
+  assert(names.includes('python'), `got ${names.join(', ')}`);
+  assert(!names.includes('javascript'));
+});
+
+fs.rmSync(ROOT, { recursive: true, force: true });
+project.clearCache();
+
+// ============================================
+// Summary
+// ============================================
+console.log('\n' + '='.repeat(50));
+console.log(`\x1b[1mProject Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+process.exit(failed > 0 ? 1 : 0);
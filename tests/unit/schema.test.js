@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/schema module
+ * Tests JSON Schema keywords, error paths and the bundled schemas
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// Load modules
+const schema = require('../../lib/schema');
+const config = require('../../lib/core/config');
+const { ValidationError } = require('../../lib/errors');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// ============================================
+// Test: Keywords
+// ============================================
+console.log('\n\x1b[1mKeywords\x1b[0m');
+
+test('type, enum and const', () => {
+  assert(schema.validate({ type: 'integer' }, 3).valid);
+  assert(!schema.validate({ type: 'integer' }, 3.5).valid);
+  assert(schema.validate({ type: ['string', 'null'] }, null).valid);
+  assert(!schema.validate({ enum: ['a', 'b'] }, 'c').valid);
+  assert(schema.validate({ const: { a: [1] } }, { a: [1] }).valid, 'const compares deeply');
+});
+
+test('string, number and array constraints', () => {
+  assert(!schema.validate({ type: 'string', minLength: 2 }, 'a').valid);
+  assert(!schema.validate({ type: 'string', pattern: '^\\d+$' }, '1a').valid);
+  assert(!schema.validate({ type: 'number', exclusiveMaximum: 5 }, 5).valid);
+  assert(!schema.validate({ type: 'array', uniqueItems: true }, [1, 1]).valid);
+  assert(!schema.validate({ type: 'array', items: { type: 'string' } }, ['a', 2]).valid);
+});
+
+test('object required and additionalProperties', () => {
+  const s = {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string' } },
+    additionalProperties: false
+  };
+  assert(schema.validate(s, { name: 'x' }).valid);
+  const result = schema.validate(s, { name: 'x', extra: 1 });
+  assert(!result.valid && result.errors[0].keyword === 'additionalProperties');
+});
+
+test('oneOf rejects values matching several branches', () => {
+  const s = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+  assert(schema.validate(s, 1.5).valid);
+  assert(!schema.validate(s, 1).valid);
+});
+
+test('if/then applies only when the condition matches', () => {
+  const s = {
+    if: { properties: { type: { const: 'command' } } },
+    then: { required: ['command'] }
+  };
+  assert(!schema.validate(s, { type: 'command' }).valid);
+  assert(schema.validate(s, { type: 'prompt' }).valid);
+});
+
+test('date-time format', () => {
+  const s = { type: 'string', format: 'date-time' };
+  assert(schema.validate(s, '2024-01-31T12:00:00Z').valid);
+  assert(!schema.validate(s, '2024-01-31 noon').valid);
+});
+
+// ============================================
+// Test: References and Paths
+// ============================================
+console.log('\n\x1b[1mReferences and Paths\x1b[0m');
+
+test('errors carry JSON-pointer instance paths', () => {
+  const s = {
+    type: 'object',
+    properties: { 'a/b': { type: 'array', items: { type: 'string' } } }
+  };
+  const result = schema.validate(s, { 'a/b': ['ok', 1] });
+  assert(result.errors[0].path === '/a~1b/1', `got ${result.errors[0].path}`);
+});
+
+test('local $ref resolves against the root schema', () => {
+  const s = {
+    definitions: { name: { type: 'string', minLength: 1 } },
+    type: 'object',
+    properties: { name: { $ref: '#/definitions/name' } }
+  };
+  assert(schema.validate(s, { name: 'x' }).valid);
+  assert(!schema.validate(s, { name: '' }).valid);
+});
+
+test('external $ref throws ValidationError', () => {
+  let threw = false;
+  try {
+    schema.validate({ $ref: 'other.json#/x' }, 1);
+  } catch (e) {
+    threw = e instanceof ValidationError;
+  }
+  assert(threw, 'should throw ValidationError');
+});
+
+test('assertValid throws with the error list attached', () => {
+  let threw = null;
+  try {
+    schema.assertValid({ type: 'string' }, 1, 'name');
+  } catch (e) {
+    threw = e;
+  }
+  assert(threw instanceof ValidationError && threw.errors.length === 1);
+});
+
+// ============================================
+// Test: Bundled Schemas
+// ============================================
+console.log('\n\x1b[1mBundled Schemas\x1b[0m');
+
+test('config/defaults.json matches config.schema.json', () => {
+  const defaults = JSON.parse(fs.readFileSync(config.DEFAULTS_FILE, 'utf8'));
+  const result = schema.validateAgainst(config.CONFIG_SCHEMA_FILE, defaults);
+  assert(result.valid, schema.formatErrors(result.errors).join('; '));
+});
+
+test('every language profile matches profile.schema.json', () => {
+  for (const file of fs.readdirSync(config.PROFILES_DIR).filter(f => f.endsWith('.json'))) {
+    const profile = JSON.parse(fs.readFileSync(path.join(config.PROFILES_DIR, file), 'utf8'));
+    const result = schema.validateAgainst(config.PROFILE_SCHEMA_FILE, profile);
+    assert(result.valid, `${file}: ${schema.formatErrors(result.errors).join('; ')}`);
+  }
+});
+
+test('hooks/hooks.json matches hooks.schema.json', () => {
+  const hooks = JSON.parse(fs.readFileSync(path.join(ROOT, 'hooks', 'hooks.json'), 'utf8'));
+  const result = schema.validateAgainst('hooks', hooks);
+  assert(result.valid, schema.formatErrors(result.errors).join('; '));
+});
+
+// ============================================
+// Summary
+// ============================================
+console.log('\n' + '='.repeat(50));
+console.log(`\x1b[1mSchema Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+process.exit(failed > 0 ? 1 : 0);
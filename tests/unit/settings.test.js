@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/settings module
+ * Tests layered settings loading, merging, env overrides and validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// Load modules
+const settings = require('../../lib/settings');
+const config = require('../../lib/core/config');
+const { ConfigError } = require('../../lib/errors');
+
+// Use local tmp directory instead of system temp (per housekeeping standards)
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const PROJECT = path.join(LOCAL_TMP, `settings-test-${Date.now()}`);
+const NO_USER_FILE = path.join(PROJECT, 'no-user-settings.json');
+
+function writeProjectSettings(data) {
+  const file = path.join(PROJECT, config.SETTINGS_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  settings.clearCache();
+}
+
+function load(options = {}) {
+  return settings.loadSettings({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {}, ...options });
+}
+
+fs.mkdirSync(PROJECT, { recursive: true });
+
+// ============================================
+// Test: Plugin Defaults
+// ============================================
+console.log('\n\x1b[1mPlugin Defaults\x1b[0m');
+
+test('defaults.json protects main, master and production', () => {
+  const defaults = settings.readSettingsFile(config.DEFAULTS_FILE);
+  assert(
+    JSON.stringify(defaults.protectedBranches) === JSON.stringify(['main', 'master', 'production']),
+    JSON.stringify(defaults.protectedBranches)
+  );
+  assert(defaults.protectedBranches.every(branch => config.PROTECTED_BRANCHES.includes(branch)),
+    'should be conventional protected branch names');
+});
+
+test('defaults.json mirrors FORMATTERS, TYPE_CHECKERS and LINTERS', () => {
+  const defaults = settings.readSettingsFile(config.DEFAULTS_FILE);
+  for (const [ext, cmd] of Object.entries(config.FORMATTERS)) {
+    assert(defaults.formatters[ext] === cmd, `formatters.${ext} should match`);
+  }
+  for (const [ext, checker] of Object.entries(config.TYPE_CHECKERS)) {
+    assert(defaults.typeCheckers[ext] === checker.cmd, `typeCheckers.${ext} should match`);
+  }
+  for (const [ext, linter] of Object.entries(config.LINTERS)) {
+    assert(defaults.linters[ext] === linter.cmd, `linters.${ext} should match`);
+  }
+});
+
+test('loadSettings without overrides returns plugin defaults', () => {
+  const result = load();
+  assert(result.protectedBranches.includes('production'), 'should include production');
+  assert(!result.protectedBranches.includes('develop'), 'develop needs the project to opt in');
+  assert(result.linters.py === 'ruff check', 'should keep default py linter');
+  assert(result.formatters.py === undefined, 'formatters need the project to opt in');
+  assert(result.$schema === undefined, 'should strip $schema');
+});
+
+test('loadLayers lists only the defaults layer when nothing overrides', () => {
+  const layers = settings.loadLayers({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {} });
+  assert(layers.length === 1, `expected 1 layer, got ${layers.length}`);
+  assert(layers[0].name === 'defaults');
+});
+
+// ============================================
+// Test: Layer Precedence
+// ============================================
+console.log('\n\x1b[1mLayer Precedence\x1b[0m');
+
+test('project file replaces arrays and merges objects', () => {
+  writeProjectSettings({ protectedBranches: ['trunk'], formatters: { py: 'black' } });
+  fs.writeFileSync(path.join(PROJECT, '.prettierrc'), '{}');
+  const result = load();
+  fs.unlinkSync(path.join(PROJECT, '.prettierrc'));
+  assert(result.protectedBranches.length === 1 && result.protectedBranches[0] === 'trunk');
+  assert(result.formatters.py === 'black', 'py formatter should be overridden');
+  assert(result.formatters.ts === 'prettier --write', 'ts formatter should be kept');
+});
+
+test('project file wins over user file', () => {
+  const userFile = path.join(PROJECT, 'user-settings.json');
+  fs.writeFileSync(userFile, JSON.stringify({ protectedBranches: ['user-branch'], formatters: { go: 'goimports -w' } }));
+  const result = load({ userFile });
+  assert(result.protectedBranches[0] === 'trunk', 'project value should win');
+  assert(result.formatters.go === 'goimports -w', 'user value should apply where project is silent');
+});
+
+test('env vars win over files', () => {
+  const result = load({
+    env: {
+      DEV_STANDARDS_PROTECTED_BRANCHES: 'main, trunk',
+      DEV_STANDARDS_FORMATTERS__PY: 'ruff format --preview'
+    }
+  });
+  assert(result.protectedBranches.length === 2 && result.protectedBranches[1] === 'trunk');
+  assert(result.formatters.py === 'ruff format --preview');
+});
+
+test('readEnvSettings parses JSON values', () => {
+  const layer = settings.readEnvSettings({ DEV_STANDARDS_LINTERS: '{"py":"flake8"}' });
+  assert(layer.linters.py === 'flake8');
+});
+
+test('readEnvSettings ignores unrelated variables', () => {
+  const layer = settings.readEnvSettings({ PATH: '/usr/bin', DEBUG: 'true' });
+  assert(Object.keys(layer).length === 0);
+});
+
+test('mergeSettings does not mutate its inputs', () => {
+  const base = { formatters: { py: 'ruff format' } };
+  settings.mergeSettings(base, { formatters: { py: 'black' } });
+  assert(base.formatters.py === 'ruff format');
+});
+
+// ============================================
+// Test: Validation
+// ============================================
+console.log('\n\x1b[1mValidation\x1b[0m');
+
+test('unknown settings key throws ConfigError', () => {
+  writeProjectSettings({ protectedBrances: ['main'] });
+  let threw = null;
+  try {
+    load();
+  } catch (e) {
+    threw = e;
+  }
+  assert(threw instanceof ConfigError, 'should throw ConfigError');
+  assert(threw.message.includes('protectedBrances'), 'should name the bad key');
+});
+
+test('malformed JSON throws ConfigError', () => {
+  writeProjectSettings('{ not json');
+  let threw = false;
+  try {
+    load();
+  } catch (e) {
+    threw = e instanceof ConfigError;
+  }
+  assert(threw, 'should throw ConfigError');
+});
+
+test('pipelines with no steps or an unknown action throw ConfigError', () => {
+  for (const pipelines of [{ empty: [] }, { typo: [{ action: 'check-brnach' }] }]) {
+    writeProjectSettings({ pipelines });
+    let threw = null;
+    try {
+      load();
+    } catch (e) {
+      threw = e;
+    }
+    assert(threw instanceof ConfigError, `should reject ${JSON.stringify(pipelines)}`);
+    assert(threw.message.includes(`pipelines/${Object.keys(pipelines)[0]}`), threw.message);
+  }
+});
+
+test('invalid dangerous pattern regex is reported', () => {
+  const result = settings.validateSettings({
+    ...load({ projectDir: LOCAL_TMP }),
+    dangerousPatterns: { unix: ['rm -rf ('] }
+  });
+  assert(!result.valid, 'should be invalid');
+});
+
+test('getSettings falls back to defaults on invalid settings', () => {
+  writeProjectSettings({ protectedBranches: [] });
+  const result = settings.getSettings({ projectDir: PROJECT });
+  assert(result.protectedBranches.includes('main'), 'should fall back to defaults');
+});
+
+test('getDangerousPatterns compiles every pattern group', () => {
+  writeProjectSettings({ dangerousPatterns: { unix: ['^terraform destroy'], crossPlatform: ['drop\\s+user'] } });
+  const patterns = settings.getDangerousPatterns({ projectDir: PROJECT });
+  assert(patterns.length === 2 && patterns.every(p => p instanceof RegExp));
+  assert(patterns.some(p => p.test('DROP USER admin')), 'cross-platform patterns are case-insensitive');
+  fs.rmSync(path.join(PROJECT, config.SETTINGS_FILE));
+  settings.clearCache();
+  assert(settings.getDangerousPatterns({ projectDir: PROJECT }).length === 0, 'built-in rules need no patterns');
+});
+
+// ============================================
+// Test: Language Profiles
+// ============================================
+console.log('\n\x1b[1mLanguage Profiles\x1b[0m');
+
+test('loadProfiles reads every profile in config/profiles', () => {
+  const names = settings.profiles.loadProfiles().map(p => p.name);
+  for (const name of ['go', 'javascript', 'python', 'rust', 'typescript']) {
+    assert(names.includes(name), `should load ${name}`);
+  }
+});
+
+test('detectProfiles matches marker files in the project root', () => {
+  fs.writeFileSync(path.join(PROJECT, 'pyproject.toml'), '');
+  const names = settings.profiles.detectProfiles(PROJECT).map(p => p.name);
+  assert(names.length === 1 && names[0] === 'python', `got ${names.join(', ')}`);
+});
+
+test('profile layer sits between defaults and project settings', () => {
+  writeProjectSettings({ linters: { py: 'flake8' } });
+  const layers = settings.loadLayers({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {} });
+  assert(layers.map(l => l.name).join(',') === 'defaults,profile,project');
+  assert(layers[1].profile === 'python');
+
+  const result = load();
+  assert(result.typeCheckers.py.command === 'mypy {file} --strict', 'profile type checker should apply');
+  assert(result.linters.py === 'flake8', 'project setting should win over profile');
+});
+
+test('narrower profile overrides broader one for shared extensions', () => {
+  fs.writeFileSync(path.join(PROJECT, 'package.json'), '{}');
+  fs.writeFileSync(path.join(PROJECT, 'tsconfig.json'), '{}');
+  const result = load();
+  assert(result.typeCheckers.ts.command === 'tsc --noEmit', 'typescript should win for .ts');
+  assert(result.linters.js.command === 'eslint {file}', 'javascript profile linter should apply');
+});
+
+test('profileToSettings keeps tool args', () => {
+  const layer = settings.profiles.profileToSettings({
+    tools: { linter: { command: 'eslint {file}', extensions: ['.js'], args: ['--cache'] } }
+  });
+  assert(layer.linters.js.args[0] === '--cache', 'profile args should be kept');
+});
+
+test('profileToSettings maps every claimed extension', () => {
+  const go = settings.profiles.loadProfiles().find(p => p.name === 'go');
+  const layer = settings.profiles.profileToSettings(go.profile);
+  assert(layer.formatters.go.command === 'gofmt -w {file}');
+  assert(layer.typeCheckers === undefined, 'go profile has no type checker');
+});
+
+test('validateSettings rejects malformed tool specs', () => {
+  const base = load({ projectDir: LOCAL_TMP });
+  assert(!settings.validateSettings({ ...base, linters: { py: { args: ['x'] } } }).valid);
+  assert(!settings.validateSettings({ ...base, linters: { py: { command: 'x', args: 'y' } } }).valid);
+  assert(settings.validateSettings({ ...base, linters: { py: { command: 'x {file}' } } }).valid);
+});
+
+// ============================================
+// Test: Explain
+// ============================================
+console.log('\n\x1b[1mExplain\x1b[0m');
+
+function explainEntry(explanation, dotted) {
+  return explanation.entries.find(e => e.path.join('.') === dotted);
+}
+
+test('explain tags values with the layer that set them', () => {
+  writeProjectSettings({ protectedBranches: ['trunk'] });
+  const explanation = settings.explain({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {} });
+  const branches = explainEntry(explanation, 'protectedBranches');
+  assert(branches.layer === 'project' && branches.source.endsWith(config.SETTINGS_FILE));
+  assert(branches.overrides[0].layer === 'defaults', 'should list the overridden default');
+  assert(explainEntry(explanation, 'typeCheckers.py.command').source === 'profile python');
+});
+
+test('explain names the env var behind an override', () => {
+  const explanation = settings.explain({
+    projectDir: PROJECT,
+    userFile: NO_USER_FILE,
+    env: { DEV_STANDARDS_TYPE_CHECKERS__PY: 'pyright', DEV_STANDARDS_LINTERS: '{"go":"golint"}' }
+  });
+  const py = explainEntry(explanation, 'typeCheckers.py');
+  assert(py.source === 'env DEV_STANDARDS_TYPE_CHECKERS__PY', `got ${py.source}`);
+  assert(py.overrides.map(o => o.layer).join(',') === 'profile,defaults', 'should list the override chain');
+  assert(explainEntry(explanation, 'linters.go').source === 'env DEV_STANDARDS_LINTERS');
+});
+
+test('explain reports invalid settings instead of throwing', () => {
+  writeProjectSettings({ protectedBranches: [] });
+  const explanation = settings.explain({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {} });
+  assert(!explanation.valid && explanation.errors.length > 0);
+  assert(settings.formatExplanation(explanation).includes('Invalid settings'));
+});
+
+test('explain leaves the loaded layers untouched', () => {
+  const layers = settings.loadLayers({ projectDir: PROJECT, userFile: NO_USER_FILE, env: {} });
+  const before = JSON.stringify(layers);
+  require('../../lib/settings/explain').explainLayers(layers);
+  assert(JSON.stringify(layers) === before);
+});
+
+// ============================================
+// Test: Directory Scopes
+// ============================================
+console.log('\n\x1b[1mDirectory Scopes\x1b[0m');
+
+const MONOREPO = path.join(LOCAL_TMP, `settings-monorepo-${Date.now()}`);
+const API_DIR = path.join(MONOREPO, 'services', 'api');
+const API_FILE = path.join(API_DIR, 'app', 'main.py');
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+writeJson(path.join(MONOREPO, config.SETTINGS_FILE), { protectedPaths: ['/vendor/**'], linters: { go: 'golint' } });
+writeJson(path.join(API_DIR, config.SETTINGS_FILE), { disabledChecks: ['typecheck'] });
+writeJson(path.join(API_DIR, 'app', config.SETTINGS_FILE), { naming: { files: 'snake_case' } });
+fs.writeFileSync(path.join(API_DIR, 'pyproject.toml'), '');
+settings.clearCache();
+
+function loadScoped(filePath) {
+  return settings.loadSettings({ projectDir: MONOREPO, filePath, userFile: NO_USER_FILE, env: {} });
+}
+
+test('findPackageRoot returns the nearest marker directory', () => {
+  assert(settings.scope.findPackageRoot(API_FILE, MONOREPO) === API_DIR);
+  assert(settings.scope.findPackageRoot(path.join(MONOREPO, 'README.md'), MONOREPO) === MONOREPO);
+});
+
+test('findScopedSettingsFiles lists subtree files outermost first', () => {
+  const files = settings.scope.findScopedSettingsFiles(API_FILE, MONOREPO);
+  assert(files.length === 2, `expected 2 files, got ${files.length}`);
+  assert(files[0] === path.join(API_DIR, config.SETTINGS_FILE));
+});
+
+test('directory layers stack over the project file', () => {
+  const layers = settings.loadLayers({ projectDir: MONOREPO, filePath: API_FILE, userFile: NO_USER_FILE, env: {} });
+  assert(layers.map(l => l.name).join(',') === 'defaults,profile,project,directory,directory');
+
+  const result = loadScoped(API_FILE);
+  assert(result.disabledChecks[0] === 'typecheck' && result.naming.files === 'snake_case');
+  assert(result.linters.go === 'golint', 'project settings still apply');
+});
+
+test('profiles are detected in the package root', () => {
+  assert(loadScoped(API_FILE).typeCheckers.py.command === 'mypy {file} --strict', 'python profile should apply');
+  const root = loadScoped(path.join(MONOREPO, 'tool.py'));
+  assert(root.typeCheckers.py === 'mypy --ignore-missing-imports', 'no profile at the root');
+});
+
+test('isCheckEnabled honours directory-scoped disabledChecks', () => {
+  const scoped = { projectDir: MONOREPO, filePath: API_FILE };
+  assert(!settings.isCheckEnabled('typecheck', scoped));
+  assert(settings.isCheckEnabled('lint', scoped));
+  assert(settings.isCheckEnabled('typecheck', { projectDir: MONOREPO }));
+});
+
+// ============================================
+// Test: Project Tools
+// ============================================
+console.log('\n\x1b[1mProject Tools\x1b[0m');
+
+const TOOLED = path.join(LOCAL_TMP, `settings-tools-${Date.now()}`);
+const WEB_DIR = path.join(TOOLED, 'packages', 'web');
+
+function loadTooled(filePath) {
+  return settings.loadSettings({ projectDir: TOOLED, filePath, userFile: NO_USER_FILE, env: {} });
+}
+
+writeJson(path.join(TOOLED, 'biome.json'), {});
+writeJson(path.join(WEB_DIR, 'package.json'), { devDependencies: { eslint: '^9.0.0' } });
+fs.writeFileSync(path.join(TOOLED, 'pyproject.toml'), '[project]\nname = "x"\n\n[tool.black]\nline-length = 100\n');
+fs.writeFileSync(path.join(TOOLED, 'setup.cfg'), '[flake8]\nmax-line-length = 100\n');
+fs.writeFileSync(path.join(TOOLED, 'pyrightconfig.json'), '{}');
+settings.clearCache();
+
+test('detectTools finds config files, package.json and pyproject.toml opt-ins', () => {
+  const tools = require('../../lib/tools/adapters').detectTools([WEB_DIR, TOOLED]);
+  assert(tools.map(t => t.name).join(',') === 'eslint,biome,black,flake8,pyright', tools.map(t => t.name).join(','));
+  assert(tools[0].evidence === `${path.join(WEB_DIR, 'package.json')} (devDependencies)`);
+  assert(tools[2].evidence === `${path.join(TOOLED, 'pyproject.toml')} ([tool.black])`);
+});
+
+test('the project\'s own tools replace the built-in ones', () => {
+  const py = loadTooled(path.join(TOOLED, 'a.py'));
+  assert(py.formatters.py === 'black --quiet' && py.linters.py === 'flake8' && py.typeCheckers.py === 'pyright');
+
+  const web = loadTooled(path.join(WEB_DIR, 'a.ts'));
+  assert(web.formatters.ts === 'biome format --write', 'biome formats, not prettier');
+  assert(web.linters.ts === 'eslint', 'the nearer eslint wins over the root biome');
+});
+
+test('built-in formatters only run when the project opted in', () => {
+  fs.unlinkSync(path.join(TOOLED, 'biome.json'));
+  settings.clearCache();
+  assert(loadTooled(path.join(WEB_DIR, 'a.ts')).formatters.ts === undefined, 'no prettier without opting in');
+
+  fs.writeFileSync(path.join(WEB_DIR, 'requirements-dev.txt'), 'ruff==0.4.0\n');
+  writeJson(path.join(WEB_DIR, 'package.json'), { prettier: {} });
+  settings.clearCache();
+  const web = loadTooled(path.join(WEB_DIR, 'a.ts'));
+  assert(web.formatters.ts === 'prettier --write' && web.formatters.py === 'ruff format');
+});
+
+test('explain names the file that opted a tool in', () => {
+  const explanation = settings.explain({ projectDir: TOOLED, filePath: path.join(TOOLED, 'a.py'), userFile: NO_USER_FILE, env: {} });
+  const entry = explainEntry(explanation, 'typeCheckers.py');
+  assert(entry.source === `detected pyright (${path.join(TOOLED, 'pyrightconfig.json')})`, entry.source);
+  assert(settings.formatExplanation(explanation).includes('  tool (black): '));
+});
+
+test('tools for files without an extension are keyed by file name', () => {
+  fs.writeFileSync(path.join(TOOLED, '.hadolint.yaml'), 'ignored: []\n');
+  settings.clearCache();
+  const docker = loadTooled(path.join(TOOLED, 'Dockerfile'));
+  assert(docker.linters.Dockerfile === 'hadolint' && docker.linters.dockerfile === 'hadolint');
+});
+
+fs.rmSync(TOOLED, { recursive: true, force: true });
+fs.rmSync(MONOREPO, { recursive: true, force: true });
+fs.rmSync(PROJECT, { recursive: true, force: true });
+settings.clearCache();
+
+// ============================================
+// Summary
+// ============================================
+console.log('\n' + '='.repeat(50));
+console.log(`\x1b[1mSettings Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,1297 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for lib/tools module
+ * Tests command building and settings-driven tool dispatch
+ */
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const asyncTests = [];
+
+/**
+ * Queue an async test; queued tests run in order before the summary
+ */
+function testAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const fs = require('fs');
+const path = require('path');
+
+// Load modules
+const tools = require('../../lib/tools');
+const settings = require('../../lib/settings');
+const { exec, config } = require('../../lib/core');
+
+const sarif = require('../../lib/tools/sarif');
+
+const { diagnostics } = tools;
+
+/**
+ * Fake eslint printing JSON results: each `var` is a fixable no-var error
+ * (made `const` with --fix), each `debugger` a no-debugger error
+ * @type {string}
+ */
+const FAKE_ESLINT =
+  "const fs = require('fs');\n" +
+  "const file = process.argv.find(a => a.endsWith('.js'));\n" +
+  "let text = fs.readFileSync(file, 'utf8');\n" +
+  "if (process.argv.includes('--fix')) { text = text.replace(/^var /gm, 'const '); fs.writeFileSync(file, text); }\n" +
+  'const messages = [];\n' +
+  "text.split('\\n').forEach((line, i) => {\n" +
+  "  if (line.startsWith('var ')) messages.push({ ruleId: 'no-var', severity: 2, message: 'Unexpected var.', line: i + 1, column: 1, fix: {} });\n" +
+  "  if (line.startsWith('debugger')) messages.push({ ruleId: 'no-debugger', severity: 2, message: 'Unexpected debugger.', line: i + 1, column: 1 });\n" +
+  '});\n' +
+  'console.log(JSON.stringify([{ filePath: file, messages }]));\n' +
+  'process.exit(messages.length ? 1 : 0);\n';
+
+/**
+ * Set up a test project from scratch and make it the current project
+ *
+ * @param {string} dir - Project root
+ * @param {Object} [options={}] - Options
+ * @param {Object<string, string>} [options.files] - Contents by path below the root;
+ *   fake tools go in bin/ (see binCommand)
+ * @param {Object} [options.settings] - Project settings
+ * @param {string[]} [options.commit] - Files to commit in a new git repository
+ */
+function setUpProject(dir, options = {}) {
+  const { files = {}, settings: projectSettings = {}, commit = null } = options;
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const [name, content] of Object.entries({ ...files, [config.SETTINGS_FILE]: JSON.stringify(projectSettings) })) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  if (commit) {
+    const git = 'git -c user.name=test -c user.email=test@example.com -c commit.gpgsign=false';
+    exec.exec(`git init -q && ${git} add ${commit.join(' ')} && ${git} commit -q -m init`, { cwd: dir });
+  }
+  process.env.CLAUDE_PROJECT_DIR = dir;
+  settings.clearCache();
+}
+
+/**
+ * Get the command running a fake tool of a test project
+ *
+ * The path is not quoted, so the tool is recognized by its name (bin/eslint
+ * as eslint).
+ *
+ * @param {string} dir - Project root
+ * @param {string} name - Script name in bin/
+ * @returns {string}
+ */
+function binCommand(dir, name) {
+  return `node ${path.join(dir, 'bin', name)}`;
+}
+
+/**
+ * Read and reset the runs a test project's fake tools logged to bin/runs.log
+ *
+ * @param {string} dir - Project root
+ * @returns {string[]} One line per run
+ */
+function loggedRuns(dir) {
+  const log = path.join(dir, 'bin', 'runs.log');
+  const runs = fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [];
+  fs.rmSync(log, { force: true });
+  return runs;
+}
+
+// ============================================
+// Test: Command Building
+// ============================================
+console.log('\n\x1b[1mCommand Building\x1b[0m');
+
+const FILE = 'src/my file.ts';
+const ESCAPED = exec.escapeFilePath(FILE);
+
+test('plain command gets the file path appended', () => {
+  assert(tools.buildToolCommand('npx prettier --write', FILE) === `npx prettier --write ${ESCAPED}`);
+});
+
+test('tool spec replaces {file} placeholder', () => {
+  const cmd = tools.buildToolCommand({ command: 'mypy {file} --strict' }, FILE);
+  assert(cmd === `mypy ${ESCAPED} --strict`, cmd);
+});
+
+test('tool spec appends args after the command', () => {
+  const cmd = tools.buildToolCommand({ command: 'eslint {file}', args: ['--fix'] }, FILE);
+  assert(cmd === `eslint ${ESCAPED} --fix`, cmd);
+});
+
+test('tool spec without placeholder runs as written', () => {
+  const cmd = tools.buildToolCommand({ command: 'cargo clippy --fix --allow-dirty' }, 'src/main.rs');
+  assert(cmd === 'cargo clippy --fix --allow-dirty', cmd);
+});
+
+test('placeholder is replaced everywhere it appears', () => {
+  const cmd = tools.buildToolCommand({ command: 'tool {file} --out {file}.bak' }, 'a.js');
+  assert(cmd === `tool ${exec.escapeFilePath('a.js')} --out ${exec.escapeFilePath('a.js')}.bak`, cmd);
+});
+
+// ============================================
+// Test: Dispatch
+// ============================================
+console.log('\n\x1b[1mDispatch\x1b[0m');
+
+test('formatFile returns null for unknown extensions', () => {
+  assert(tools.formatFile('notes.unknownext') === null);
+});
+
+test('lintFile rejects path traversal', () => {
+  const result = tools.lintFile('../../etc/passwd.js');
+  assert(result && result.success === false, 'should fail validation');
+});
+
+test('typeCheckFile returns null for extensions without a checker', () => {
+  assert(tools.typeCheckFile('styles.css') === null);
+});
+
+test('getPackageRoot finds the nearest package.json', () => {
+  const root = path.join(__dirname, '..', '..');
+  assert(tools.getPackageRoot(path.join(root, 'lib', 'tools', 'index.js')) === root);
+});
+
+// ============================================
+// Test: Diagnostics
+// ============================================
+console.log('\n\x1b[1mDiagnostics\x1b[0m');
+
+const CWD = path.resolve('/repo');
+
+test('eslint JSON keeps every message with rule, severity and fix', () => {
+  const output = JSON.stringify([{
+    filePath: '/repo/src/a.js',
+    messages: [
+      { ruleId: 'no-unused-vars', severity: 2, message: "'x' is unused.", line: 1, column: 7 },
+      { ruleId: 'semi', severity: 1, message: 'Missing semicolon.', line: 2, column: 10, fix: { range: [0, 0], text: ';' } }
+    ]
+  }]);
+  const found = diagnostics.parseEslint(output, CWD);
+  assert(found.length === 2);
+  assert(found[0].rule === 'no-unused-vars' && found[0].severity === 'error' && !found[0].fixable);
+  assert(found[1].severity === 'warning' && found[1].fixable && found[1].line === 2 && found[1].column === 10);
+});
+
+test('ruff JSON maps location, code and fix', () => {
+  const output = JSON.stringify([{
+    code: 'F401', message: '`os` imported but unused', filename: 'a.py',
+    location: { row: 1, column: 8 }, fix: { applicability: 'safe' }
+  }]);
+  const [found] = diagnostics.parseRuff(output, CWD);
+  assert(found.file === path.join(CWD, 'a.py') && found.rule === 'F401' && found.fixable && found.column === 8);
+});
+
+test('mypy line format attaches notes to the preceding error', () => {
+  const output = [
+    'a.py:3:5: error: Incompatible types in assignment  [assignment]',
+    'a.py:3:5: note: Consider using Optional',
+    'b.py:1: error: Missing return statement  [return]'
+  ].join('\n');
+  const found = diagnostics.parseMypy(output, CWD);
+  assert(found.length === 2);
+  assert(found[0].rule === 'assignment' && found[0].message.includes('Consider using Optional'));
+  assert(found[1].line === 1 && found[1].column === null && found[1].rule === 'return');
+});
+
+test('mypy JSON output uses 1-based columns', () => {
+  const output = JSON.stringify({ file: 'a.py', line: 2, column: 4, message: 'Bad', hint: null, code: 'misc', severity: 'error' });
+  const [found] = diagnostics.parseMypy(output, CWD);
+  assert(found.column === 5 && found.rule === 'misc');
+});
+
+test('tsc output parses code and location', () => {
+  const output = "src/a.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.\n" +
+    "src/b.ts(1,1): error TS2304: Cannot find name 'foo'.";
+  const found = diagnostics.parseTsc(output, CWD);
+  assert(found.length === 2 && found[0].rule === 'TS2322' && found[0].line === 3 && found[0].column === 7);
+  assert(found[1].file === path.join(CWD, 'src/b.ts'));
+});
+
+test('flake8, pyright, biome and standard output parse into diagnostics', () => {
+  const flake8 = diagnostics.parseFlake8('a.py:1:1: F401 \'os\' imported but unused\na.py:3:80: W505 doc line too long', CWD);
+  assert(flake8.length === 2 && flake8[0].rule === 'F401' && flake8[1].severity === 'warning');
+
+  const pyright = diagnostics.parsePyright(JSON.stringify({
+    generalDiagnostics: [{
+      file: '/repo/a.py', severity: 'information', message: 'Unused', rule: 'reportUnusedVariable',
+      range: { start: { line: 0, character: 4 }, end: { line: 0, character: 5 } }
+    }]
+  }), CWD);
+  assert(pyright[0].line === 1 && pyright[0].column === 5 && pyright[0].severity === 'info');
+
+  const [biome] = diagnostics.parseBiome('::error title=lint/suspicious/noDebugger,file=src/a.js,line=3,endLine=3,col=1,endColumn=9::Unexpected debugger%2C remove it.', CWD);
+  assert(biome.rule === 'lint/suspicious/noDebugger' && biome.line === 3 && biome.message === 'Unexpected debugger, remove it.');
+
+  const standard = diagnostics.parseStandard('standard: Use JavaScript Standard Style (https://standardjs.com)\n' +
+    '  /repo/a.js:2:7: \'x\' is assigned a value but never used. (no-unused-vars)', CWD);
+  assert(standard.length === 1 && standard[0].rule === 'no-unused-vars' && standard[0].column === 7);
+  assert(diagnostics.toolName('biome lint') === 'biome' && diagnostics.toolName('biome format --write') === 'biome');
+});
+
+test('withMachineOutput adds output flags unless a format is configured', () => {
+  const eslint = diagnostics.withMachineOutput('npx eslint');
+  assert(eslint.command === 'npx eslint {file}' && eslint.args.join(' ') === '--format json', JSON.stringify(eslint));
+  const ruff = diagnostics.withMachineOutput({ command: 'ruff check --fix {file}' });
+  assert(ruff.args.join(' ') === '--output-format json');
+  assert(diagnostics.withMachineOutput('npx eslint --format compact') === 'npx eslint --format compact');
+  assert(diagnostics.withMachineOutput('golint') === 'golint');
+});
+
+test('unknown tools fall back to file:line:col lines, then the first line', () => {
+  const failed = { success: false, output: 'a.go:4:2: undefined: foo\nb.go:9:1: exported func Bar [golint]' };
+  const found = diagnostics.parseDiagnostics('golint', failed, { filePath: '/repo/a.go', cwd: CWD });
+  assert(found.length === 2 && found[1].rule === 'golint' && found[0].source === 'golint');
+
+  const plain = diagnostics.parseDiagnostics('checker', { success: false, output: 'something broke' },
+    { filePath: '/repo/a.go', cwd: CWD });
+  assert(plain.length === 1 && plain[0].file === '/repo/a.go' && plain[0].message === 'something broke');
+});
+
+test('formatDiagnostic shows location, severity, rule and fixability', () => {
+  const line = diagnostics.formatDiagnostic({
+    file: '/repo/src/a.js', line: 1, column: 7, rule: 'semi', severity: 'warning', message: 'Missing semicolon.', fixable: true
+  }, CWD);
+  assert(line === `${path.join('src', 'a.js')}:1:7: warning Missing semicolon. [semi] (fixable)`, line);
+});
+
+// Use local tmp directory instead of system temp (per housekeeping standards)
+const LOCAL_TMP = path.join(__dirname, '..', '..', 'tmp');
+const PROJECT = path.join(LOCAL_TMP, `tools-test-${Date.now()}`);
+const ORIGINAL_PROJECT_DIR = process.env.CLAUDE_PROJECT_DIR;
+
+test('lintFile and processFile return every diagnostic', () => {
+  const report = "console.log('a.go:1:1: error first [r1]\\na.go:2:1: warning second [r2]'); process.exit(1)";
+  fs.mkdirSync(path.join(PROJECT, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT, config.SETTINGS_FILE), JSON.stringify({
+    linters: { go: { command: `node -e "${report}"` } },
+    disabledChecks: ['format', 'typecheck']
+  }));
+  fs.writeFileSync(path.join(PROJECT, 'a.go'), 'package main\n');
+  process.env.CLAUDE_PROJECT_DIR = PROJECT;
+  settings.clearCache();
+
+  const file = path.join(PROJECT, 'a.go');
+  const lint = tools.lintFile(file);
+  assert(lint.success === false && lint.warning === 'a.go:1:1: error first [r1]', lint.warning);
+  assert(lint.diagnostics.length === 2 && lint.diagnostics[1].severity === 'warning');
+
+  const results = tools.processFile(file);
+  assert(results.diagnostics.length === 2 && !results.typecheck);
+});
+
+// ============================================
+// Test: SARIF
+// ============================================
+console.log('\n\x1b[1mSARIF\x1b[0m');
+
+const SAMPLE = [
+  { file: path.join(CWD, 'src', 'a b.js'), line: 1, column: 7, rule: 'no-unused-vars', severity: 'error',
+    message: 'unused', fixable: false, source: 'eslint', url: 'https://eslint.org/docs/latest/rules/no-unused-vars' },
+  { file: path.join(CWD, 'src', 'a b.js'), line: 2, column: null, rule: 'semi', severity: 'warning',
+    message: 'semi', fixable: true, source: 'eslint' },
+  { file: path.resolve('/elsewhere/x.py'), line: null, column: null, rule: null, severity: 'info',
+    message: 'note', fixable: false, source: 'mypy' }
+];
+
+test('toSarif writes a 2.1.0 log with one run per tool', () => {
+  const log = sarif.toSarif(SAMPLE, { root: CWD, tools: { eslint: { version: '8.57.0' }, tsc: {} } });
+  assert(log.version === '2.1.0' && log.$schema.includes('sarif-2.1.0'));
+  assert(log.runs.map(r => r.tool.driver.name).join(',') === 'eslint,tsc,mypy');
+  const driver = log.runs[0].tool.driver;
+  assert(driver.version === '8.57.0' && driver.informationUri === 'https://eslint.org');
+  assert(driver.rules.map(r => r.id).join(',') === 'no-unused-vars,semi');
+  assert(driver.rules[0].helpUri.endsWith('/no-unused-vars'));
+  assert(log.runs[1].results.length === 0, 'tools without findings still get a run');
+});
+
+test('results carry level, rule index and repo-relative locations', () => {
+  const [run] = sarif.toSarif(SAMPLE, { root: CWD }).runs;
+  const [first, second] = run.results;
+  assert(first.level === 'error' && first.ruleId === 'no-unused-vars' && first.ruleIndex === 0);
+  const location = first.locations[0].physicalLocation;
+  assert(location.artifactLocation.uri === 'src/a%20b.js' && location.artifactLocation.uriBaseId === 'SRCROOT');
+  assert(location.region.startLine === 1 && location.region.startColumn === 7);
+  assert(second.ruleIndex === 1 && second.properties.fixable && !('startColumn' in second.locations[0].physicalLocation.region));
+  assert(run.originalUriBaseIds.SRCROOT.uri.endsWith('/'));
+});
+
+test('files outside the root use absolute URIs and info maps to note', () => {
+  const run = sarif.toSarif(SAMPLE, { root: CWD }).runs[1];
+  const [result] = run.results;
+  assert(result.level === 'note' && !('ruleId' in result) && !result.locations[0].physicalLocation.region);
+  assert(result.locations[0].physicalLocation.artifactLocation.uri.startsWith('file://'));
+});
+
+test('duplicate diagnostics are reported once', () => {
+  const log = sarif.toSarif([SAMPLE[0], { ...SAMPLE[0] }], { root: CWD });
+  assert(log.runs[0].results.length === 1);
+});
+
+test('createReport checks files and records tool versions', () => {
+  const { log, diagnostics: found } = sarif.createReport([path.join(PROJECT, 'a.go')], { root: PROJECT });
+  assert(found.length === 2);
+  const [run] = log.runs;
+  assert(run.tool.driver.name === 'node' && run.tool.driver.version === process.versions.node, JSON.stringify(run.tool.driver));
+  assert(run.results[0].locations[0].physicalLocation.artifactLocation.uri === 'a.go');
+
+  const output = path.join(PROJECT, 'out', 'report.sarif');
+  sarif.writeSarif(output, log);
+  assert(JSON.parse(fs.readFileSync(output, 'utf8')).runs.length === 1);
+});
+
+// ============================================
+// Test: Result Cache
+// ============================================
+console.log('\n\x1b[1mResult Cache\x1b[0m');
+
+const CACHED = path.join(LOCAL_TMP, `tools-cache-${Date.now()}`);
+const CACHED_FILE = path.join(CACHED, 'a.txt');
+
+/**
+ * Set up a project whose .txt files are "formatted" (BAD -> bad) and
+ * "linted" (any 'bad' is an error), plus a .md linter that fails without
+ * naming a line, with the given toolCache settings. Each run is logged
+ */
+function setUpCacheProject(toolCache = {}) {
+  const script = (name, body) => "const fs = require('fs');\n" +
+    `fs.appendFileSync(__dirname + '/runs.log', '${name}\\n');\n` +
+    'const f = process.argv[2];\n' + body;
+  setUpProject(CACHED, {
+    files: {
+      'a.txt': 'fine\n',
+      'bin/fmt.js': script('fmt', "fs.writeFileSync(f, fs.readFileSync(f, 'utf8').replace('BAD', 'bad'));\n"),
+      'bin/lint.js': script('lint', "if (fs.readFileSync(f, 'utf8').includes('bad')) { console.log(f + ':1:1: error bad [no-bad]'); process.exit(1); }\n"),
+      'bin/crash.js': script('crash', "console.log('linter crashed'); process.exit(2);\n")
+    },
+    settings: {
+      formatters: { txt: binCommand(CACHED, 'fmt.js') },
+      linters: { txt: binCommand(CACHED, 'lint.js'), md: binCommand(CACHED, 'crash.js') },
+      toolCache
+    }
+  });
+  tools.cache.clear(CACHED);
+}
+
+function toolRuns() {
+  return loggedRuns(CACHED);
+}
+
+test('lintFile reuses the result until the file content changes', () => {
+  setUpCacheProject();
+  assert(tools.lintFile(CACHED_FILE).success && tools.lintFile(CACHED_FILE).success);
+  assert(toolRuns().join(',') === 'lint', 'second run should be a cache hit');
+
+  fs.writeFileSync(CACHED_FILE, 'bad\n');
+  const first = tools.lintFile(CACHED_FILE);
+  const second = tools.lintFile(CACHED_FILE);
+  assert(toolRuns().join(',') === 'lint');
+  assert(!second.success && second.warning === first.warning && second.diagnostics[0].rule === 'no-bad', second.warning);
+});
+
+test('editing a config file between the file and the project root invalidates results', () => {
+  fs.writeFileSync(path.join(CACHED, 'tsconfig.json'), '{}');
+  tools.lintFile(CACHED_FILE);
+  tools.lintFile(CACHED_FILE);
+  fs.writeFileSync(path.join(CACHED, 'tsconfig.json'), '{"compilerOptions": {}}');
+  tools.lintFile(CACHED_FILE);
+  assert(toolRuns().join(',') === 'lint,lint');
+  assert(tools.cache.findConfigFiles(CACHED_FILE).some(f => f.endsWith('tsconfig.json')));
+});
+
+test('formatted content is cached, so formatting it again is skipped', () => {
+  fs.writeFileSync(CACHED_FILE, 'BAD\n');
+  assert(tools.formatFile(CACHED_FILE).success && tools.formatFile(CACHED_FILE).success);
+  assert(fs.readFileSync(CACHED_FILE, 'utf8') === 'bad\n');
+  assert(toolRuns().join(',') === 'fmt');
+});
+
+test('failures that point at no line are not cached', () => {
+  const file = path.join(CACHED, 'README.md');
+  fs.writeFileSync(file, '# readme\n');
+  assert(!tools.lintFile(file).success && !tools.lintFile(file).success);
+  assert(toolRuns().join(',') === 'crash,crash');
+});
+
+test('tool versions come from the installed package', () => {
+  fs.mkdirSync(path.join(CACHED, 'node_modules', 'typescript'), { recursive: true });
+  fs.writeFileSync(path.join(CACHED, 'node_modules', 'typescript', 'package.json'), '{"version": "5.4.2"}');
+  assert(tools.cache.getToolFingerprint('npx tsc --noEmit', path.join(CACHED, 'a.ts')) === 'tsc@5.4.2');
+});
+
+test('clearFingerprints picks up a tool upgraded since the last lookup', () => {
+  const manifest = path.join(CACHED, 'node_modules', 'typescript', 'package.json');
+  fs.writeFileSync(manifest, '{"version": "5.5.0"}');
+  assert(tools.cache.getToolFingerprint('npx tsc --noEmit', path.join(CACHED, 'a.ts')) === 'tsc@5.4.2', 'lookups are remembered');
+  tools.cache.clearFingerprints();
+  assert(tools.cache.getToolFingerprint('npx tsc --noEmit', path.join(CACHED, 'a.ts')) === 'tsc@5.5.0');
+});
+
+test('type checker results are not cached by default', () => {
+  const { checks } = settings.getSettings({ projectDir: CACHED }).toolCache;
+  assert(!checks.includes('typecheck') && checks.includes('lint'), checks.join(','));
+});
+
+test('the cache is disabled per check and evicts least recently used entries', () => {
+  setUpCacheProject({ checks: ['format'] });
+  tools.lintFile(CACHED_FILE);
+  tools.lintFile(CACHED_FILE);
+  assert(toolRuns().length === 2, 'lint results should not be cached');
+
+  const dir = tools.cache.getCacheDir(CACHED);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [index, name] of ['old', 'mid', 'new'].entries()) {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, '{}');
+    fs.utimesSync(file, new Date(1000 * (index + 1)), new Date(1000 * (index + 1)));
+  }
+  assert(tools.cache.evict(dir, { maxEntries: 2, maxBytes: 1024 }) === 1);
+  assert(!fs.existsSync(path.join(dir, 'old.json')) && fs.existsSync(path.join(dir, 'new.json')));
+});
+
+test('writes list the cache directory only when the size estimate passes a limit', () => {
+  setUpCacheProject({ maxEntries: 50 });
+  const dir = tools.cache.getCacheDir(CACHED);
+  const files = Array.from({ length: 100 }, (_, i) => path.join(CACHED, `f${i}.txt`));
+  files.forEach(file => fs.writeFileSync(file, 'fine\n'));
+
+  const readdirSync = fs.readdirSync;
+  let listings = 0;
+  fs.readdirSync = (target, ...rest) => {
+    if (target === dir) listings++;
+    return readdirSync(target, ...rest);
+  };
+  try {
+    files.forEach(file => assert(tools.cache.set('lint', binCommand(CACHED, 'lint.js'), file, { success: true })));
+  } finally {
+    fs.readdirSync = readdirSync;
+  }
+  const entries = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+  assert(listings > 1 && listings <= 15, `${listings} listings for 100 writes`);
+  assert(entries.length <= 50, `${entries.length} entries`);
+});
+
+// ============================================
+// Test: Auto-fix
+// ============================================
+console.log('\n\x1b[1mAuto-fix\x1b[0m');
+
+const FIXING = path.join(LOCAL_TMP, `tools-fix-${Date.now()}`);
+const FIX_FILE = path.join(FIXING, 'src', 'app.js');
+const FIX_SOURCE = 'var a = 1;\nvar b = 2;\ndebugger;\n';
+
+/**
+ * Set up a project linted by FAKE_ESLINT
+ */
+function setUpFixProject(projectSettings = {}) {
+  setUpProject(FIXING, {
+    files: { 'bin/eslint': FAKE_ESLINT, 'src/app.js': FIX_SOURCE },
+    settings: { linters: { js: binCommand(FIXING, 'eslint') }, disabledChecks: ['format', 'typecheck'], ...projectSettings }
+  });
+}
+
+test('withFix adds fix arguments for linters that can fix', () => {
+  assert(JSON.stringify(diagnostics.withFix('npx eslint')) === '{"command":"npx eslint {file}","args":["--fix"]}');
+  assert(diagnostics.withFix({ command: 'ruff check --fix {file}' }).args === undefined, 'already fixing');
+  assert(diagnostics.withFix('mypy') === null && diagnostics.withFix('gofmt -l') === null);
+});
+
+test('lintFile leaves the file alone unless fix mode is on', () => {
+  setUpFixProject();
+  const result = tools.lintFile(FIX_FILE);
+  assert(fs.readFileSync(FIX_FILE, 'utf8') === FIX_SOURCE && !result.diff);
+  assert(result.diagnostics.length === 3 && result.diagnostics[0].fixable);
+});
+
+test('fix mode applies fixes and reports the diff and the remaining issues', () => {
+  const result = tools.lintFile(FIX_FILE, { fix: true });
+  assert(fs.readFileSync(FIX_FILE, 'utf8') === 'const a = 1;\nconst b = 2;\ndebugger;\n');
+  assert(result.diff.startsWith('--- a/src/app.js\n+++ b/src/app.js\n@@ -1,3 +1,3 @@\n-var a = 1;\n-var b = 2;\n+const a = 1;'), result.diff);
+  assert(result.fixed.length === 2 && result.fixed.every(d => d.rule === 'no-var'));
+  assert(!result.success && result.diagnostics.length === 1 && result.diagnostics[0].rule === 'no-debugger');
+});
+
+test('the autoFix setting turns fix mode on', () => {
+  setUpFixProject({ autoFix: true });
+  const result = tools.lintFile(FIX_FILE);
+  assert(result.fixed.length === 2 && fs.readFileSync(FIX_FILE, 'utf8').startsWith('const a'));
+  assert(!tools.lintFile(FIX_FILE).diff, 'nothing left to fix');
+});
+
+fs.rmSync(FIXING, { recursive: true, force: true });
+
+// ============================================
+// Test: Diff-aware Checks
+// ============================================
+console.log('\n\x1b[1mDiff-aware Checks\x1b[0m');
+
+const DIFFING = path.join(LOCAL_TMP, `tools-diff-${Date.now()}`);
+const DIFF_FILE = path.join(DIFFING, 'legacy.js');
+
+/**
+ * Set up a git repository linted by FAKE_ESLINT, with legacy.js committed
+ * holding two `var`s
+ */
+function setUpDiffProject(projectSettings = {}) {
+  setUpProject(DIFFING, {
+    files: { 'bin/eslint': FAKE_ESLINT, 'legacy.js': 'var a = 1;\nvar b = 2;\nconst c = 3;\n' },
+    settings: { linters: { js: binCommand(DIFFING, 'eslint') }, disabledChecks: ['format', 'typecheck'], ...projectSettings },
+    commit: ['legacy.js']
+  });
+}
+
+test('diff-aware linting reports only issues on lines changed since HEAD', () => {
+  setUpDiffProject();
+  fs.writeFileSync(DIFF_FILE, 'var a = 1;\nvar b = 2;\nvar c = 3;\n');
+  const result = tools.lintFile(DIFF_FILE, { diffBase: 'HEAD' });
+  assert(!result.success && result.diagnostics.length === 1 && result.diagnostics[0].line === 3);
+  assert(JSON.stringify(result.preExisting) === '{"error":2,"warning":0,"info":0}', JSON.stringify(result.preExisting));
+  assert(result.warning.includes('legacy.js:3'), result.warning);
+});
+
+test('issues only on unchanged lines do not fail the check', () => {
+  fs.writeFileSync(DIFF_FILE, 'var a = 1;\nvar b = 2;\nconst c = 4;\n');
+  const result = tools.lintFile(DIFF_FILE, { diffBase: 'HEAD' });
+  assert(result.success && result.diagnostics.length === 0 && result.preExisting.error === 2);
+});
+
+test('the diffAware setting turns diff-aware checks on, and diffBase null off', () => {
+  setUpDiffProject({ diffAware: { enabled: true, base: 'HEAD' } });
+  fs.writeFileSync(DIFF_FILE, 'var a = 1;\nvar b = 2;\nvar c = 3;\n');
+  assert(tools.lintFile(DIFF_FILE).diagnostics.length === 1);
+  const all = tools.lintFile(DIFF_FILE, { diffBase: null });
+  assert(all.diagnostics.length === 3 && all.preExisting === undefined);
+});
+
+test('files git does not track are changed on every line', () => {
+  const created = path.join(DIFFING, 'created.js');
+  fs.writeFileSync(created, 'var x = 1;\nvar y = 2;\n');
+  const result = tools.lintFile(created, { diffBase: 'HEAD' });
+  assert(result.diagnostics.length === 2 && result.preExisting.error === 0);
+});
+
+test('the snapshot base compares with the file before its first edit in the session', () => {
+  setUpDiffProject({ diffAware: { enabled: true, base: 'snapshot' } });
+  fs.writeFileSync(DIFF_FILE, 'var a = 1;\nvar b = 2;\nvar c = 3;\n');
+  assert(tools.changes.saveSnapshot(DIFF_FILE, 'session-1'), 'first edit recorded');
+  fs.writeFileSync(DIFF_FILE, 'var a = 1;\nvar b = 2;\nvar c = 3;\nvar d = 4;\n');
+  assert(!tools.changes.saveSnapshot(DIFF_FILE, 'session-1'), 'later edits keep the first snapshot');
+
+  const result = tools.lintFile(DIFF_FILE, { sessionId: 'session-1' });
+  assert(result.diagnostics.length === 1 && result.diagnostics[0].line === 4);
+  assert(result.preExisting.error === 3);
+  const withoutSnapshot = tools.lintFile(DIFF_FILE, { sessionId: 'session-2' });
+  assert(withoutSnapshot.diagnostics.length === 2, 'falls back to HEAD');
+  assert(fs.readFileSync(path.join(DIFFING, config.SNAPSHOT_DIR, '.gitignore'), 'utf8') === '*\n');
+});
+
+fs.rmSync(DIFFING, { recursive: true, force: true });
+
+// ============================================
+// Test: Baseline
+// ============================================
+console.log('\n\x1b[1mBaseline\x1b[0m');
+
+test('fingerprints follow the code an issue is on, not its line number', () => {
+  const { fingerprint } = tools.baseline;
+  const issue = { rule: 'no-var', line: 2, message: 'Unexpected var.' };
+  const at = fingerprint(issue, ['// a', 'var a = 1;', 'a++;']);
+  assert(/^[0-9a-f]{16}$/.test(at), at);
+  assert(fingerprint({ ...issue, line: 4 }, ['', '', '// a', '  var a =  1;', 'a++;']) === at, 'moved and reindented');
+  assert(fingerprint({ ...issue, rule: 'no-undef' }, ['// a', 'var a = 1;', 'a++;']) !== at, 'other rule');
+  assert(fingerprint(issue, ['// a', 'var b = 1;', 'a++;']) !== at, 'other code');
+});
+
+test('baseline create records every issue on a line and suppresses them in later checks', () => {
+  setUpDiffProject();
+  fs.writeFileSync(DIFF_FILE, '// legacy\nvar a = 1;\nvar b = 2;\nconst c = 3;\n');
+  const missing = { file: DIFF_FILE, line: null, column: null, rule: 'tool-not-installed', severity: 'warning', message: 'tsc is not installed', source: 'tsc' };
+  const change = tools.baseline.create([...tools.lintFile(DIFF_FILE).diagnostics, missing]);
+  assert(change.added === 2 && change.removed === 0 && change.total === 2, JSON.stringify(change));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(DIFFING, config.BASELINE_FILE), 'utf8'));
+  assert(saved.version === 1 && saved.entries.every(e => e.file === 'legacy.js' && e.source === 'eslint' && e.rule === 'no-var'));
+
+  const result = tools.processFile(DIFF_FILE);
+  assert(result.lint.success && result.diagnostics.length === 2 && result.diagnostics.every(d => d.suppressed));
+});
+
+test('only issues the baseline does not record fail a check', () => {
+  fs.writeFileSync(DIFF_FILE, '// moved\n// legacy\nvar a = 1;\nvar b = 2;\nconst c = 3;\nvar d = 4;\n');
+  const result = tools.lintFile(DIFF_FILE);
+  assert(!result.success && result.warning.includes('legacy.js:6'), result.warning);
+  assert(result.diagnostics.filter(d => d.suppressed).length === 2);
+});
+
+test('baseline update records new issues and prune drops fixed ones', () => {
+  let change = tools.baseline.update(tools.lintFile(DIFF_FILE).diagnostics, [DIFF_FILE]);
+  assert(change.added === 1 && change.removed === 0 && change.total === 3, JSON.stringify(change));
+
+  fs.writeFileSync(DIFF_FILE, '// moved\n// legacy\nvar a = 1;\nconst b = 2;\nconst c = 3;\nvar d = 4;\nvar e = 5;\n');
+  change = tools.baseline.prune(tools.lintFile(DIFF_FILE).diagnostics, [DIFF_FILE]);
+  assert(change.added === 0 && change.removed === 1 && change.total === 2, JSON.stringify(change));
+  assert(!tools.lintFile(DIFF_FILE).success, 'prune does not record var e');
+});
+
+test('an invalid baseline is ignored', () => {
+  fs.writeFileSync(path.join(DIFFING, config.BASELINE_FILE), '{"version": 2, "entries": []}');
+  const result = tools.lintFile(DIFF_FILE);
+  assert(!result.success && result.diagnostics.every(d => !d.suppressed));
+  let threw = false;
+  try {
+    tools.baseline.load();
+  } catch (e) {
+    threw = e.message.includes('/version');
+  }
+  assert(threw, 'load throws with the schema error');
+});
+
+test('SARIF results for baselined issues carry an external suppression', () => {
+  const suppressed = { file: DIFF_FILE, line: 1, column: 1, rule: 'no-var', severity: 'error', message: 'm', fixable: false, source: 'eslint', suppressed: true };
+  const log = sarif.toSarif([suppressed, { ...suppressed, line: 2, suppressed: undefined }], { root: DIFFING });
+  const [withSuppression, without] = log.runs[0].results;
+  assert(withSuppression.suppressions[0].kind === 'external' && without.suppressions === undefined);
+});
+
+fs.rmSync(DIFFING, { recursive: true, force: true });
+
+// ============================================
+// Test: Format Check
+// ============================================
+console.log('\n\x1b[1mFormat Check\x1b[0m');
+
+const FORMATTING = path.join(LOCAL_TMP, `tools-format-check-${Date.now()}`);
+const UNFORMATTED = path.join(FORMATTING, 'src', 'a.js');
+
+fs.mkdirSync(path.join(FORMATTING, '.claude'), { recursive: true });
+fs.mkdirSync(path.join(FORMATTING, 'src'));
+fs.mkdirSync(path.join(FORMATTING, 'node_modules', '.bin'), { recursive: true });
+fs.writeFileSync(path.join(FORMATTING, 'package.json'), '{}');
+// A prettier that swaps double quotes for single ones, printing the result for --stdin-filepath
+fs.writeFileSync(path.join(FORMATTING, 'node_modules', '.bin', 'prettier'),
+  '#!/usr/bin/env node\n' +
+  "const fs = require('fs');\n" +
+  'const args = process.argv.slice(2);\n' +
+  'const format = text => text.replace(/"/g, "\'");\n' +
+  "if (args.includes('--stdin-filepath')) {\n" +
+  "  const input = fs.readFileSync(0, 'utf8');\n" +
+  "  if (input.includes('syntax error')) { console.error('SyntaxError: Unexpected token (1:8)'); process.exit(2); }\n" +
+  '  process.stdout.write(format(input));\n' +
+  '} else {\n' +
+  '  const file = args[args.length - 1];\n' +
+  "  fs.writeFileSync(file, format(fs.readFileSync(file, 'utf8')));\n" +
+  '}\n');
+fs.chmodSync(path.join(FORMATTING, 'node_modules', '.bin', 'prettier'), 0o755);
+fs.writeFileSync(path.join(FORMATTING, config.SETTINGS_FILE), JSON.stringify({
+  formatters: { js: 'prettier --write' },
+  disabledChecks: ['typecheck', 'lint']
+}));
+fs.writeFileSync(UNFORMATTED, 'const a = "x";\n\nconsole.log(a);\n');
+fs.writeFileSync(path.join(FORMATTING, 'src', 'b.js'), "const b = 'y';\n");
+fs.writeFileSync(path.join(FORMATTING, 'src', 'c.js'), 'syntax error\n');
+fs.writeFileSync(path.join(FORMATTING, 'src', 'notes.txt'), 'no formatter\n');
+process.env.CLAUDE_PROJECT_DIR = FORMATTING;
+settings.clearCache();
+
+test('every default formatter has a stdout mode that keeps its other options', () => {
+  const { withStdout } = require('../../lib/tools/runner');
+  for (const formatter of new Set(Object.values(config.FORMATTERS))) {
+    assert(withStdout(formatter), `${formatter} has no stdout mode`);
+  }
+  assert(withStdout('prettier --write --single-quote').command === 'prettier --single-quote --stdin-filepath {file}');
+  assert(withStdout({ command: 'gofmt -w {file}' }).command === 'gofmt');
+  assert(withStdout('rustfmt').command === 'rustfmt --emit stdout');
+  assert(withStdout('ruff format').command === 'ruff format --stdin-filename {file} -');
+  assert(withStdout('standard --fix') === null && withStdout('eslint') === null);
+});
+
+test('tool definitions need stdout args as an array of strings', () => {
+  let threw = false;
+  try {
+    tools.registry.register({ name: 'fmt', kind: 'formatter', files: ['*.x'], stdout: { args: '-' } });
+  } catch (e) {
+    threw = e.message.includes('stdout');
+  }
+  assert(threw);
+});
+
+test('format check mode reports the diff formatting would make without writing', () => {
+  const result = tools.formatFile(UNFORMATTED, { check: true });
+  assert(!result.success && result.changed && result.error === 'Would reformat src/a.js', JSON.stringify(result));
+  assert(result.diff === "--- a/src/a.js\n+++ b/src/a.js\n@@ -1,3 +1,3 @@\n-const a = \"x\";\n+const a = 'x';\n \n console.log(a);\n",
+    result.diff);
+  assert(fs.readFileSync(UNFORMATTED, 'utf8') === 'const a = "x";\n\nconsole.log(a);\n', 'file unchanged');
+});
+
+test('format check mode passes formatted files and reports formatter errors', () => {
+  assert(JSON.stringify(tools.formatFile(path.join(FORMATTING, 'src', 'b.js'), { check: true })) === '{"success":true,"changed":false}');
+  const failed = tools.formatFile(path.join(FORMATTING, 'src', 'c.js'), { check: true });
+  assert(!failed.success && !failed.changed && failed.error.startsWith('SyntaxError'), JSON.stringify(failed));
+});
+
+test('checkFormatting summarizes which files would change', () => {
+  const report = tools.checkFormatting(['src'], { cwd: FORMATTING });
+  assert(!report.success && report.changed === 1 && report.unchanged === 1 && report.failed === 1 && report.skipped === 1,
+    JSON.stringify(report));
+  assert(report.files[UNFORMATTED].diff.includes("+const a = 'x';") && report.files[path.join(FORMATTING, 'src', 'notes.txt')] === null);
+
+  tools.formatFile(UNFORMATTED);
+  fs.rmSync(path.join(FORMATTING, 'src', 'c.js'));
+  assert(tools.checkFormatting(['src'], { cwd: FORMATTING }).success, 'formatted in place');
+});
+
+fs.rmSync(FORMATTING, { recursive: true, force: true });
+
+// ============================================
+// Test: Notebooks
+// ============================================
+console.log('\n\x1b[1mNotebooks\x1b[0m');
+
+const NOTEBOOK = {
+  cells: [
+    { cell_type: 'markdown', source: ['# Title'] },
+    { cell_type: 'code', source: ['import os\n', '%time x=1\n', 'if x:\n', '    !ls'] },
+    { cell_type: 'code', source: '%%bash\necho hi' },
+    { cell_type: 'code', source: 'y = 2\n' }
+  ]
+};
+
+test('extractCode marks each code cell, comments out magics and skips cell magics', () => {
+  const { source, cells } = tools.notebook.extractCode(NOTEBOOK);
+  assert(source === '# %% cell 2\nimport os\n# dev-standards-magic: %time x=1\nif x:\n    # dev-standards-magic: !ls\n' +
+    '# %% cell 4\ny = 2\n', source);
+  assert(JSON.stringify(cells) === '[{"cell":2,"index":1,"start":2,"lines":4},{"cell":4,"index":3,"start":7,"lines":1}]',
+    JSON.stringify(cells));
+});
+
+test('splitCells gives back each cell\'s code with magics restored', () => {
+  const { source } = tools.notebook.extractCode(NOTEBOOK);
+  const cells = tools.notebook.splitCells(source.replace('y = 2', '\n\ny = 2'));
+  assert(cells.get(2) === 'import os\n%time x=1\nif x:\n    !ls' && cells.get(4) === 'y = 2', JSON.stringify([...cells]));
+});
+
+test('mapDiagnostic moves diagnostics on the extracted source to the notebook cell', () => {
+  const { cells } = tools.notebook.extractCode(NOTEBOOK);
+  const diagnostic = { file: '/repo/_nb.py', line: 7, column: 1, rule: 'F821', severity: 'error', message: 'Undefined name', fixable: false, source: 'ruff' };
+  const mapped = tools.notebook.mapDiagnostic(diagnostic, '/repo/_nb.py', '/repo/nb.ipynb', cells);
+  assert(mapped.file === '/repo/nb.ipynb' && mapped.cell === 4 && mapped.line === 1, JSON.stringify(mapped));
+  assert(tools.diagnostics.formatDiagnostic(mapped, '/repo') === 'nb.ipynb:cell 4:1:1: error Undefined name [F821]');
+  const other = { ...diagnostic, file: '/repo/lib.py' };
+  assert(tools.notebook.mapDiagnostic(other, '/repo/_nb.py', '/repo/nb.ipynb', cells) === other);
+});
+
+test('isNotebook recognizes .ipynb files', () => {
+  assert(tools.notebook.isNotebook('/repo/A.IPYNB') && !tools.notebook.isNotebook('/repo/a.py'));
+});
+
+const NOTEBOOKS = path.join(LOCAL_TMP, `tools-notebook-${Date.now()}`);
+
+testAsync('checkNotebook reuses cached results for unchanged cells', async () => {
+  setUpProject(NOTEBOOKS, {
+    files: {
+      'bin/lint.js': "const fs = require('fs');\n" +
+        "fs.appendFileSync(__dirname + '/runs.log', require('path').basename(process.argv[2]) + '\\n');\n" +
+        "if (fs.readFileSync(process.argv[2], 'utf8').includes('bad')) { console.log(process.argv[2] + ':3:1: error bad [no-bad]'); " +
+        'process.exit(1); }\n',
+      'nb.ipynb': JSON.stringify(NOTEBOOK)
+    },
+    settings: { linters: { py: binCommand(NOTEBOOKS, 'lint.js') } }
+  });
+  const notebook = path.join(NOTEBOOKS, 'nb.ipynb');
+  const lint = (check, file, options) => tools.lintFile(file, options);
+  const first = await tools.notebook.checkNotebook('lint', notebook, lint);
+  const second = await tools.notebook.checkNotebook('lint', notebook, lint);
+  assert(first.success && second.success, JSON.stringify(second));
+  assert(loggedRuns(NOTEBOOKS).join(',') === '_dev_standards_nb_lint.py', 'the second check should be a cache hit');
+  assert(!fs.readdirSync(NOTEBOOKS).some(name => name.endsWith('.py')), 'the extracted file should be removed');
+
+  fs.writeFileSync(notebook, JSON.stringify({ cells: [{ cell_type: 'code', source: 'import os\nbad = 1\n' }] }));
+  await tools.notebook.checkNotebook('lint', notebook, lint);
+  const cached = await tools.notebook.checkNotebook('lint', notebook, lint);
+  assert(loggedRuns(NOTEBOOKS).length === 1, 'only the changed notebook should be linted');
+  assert(!cached.success && cached.diagnostics[0].file === notebook && cached.diagnostics[0].cell === 1, JSON.stringify(cached));
+});
+
+// ============================================
+// Test: Tool Resolution
+// ============================================
+console.log('\n\x1b[1mTool Resolution\x1b[0m');
+
+const resolver = require('../../lib/tools/resolver');
+
+const RESOLVING = path.join(LOCAL_TMP, `tools-resolve-${Date.now()}`);
+const WEB = path.join(RESOLVING, 'packages', 'web');
+const GLOBAL_BIN = path.join(RESOLVING, 'global-bin');
+const ORIGINAL_PATH = process.env.PATH;
+
+function writeExecutable(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '#!/bin/sh\n');
+  fs.chmodSync(file, 0o755);
+}
+
+fs.mkdirSync(WEB, { recursive: true });
+fs.writeFileSync(path.join(WEB, 'package.json'), '{}');
+writeExecutable(path.join(RESOLVING, 'node_modules', '.bin', 'eslint'));
+writeExecutable(path.join(GLOBAL_BIN, 'eslint'));
+writeExecutable(path.join(GLOBAL_BIN, 'prettier'));
+process.env.CLAUDE_PROJECT_DIR = RESOLVING;
+process.env.PATH = GLOBAL_BIN;
+settings.clearCache();
+
+test('prefers node_modules/.bin up to the project root over PATH, dropping npx', () => {
+  const local = exec.escapeFilePath(path.join(RESOLVING, 'node_modules', '.bin', 'eslint'));
+  const result = resolver.resolveCommand("npx --yes eslint --format json 'a.js'", { cwd: WEB });
+  assert(result.success && result.command === `${local} --format json 'a.js'`, result.command);
+  assert(resolver.resolveCommand('prettier --write a.js', { cwd: WEB }).command === 'prettier --write a.js');
+});
+
+test('reports a missing tool with an install hint for the package manager', () => {
+  const result = resolver.resolveCommand('tsc --noEmit', { cwd: WEB });
+  assert(!result.success && result.missing.tool === 'tsc');
+  assert(result.missing.hint === 'npm install --save-dev typescript', result.missing.hint);
+
+  fs.writeFileSync(path.join(RESOLVING, 'pnpm-lock.yaml'), '');
+  assert(resolver.installHint('tsc', WEB, false) === 'pnpm add -D typescript');
+  fs.writeFileSync(path.join(WEB, 'package.json'), '{"packageManager": "yarn@4.1.0"}');
+  assert(resolver.installHint('biome', WEB, false) === 'yarn add -D @biomejs/biome');
+});
+
+test('a missing linter gives a tool-not-installed warning instead of failing', () => {
+  fs.mkdirSync(path.join(RESOLVING, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(RESOLVING, config.SETTINGS_FILE), JSON.stringify({
+    linters: { js: 'standard' },
+    disabledChecks: ['format', 'typecheck']
+  }));
+  fs.writeFileSync(path.join(WEB, 'a.js'), 'x\n');
+  settings.clearCache();
+  const result = tools.lintFile(path.join(WEB, 'a.js'));
+  const [diagnostic] = result.diagnostics;
+  assert(result.success && result.diagnostics.length === 1, JSON.stringify(result));
+  assert(diagnostic.rule === 'tool-not-installed' && diagnostic.severity === 'warning');
+  assert(diagnostic.message === 'standard is not installed. Install it with: yarn add -D standard', diagnostic.message);
+});
+
+test('Python tools run from the venv that has them', () => {
+  const python = path.join(RESOLVING, '.venv', 'bin', 'python');
+  writeExecutable(python);
+  writeExecutable(path.join(RESOLVING, '.venv', 'bin', 'ruff'));
+  const ruff = resolver.resolveCommand("ruff check 'a.py'", { cwd: RESOLVING, python: true });
+  assert(ruff.command === `${exec.escapeFilePath(python)} -m ruff check 'a.py'`, ruff.command);
+
+  fs.writeFileSync(path.join(RESOLVING, 'uv.lock'), '');
+  const mypy = resolver.resolveCommand('mypy a.py', { cwd: RESOLVING, python: true });
+  assert(!mypy.success && mypy.missing.hint === 'uv add --dev mypy', mypy.error);
+});
+
+process.env.PATH = ORIGINAL_PATH;
+fs.rmSync(RESOLVING, { recursive: true, force: true });
+
+// ============================================
+// Test: Tool Registry
+// ============================================
+console.log('\n\x1b[1mTool Registry\x1b[0m');
+
+const { registry } = tools;
+const errors = require('../../lib/errors');
+
+test('built-in tools are registrations with a kind, file matchers and a parser', () => {
+  const eslint = registry.get('eslint', 'linter');
+  assert(eslint.parse === diagnostics.parseEslint && eslint.source === 'builtin');
+  const linters = registry.list('linter').map(definition => definition.name);
+  for (const name of ['shellcheck', 'stylelint', 'markdownlint', 'golangci-lint', 'clippy', 'hadolint']) {
+    assert(linters.includes(name), `${name} should be registered`);
+  }
+
+  const hadolint = registry.get('hadolint');
+  assert(registry.matchesFile(hadolint, 'docker/Dockerfile') && registry.matchesFile(hadolint, 'api.dockerfile'));
+  assert(!registry.matchesFile(hadolint, 'Dockerfile.js'));
+  assert(diagnostics.toolName('cargo clippy --all-targets') === 'clippy');
+});
+
+test('register rejects malformed definitions', () => {
+  for (const definition of [
+    { name: 'webpack', kind: 'bundler', files: ['*.js'] },
+    { name: 'vale', kind: 'linter', files: ['docs/**/*.md'] },
+    { name: 'vale', kind: 'linter', files: ['*.md'], parse: 'vale' }
+  ]) {
+    let thrown = null;
+    try {
+      registry.register(definition);
+    } catch (e) {
+      thrown = e;
+    }
+    assert(thrown instanceof errors.ConfigError, JSON.stringify(definition));
+  }
+  assert(!registry.get('vale'));
+});
+
+test('shellcheck, stylelint, markdownlint, golangci-lint, clippy and hadolint output parse into diagnostics', () => {
+  const [shellcheck] = diagnostics.parseShellcheck('run.sh:3:6: note: Double quote to prevent globbing. [SC2086]', CWD);
+  assert(shellcheck.rule === 'SC2086' && shellcheck.severity === 'info' && shellcheck.url.endsWith('/SC2086'));
+
+  const [stylelint] = diagnostics.parseStylelint(JSON.stringify([{
+    source: '/repo/a.css',
+    warnings: [{ line: 2, column: 3, rule: 'block-no-empty', severity: 'error', text: 'Unexpected empty block (block-no-empty)' }]
+  }]), CWD);
+  assert(stylelint.message === 'Unexpected empty block' && stylelint.url.endsWith('/block-no-empty'));
+
+  const markdownlint = diagnostics.parseMarkdownlint('README.md:3:81 MD013/line-length Line length [Expected: 80; Actual: 95]\n' +
+    'README.md:5 error MD022/blanks-around-headings Headings should be surrounded by blank lines', CWD);
+  assert(markdownlint.length === 2 && markdownlint[0].rule === 'MD013' && markdownlint[1].column === null);
+
+  const [golangci] = diagnostics.parseGolangci('main.go:7:2: Error return value is not checked (errcheck)\n' +
+    '\tos.Remove(path)\n\t^', CWD);
+  assert(golangci.rule === 'errcheck' && golangci.line === 7 && golangci.file === path.join(CWD, 'main.go'));
+
+  const clippy = diagnostics.parseClippy('src/main.rs:2:9: warning: unused variable: `x`\n' +
+    'src/lib.rs:4:5: error[E0308]: mismatched types\nwarning: `app` (bin "app") generated 1 warning', CWD);
+  assert(clippy.length === 2 && clippy[1].rule === 'E0308' && clippy[0].severity === 'warning');
+
+  const [hadolint] = diagnostics.parseHadolint(JSON.stringify([{
+    file: 'Dockerfile', line: 4, column: 1, level: 'style', code: 'DL3008', message: 'Pin versions in apt get install'
+  }]), CWD);
+  assert(hadolint.severity === 'info' && hadolint.url === 'https://github.com/hadolint/hadolint/wiki/DL3008');
+});
+
+test('command builders pass directories to golangci-lint and nothing to clippy', () => {
+  const golangci = registry.get('golangci-lint');
+  const lint = golangci.build({
+    tool: 'golangci-lint run',
+    files: [path.join(CWD, 'cmd', 'a.go'), path.join(CWD, 'cmd', 'b.go')],
+    cwd: CWD,
+    buildCommand: tools.buildToolCommand
+  });
+  assert(lint === `golangci-lint run ${exec.escapeFilePath(path.join(CWD, 'cmd'))}`, lint);
+
+  const clippy = registry.get('clippy').build({ tool: diagnostics.withMachineOutput('cargo clippy'), files: ['src/main.rs'] });
+  assert(clippy === 'cargo clippy --message-format short', clippy);
+});
+
+const EXTENDED = path.join(LOCAL_TMP, `tools-registry-${Date.now()}`);
+
+test('tool modules register tools that are detected and run like built-in ones', () => {
+  fs.mkdirSync(path.join(EXTENDED, 'tools'), { recursive: true });
+  fs.mkdirSync(path.join(EXTENDED, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(EXTENDED, 'tools', 'check.js'), "console.log(process.argv[2] + ': too vague'); process.exit(1);\n");
+  fs.writeFileSync(path.join(EXTENDED, 'tools', 'vague.js'), "module.exports = registry => (require('fs').appendFileSync(__dirname + '/loads.log', 'load\\n'), registry.register({\n" +
+    "  name: 'vague', kind: 'linter', files: ['*.txt'],\n" +
+    `  command: ${JSON.stringify(`node ${path.join(EXTENDED, 'tools', 'check.js')}`)},\n` +
+    "  detect: { files: ['.vaguerc'] },\n" +
+    "  parse: output => output.trim().split('\\n').map(line => ({ file: line.split(': ')[0], line: 1, message: line.split(': ')[1] }))\n" +
+    '}));\n');
+  fs.writeFileSync(path.join(EXTENDED, '.vaguerc'), '');
+  fs.writeFileSync(path.join(EXTENDED, 'notes.txt'), 'maybe\n');
+  fs.writeFileSync(path.join(EXTENDED, config.SETTINGS_FILE), JSON.stringify({
+    toolModules: ['tools/vague.js', 'tools/missing.js'],
+    disabledChecks: ['format', 'typecheck']
+  }));
+  process.env.CLAUDE_PROJECT_DIR = EXTENDED;
+  settings.clearCache();
+
+  const tool = settings.explain().layers.find(layer => layer.name === 'tool');
+  assert(tool && tool.tool === 'vague', JSON.stringify(settings.explain().layers));
+  assert(registry.get('vague').source === path.join(EXTENDED, 'tools', 'vague.js'));
+
+  const result = tools.lintFile(path.join(EXTENDED, 'notes.txt'));
+  const [diagnostic] = result.diagnostics;
+  assert(!result.success && result.diagnostics.length === 1, JSON.stringify(result));
+  assert(diagnostic.source === 'vague' && diagnostic.message === 'too vague' && diagnostic.severity === 'error');
+  assert(diagnostic.file === path.join(EXTENDED, 'notes.txt'));
+});
+
+test('tool modules load once per project and are seen only in that project', () => {
+  settings.clearCache();
+  settings.getSettings();
+  settings.clearCache();
+  settings.getSettings();
+  assert(fs.readFileSync(path.join(EXTENDED, 'tools', 'loads.log'), 'utf8') === 'load\n', 'should load once');
+
+  const other = path.join(LOCAL_TMP, `tools-registry-other-${Date.now()}`);
+  fs.mkdirSync(other, { recursive: true });
+  fs.writeFileSync(path.join(other, '.vaguerc'), '');
+  process.env.CLAUDE_PROJECT_DIR = other;
+  settings.clearCache();
+  try {
+    assert(!registry.get('vague') && registry.get('vague', 'linter', EXTENDED), 'should stay in its project');
+    assert(!settings.explain().layers.some(layer => layer.tool === 'vague'), 'should not be detected elsewhere');
+  } finally {
+    process.env.CLAUDE_PROJECT_DIR = EXTENDED;
+    settings.clearCache();
+    fs.rmSync(other, { recursive: true, force: true });
+  }
+});
+
+registry.unregister('vague', 'linter');
+fs.rmSync(EXTENDED, { recursive: true, force: true });
+
+// ============================================
+// Test: TypeScript Projects
+// ============================================
+console.log('\n\x1b[1mTypeScript Projects\x1b[0m');
+
+const typescript = require('../../lib/tools/typescript');
+
+const TS = path.join(LOCAL_TMP, `tools-ts-${Date.now()}`);
+
+/**
+ * Write files below the TypeScript test project
+ */
+function writeTs(files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(TS, name)), { recursive: true });
+    fs.writeFileSync(path.join(TS, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+writeTs({
+  'tsconfig.json': '{\n  // solution\n  "files": [],\n  "references": [{ "path": "./packages/web" }, { "path": "./packages/api" },],\n}',
+  'tsconfig.base.json': { compilerOptions: { strict: true, baseUrl: '.', paths: { '@shared/*': ['packages/shared/*'] } } },
+  'packages/web/tsconfig.json': { extends: '../../tsconfig.base.json', compilerOptions: { jsx: 'react-jsx', composite: true }, include: ['src'], exclude: ['src/legacy'] },
+  'packages/web/src/app.tsx': "import { util } from './util';\n",
+  'packages/web/src/util.ts': "import { fmt } from '@shared/fmt';\nexport const util = 1;\n",
+  'packages/web/src/other.ts': 'export const other = 2;\n',
+  'packages/web/src/legacy/old.ts': '',
+  'packages/api/tsconfig.json': { include: ['**/*.ts'] },
+  'packages/api/server.ts': "const web = require('../web/src/util.js');\n",
+  'packages/shared/fmt.ts': 'export const fmt = 3;\n'
+});
+process.env.CLAUDE_PROJECT_DIR = TS;
+settings.clearCache();
+
+test('parseJsonc allows comments and trailing commas outside strings', () => {
+  const parsed = typescript.parseJsonc('{ /* a */ "url": "http://x/,]", // b\n "list": [1, 2,], }');
+  assert(parsed.url === 'http://x/,]' && parsed.list.length === 2, JSON.stringify(parsed));
+});
+
+test('findProject follows references and honours include/exclude', () => {
+  const web = typescript.findProject(path.join(TS, 'packages', 'web', 'src', 'app.tsx'));
+  assert(web.configFile === path.join(TS, 'packages', 'web', 'tsconfig.json'), web && web.configFile);
+  assert(web.compilerOptions.strict && web.compilerOptions.jsx === 'react-jsx', 'extends should be merged');
+  assert(web.pathsBase === TS, 'paths resolve against the base config\'s baseUrl');
+  assert(typescript.findProject(path.join(TS, 'packages', 'api', 'server.ts')).dir === path.join(TS, 'packages', 'api'));
+  assert(typescript.findProject(path.join(TS, 'packages', 'web', 'src', 'legacy', 'old.ts')) === null);
+});
+
+test('projectTool checks the project incrementally instead of the file', () => {
+  const web = typescript.findProject(path.join(TS, 'packages', 'web', 'src', 'app.tsx'));
+  const tool = typescript.projectTool({ command: 'npx tsc {file}', args: ['--strict'] }, web);
+  assert(tool.command.startsWith(`npx tsc --noEmit -p ${exec.escapeFilePath(web.configFile)} --incremental --tsBuildInfoFile `), tool.command);
+  assert(tool.command.endsWith('--composite false') && tool.args[0] === '--strict' && !tool.command.includes('{file}'));
+  assert(typescript.getBuildInfoFile(web.configFile).startsWith(path.join(TS, config.TSC_BUILD_INFO_DIR)));
+});
+
+test('diagnosticFilter keeps the file, its direct importers and the config', () => {
+  const util = path.join(TS, 'packages', 'web', 'src', 'util.ts');
+  const web = typescript.findProject(util);
+  const keep = typescript.diagnosticFilter(util, web);
+  const at = (...parts) => ({ file: path.join(TS, ...parts), line: 1 });
+  assert(keep(at('packages', 'web', 'src', 'util.ts')) && keep(at('packages', 'web', 'src', 'app.tsx')));
+  assert(keep(at('packages', 'api', 'server.ts')) && keep(at('packages', 'web', 'tsconfig.json')));
+  assert(!keep(at('packages', 'web', 'src', 'other.ts')));
+  const viaAlias = typescript.diagnosticFilter(path.join(TS, 'packages', 'shared', 'fmt.ts'), web);
+  assert(viaAlias(at('packages', 'web', 'src', 'util.ts')) && !viaAlias(at('packages', 'web', 'src', 'app.tsx')));
+});
+
+test('typeCheckFile runs tsc on the owning project and reports what concerns the file', () => {
+  const fakeTsc = path.join(TS, 'bin', 'tsc');
+  writeTs({
+    'bin/tsc': "require('fs').writeFileSync(__dirname + '/args.json', JSON.stringify(process.argv.slice(2)));\n" +
+      "console.log('src/util.ts(2,1): error TS2322: Type mismatch.');\n" +
+      "console.log('src/app.tsx(1,10): error TS2305: No exported member.');\n" +
+      "console.log('src/other.ts(1,1): error TS1000: Unrelated.');\n" +
+      'process.exit(2);\n',
+    '.claude/dev-standards.json': { typeCheckers: { ts: `node ${fakeTsc} --noEmit` }, toolCache: { enabled: false } },
+    'packages/web/package.json': '{}'
+  });
+  settings.clearCache();
+
+  const result = tools.typeCheckFile(path.join(TS, 'packages', 'web', 'src', 'util.ts'));
+  const args = JSON.parse(fs.readFileSync(path.join(TS, 'bin', 'args.json'), 'utf8'));
+  assert(args.includes('-p') && args.includes('--incremental') && !args.some(a => a.endsWith('util.ts')), args.join(' '));
+  assert(!result.success && result.diagnostics.map(d => path.basename(d.file)).join(',') === 'util.ts,app.tsx',
+    result.diagnostics.map(d => d.file).join(','));
+});
+
+test('typeCheckFile checks a file again once a module it imports changes', () => {
+  const fakeTsc = path.join(TS, 'bin', 'tsc');
+  const fmt = path.join(TS, 'packages', 'shared', 'fmt.ts');
+  writeTs({
+    'bin/tsc': "const fs = require('fs');\n" +
+      "fs.appendFileSync(__dirname + '/runs.log', 'tsc\\n');\n" +
+      `if (fs.readFileSync(${JSON.stringify(fmt)}, 'utf8').includes('string')) {\n` +
+      "  console.log('src/util.ts(1,10): error TS2322: Type mismatch.');\n" +
+      '  process.exit(2);\n' +
+      '}\n',
+    '.claude/dev-standards.json': { typeCheckers: { ts: `node ${fakeTsc} --noEmit` }, toolCache: { checks: ['typecheck'] } }
+  });
+  settings.clearCache();
+  tools.cache.clear(TS);
+
+  const util = path.join(TS, 'packages', 'web', 'src', 'util.ts');
+  assert(tools.typeCheckFile(util).success, 'should pass before the change');
+  fs.writeFileSync(fmt, "export const fmt: string = 'x';\n");
+  const result = tools.typeCheckFile(util);
+  const runs = fs.readFileSync(path.join(TS, 'bin', 'runs.log'), 'utf8').trim().split('\n');
+  assert(runs.length === 2, 'the second check should run tsc again');
+  assert(!result.success && result.diagnostics[0].rule === 'TS2322', JSON.stringify(result.diagnostics));
+});
+
+fs.rmSync(TS, { recursive: true, force: true });
+fs.rmSync(CACHED, { recursive: true, force: true });
+fs.rmSync(PROJECT, { recursive: true, force: true });
+if (ORIGINAL_PROJECT_DIR === undefined) {
+  delete process.env.CLAUDE_PROJECT_DIR;
+} else {
+  process.env.CLAUDE_PROJECT_DIR = ORIGINAL_PROJECT_DIR;
+}
+settings.clearCache();
+
+// ============================================
+// Test: Batch
+// ============================================
+const BATCH = path.join(LOCAL_TMP, `tools-batch-${Date.now()}`);
+
+/**
+ * Set up a project whose .txt files are "formatted" (BAD -> bad) and
+ * "linted" (any 'bad' is an error) several at a time; each lint run logs
+ * how many files it got
+ */
+function setUpBatchProject() {
+  setUpProject(BATCH, {
+    files: {
+      'bin/fmt.js': "const fs = require('fs');\n" +
+        "for (const f of process.argv.slice(2)) fs.writeFileSync(f, fs.readFileSync(f, 'utf8').replace('BAD', 'bad'));\n",
+      'bin/lint.js': "const fs = require('fs');\n" +
+        "fs.appendFileSync(__dirname + '/runs.log', (process.argv.length - 2) + '\\n');\n" +
+        'let failed = false;\n' +
+        'for (const f of process.argv.slice(2)) {\n' +
+        "  if (fs.readFileSync(f, 'utf8').includes('bad')) { console.log(f + ':1:1: error bad content [no-bad]'); failed = true; }\n" +
+        '}\n' +
+        'process.exit(failed ? 1 : 0);\n',
+      'src/a.txt': 'fine\n',
+      'src/b.txt': 'BAD\n',
+      'src/nested/c.txt': 'fine\n',
+      'node_modules/dep/d.txt': 'bad\n'
+    },
+    settings: {
+      formatters: { txt: binCommand(BATCH, 'fmt.js') },
+      linters: { txt: { command: `${binCommand(BATCH, 'lint.js')} {file}` } }
+    }
+  });
+}
+
+function lintRuns() {
+  return loggedRuns(BATCH).map(Number);
+}
+
+testAsync('expandFiles takes files, directories and globs, skipping ignored directories', async () => {
+  setUpBatchProject();
+  const all = tools.expandFiles(['src', 'src/a.txt'], { cwd: BATCH });
+  assert(all.length === 3 && all.every(f => f.endsWith('.txt')), all.join(', '));
+  const top = tools.expandFiles(['src/*.txt'], { cwd: BATCH });
+  assert(top.map(f => path.basename(f)).join(',') === 'a.txt,b.txt', top.join(', '));
+  const deep = tools.expandFiles(['**/*.txt'], { cwd: BATCH });
+  assert(deep.length === 3, 'node_modules should be skipped');
+});
+
+testAsync('planTasks groups files by tool and splits large groups', async () => {
+  const files = tools.expandFiles(['src'], { cwd: BATCH });
+  const batch = require('../../lib/tools/batch');
+  const tasks = batch.planTasks(files, { checks: ['lint'], filesPerCommand: 100 });
+  assert(tasks.length === 1 && tasks[0].files.length === 3);
+  assert(batch.planTasks(files, { checks: ['lint'], filesPerCommand: 2 }).length === 2);
+});
+
+testAsync('processFiles runs each tool once per batch, formatting first', async () => {
+  lintRuns();
+  const report = await tools.processFiles(['src'], { cwd: BATCH, checks: ['format', 'lint'] });
+  assert(lintRuns().join(',') === '3', 'linter should run once for all three files');
+
+  const b = path.join(BATCH, 'src', 'b.txt');
+  assert(!report.success && report.files[b].format.success, 'b.txt should be formatted');
+  assert(!report.files[b].lint.success && report.files[b].lint.diagnostics[0].rule === 'no-bad');
+  assert(report.files[path.join(BATCH, 'src', 'a.txt')].lint.success);
+  assert(report.diagnostics.length === 1 && report.diagnostics[0].file === b);
+  assert(report.tasks.map(t => t.check).join(',') === 'format,lint');
+  assert(report.tasks.every(t => typeof t.durationMs === 'number') && report.durationMs >= 0);
+});
+
+testAsync('processFiles reuses cached results for unchanged files', async () => {
+  const report = await tools.processFiles(['src'], { cwd: BATCH, checks: ['format', 'lint'] });
+  assert(lintRuns().length === 0 && report.tasks.length === 0, 'every result should come from the cache');
+  assert(!report.success && report.diagnostics.length === 1 && report.diagnostics[0].rule === 'no-bad');
+
+  fs.writeFileSync(path.join(BATCH, 'src', 'a.txt'), 'changed\n');
+  await tools.processFiles(['src'], { cwd: BATCH, checks: ['lint'] });
+  assert(lintRuns().join(',') === '1', 'only the changed file should be linted');
+});
+
+testAsync('processFiles with a worker limit gives the same results', async () => {
+  tools.cache.clear(BATCH);
+  const report = await tools.processFiles(['src'], { cwd: BATCH, checks: ['lint'], concurrency: 1, filesPerCommand: 1 });
+  assert(lintRuns().length === 3, 'one run per file');
+  assert(report.diagnostics.length === 1 && report.tasks.length === 3 && !report.success);
+});
+
+testAsync('processFiles falls back to the batch limit for a concurrency that is not a number', async () => {
+  tools.cache.clear(BATCH);
+  const report = await tools.processFiles(['src'], { cwd: BATCH, checks: ['lint'], concurrency: NaN, filesPerCommand: 1 });
+  assert(lintRuns().length === 3 && report.tasks.length === 3 && report.diagnostics.length === 1);
+});
+
+testAsync('processFiles marks issues recorded in the baseline suppressed', async () => {
+  const first = await tools.processFiles(['src'], { cwd: BATCH, checks: ['lint'] });
+  tools.baseline.create(first.diagnostics);
+  const report = await tools.processFiles(['src'], { cwd: BATCH, checks: ['lint'] });
+  assert(report.success && report.diagnostics.length === 1 && report.diagnostics[0].suppressed);
+  fs.rmSync(tools.baseline.getBaselinePath());
+});
+
+// ============================================
+// Summary
+// ============================================
+(async () => {
+  console.log('\n\x1b[1mBatch\x1b[0m');
+  for (const { name, fn } of asyncTests) {
+    try {
+      await fn();
+      console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`  \x1b[31m✗\x1b[0m ${name}: ${e.message}`);
+      failed++;
+    }
+  }
+
+  fs.rmSync(BATCH, { recursive: true, force: true });
+  fs.rmSync(NOTEBOOKS, { recursive: true, force: true });
+  if (ORIGINAL_PROJECT_DIR === undefined) {
+    delete process.env.CLAUDE_PROJECT_DIR;
+  } else {
+    process.env.CLAUDE_PROJECT_DIR = ORIGINAL_PROJECT_DIR;
+  }
+  settings.clearCache();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\x1b[1mTools Unit Tests:\x1b[0m ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(50));
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -176,10 +176,18 @@ test('isProtectedBranch allows feature branches', () => {
   assert(!utils.isProtectedBranch('hotfix/urgent'), 'hotfix branch should not be protected');
 });
 
-test('isProtectedBranch protects develop/staging/release (Phase 11)', () => {
-  assert(utils.isProtectedBranch('develop'), 'develop should be protected (Phase 11)');
-  assert(utils.isProtectedBranch('staging'), 'staging should be protected (Phase 11)');
-  assert(utils.isProtectedBranch('release'), 'release should be protected (Phase 11)');
+test('isProtectedBranch protects develop/staging/release once the settings add them', () => {
+  assert(!utils.isProtectedBranch('develop'), 'develop is not protected by default');
+  process.env.DEV_STANDARDS_PROTECTED_BRANCHES = 'main,develop,staging,release';
+  utils.settings.clearCache();
+  try {
+    assert(utils.isProtectedBranch('develop'), 'develop should be protected');
+    assert(utils.isProtectedBranch('staging'), 'staging should be protected');
+    assert(utils.isProtectedBranch('release'), 'release should be protected');
+  } finally {
+    delete process.env.DEV_STANDARDS_PROTECTED_BRANCHES;
+    utils.settings.clearCache();
+  }
 });
 
 // ============================================